@@ -0,0 +1,103 @@
+const { WaveFile } = require('wavefile');
+const { AudioPipeline, AudioFormat, Resampler, toWav } = require('./engine/audioPipeline');
+
+// Usage: node benchmark_audio.js [--seconds 20] [--json]
+// Times the per-call audio work: decoding inbound packets, and preparing one TTS reply for the wire.
+// "legacy" is the WaveFile path the engine used before engine/audioPipeline.js.
+const args = process.argv.slice(2);
+const getFlag = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+const seconds = parseFloat(getFlag('seconds', '20'));
+
+const PACKET_MS = 20;
+const PACKETS_PER_SECOND = 1000 / PACKET_MS;
+
+function tone(frequency, sampleRate, ms) {
+    return Int16Array.from({ length: Math.round(sampleRate * ms / 1000) }, (_, i) => Math.round(8000 * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+}
+
+/**
+ * Runs fn once to warm up, then times it
+ * @returns {number} - Milliseconds per run
+ */
+function time(fn, runs) {
+    fn();
+    const startedAt = process.hrtime.bigint();
+    for (let i = 0; i < runs; i++) fn();
+    return Number(process.hrtime.bigint() - startedAt) / 1e6 / runs;
+}
+
+function legacyDecode(packet) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, 8000, '8m', packet);
+    wav.fromMuLaw();
+    return Buffer.from(wav.getSamples(false, Int16Array).buffer);
+}
+
+function legacyOutbound(replyWav) {
+    const wav = new WaveFile();
+    wav.fromBuffer(replyWav);
+    wav.toSampleRate(8000);
+    const samples = new Int16Array(wav.data.samples.buffer, wav.data.samples.byteOffset, wav.data.samples.byteLength / 2);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.max(-32768, Math.min(32767, samples[i] * 2.5));
+    wav.toMuLaw();
+    return new Uint8Array(wav.data.samples);
+}
+
+/**
+ * Decodes `seconds` of inbound audio packet by packet
+ * @returns {object} - Microseconds per packet and the calls one core could decode in real time
+ */
+function benchmarkInbound(name, format, decode) {
+    const packets = [];
+    const audio = format.encode(tone(440, format.sampleRate, seconds * 1000));
+    const packetBytes = format.bytesFor(PACKET_MS);
+    for (let offset = 0; offset < audio.length; offset += packetBytes) packets.push(audio.subarray(offset, offset + packetBytes));
+    const ms = time(() => packets.forEach(decode), 3);
+    const usPerPacket = ms * 1000 / packets.length;
+    return { name, format: String(format), usPerPacket, callsPerCore: Math.floor(1e6 / (usPerPacket * PACKETS_PER_SECOND)) };
+}
+
+/**
+ * Prepares a 5s TTS reply at 22.05kHz (Sarvam's output rate) for the wire
+ * @returns {object} - Milliseconds per reply and the real-time factor
+ */
+function benchmarkOutbound(name, format, prepare) {
+    const replyWav = toWav(tone(300, 22050, 5000), 22050);
+    const ms = time(() => prepare(replyWav), 10);
+    return { name, format: String(format), msPerReply: ms, realtimeFactor: 5000 / ms };
+}
+
+function run() {
+    const mulaw = new AudioFormat();
+    const wideAlaw = new AudioFormat({ encoding: 'audio/x-alaw', sampleRate: 16000 });
+    const narrow = new AudioPipeline(mulaw);
+    const wide = new AudioPipeline(wideAlaw);
+    const inbound = [
+        benchmarkInbound('legacy WaveFile', mulaw, legacyDecode),
+        benchmarkInbound('pipeline', mulaw, packet => narrow.decodeInbound(packet)),
+        benchmarkInbound('pipeline', wideAlaw, packet => wide.decodeInbound(packet))
+    ];
+    const outbound = [
+        benchmarkOutbound('legacy WaveFile (2.5x gain)', mulaw, legacyOutbound),
+        benchmarkOutbound('pipeline (LUFS)', mulaw, replyWav => narrow.encodeOutbound(narrow.prepareOutbound(replyWav))),
+        benchmarkOutbound('pipeline (LUFS)', wideAlaw, replyWav => wide.encodeOutbound(wide.prepareOutbound(replyWav)))
+    ];
+    const resampleInput = tone(440, 22050, seconds * 1000);
+    const resampleMs = time(() => Resampler.resample(resampleInput, 22050, 8000), 1);
+    const resampler = { from: 22050, to: 8000, realtimeFactor: seconds * 1000 / resampleMs };
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ seconds, inbound, outbound, resampler }, null, 2));
+        return;
+    }
+    console.log(`📥 Inbound: ${seconds}s of ${PACKET_MS}ms packets`);
+    inbound.forEach(r => console.log(`   ${r.name.padEnd(28)} ${r.format.padEnd(26)} ${r.usPerPacket.toFixed(2).padStart(8)} µs/packet  ~${r.callsPerCore} calls/core`));
+    console.log(`📤 Outbound: one 5s reply, 22050Hz TTS -> wire`);
+    outbound.forEach(r => console.log(`   ${r.name.padEnd(28)} ${r.format.padEnd(26)} ${r.msPerReply.toFixed(1).padStart(8)} ms/reply   ${Math.round(r.realtimeFactor)}x real time`));
+    console.log(`🔁 Resampler: ${resampler.from} -> ${resampler.to}Hz at ${Math.round(resampler.realtimeFactor)}x real time`);
+}
+
+run();
@@ -0,0 +1,221 @@
+/**
+ * Deterministic, code-checked assertions about a finished call. Scenarios list the ones they want:
+ *
+ *   assertions:
+ *     - type: repeatsRequestedSlot
+ *     - type: confirmedWithinTurns
+ *       maxTurns: 6
+ *     - type: confirmedRequestedSlot
+ *
+ * Every check returns { passed: true | false | null, evidence } where null means "not applicable"
+ * (e.g. no slot was ever requested). Unlike the LLM judge, the same transcript always gets the same result.
+ */
+
+const SlotTracker = require('./slotTracker');
+const LanguagePlan = require('./languagePlan');
+
+const quote = (text) => `"${text.length > 80 ? text.slice(0, 77) + '...' : text}"`;
+
+class AssertionEngine {
+    constructor() {
+        this.checks = new Map();
+
+        this.register('repeatsRequestedSlot', 'Bot repeated the requested date and time', (params, context) => {
+            // The last time the tester asked for is the slot it settled on (it may change its mind first)
+            const request = [...context.slots.turns].reverse().find(turn => turn.speaker === 'tester' && turn.slots.time);
+            if (!request) return { passed: null, evidence: "The tester never asked for a specific time." };
+
+            const { date, time } = request.slots;
+            const readBack = context.slots.turns.find(turn => turn.speaker === 'bot' && turn.position > request.position
+                && turn.slots.times.includes(time) && (!date || turn.slots.date === date));
+
+            const requested = `${date ? date + ' ' : ''}${time}`;
+            return readBack
+                ? { passed: true, evidence: `Requested ${requested}; bot said ${quote(readBack.text)}` }
+                : { passed: false, evidence: `Requested ${requested} in ${quote(request.text)}, but the bot never repeated it.` };
+        });
+
+        this.register('confirmedRequestedSlot', 'Bot confirmed the slot that was requested', (params, context) => {
+            const requested = context.slots.requested;
+            const confirmed = context.slots.confirmed;
+            if (!requested.date && !requested.time) return { passed: null, evidence: "The tester never asked for a specific slot." };
+            if (!confirmed) return { passed: null, evidence: "The bot never confirmed a booking." };
+            if (!confirmed.date && !confirmed.time) return { passed: false, evidence: "The bot confirmed a booking without ever naming its date or time." };
+
+            const mismatches = context.slots.findings().filter(finding => finding.severity === 'error' && finding.field !== 'phone');
+            return mismatches.length > 0
+                ? { passed: false, evidence: mismatches.map(finding => finding.evidence).join(' ') }
+                : { passed: true, evidence: `Confirmed ${[confirmed.date, confirmed.time].filter(Boolean).join(' ')} as requested.` };
+        });
+
+        this.register('confirmedWithinTurns', 'Bot confirmed within N turns', ({ maxTurns = 6, pattern } = {}, context) => {
+            const confirmation = pattern ? new RegExp(pattern, 'i') : undefined;
+            const index = context.botTurns.findIndex(turn => SlotTracker.isConfirmation(turn.content, confirmation));
+
+            if (index < 0) return { passed: false, evidence: `No confirmation in ${context.botTurns.length} bot turns.` };
+            return {
+                passed: index + 1 <= maxTurns,
+                evidence: `Confirmed on bot turn ${index + 1} of max ${maxTurns}: ${quote(context.botTurns[index].content)}`
+            };
+        });
+
+        this.register('maxTurnLatency', 'No bot turn exceeded the latency budget', ({ maxMs = 8000 } = {}, context) => {
+            const measured = (context.latency ? context.latency.turns : []).filter(turn => Number.isFinite(turn.botResponseMs));
+            if (measured.length === 0) return { passed: null, evidence: "No bot response times were measured." };
+
+            const slowest = measured.reduce((worst, turn) => (turn.botResponseMs > worst.botResponseMs ? turn : worst));
+            const over = measured.filter(turn => turn.botResponseMs > maxMs);
+            return {
+                passed: over.length === 0,
+                evidence: over.length === 0
+                    ? `Slowest bot response ${(slowest.botResponseMs / 1000).toFixed(2)}s (turn ${slowest.index + 1}), budget ${(maxMs / 1000).toFixed(1)}s.`
+                    : `${over.length} turn(s) over ${(maxMs / 1000).toFixed(1)}s: ${over.map(turn => `turn ${turn.index + 1} ${(turn.botResponseMs / 1000).toFixed(2)}s`).join(', ')}`
+            };
+        });
+
+        this.register('targetScript', 'Bot spoke in the target language script', ({ minRatio = 0.8 } = {}, context) => {
+            // With language switches or code-mixing each bot turn is held to the language the caller was speaking
+            if (context.language && context.language.multilingual) {
+                const { botTurnsInExpectedLanguage: matched, botTurnsChecked: checked } = context.language.summary;
+                if (checked === 0) return { passed: null, evidence: "The bot said nothing after the caller spoke." };
+                return {
+                    passed: matched / checked >= minRatio,
+                    evidence: `${matched} of ${checked} bot turns were in the caller's current language (need ${Math.round(minRatio * 100)}%).`
+                };
+            }
+
+            const scriptName = LanguagePlan.scriptName(context.targetLanguage);
+            if (!scriptName) return { passed: null, evidence: `No script known for ${context.targetLanguage}.` };
+
+            const ratio = LanguagePlan.scriptRatio(context.botTurns.map(turn => turn.content).join(' '), context.targetLanguage);
+            if (ratio === null) return { passed: null, evidence: "The bot said nothing." };
+
+            return {
+                passed: ratio >= minRatio,
+                evidence: `${Math.round(ratio * 100)}% of the bot's letters are ${scriptName} (need ${Math.round(minRatio * 100)}%).`
+            };
+        });
+
+        this.register('followsLanguageSwitch', 'Bot followed every language switch', ({ maxBotTurns = 1 } = {}, context) => {
+            const switches = context.language ? context.language.summary.switches.filter(entry => entry.reached) : [];
+            if (switches.length === 0) return { passed: null, evidence: "The caller never switched languages." };
+
+            const late = switches.filter(entry => !entry.followed || entry.botTurns > maxBotTurns);
+            const describe = (entry) => (entry.followed
+                ? `switch to ${entry.to} at caller turn ${entry.atTurn} followed after ${entry.botTurns} bot turn(s)`
+                : `switch to ${entry.to} at caller turn ${entry.atTurn} never followed`);
+            return {
+                passed: late.length === 0,
+                evidence: `${(late.length > 0 ? late : switches).map(describe).join('; ')} (max ${maxBotTurns}).`
+            };
+        });
+
+        this.register('recoversFromBehaviors', 'Bot recovered from every injected caller behaviour', ({ types } = {}, context) => {
+            const injected = context.behaviors ? context.behaviors.injected.filter(behavior => !types || types.includes(behavior.type)) : [];
+            const graded = injected.filter(behavior => behavior.recovered !== null);
+            if (graded.length === 0) return { passed: null, evidence: "No edge-case behaviour was injected and graded." };
+
+            const failed = graded.filter(behavior => !behavior.recovered);
+            return {
+                passed: failed.length === 0,
+                evidence: (failed.length > 0 ? failed : graded).map(behavior => `${behavior.type} at caller turn ${behavior.turn}: ${behavior.evidence}`).join('; ')
+            };
+        });
+
+        this.register('mentions', 'Bot mentioned an expected phrase', ({ pattern } = {}, context) => {
+            if (!pattern) return { passed: null, evidence: "No pattern configured." };
+            const turn = context.botTurns.find(botTurn => new RegExp(pattern, 'i').test(botTurn.content));
+            return turn
+                ? { passed: true, evidence: `Matched /${pattern}/ in ${quote(turn.content)}` }
+                : { passed: false, evidence: `The bot never said anything matching /${pattern}/.` };
+        });
+    }
+
+    /**
+     * Adds a check type scenarios can reference
+     * @param {string} type
+     * @param {string} description - Default display name
+     * @param {function(object, object): {passed: boolean|null, evidence: string}} check - (params, context)
+     */
+    register(type, description, check) {
+        this.checks.set(type, { description, check });
+    }
+
+    has(type) {
+        return this.checks.has(type);
+    }
+
+    types() {
+        return [...this.checks.keys()];
+    }
+
+    /**
+     * Splits the history into real bot and tester utterances (system notes and interruption markers excluded)
+     * and attaches the call's SlotTracker (rebuilt from the history for calls that have none)
+     */
+    buildContext(callState, latency) {
+        const spoken = callState.history
+            .map((turn, position) => ({ ...turn, position }))
+            .filter(turn => turn.type !== 'interruption' && !/^[[(]/.test(turn.content));
+
+        return {
+            botTurns: spoken.filter(turn => turn.role === 'user'),
+            testerTurns: spoken.filter(turn => turn.role === 'assistant'),
+            targetLanguage: callState.targetLanguage,
+            slots: callState.slots || SlotTracker.fromHistory(callState.history, { referenceDate: callState.referenceDate || callState.startTime }),
+            language: callState.languagePlan
+                ? { multilingual: callState.languagePlan.isMultilingual, summary: callState.languagePlan.evaluate(callState.history) }
+                : null,
+            behaviors: callState.behaviors ? callState.behaviors.grade(callState.history, { referenceDate: callState.referenceDate || callState.startTime }) : null,
+            latency
+        };
+    }
+
+    /**
+     * Runs a scenario's assertions against a finished call
+     * @param {object[]} assertions - Scenario `assertions` entries ({ type, name?, ...params })
+     * @param {object} callState
+     * @param {object} [latency] - LatencyTracker summary
+     * @returns {{type: string, name: string, passed: boolean|null, evidence: string}[]}
+     */
+    evaluate(assertions, callState, latency) {
+        const context = this.buildContext(callState, latency);
+
+        return assertions.map(({ type, name, ...params }) => {
+            const definition = this.checks.get(type);
+            if (!definition) return { type, name: name || type, passed: null, evidence: `Unknown assertion type "${type}".` };
+
+            try {
+                return { type, name: name || definition.description, ...definition.check(params, context) };
+            } catch (e) {
+                return { type, name: name || definition.description, passed: false, evidence: `Assertion crashed: ${e.message}` };
+            }
+        });
+    }
+
+    /**
+     * Merges assertion results into the LLM report. A failed deterministic check fails the call;
+     * otherwise the LLM's judgement of the conversation stands.
+     * @param {object} report - LLM report
+     * @param {object[]} results - Output of evaluate()
+     */
+    combine(report, results) {
+        const failed = results.filter(result => result.passed === false);
+        const checked = results.filter(result => result.passed !== null);
+
+        let verdict;
+        if (report.status === 'Skipped') verdict = "No conversation to judge.";
+        else if (failed.length > 0) verdict = `Failed ${failed.length} of ${checked.length} deterministic assertions: ${failed.map(result => result.name).join('; ')}.`;
+        else verdict = `Passed ${checked.length} deterministic assertions; LLM judged the call ${report.status}.`;
+
+        return {
+            ...report,
+            status: report.status !== 'Skipped' && failed.length > 0 ? 'Failed' : report.status,
+            llmStatus: report.status,
+            assertions: results,
+            verdict
+        };
+    }
+}
+
+module.exports = new AssertionEngine();
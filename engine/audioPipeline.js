@@ -0,0 +1,535 @@
+const { WaveFile } = require('wavefile');
+
+// Everything inside the engine (VAD, STT uploads, recordings, line degradation) runs on 16-bit mono PCM at this rate
+const ENGINE_SAMPLE_RATE = 8000;
+
+// Loudness the tester's speech is normalized to before it goes out (ITU-R BS.1770 integrated loudness)
+const DEFAULT_TARGET_LUFS = -16;
+const PEAK_CEILING_DBFS = -1;
+
+// --- G.711 codecs -------------------------------------------------------------------------------------------
+// Both directions are lookup tables built once: decoding a 20ms packet is 160 array reads.
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function mulawEncodeSample(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function mulawDecodeSample(byte) {
+    const value = ~byte & 0xFF;
+    const magnitude = ((((value & 0x0F) << 3) + MULAW_BIAS) << ((value >> 4) & 0x07)) - MULAW_BIAS;
+    return value & 0x80 ? -magnitude : magnitude;
+}
+
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function alawEncodeSample(sample) {
+    let value = sample >> 3;
+    let mask = 0xD5;
+    if (value < 0) {
+        mask = 0x55;
+        value = -value - 1;
+    }
+    const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+    if (segment === -1) return 0x7F ^ mask;
+    const mantissa = (segment < 2 ? value >> 1 : value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+function alawDecodeSample(byte) {
+    const value = byte ^ 0x55;
+    const segment = (value & 0x70) >> 4;
+    let magnitude = ((value & 0x0F) << 4) + (segment === 0 ? 8 : 0x108);
+    if (segment > 1) magnitude <<= segment - 1;
+    return value & 0x80 ? magnitude : -magnitude;
+}
+
+/**
+ * A G.711 companding codec as lookup tables: 256 decoded samples, and one byte per 16-bit sample value
+ */
+function companding(encodeSample, decodeSample) {
+    const decodeTable = Int16Array.from({ length: 256 }, (_, byte) => decodeSample(byte));
+    const encodeTable = new Uint8Array(65536);
+    for (let value = -32768; value < 32768; value++) encodeTable[value & 0xFFFF] = encodeSample(value);
+
+    return {
+        bytesPerSample: 1,
+        decode(bytes) {
+            const samples = new Int16Array(bytes.length);
+            for (let i = 0; i < bytes.length; i++) samples[i] = decodeTable[bytes[i]];
+            return samples;
+        },
+        encode(samples) {
+            const bytes = Buffer.allocUnsafe(samples.length);
+            for (let i = 0; i < samples.length; i++) bytes[i] = encodeTable[samples[i] & 0xFFFF];
+            return bytes;
+        }
+    };
+}
+
+const mulaw = companding(mulawEncodeSample, mulawDecodeSample);
+const alaw = companding(alawEncodeSample, alawDecodeSample);
+
+/**
+ * 16-bit signed linear PCM in the given byte order
+ */
+function linear(bigEndian) {
+    return {
+        bytesPerSample: 2,
+        decode(bytes) {
+            const samples = new Int16Array(bytes.length >> 1);
+            for (let i = 0; i < samples.length; i++) samples[i] = bigEndian ? bytes.readInt16BE(i * 2) : bytes.readInt16LE(i * 2);
+            return samples;
+        },
+        encode(samples) {
+            if (!bigEndian) return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+            const bytes = Buffer.allocUnsafe(samples.length * 2);
+            for (let i = 0; i < samples.length; i++) bytes.writeInt16BE(samples[i], i * 2);
+            return bytes;
+        }
+    };
+}
+
+const CODECS = {
+    'audio/x-mulaw': mulaw,
+    'audio/x-alaw': alaw,
+    // L16 is network byte order (RFC 3551); raw streams such as Exotel's carry little-endian samples
+    'audio/l16': linear(true),
+    'audio/x-pcm-le': linear(false)
+};
+
+// Names the telephony providers use for the same encodings (Exotel announces its raw 16-bit PCM as "base64")
+const ENCODING_ALIASES = {
+    'audio/x-mulaw': 'audio/x-mulaw', 'audio/mulaw': 'audio/x-mulaw', 'audio/pcmu': 'audio/x-mulaw', mulaw: 'audio/x-mulaw', ulaw: 'audio/x-mulaw', pcmu: 'audio/x-mulaw',
+    'audio/x-alaw': 'audio/x-alaw', 'audio/alaw': 'audio/x-alaw', 'audio/pcma': 'audio/x-alaw', alaw: 'audio/x-alaw', pcma: 'audio/x-alaw',
+    'audio/l16': 'audio/l16', l16: 'audio/l16', linear16: 'audio/l16',
+    'audio/x-pcm-le': 'audio/x-pcm-le', pcm: 'audio/x-pcm-le', slin: 'audio/x-pcm-le', raw: 'audio/x-pcm-le', base64: 'audio/x-pcm-le'
+};
+
+/**
+ * Wire format of one call's media stream, negotiated from the provider's 'start' event
+ */
+class AudioFormat {
+    /**
+     * @param {{encoding?: string, sampleRate?: number, channels?: number}} [options] - Defaults to Twilio's 8kHz mu-law
+     */
+    constructor({ encoding = 'audio/x-mulaw', sampleRate = ENGINE_SAMPLE_RATE, channels = 1 } = {}) {
+        const codec = ENCODING_ALIASES[String(encoding).toLowerCase()];
+        if (!codec) throw new Error(`Unsupported media encoding "${encoding}" (supported: ${Object.keys(CODECS).join(', ')})`);
+        if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) throw new Error(`Unsupported media sample rate ${sampleRate}`);
+        if (channels !== 1) throw new Error(`Only mono media streams are supported (got ${channels} channels)`);
+
+        this.encoding = codec;
+        this.sampleRate = sampleRate;
+        this.codec = CODECS[codec];
+    }
+
+    /**
+     * Reads the media format of a stream 'start' event: Twilio's start.mediaFormat ({ encoding, sampleRate, channels })
+     * or Exotel's start.media_format ({ encoding, sample_rate }, numbers as strings)
+     * @param {object} [mediaFormat] - Missing means Twilio's default, 8kHz mu-law
+     * @returns {AudioFormat}
+     */
+    static fromMediaFormat(mediaFormat) {
+        if (!mediaFormat) return new AudioFormat();
+        const sampleRate = mediaFormat.sampleRate !== undefined ? mediaFormat.sampleRate : mediaFormat.sample_rate;
+        return new AudioFormat({
+            encoding: mediaFormat.encoding || 'audio/x-mulaw',
+            sampleRate: sampleRate !== undefined ? Number(sampleRate) : ENGINE_SAMPLE_RATE,
+            channels: mediaFormat.channels !== undefined ? Number(mediaFormat.channels) : 1
+        });
+    }
+
+    get bytesPerMs() {
+        return this.sampleRate * this.codec.bytesPerSample / 1000;
+    }
+
+    bytesFor(ms) {
+        return Math.round(ms * this.sampleRate / 1000) * this.codec.bytesPerSample;
+    }
+
+    msFor(bytes) {
+        return bytes / this.bytesPerMs;
+    }
+
+    /**
+     * @param {Buffer} bytes - Encoded media payload
+     * @returns {Int16Array} - PCM at this format's sample rate
+     */
+    decode(bytes) {
+        return this.codec.decode(bytes);
+    }
+
+    /**
+     * @param {Int16Array} samples - PCM at this format's sample rate
+     * @returns {Buffer}
+     */
+    encode(samples) {
+        return this.codec.encode(samples);
+    }
+
+    silence(ms) {
+        return this.encode(new Int16Array(Math.round(ms * this.sampleRate / 1000)));
+    }
+
+    toString() {
+        return `${this.encoding} @ ${this.sampleRate}Hz`;
+    }
+}
+
+// --- Resampling ---------------------------------------------------------------------------------------------
+
+const KERNEL_PHASES = 512;     // Kernel table resolution per input sample
+const KAISER_BETA = 8;
+
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 30; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+    }
+    return sum;
+}
+
+/**
+ * Band-limited (Kaiser-windowed sinc) sample rate conversion for any pair of rates, fed in chunks.
+ * The low-pass sits just under the lower Nyquist frequency, so downsampling does not alias the way
+ * dropping or averaging samples does. State carries across process() calls, so 20ms packets can be
+ * converted one by one without clicks at their edges.
+ */
+class Resampler {
+    /**
+     * @param {number} fromRate
+     * @param {number} toRate
+     * @param {{zeroCrossings?: number}} [options] - Kernel half-width in zero crossings (quality vs CPU)
+     */
+    constructor(fromRate, toRate, { zeroCrossings = 12 } = {}) {
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.step = fromRate / toRate;                       // Input samples per output sample
+        this.cutoff = Math.min(1, toRate / fromRate) * 0.95; // Of the input Nyquist frequency
+        this.halfWidth = zeroCrossings / this.cutoff;        // In input samples
+
+        const size = Math.ceil(this.halfWidth * KERNEL_PHASES) + 2;
+        this.kernel = new Float32Array(size);
+        const norm = besselI0(KAISER_BETA);
+        for (let i = 0; i < size; i++) {
+            const x = i / KERNEL_PHASES;
+            if (x > this.halfWidth) break;
+            const ratio = x / this.halfWidth;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * this.cutoff * x) / (Math.PI * this.cutoff * x);
+            this.kernel[i] = this.cutoff * sinc * besselI0(KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / norm;
+        }
+
+        this.reach = Math.ceil(this.halfWidth);
+        this.history = new Float32Array(this.reach);          // Last input samples (zeros before the first chunk)
+        this.time = this.reach;                              // Next output position, in history + chunk coordinates
+        this.consumed = 0;                                   // Input samples seen
+        this.produced = 0;                                   // Output samples returned
+    }
+
+    /**
+     * One-shot conversion of a whole clip
+     * @param {Int16Array} samples
+     * @returns {Int16Array}
+     */
+    static resample(samples, fromRate, toRate) {
+        if (fromRate === toRate) return samples;
+        const resampler = new Resampler(fromRate, toRate);
+        const head = resampler.process(samples);
+        const tail = resampler.flush();
+        const output = new Int16Array(head.length + tail.length);
+        output.set(head);
+        output.set(tail, head.length);
+        return output;
+    }
+
+    /**
+     * @param {Int16Array} samples - The next chunk of input
+     * @returns {Int16Array} - Every output sample that is complete (the last ~halfWidth input samples wait for the next chunk)
+     */
+    process(samples) {
+        this.consumed += samples.length;
+        return this.run(samples, Infinity);
+    }
+
+    /**
+     * Output still held back for lookahead, once the input has ended
+     * @returns {Int16Array}
+     */
+    flush() {
+        const expected = Math.ceil(this.consumed * this.toRate / this.fromRate);
+        return this.run(new Int16Array(this.reach + 1), expected - this.produced);
+    }
+
+    run(samples, limit) {
+        const buffer = new Float32Array(this.history.length + samples.length);
+        buffer.set(this.history);
+        buffer.set(samples, this.history.length);
+
+        const count = Math.max(0, Math.min(limit, Math.floor((buffer.length - 1 - this.reach - this.time) / this.step) + 1));
+        const output = new Int16Array(count);
+        const { kernel, halfWidth } = this;
+        for (let n = 0; n < count; n++) {
+            const t = this.time + n * this.step;
+            const first = Math.max(0, Math.ceil(t - halfWidth));
+            const last = Math.min(buffer.length - 1, Math.floor(t + halfWidth));
+            let sum = 0;
+            for (let i = first; i <= last; i++) {
+                const position = Math.abs(i - t) * KERNEL_PHASES;
+                const index = position | 0;
+                const weight = kernel[index] + (kernel[index + 1] - kernel[index]) * (position - index);
+                sum += buffer[i] * weight;
+            }
+            output[n] = sum > 32767 ? 32767 : sum < -32768 ? -32768 : Math.round(sum);
+        }
+        this.produced += count;
+        this.time += count * this.step;
+
+        // Keep just what the next outputs will look back at
+        const keepFrom = Math.max(0, Math.min(buffer.length, Math.floor(this.time) - this.reach));
+        this.history = buffer.slice(keepFrom);
+        this.time -= keepFrom;
+        return output;
+    }
+}
+
+// --- Loudness -----------------------------------------------------------------------------------------------
+
+/**
+ * BS.1770 K-weighting (high shelf + high pass) as biquad coefficients for any sample rate
+ */
+function kWeightingFilters(sampleRate) {
+    const shelf = (() => {
+        const K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        const Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        const a0 = 1 + K / Q + K * K;
+        return {
+            b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+    })();
+    const highPass = (() => {
+        const K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        const Q = 0.5003270373238773;
+        const a0 = 1 + K / Q + K * K;
+        return { b: [1, -2, 1], a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] };
+    })();
+    return [shelf, highPass];
+}
+
+function biquad(signal, { b, a }) {
+    const output = new Float64Array(signal.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < signal.length; i++) {
+        const x = signal[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+
+/**
+ * Integrated loudness (ITU-R BS.1770-4): K-weighted mean square over 400ms blocks (75% overlap), gated at
+ * -70 LUFS and 10 LU below the ungated level. Clips shorter than one block are measured as a single block.
+ * @param {Int16Array} samples - Mono PCM
+ * @param {number} sampleRate
+ * @returns {number} - LUFS (-Infinity for silence)
+ */
+function measureLoudness(samples, sampleRate) {
+    let weighted = Float64Array.from(samples, value => value / 32768);
+    for (const filter of kWeightingFilters(sampleRate)) weighted = biquad(weighted, filter);
+
+    const blockSize = Math.round(0.4 * sampleRate);
+    const hop = Math.round(0.1 * sampleRate);
+    const blocks = [];
+    for (let start = 0; start === 0 || start + blockSize <= weighted.length; start += hop) {
+        const end = Math.min(weighted.length, start + blockSize);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += weighted[i] * weighted[i];
+        if (end > start) blocks.push(sum / (end - start));
+        if (end === weighted.length) break;
+    }
+
+    const loudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const audible = blocks.filter(block => loudness(block) > -70);
+    if (audible.length === 0) return -Infinity;
+    const relativeGate = loudness(mean(audible)) - 10;
+    const gated = audible.filter(block => loudness(block) > relativeGate);
+    return loudness(mean(gated));
+}
+
+/**
+ * Scales a clip to a target integrated loudness, without letting its peaks go over PEAK_CEILING_DBFS
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @param {{targetLufs?: number}} [options]
+ * @returns {{samples: Int16Array, lufs: number, gainDb: number}} - lufs is the level before normalization
+ */
+function normalizeLoudness(samples, sampleRate, { targetLufs = DEFAULT_TARGET_LUFS } = {}) {
+    const lufs = measureLoudness(samples, sampleRate);
+    if (!Number.isFinite(lufs)) return { samples, lufs, gainDb: 0 };
+
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    const ceiling = 32767 * Math.pow(10, PEAK_CEILING_DBFS / 20);
+    const gain = Math.min(Math.pow(10, (targetLufs - lufs) / 20), peak > 0 ? ceiling / peak : Infinity);
+
+    const output = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) output[i] = Math.round(samples[i] * gain);
+    return { samples: output, lufs, gainDb: 20 * Math.log10(gain) };
+}
+
+// --- WAV helpers --------------------------------------------------------------------------------------------
+
+/**
+ * Reads any WAV into 16-bit mono PCM (first channel), at its own sample rate
+ * @param {Buffer} wavBuffer
+ * @returns {{samples: Int16Array, sampleRate: number}}
+ */
+function readWav(wavBuffer) {
+    const wav = new WaveFile(Buffer.from(wavBuffer));
+    if (wav.fmt.audioFormat === 7) wav.fromMuLaw();
+    else if (wav.fmt.audioFormat === 6) wav.fromALaw();
+    else if (wav.bitDepth !== '16') wav.toBitDepth('16');
+    let samples = wav.getSamples(false, Int16Array);
+    if (Array.isArray(samples)) samples = samples[0];
+    return { samples, sampleRate: wav.fmt.sampleRate };
+}
+
+/**
+ * Wraps 16-bit mono PCM into a WAV file
+ * @param {Buffer|Int16Array} pcm
+ * @param {number} [sampleRate]
+ * @returns {Buffer}
+ */
+function toWav(pcm, sampleRate = ENGINE_SAMPLE_RATE) {
+    const samples = pcm instanceof Int16Array ? pcm : new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+    const wav = new WaveFile();
+    wav.fromScratch(1, sampleRate, '16', samples);
+    return Buffer.from(wav.toBuffer());
+}
+
+// --- Pacing -------------------------------------------------------------------------------------------------
+
+/**
+ * Sends encoded audio to the telephony provider in fixed-length chunks: a short burst fills its jitter
+ * buffer, then a little faster than real time. One pacer per reply, so a reply sent in several pieces
+ * (streamed sentences) only bursts once.
+ */
+class Pacer {
+    /**
+     * @param {AudioFormat} format
+     * @param {{chunkMs?: number, burstChunks?: number, intervalMs?: number}} [options]
+     */
+    constructor(format, { chunkMs = 40, burstChunks = 5, intervalMs = 35 } = {}) {
+        this.chunkBytes = format.bytesFor(chunkMs);
+        this.format = format;
+        this.burstChunks = burstChunks;
+        this.intervalMs = intervalMs;
+        this.chunks = 0;
+    }
+
+    /**
+     * @param {Buffer} encoded
+     * @param {(chunk: Buffer, ms: number) => boolean} sendChunk - Sends one chunk; returning false stops the sending
+     */
+    async send(encoded, sendChunk) {
+        for (let offset = 0; offset < encoded.length; offset += this.chunkBytes) {
+            const chunk = encoded.subarray(offset, offset + this.chunkBytes);
+            if (sendChunk(chunk, this.format.msFor(chunk.length)) === false) return;
+            if (this.chunks++ >= this.burstChunks) await new Promise(r => setTimeout(r, this.intervalMs));
+        }
+    }
+}
+
+/**
+ * One call's audio path between the telephony wire format and the engine's 8kHz PCM:
+ *
+ *   inbound:  media payload -> decode (mu-law / A-law / 16-bit PCM) -> streaming resample to 8kHz
+ *   outbound: TTS WAV -> resample to 8kHz -> loudness normalization -> (line degradation in CallManager)
+ *             -> resample to the wire rate -> encode -> paced chunks
+ *
+ * AUDIO_TARGET_LUFS overrides the tester's speech level (default -16 LUFS).
+ */
+class AudioPipeline {
+    /**
+     * @param {AudioFormat} [format] - Wire format, both directions
+     */
+    constructor(format = new AudioFormat()) {
+        this.format = format;
+        this.inboundResampler = format.sampleRate !== ENGINE_SAMPLE_RATE ? new Resampler(format.sampleRate, ENGINE_SAMPLE_RATE) : null;
+    }
+
+    /**
+     * @param {object} [mediaFormat] - The 'start' event's media format (see AudioFormat.fromMediaFormat)
+     * @returns {AudioPipeline}
+     */
+    static negotiate(mediaFormat) {
+        return new AudioPipeline(AudioFormat.fromMediaFormat(mediaFormat));
+    }
+
+    get targetLufs() {
+        const configured = parseFloat(process.env.AUDIO_TARGET_LUFS);
+        return Number.isFinite(configured) ? configured : DEFAULT_TARGET_LUFS;
+    }
+
+    /**
+     * @param {Buffer} payload - One media packet as sent on the wire
+     * @returns {Buffer} - 16-bit PCM at 8kHz
+     */
+    decodeInbound(payload) {
+        let samples = this.format.decode(payload);
+        if (this.inboundResampler) samples = this.inboundResampler.process(samples);
+        return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+    }
+
+    /**
+     * TTS output as the engine handles it
+     * @param {Buffer} wavBuffer
+     * @returns {Int16Array} - Loudness-normalized PCM at 8kHz
+     */
+    prepareOutbound(wavBuffer) {
+        const { samples, sampleRate } = readWav(wavBuffer);
+        const resampled = Resampler.resample(samples, sampleRate, ENGINE_SAMPLE_RATE);
+        return normalizeLoudness(resampled, ENGINE_SAMPLE_RATE, { targetLufs: this.targetLufs }).samples;
+    }
+
+    /**
+     * @param {Int16Array} samples - PCM at 8kHz
+     * @returns {Buffer} - Wire-format bytes
+     */
+    encodeOutbound(samples) {
+        return this.format.encode(Resampler.resample(samples, ENGINE_SAMPLE_RATE, this.format.sampleRate));
+    }
+
+    createPacer() {
+        return new Pacer(this.format);
+    }
+}
+
+module.exports = {
+    AudioPipeline,
+    AudioFormat,
+    Resampler,
+    Pacer,
+    ENGINE_SAMPLE_RATE,
+    measureLoudness,
+    normalizeLoudness,
+    readWav,
+    toWav,
+    codecs: CODECS
+};
@@ -0,0 +1,273 @@
+const SlotTracker = require('./slotTracker');
+
+const ASKS_SLOT = /date|day|when|time|slot|तारीख|दिन|समय|நாள்|நேரம்|తేదీ|సమయం|ದಿನಾಂಕ|ಸಮಯ|તારીખ|સમય/i;
+const ASKS_PHONE = /phone|mobile|number|contact|फ़ोन|फोन|मोबाइल|நம்பர்|எண்|ఫోన్|నంబర్|ಫೋನ್|ಸಂಖ್ಯೆ|ફોન|નંબર/i;
+const ASKS_NAME = /name|नाम|பெயர்|పేరు|ಹೆಸರು|નામ/i;
+const BACK_ON_TRACK = /appointment|book|doctor|slot|date|time|schedule|help|symptom|अपॉइंटमेंट|डॉक्टर|அப்பாயிண்ட்மெண்ட்|டாக்டர்/i;
+const REJECTS_REQUEST = /past|already|passed|previous|earlier|not possible|cannot|can't|unable|unavailable|not available|closed|hours|only between|open from|future|instead/i;
+const PAST_DAY = /yesterday|last (week|monday|tuesday|wednesday|thursday|friday|saturday|sunday)|நேற்று/i;
+const CONFIRMS = /confirm|booked|scheduled|कन्फर्म|உறுதி/i;
+
+const WRONG_PHONE = '9000012345';
+
+// Real utterances only: system notes start with "(" or "[", barge-in markers carry a type
+const isSpoken = (turn) => turn.type !== 'interruption' && !/^[[(]/.test(turn.content);
+
+/**
+ * Adversarial caller behaviours. Each one is either an instruction for the tester's next reply (with an
+ * example line the offline stub LLM says verbatim), or a mode CallManager acts out itself (silence, talkOver).
+ * `when` limits a behaviour to replies that answer a matching bot question; `grade` decides from the
+ * rest of the call whether the bot recovered: { recovered: true | false | null, evidence }.
+ */
+const CATALOG = {
+    silence: {
+        description: 'Say nothing for a while instead of answering',
+        defaults: { seconds: 8 },
+        mode: 'silence',
+        grade: ({ after, behavior }) => {
+            const reprompt = after.find(turn => turn.role === 'user');
+            const nextTester = after.find(turn => turn.role === 'assistant');
+            if (reprompt && (!nextTester || reprompt.position < nextTester.position)) {
+                return { recovered: true, evidence: `Bot re-prompted during ${behavior.seconds}s of silence: "${reprompt.content}"` };
+            }
+            return nextTester
+                ? { recovered: false, evidence: `Bot stayed silent for the whole ${behavior.seconds}s pause.` }
+                : { recovered: false, evidence: "The call ended during the silence." };
+        }
+    },
+    offTopic: {
+        description: 'Ask an unrelated question in the middle of the flow',
+        instruction: () => 'Before anything else, ask ONE question that has nothing to do with the appointment (parking, canteen, ' +
+            'the weather, cricket score). Do not answer the bot\'s question in this reply.',
+        example: () => "By the way, is there parking near the hospital?",
+        grade: ({ after }) => {
+            const replies = after.filter(turn => turn.role === 'user').slice(0, 2);
+            if (replies.length === 0) return { recovered: null, evidence: "The bot never answered." };
+            const back = replies.find(turn => BACK_ON_TRACK.test(turn.content));
+            return back
+                ? { recovered: true, evidence: `Bot steered back to the appointment: "${back.content}"` }
+                : { recovered: false, evidence: `Bot did not return to the appointment: "${replies[replies.length - 1].content}"` };
+        }
+    },
+    wrongPhoneThenCorrect: {
+        description: 'Give a wrong phone number, then correct it',
+        when: ASKS_PHONE,
+        instruction: ({ persona }) => `When you give your phone number in this reply, first say a WRONG number (${WRONG_PHONE}), then ` +
+            `immediately correct yourself: "sorry, I mean ${persona.phone}".`,
+        example: ({ persona }) => `My number is ${WRONG_PHONE}... sorry, I mean ${persona.phone}.`,
+        grade: ({ after, persona, referenceDate }) => {
+            const readBacks = after.filter(turn => turn.role === 'user')
+                .map(turn => ({ turn, phone: SlotTracker.parse(turn.content, referenceDate).phone }))
+                .filter(entry => entry.phone);
+            if (readBacks.length === 0) return { recovered: null, evidence: "The bot never read a phone number back." };
+            const last = readBacks[readBacks.length - 1];
+            return last.phone === persona.phone
+                ? { recovered: true, evidence: `Bot kept the corrected number: "${last.turn.content}"` }
+                : { recovered: false, evidence: `Bot read back ${last.phone} instead of ${persona.phone}: "${last.turn.content}"` };
+        }
+    },
+    pastDate: {
+        description: 'Ask for a date that has already passed',
+        when: ASKS_SLOT,
+        instruction: () => 'In this reply ask for an appointment on a date that has ALREADY PASSED (e.g. "yesterday" or "last Monday"). ' +
+            'Only move on to your TARGET SLOT after the bot tells you that date is not possible.',
+        example: () => "Can I come yesterday at 10 AM?",
+        grade: ({ after, referenceDate }) => {
+            const today = SlotTracker.parse('today', referenceDate).date;
+            const replies = after.filter(turn => turn.role === 'user');
+            const isPast = (text) => PAST_DAY.test(text) || (SlotTracker.parse(text, referenceDate).date || '9999') < today;
+            const accepted = replies.find(turn => CONFIRMS.test(turn.content) && isPast(turn.content));
+            if (accepted) return { recovered: false, evidence: `Bot confirmed a past date: "${accepted.content}"` };
+            if (replies.length === 0) return { recovered: null, evidence: "The bot never answered." };
+            const next = replies[0];
+            const offered = SlotTracker.parse(next.content, referenceDate).date;
+            return REJECTS_REQUEST.test(next.content) || (offered && offered >= today)
+                ? { recovered: true, evidence: `Bot refused the past date: "${next.content}"` }
+                : { recovered: false, evidence: `Bot did not flag the past date: "${next.content}"` };
+        }
+    },
+    outsideHours: {
+        description: 'Request a slot when the hospital is closed',
+        when: ASKS_SLOT,
+        instruction: () => 'In this reply ask for a time when the hospital is surely closed (e.g. 2 AM or 11:30 PM). ' +
+            'Only move on to your TARGET SLOT after the bot tells you that time is not available.',
+        example: () => "Can I come at 2 AM tomorrow?",
+        grade: ({ after, referenceDate }) => {
+            const outside = (time) => time && (time < '07:00' || time > '21:00');
+            const replies = after.filter(turn => turn.role === 'user');
+            const accepted = replies.find(turn => CONFIRMS.test(turn.content) && outside(SlotTracker.parse(turn.content, referenceDate).time));
+            if (accepted) return { recovered: false, evidence: `Bot confirmed a time outside working hours: "${accepted.content}"` };
+            if (replies.length === 0) return { recovered: null, evidence: "The bot never answered." };
+            const next = replies[0];
+            const offered = SlotTracker.parse(next.content, referenceDate).time;
+            return REJECTS_REQUEST.test(next.content) || (offered && !outside(offered))
+                ? { recovered: true, evidence: `Bot refused the out-of-hours slot: "${next.content}"` }
+                : { recovered: false, evidence: `Bot did not flag the out-of-hours slot: "${next.content}"` };
+        }
+    },
+    spellName: {
+        description: 'Spell the name letter by letter',
+        when: ASKS_NAME,
+        instruction: ({ persona }) => `In this reply spell your name letter by letter with pauses (e.g. "${spell(persona.name)}") ` +
+            'instead of saying it normally.',
+        example: ({ persona }) => `My name is ${spell(persona.name)}.`,
+        grade: ({ after, persona }) => {
+            const replies = after.filter(turn => turn.role === 'user');
+            if (replies.length === 0) return { recovered: null, evidence: "The bot never answered." };
+            const squash = (text) => text.toLowerCase().replace(/[^a-z]/g, '');
+            const readBack = replies.find(turn => squash(turn.content).includes(squash(persona.name)));
+            if (readBack) return { recovered: true, evidence: `Bot got the spelled name: "${readBack.content}"` };
+            return ASKS_NAME.test(replies[0].content)
+                ? { recovered: false, evidence: `Bot asked for the name again: "${replies[0].content}"` }
+                : { recovered: true, evidence: `Bot accepted the spelled name and moved on: "${replies[0].content}"` };
+        }
+    },
+    talkOver: {
+        description: 'Start talking while the bot is still speaking',
+        defaults: { delayMs: 600 },
+        mode: 'talkOver',
+        example: () => "Hello? Sorry, can you hear me?",
+        grade: ({ after }) => {
+            const resumed = after.find(turn => turn.role === 'user');
+            return resumed
+                ? { recovered: true, evidence: `Bot carried on after being talked over: "${resumed.content}"` }
+                : { recovered: false, evidence: "The bot never spoke again after being talked over." };
+        }
+    }
+};
+
+function spell(name) {
+    return String(name).split(' ')[0].toUpperCase().split('').join('-');
+}
+
+/**
+ * Decides which adversarial behaviours the tester acts out on which reply, and grades afterwards how the
+ * target bot coped with each. Behaviours are configured per scenario, suite entry or call:
+ *
+ *   behaviors:
+ *     - type: silence
+ *       seconds: 10
+ *       atTurn: 3            # fire on this tester reply (1-based)...
+ *     - type: offTopic
+ *       probability: 0.3     # ...or with this chance on every eligible reply
+ *       maxTimes: 1          # at most this often per call (default 1)
+ *
+ * One instance per call.
+ */
+class BehaviorInjector {
+    /**
+     * @param {object[]} behaviors - Output of BehaviorInjector.resolve()
+     * @param {{persona: object, random?: Function}} context - The caller persona (for phone/name behaviours)
+     */
+    constructor(behaviors, { persona, random = Math.random }) {
+        this.behaviors = behaviors.map(behavior => ({ ...behavior, fired: 0 }));
+        this.persona = persona;
+        this.random = random;
+        this.injected = [];     // { type, turn, position, ...params } in firing order
+        this.picked = new WeakMap(); // what next() returned -> the behaviour it came from
+    }
+
+    /**
+     * The catalogue for the dashboard / API
+     */
+    static catalog() {
+        return Object.entries(CATALOG).map(([type, entry]) => ({ type, description: entry.description, defaults: entry.defaults || {} }));
+    }
+
+    /**
+     * Validates behaviour settings
+     * @param {Array<string|object>|undefined} specs - Type names or { type, atTurn?, probability?, maxTimes?, ...params }
+     * @returns {object[]}
+     */
+    static resolve(specs) {
+        if (specs === undefined || specs === null) return [];
+        if (!Array.isArray(specs)) throw new Error("behaviors must be a list");
+
+        return specs.map(spec => {
+            const behavior = typeof spec === 'string' ? { type: spec } : { ...spec };
+            const entry = CATALOG[behavior.type];
+            if (!entry) throw new Error(`Unknown behavior "${behavior.type}" (known: ${Object.keys(CATALOG).join(', ')})`);
+            if (behavior.atTurn !== undefined && !(Number.isInteger(behavior.atTurn) && behavior.atTurn >= 1)) {
+                throw new Error(`behavior ${behavior.type}: atTurn must be a tester turn number (1 or more)`);
+            }
+            if (behavior.probability !== undefined && !(behavior.probability >= 0 && behavior.probability <= 1)) {
+                throw new Error(`behavior ${behavior.type}: probability must be between 0 and 1`);
+            }
+            return {
+                ...entry.defaults,
+                ...behavior,
+                // Without a turn or probability a behaviour fires on the first reply it applies to
+                probability: behavior.atTurn === undefined && behavior.probability === undefined ? 1 : behavior.probability,
+                maxTimes: Number.isInteger(behavior.maxTimes) ? behavior.maxTimes : 1
+            };
+        });
+    }
+
+    /**
+     * Picks the behaviour (if any) for the tester's next reply
+     * @param {number} turnNumber - 1-based tester reply about to be generated
+     * @param {string} botText - What the bot just said
+     * @returns {object|null} - { type, mode?, instruction?, example?, ...params }
+     */
+    next(turnNumber, botText) {
+        for (const behavior of this.behaviors) {
+            if (behavior.fired >= behavior.maxTimes) continue;
+            const entry = CATALOG[behavior.type];
+
+            const due = behavior.atTurn !== undefined
+                ? behavior.atTurn === turnNumber
+                : (!entry.when || entry.when.test(botText)) && this.random() < behavior.probability;
+            if (!due) continue;
+
+            const context = { persona: this.persona };
+            const { fired, atTurn, probability, maxTimes, ...params } = behavior;
+            const picked = {
+                ...params,
+                turn: turnNumber,
+                mode: entry.mode || 'instruction',
+                instruction: entry.instruction ? entry.instruction(context) : null,
+                example: entry.example ? entry.example(context) : null
+            };
+            this.picked.set(picked, behavior);
+            return picked;
+        }
+        return null;
+    }
+
+    /**
+     * Notes where a behaviour happened in the call history. Only behaviours acted out count towards maxTimes,
+     * so one picked for a reply that never got spoken (WAIT, a manual override) is picked again.
+     * @param {object} behavior - As returned by next()
+     * @param {number} position - Index of the tagged tester turn or note
+     */
+    record(behavior, position) {
+        const source = this.picked.get(behavior);
+        if (source) source.fired++;
+        const { mode, instruction, example, ...params } = behavior;
+        this.injected.push({ ...params, position });
+    }
+
+    /**
+     * How the bot coped with each injected behaviour
+     * @param {object[]} history
+     * @param {{referenceDate?: number}} [options]
+     * @returns {{injected: object[], recovered: number, failed: number, ungraded: number}}
+     */
+    grade(history, { referenceDate = Date.now() } = {}) {
+        const injected = this.injected.map(behavior => {
+            const after = history
+                .map((turn, position) => ({ ...turn, position }))
+                .filter(turn => turn.position > behavior.position && isSpoken(turn));
+            const result = CATALOG[behavior.type].grade({ after, behavior, persona: this.persona, referenceDate });
+            return { ...behavior, ...result };
+        });
+        return {
+            injected,
+            recovered: injected.filter(behavior => behavior.recovered === true).length,
+            failed: injected.filter(behavior => behavior.recovered === false).length,
+            ungraded: injected.filter(behavior => behavior.recovered === null).length
+        };
+    }
+}
+
+module.exports = BehaviorInjector;
@@ -0,0 +1,22 @@
+/**
+ * Typed events published by CallManager. Every payload is plain JSON and carries
+ * { type, callSid, timestamp } plus the event-specific fields listed here.
+ *
+ * Consumers can subscribe to a single type (callManager.on('report.ready', ...)) or to
+ * every event at once through CALL_EVENT (the SSE endpoint forwards those to the dashboard).
+ */
+const CALL_EVENTS = {
+    CALL_STARTED: 'call.started',         // { scenario, targetLanguage, symptom, targetSlot: { date, time }, persona, degradation, behaviors }
+    TURN_PARTIAL: 'turn.partial',         // { text } - interim transcript of the bot's turn in progress (streaming STT only)
+    TURN_TARGET: 'turn.target',           // { text, languageCode } - accepted transcript of the target bot
+    TURN_TESTER: 'turn.tester',           // { text, languageCode, source: 'llm' | 'override' | 'initiative' | 'behavior' }
+    TURN_INTERRUPTED: 'turn.interrupted', // { spokenMs, totalMs } - the bot barged in on our tester
+    OTP_RECEIVED: 'otp.received',         // { otp, source: 'manual' | 'sms', from, expiresAt }
+    CALL_ENDED: 'call.ended',             // { scenario, targetLanguage, durationMs, turns }
+    REPORT_READY: 'report.ready'          // { scenario, targetLanguage, report }
+};
+
+// Catch-all channel that receives every typed event
+const CALL_EVENT = 'event';
+
+module.exports = { CALL_EVENTS, CALL_EVENT };
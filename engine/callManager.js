@@ -1,56 +1,276 @@
 const llmService = require('../services/llmService');
-const sarvamService = require('../services/sarvamService');
-const { WaveFile } = require('wavefile');
+const providers = require('../services/providers');
+const VoiceActivityDetector = require('./voiceActivityDetector');
+const LatencyTracker = require('./latencyTracker');
+const CallRecorder = require('./callRecorder');
+const SlotTracker = require('./slotTracker');
+const LanguagePlan = require('./languagePlan');
+const ChannelDegrader = require('./channelDegrader');
+const SentenceChunker = require('./sentenceChunker');
+const { CALL_EVENTS, CALL_EVENT } = require('./callEvents');
+const scenarioLibrary = require('./scenarioLibrary');
+const personaLibrary = require('./personaLibrary');
+const BehaviorInjector = require('./behaviorInjector');
+const assertionEngine = require('./assertionEngine');
+const callStore = require('../services/callStore');
+const httpCassette = require('../services/httpCassette');
+const { AudioPipeline, toWav } = require('./audioPipeline');
+const EventEmitter = require('events');
 
-class CallManager {
+class CallManager extends EventEmitter {
     constructor() {
+        super();
+
         // activeCalls will hold conversational context for each Exotel Call SID
         this.activeCalls = new Map();
 
-        // Track the scenario for the NEXT call (alternates between BOOKING and CANCELLATION)
+        // Per-call scenario/language requested before the call was dialed (by the dashboard or the suite runner)
+        this.pendingCallOptions = new Map();
+
+        // Track the scenario for the NEXT call (rotation is driven by each scenario's `next` block)
         this.nextScenario = 'BOOKING';
-        this.pendingTestLanguage = 'English';
-        this.manualOverrideResponse = null;
-        this.latestReceivedOTP = null;         // Stores the last OTP injected via dashboard
+        // Caller of the NEXT auto-rotated call, so a follow-up (e.g. cancellation) comes from whoever made the booking
+        this.nextPersona = null;
     }
 
     /**
      * Initializes a new call session
      * @param {string} callSid 
      * @param {WebSocket} ws
+     * @param {{scenario?: string, language?: string, vad?: object, bargeIn?: object, targetSlot?: {date: string, time: string}, degradation?: string|object, persona?: string|object, behaviors?: Array<string|object>, runIndex?: number}} [options] - Per-call overrides of the dashboard selection (runIndex: the call's position in a suite run)
      */
-    startCall(callSid, ws) {
-        // Assign the current scenario and language to this call
-        const currentScenario = this.nextScenario;
-        const currentLanguage = this.pendingTestLanguage || 'English';
+    startCall(callSid, ws, options = {}) {
+        // Calls dialed with registerOutboundCall() carry their own scenario/language
+        if (this.pendingCallOptions.has(callSid)) {
+            options = { ...this.pendingCallOptions.get(callSid), ...options };
+            this.pendingCallOptions.delete(callSid);
+        }
 
-        // Reset override for new call start
-        this.manualOverrideResponse = null;
+        // Assign the current scenario and language to this call (no scenario = auto rotation)
+        let currentScenario = options.scenario || this.nextScenario;
+        const currentLanguage = options.language || 'English';
+
+        if (!scenarioLibrary.has(currentScenario)) {
+            console.error(`[Call Manager] Unknown scenario "${currentScenario}", falling back to BOOKING.`);
+            currentScenario = 'BOOKING';
+        }
+        const scenario = scenarioLibrary.get(currentScenario);
 
         console.log(`[Call Manager] Started tracking new call: ${callSid} | Scenario: ${currentScenario} | Language: ${currentLanguage}`);
 
-        // Assign a diverse random symptom for this phone call
-        const symptomOptions = ['fever', 'severe headache', 'stomach ache', 'lower back pain', 'persistent cough', 'sore throat', 'knee pain', 'body fatigue', 'skin rash', 'mild chest pain'];
-        const randomSymptom = symptomOptions[Math.floor(Math.random() * symptomOptions.length)];
+        // The call's random choices repeat while a cassette records or replays, so its prompts hit the recordings
+        const random = httpCassette.random(currentScenario, currentLanguage, options.runIndex || 0);
+
+        // Assign a diverse random symptom for this phone call from the scenario's list
+        const randomSymptom = scenarioLibrary.pickSymptom(scenario, random);
+
+        // Who is calling: an explicit persona wins, then the caller of the previous call in the rotation, then the scenario's pool
+        let persona;
+        try {
+            persona = !options.persona && !options.scenario && this.nextPersona
+                ? this.nextPersona
+                : personaLibrary.select(scenario, { requested: options.persona, language: currentLanguage, random });
+        } catch (e) {
+            console.error(`[Call Manager] ${e.message}, picking a random persona.`);
+            persona = personaLibrary.select(scenario, { language: currentLanguage, random });
+        }
+        console.log(`[Call Manager] Caller persona: ${persona.name} (${persona.age}, ${persona.gender}, ${persona.style}) | Voice: ${persona.voice.speaker} @ ${persona.voice.pace}x`);
 
         // 2-Minute Initial Timeout for unreachable bot (Watchdog)
         this.resetWatchdog(callSid, 120000, "Target bot unreachable (no connection) for 2 minutes.");
 
+        const startTime = Date.now();
+        // "Today" for dates in prompts and slots: the recording's date while a cassette is on
+        const referenceDate = httpCassette.referenceDate(startTime);
+
+        // The slot our tester must book is chosen here rather than by the LLM, so it can be checked against what the bot confirms
+        const targetSlot = options.targetSlot || SlotTracker.pickTarget(scenario.dateWindow, referenceDate, random);
+        const slots = new SlotTracker({
+            target: { ...targetSlot, symptom: randomSymptom, visitType: 'In Person', name: persona.name, phone: persona.phone },
+            referenceDate
+        });
+
+        // Audio condition our tester's voice is degraded with (the call's choice wins over the scenario's)
+        let degrader = null;
+        try {
+            const degradation = ChannelDegrader.resolve(options.degradation !== undefined ? options.degradation : scenario.degradation);
+            if (degradation) degrader = new ChannelDegrader(degradation, degradation.seed);
+        } catch (e) {
+            console.error(`[Call Manager] ${e.message}, sending clean audio.`);
+        }
+
+        // Wire format of the media stream, from the provider's 'start' event (Twilio: 8kHz mu-law)
+        let audio;
+        try {
+            audio = AudioPipeline.negotiate(options.mediaFormat);
+        } catch (e) {
+            console.error(`[Call Manager] ${e.message}, assuming 8kHz mu-law.`);
+            audio = new AudioPipeline();
+        }
+        console.log(`[Call Manager] Media format: ${audio.format}`);
+
+        // Adversarial caller behaviours to act out (the call's list replaces the scenario's)
+        let behaviors = [];
+        try {
+            behaviors = BehaviorInjector.resolve(options.behaviors !== undefined ? options.behaviors : scenario.behaviors);
+        } catch (e) {
+            console.error(`[Call Manager] ${e.message}, injecting no behaviours.`);
+        }
+        if (behaviors.length > 0) console.log(`🎭 [Call Manager] Edge-case behaviours: ${behaviors.map(behavior => behavior.type).join(', ')}`);
+
         this.activeCalls.set(callSid, {
             history: [],
             isBookingConfirmed: false,
             scenario: currentScenario,
             targetLanguage: currentLanguage,
             symptom: randomSymptom,   // Assigned to this specific call
-            startTime: Date.now(),
+            persona,                  // Caller profile and TTS voice for this call
+            languagePlan: new LanguagePlan({ language: currentLanguage, plan: scenario.languagePlan }), // Language of each tester turn
+            startTime,
+            referenceDate,
             audioBuffer: [],          // Holds all audio chunks while the bot is speaking
-            silenceTimer: null,       // The stopwatch waiting for silence
+            stt: { mode: 'batch', stream: null, finals: [], partial: '', languageCode: null, done: false, graceTimer: null, fallback: null }, // Streaming STT session (see openSttStream)
+            vad: this.createVad(callSid, { ...scenario.vad, ...options.vad }), // Speech / end-of-turn detector
+            latency: new LatencyTracker(), // Per-turn stage timestamps for the latency report
+            pendingTurn: null,        // Promise of the STT -> LLM -> TTS run for the bot's last turn
+            playback: null,           // { startedAt, interrupted, ... } while our TTS is streaming (see startPlayback)
+            replyMode: process.env.REPLY_MODE === 'streaming' ? 'streaming' : 'batch', // Speak LLM replies as they are generated
+            bargeIn: { ...scenario.bargeIn, ...options.bargeIn }, // When the bot may interrupt our tester
             watchdogTimeout: null,    // The per-turn hang detector
             hasSpoken: false,         // Tracks if the user has triggered VAD yet
             isProcessing: false,      // Tracks if the NLP pipeline is currently active
             isEnding: false,           // Prevents endCall from executing twice
             ws: ws,                   // Store reference to close call if needed
-            packetCount: 0            // Debug: track packets received
+            packetCount: 0,           // Debug: track packets received
+            recording: new CallRecorder(startTime), // Both sides of the call on one timeline (persisted after the call)
+            slots,                    // Target vs requested / offered / confirmed appointment details
+            degrader,                 // Noise / packet loss / ... applied to the tester's audio (null = clean)
+            audio,                    // Codec, resampling and pacing between the wire format and the engine's 8kHz PCM
+            behaviors: new BehaviorInjector(behaviors, { persona, random }), // Edge-case behaviours the tester acts out
+            activeBehavior: null,     // Behaviour the LLM must act out in the reply being generated
+            talkOver: null,           // Armed talkOver behaviour, played once the bot starts its next turn
+            manualOverrideResponse: null, // Forced reply for the tester's next turn (set from the dashboard)
+            latestReceivedOTP: null,  // OTP the tester may read out (from the dashboard or an SMS), until otpExpiresAt
+            otpExpiresAt: null
+        });
+
+        this.publish(CALL_EVENTS.CALL_STARTED, callSid, {
+            scenario: currentScenario, targetLanguage: currentLanguage, symptom: randomSymptom, targetSlot,
+            persona: personaLibrary.summary(persona),
+            degradation: degrader ? degrader.settings.name : 'clean',
+            behaviors: behaviors.map(behavior => behavior.type)
+        });
+
+        this.openSttStream(callSid);
+    }
+
+    /**
+     * Emits a typed call event (see callEvents.js) both on its own name and on the catch-all channel
+     * @param {string} type - One of CALL_EVENTS
+     * @param {string} callSid
+     * @param {object} data - Event-specific JSON payload
+     */
+    publish(type, callSid, data = {}) {
+        const event = { type, callSid, timestamp: Date.now(), ...data };
+        this.emit(type, event);
+        this.emit(CALL_EVENT, event);
+        return event;
+    }
+
+    /**
+     * Pins the scenario/language of a call that has been dialed but whose media stream has not started yet
+     * @param {string} callSid
+     * @param {{scenario?: string, language?: string}} options
+     */
+    registerOutboundCall(callSid, options) {
+        this.pendingCallOptions.set(callSid, options);
+    }
+
+    /**
+     * Live summary of every call in progress (for the dashboard's call panels)
+     */
+    listActiveCalls() {
+        return [...this.activeCalls.entries()].map(([callSid, callState]) => ({
+            callSid,
+            scenario: callState.scenario,
+            targetLanguage: callState.targetLanguage,
+            persona: callState.persona.name,
+            degradation: callState.degrader ? callState.degrader.settings.name : 'clean',
+            startTime: new Date(callState.startTime).toISOString(),
+            turns: callState.history.map(({ role, content, type, timestamp }) => ({ role, content, type, timestamp })),
+            hasOverride: Boolean(callState.manualOverrideResponse),
+            hasOTP: Boolean(callState.latestReceivedOTP),
+            isEnding: callState.isEnding
+        }));
+    }
+
+    /**
+     * Forces what the tester says on its next turn of one call
+     * @returns {boolean} - False if the call is not active
+     */
+    setManualOverride(callSid, text) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return false;
+        callState.manualOverrideResponse = text;
+        return true;
+    }
+
+    /**
+     * Makes an OTP available to the tester of one call, until it is read out or OTP_TTL_MS (default 5 min) passes
+     * @param {{source?: 'manual'|'sms', from?: string}} [options] - Where the code came from (noted in the call history)
+     * @returns {boolean} - False if the call is not active
+     */
+    setOTP(callSid, otp, { source = 'manual', from = null } = {}) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return false;
+
+        const ttlMs = parseInt(process.env.OTP_TTL_MS, 10) || 5 * 60 * 1000;
+        callState.latestReceivedOTP = otp;
+        callState.otpExpiresAt = Date.now() + ttlMs;
+
+        const via = source === 'sms' ? `SMS${from ? ` from ${from}` : ''}` : 'manual injection';
+        callState.history.push({ role: "assistant", type: 'otp', content: `(System: OTP ${otp} received via ${via})`, timestamp: Date.now() });
+        this.publish(CALL_EVENTS.OTP_RECEIVED, callSid, { otp, source, from, expiresAt: callState.otpExpiresAt });
+        return true;
+    }
+
+    /**
+     * Retires the call's OTP once the tester has read it out (in digits or number words) or it has expired,
+     * so a stale code is never offered to the bot again
+     * @param {object} callState
+     * @param {string} replyText - What the tester just said
+     */
+    consumeOTP(callState, replyText) {
+        const otp = callState.latestReceivedOTP;
+        if (!otp) return;
+
+        let outcome = null;
+        if (this.readsOut(replyText, otp)) outcome = 'used';
+        else if (Date.now() >= callState.otpExpiresAt) outcome = 'expired unused';
+        if (!outcome) return;
+
+        console.log(`🔑 [OTP] ${otp} ${outcome}, cleared.`);
+        callState.latestReceivedOTP = null;
+        callState.otpExpiresAt = null;
+        callState.history.push({ role: "assistant", type: 'otp', content: `(System: OTP ${otp} ${outcome})`, timestamp: Date.now() });
+    }
+
+    /**
+     * True when the digits are said as a number of their own: whole groups of a spoken run ("4 8 2 9", "48-29"),
+     * not a stretch inside a longer number such as a phone number
+     */
+    readsOut(text, digits) {
+        const runs = SlotTracker.normalize(text).match(/\d+(?:[\s-]\d+)*/g) || [];
+        return runs.some(run => {
+            const groups = run.split(/[\s-]/);
+            for (let from = 0; from < groups.length; from++) {
+                let joined = '';
+                for (let to = from; to < groups.length && joined.length < digits.length; to++) {
+                    joined += groups[to];
+                    if (joined === digits) return true;
+                }
+            }
+            return false;
         });
     }
 
@@ -67,7 +287,7 @@ class CallManager {
 
         callState.watchdogTimeout = setTimeout(() => {
             console.log(`🛑 [Watchdog] ${reason} | Call: ${callSid}`);
-            callState.history.push({ role: "assistant", content: `[Auto-Terminated: ${reason}]` });
+            callState.history.push({ role: "assistant", content: `[Auto-Terminated: ${reason}]`, timestamp: Date.now() });
 
             // Try to find the WS from the caller if needed, but for now we rely on the state-stored WS if we had one
             // However, we can also just call endCall which handles cleanup
@@ -75,148 +295,403 @@ class CallManager {
         }, ms);
     }
 
+    /**
+     * Builds the per-call voice activity detector and wires its events into the turn-taking logic
+     * @param {string} callSid
+     * @param {object} vadOptions - Per-call tuning (scenario `vad` block, overridden by startCall options)
+     */
+    createVad(callSid, vadOptions) {
+        const vad = new VoiceActivityDetector(vadOptions);
+        // VAD timestamps are audio time; the stream is real time, so map them back onto the wall clock
+        const wallClock = (atMs) => Date.now() - (vad.elapsedMs - atMs);
+
+        vad.on('speechStart', ({ atMs }) => {
+            const callState = this.activeCalls.get(callSid);
+            if (!callState) return;
+
+            callState.latency.startTurn(wallClock(atMs));
+            callState.stt.done = false;
+
+            // Clear the watchdog as soon as we hear anything from the bot
+            if (callState.watchdogTimeout) {
+                clearTimeout(callState.watchdogTimeout);
+                callState.watchdogTimeout = null;
+            }
+            callState.hasSpoken = true;
+
+            // An armed talkOver behaviour cuts in shortly after the bot starts talking, if it is still talking then
+            const talkOver = callState.talkOver;
+            if (talkOver && !callState.playback) {
+                callState.talkOver = null;
+                setTimeout(() => {
+                    if (!vad.inTurn || callState.isEnding) return;
+                    console.log(`🎭 [Behaviour] Tester talks over the bot after ${talkOver.delayMs}ms`);
+                    this.playAIResponse(callSid, talkOver.example, callState.ws, { source: 'behavior', behavior: talkOver })
+                        .catch(e => console.error(`[Call Manager] talkOver playback failed: ${e.message}`));
+                }, talkOver.delayMs);
+            }
+        });
+
+        vad.on('speechEnd', ({ atMs }) => {
+            const callState = this.activeCalls.get(callSid);
+            if (callState) callState.latency.mark(callState.latency.current, 'botSpeechEnd', wallClock(atMs));
+        });
+
+        vad.on('endOfTurn', ({ atMs }) => {
+            const callState = this.activeCalls.get(callSid);
+            if (!callState) return;
+
+            callState.latency.mark(callState.latency.current, 'endOfTurn', wallClock(atMs));
+            // With streaming STT the provider's endpointing ends the turn; the VAD only backs it up
+            if (callState.stt.stream) this.awaitEndpoint(callSid);
+            else this.startTargetTurn(callSid);
+        });
+
+        return vad;
+    }
+
+    /**
+     * Runs the STT -> LLM -> TTS pipeline for the bot's finished turn
+     * @param {{text: string, languageCode: string}} [streamed] - Transcript from streaming STT (none = batch upload of the buffered audio)
+     */
+    startTargetTurn(callSid, streamed = null) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+
+        // A silence behaviour keeps its turn pending while the bot may already be on the next one
+        const pendingTurn = this.processTargetTurn(callSid, streamed).finally(() => {
+            if (callState.pendingTurn === pendingTurn) callState.pendingTurn = null;
+        });
+        callState.pendingTurn = pendingTurn;
+    }
+
+    /**
+     * With STT_MODE=streaming, pushes the bot's audio to the STT provider as it arrives. Partial transcripts
+     * are published live and the provider's endpointing ends the bot's turns, so long monologues are never
+     * truncated and the tester can answer sooner. Batch uploads stay the fallback for providers that cannot
+     * stream and for sessions that fail.
+     */
+    openSttStream(callSid) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState || (process.env.STT_MODE || 'batch') !== 'streaming') return;
+
+        const stt = callState.stt;
+        if (typeof providers.stt.openStream !== 'function') {
+            this.fallBackToBatch(callSid, `${providers.configuredName('stt')} STT has no streaming mode`);
+            return;
+        }
+
+        try {
+            stt.stream = providers.stt.openStream();
+        } catch (e) {
+            this.fallBackToBatch(callSid, e.message);
+            return;
+        }
+        stt.mode = 'streaming';
+        console.log(`[Call Manager] Streaming STT session opened for ${callSid}`);
+
+        stt.stream.on('partial', ({ text }) => {
+            stt.partial = text;
+            stt.done = false;
+            this.publish(CALL_EVENTS.TURN_PARTIAL, callSid, { text });
+        });
+        stt.stream.on('final', ({ text, languageCode }) => {
+            stt.finals.push(text);
+            stt.languageCode = languageCode;
+            stt.partial = '';
+            stt.done = false;
+        });
+        stt.stream.on('endpoint', () => this.finishStreamedTurn(callSid));
+        stt.stream.on('error', (error) => this.fallBackToBatch(callSid, error.message));
+    }
+
+    /**
+     * The VAD heard the bot stop: give the provider STT_ENDPOINT_GRACE_MS (default 1500) to endpoint the turn
+     * too, then go with what it has transcribed (or the batch upload, when it heard nothing)
+     */
+    awaitEndpoint(callSid) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+
+        const stt = callState.stt;
+        // The provider already ended this turn (its endpointing is usually quicker than the VAD's silence timer)
+        if (stt.done) return;
+
+        clearTimeout(stt.graceTimer);
+        const graceMs = parseInt(process.env.STT_ENDPOINT_GRACE_MS, 10) || 1500;
+        stt.graceTimer = setTimeout(() => {
+            console.log(`[Call Manager] Streaming STT did not endpoint the turn within ${graceMs}ms`);
+            this.settleStreamedTurn(callSid);
+        }, graceMs);
+    }
+
+    /**
+     * Ends the bot's turn with the transcript streamed so far (the provider endpointed it)
+     */
+    finishStreamedTurn(callSid) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+
+        const stt = callState.stt;
+        clearTimeout(stt.graceTimer);
+        stt.graceTimer = null;
+        const text = stt.finals.length > 0 ? stt.finals.join(' ') : stt.partial;
+        const languageCode = stt.languageCode || 'en-IN';
+        stt.finals = [];
+        stt.partial = '';
+        stt.done = true;
+
+        callState.latency.mark(callState.latency.current, 'endOfTurn');
+        this.startTargetTurn(callSid, { text, languageCode });
+    }
+
+    /**
+     * Resolves a turn the VAD ended but the stream did not: its transcript so far, else a batch upload.
+     * A turn still in progress is left to the VAD and the batch upload of the buffered audio.
+     */
+    settleStreamedTurn(callSid) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+
+        const stt = callState.stt;
+        const waiting = stt.graceTimer !== null;
+        clearTimeout(stt.graceTimer);
+        stt.graceTimer = null;
+
+        if (!waiting) {
+            stt.finals = [];
+            stt.partial = '';
+        } else if (stt.finals.length > 0 || stt.partial) {
+            this.finishStreamedTurn(callSid);
+        } else {
+            this.startTargetTurn(callSid);
+        }
+    }
+
+    /**
+     * Switches a call to batch uploads for the rest of the call (the audio buffer always holds the current turn)
+     */
+    fallBackToBatch(callSid, reason) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+
+        const stt = callState.stt;
+        console.error(`[Call Manager] Streaming STT unavailable for ${callSid} (${reason}), using batch uploads.`);
+        if (stt.stream) stt.stream.close();
+        stt.stream = null;
+        stt.mode = 'batch';
+        stt.fallback = reason;
+        this.settleStreamedTurn(callSid);
+    }
+
+    /**
+     * Decodes one media packet (in the format negotiated when the stream started) and processes it
+     * @param {Buffer} payload - The packet's audio bytes as sent on the wire
+     */
+    async handleIncomingMedia(callSid, payload, ws) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
+        await this.handleIncomingAudio(callSid, callState.audio.decodeInbound(payload), ws);
+    }
+
     /**
      * Processes audio chunk from Exotel WEbSocket
      * @param {string} callSid 
-     * @param {Buffer} audioChunk 
+     * @param {Buffer} audioChunk - 16-bit 8kHz PCM
      * @param {WebSocket} ws 
      */
-    async handleIncomingAudio(callSid, audioChunk, ws, rms = 0) {
+    async handleIncomingAudio(callSid, audioChunk, ws) {
         try {
             const callState = this.activeCalls.get(callSid);
             if (!callState) return;
 
             callState.packetCount++;
+
+            // 1. Add newest chunk to the bucket (and to the full-call recording)
+            callState.audioBuffer.push(audioChunk);
+            callState.recording.addInbound(audioChunk);
+            if (callState.stt.stream) callState.stt.stream.write(audioChunk);
+
+            // 2. Let the VAD classify the frame. Its speechStart/endOfTurn events drive the turn-taking.
+            const frame = callState.vad.process(audioChunk);
             if (callState.packetCount === 1) {
-                console.log(`[Call Manager] First audio packet received for ${callSid}. RMS: ${rms.toFixed(0)}`);
+                console.log(`[Call Manager] First audio packet received for ${callSid}. RMS: ${frame.rms.toFixed(0)}`);
             }
 
-            // 1. Add newest chunk to the bucket
-            callState.audioBuffer.push(audioChunk);
+            // 3. Barge-in: sustained bot speech while our TTS is still streaming stops the playback
+            //    (not when our tester is deliberately talking over the bot)
+            const bargeIn = callState.bargeIn;
+            const playback = callState.playback;
+            if (bargeIn.enabled && playback && !playback.interrupted && !playback.talkOver && callState.vad.currentSpeechMs >= bargeIn.minSpeechMs) {
+                playback.interrupted = true;
+            }
 
             // Twilio sends 50 chunks a second. If they aren't speaking yet, don't let it grow infinitely.
-            if (!callState.hasSpoken && callState.audioBuffer.length > 150) {
-                callState.audioBuffer = callState.audioBuffer.slice(-50); // keep a rolling 1-second background noise buffer
+            if (!callState.vad.inTurn && !callState.pendingTurn && callState.audioBuffer.length > 150) {
+                callState.audioBuffer = callState.audioBuffer.slice(-50); // keep a rolling 1-second pre-roll so the speech onset is kept
             }
 
             // To prevent Sarvam STT 30-second hard limit crash due to hold music or unbroken noise,
-            // cap the speaking buffer to the most recent 28 seconds (1400 chunks * 20ms = 28000ms)
-            if (callState.hasSpoken && callState.audioBuffer.length > 1400) {
+            // cap the speaking buffer to the most recent 28 seconds (1400 chunks * 20ms = 28000ms).
+            // With streaming STT the buffer only backs the batch fallback; the stream hears everything.
+            if (callState.vad.inTurn && callState.audioBuffer.length > 1400) {
                 // Forcefully trigger transcription by clearing buffer older than 1400, but
                 // an even safer bet is to drop the oldest noise to preserve the limit.
                 callState.audioBuffer = callState.audioBuffer.slice(-1400);
             }
+        } catch (error) {
+            console.error(`[Call Manager] Error handling audio for ${callSid}: ${error.message}`);
+        }
+    }
 
-            const LOUDNESS_THRESHOLD = 300; // Increased from 200 to reduce sensitivity to line pops
+    /**
+     * Runs STT -> hallucination filter -> LLM -> TTS on the audio buffered for the bot's finished turn
+     * @param {string} callSid
+     * @param {{text: string, languageCode: string}} [streamed] - Transcript already produced by streaming STT
+     */
+    async processTargetTurn(callSid, streamed = null) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
 
-            // 2. Clear out any previous stopwatch because the bot just spoke!
-            if (rms > LOUDNESS_THRESHOLD) {
-                if (callState.silenceTimer) {
-                    clearTimeout(callState.silenceTimer);
-                    callState.silenceTimer = null;
-                }
+        const ws = callState.ws;
+        const latency = callState.latency;
+        const turn = latency.current;
+        callState.isProcessing = true;
+        try {
+            // Combine all the little chunks into one big audio file (raw PCM)
+            const fullPcmBuffer = Buffer.concat(callState.audioBuffer);
 
-                // Clear the watchdog as soon as we hear anything from the bot
-                if (callState.watchdogTimeout) {
-                    clearTimeout(callState.watchdogTimeout);
-                    callState.watchdogTimeout = null;
-                }
+            // Empty the bucket for the next sentence
+            callState.audioBuffer = [];
+            callState.hasSpoken = false; // reset VAD state
 
-                callState.hasSpoken = true;
+            let transcript;
+            let languageCode;
+            if (streamed) {
+                // Streaming STT transcribed the turn while the bot was speaking: nothing left to upload
+                latency.mark(turn, 'sttRequest', turn && turn.marks.endOfTurn);
+                latency.mark(turn, 'sttResponse');
+                ({ text: transcript, languageCode } = streamed);
+            } else {
+                // 4. Create a valid WAV file structure so Sarvam knows the sample rate
+                // (the call's audio pipeline already decoded the media to 16-bit 8000Hz PCM)
+                const validWavBuffer = toWav(fullPcmBuffer);
+
+                // 5. Send the compliant WAV file to the configured STT provider (Sarvam by default)
+                latency.mark(turn, 'sttRequest');
+                ({ text: transcript, languageCode } = await providers.stt.streamToText(validWavBuffer));
+                latency.mark(turn, 'sttResponse');
+            }
+
+            if (!transcript || transcript.trim().length < 2) {
+                latency.finishTurn(turn, 'ignored');
+                return;
             }
 
-            // 3. Start a new stopwatch for 1.5 seconds only if they FINISHED speaking.
-            if (rms <= LOUDNESS_THRESHOLD && callState.hasSpoken && !callState.silenceTimer) {
-                callState.silenceTimer = setTimeout(async () => {
-                    callState.isProcessing = true;
+            // Prevent Sarvam STT Whisper Hallucinations from hitting the bot engine
+            latency.mark(turn, 'filterStart');
+            // After a language switch the bot may legitimately answer in either language
+            const expectedLanguages = callState.languagePlan.acceptedBotLanguages(callState.history);
+            const isFakeAudio = await llmService.isHallucination(transcript, expectedLanguages, languageCode);
+            latency.mark(turn, 'filterEnd');
+
+            if (isFakeAudio) {
+                console.log(`⚠️ [Audio Filter]: LLM blocked dynamic STT hallucination: "${transcript}" (Detected: ${languageCode}, Expected: ${expectedLanguages.join('/')})`);
+                latency.finishTurn(turn, 'ignored');
+                return;
+            }
+
+            console.log(`🤖 [Target Bot]: "${transcript}"`);
+            callState.history.push({ role: "user", content: transcript, timestamp: Date.now(), audio: this.recordingRange(callState, turn && turn.marks.botSpeechStart, turn && turn.marks.botSpeechEnd) });
+            callState.slots.recordTurn('bot', transcript, callState.history.length - 1);
+            this.publish(CALL_EVENTS.TURN_TARGET, callSid, { text: transcript, languageCode });
+
+            let replyText;
+            let source = 'llm';
+            let behavior = null;
+
+            // 5. Handle Manual Input Override BEFORE calling LLM
+            if (callState.manualOverrideResponse) {
+                replyText = callState.manualOverrideResponse;
+                console.log(`🎛️ [Manual Override]: Intercepted turn. Using forced response: "${replyText}"`);
+
+                // Clear the override immediately
+                callState.manualOverrideResponse = null;
+                source = 'override';
+                callState.lastIntentProcessed = true;
+            } else {
+                behavior = callState.behaviors.next(callState.languagePlan.testerTurns(callState.history) + 1, transcript);
+
+                if (behavior && behavior.mode === 'silence') {
+                    // Say nothing: the bot should re-prompt. If it doesn't within the pause, the tester answers after all.
+                    this.injectSilence(callState, behavior);
+                    const historyLength = callState.history.length;
+                    await new Promise(r => setTimeout(r, behavior.seconds * 1000));
+                    if (callState.isEnding || callState.history.length !== historyLength) {
+                        latency.finishTurn(turn, 'silence');
+                        return;
+                    }
+                    // The late answer takes the normal path below (sentinels, latency, REPLY_MODE)
+                    latency.mark(turn, 'pauseEnd');
+                    behavior = null;
+                }
+                if (behavior && behavior.mode === 'talkOver') {
+                    // This reply is normal; the tester cuts into the bot's next turn
+                    callState.talkOver = behavior;
+                    behavior = null;
+                }
+
+                // Ask OpenAI what to say back (the call state carries the OTP if we have one)
+                latency.mark(turn, 'llmStart');
+                callState.activeBehavior = behavior;
+                if (callState.replyMode === 'streaming') {
+                    // Spoken sentence by sentence as it is generated; only sentinels come back unspoken
+                    let deltas;
                     try {
-                        // Combine all the little chunks into one big audio file (raw PCM)
-                        const fullPcmBuffer = Buffer.concat(callState.audioBuffer);
-                        // console.log(`\n⏳ [Silence Detected] Hospital bot finished speaking. Processing buffered audio (${fullPcmBuffer.length} bytes)...`);
-
-                        // Empty the bucket for the next sentence
-                        callState.audioBuffer = [];
-                        callState.hasSpoken = false; // reset VAD state
-
-                        // 4. Create a valid WAV file structure so Sarvam knows the sample rate
-                        const uploadWav = new WaveFile();
-
-                        // Convert the raw Node Buffer back into an Int16Array for wavefile
-                        const int16Samples = new Int16Array(
-                            fullPcmBuffer.buffer,
-                            fullPcmBuffer.byteOffset,
-                            fullPcmBuffer.length / 2
-                        );
-
-                        // Twilio audio was transcoded to 16-bit 8000Hz PCM in server.js before getting here
-                        uploadWav.fromScratch(1, 8000, '16', int16Samples);
-                        const validWavBuffer = uploadWav.toBuffer();
-
-                        // 5. Send the compliant WAV file to Sarvam STT
-                        const { text: transcript, languageCode } = await sarvamService.streamToText(validWavBuffer);
-
-                        if (!transcript || transcript.trim().length < 2) return;
-
-                        // Prevent Sarvam STT Whisper Hallucinations from hitting the bot engine
-                        const isFakeAudio = await llmService.isHallucination(transcript, callState.targetLanguage, languageCode);
-
-                        if (isFakeAudio) {
-                            console.log(`⚠️ [Audio Filter]: LLM blocked dynamic STT hallucination: "${transcript}" (Detected: ${languageCode}, Target: ${callState.targetLanguage})`);
-                            return;
-                        }
-
-                        console.log(`🤖 [Target Bot]: "${transcript}"`);
-                        callState.history.push({ role: "user", content: transcript });
-
-                        let replyText, updatedState;
-
-                        // 5. Handle Manual Input Override BEFORE calling LLM
-                        if (this.manualOverrideResponse) {
-                            replyText = this.manualOverrideResponse;
-                            console.log(`🎛️ [Manual Override]: Intercepted turn. Using forced response: "${replyText}"`);
-
-                            // Clear the override immediately
-                            this.manualOverrideResponse = null;
-                            updatedState = { ...callState, lastIntentProcessed: true };
-                        } else {
-                            // Ask OpenAI what to say back (Pass the OTP if we have one)
-                            const result = await llmService.processCustomerIntent(transcript, {
-                                ...callState,
-                                latestReceivedOTP: this.latestReceivedOTP
-                            });
-                            replyText = result.replyText;
-                            updatedState = result.updatedState;
-                        }
-
-                        if (replyText.trim() === "WAIT") {
-                            console.log(`⏳ [AI Tester] Detected incomplete sentence. Waiting for the target bot to finish...`);
-                            this.activeCalls.set(callSid, updatedState);
-                            return; // Do not speak, just keep listening
-                        }
-
-                        if (replyText.trim() === "END_CALL_LOOP") {
-                            console.log(`🛑 [AI Tester] Detected target bot is stuck in a loop. Auto-terminating call...`);
-                            updatedState.history.push({ role: "assistant", content: "[Auto-Terminated by Tester: Target bot is stuck in an infinite loop]" });
-                            this.activeCalls.set(callSid, updatedState);
-
-                            // Close the WebSocket connection to physically drop the Twilio call
-                            if (ws.readyState === 1) ws.close();
-                            return;
-                        }
-
-                        this.activeCalls.set(callSid, updatedState);
-                        await this.playAIResponse(callSid, replyText, ws, languageCode);
-                    } catch (timerError) {
-                        console.error(`[Call Manager] Error during transcription/TTS flow: ${timerError.message}`);
+                        deltas = llmService.streamCustomerIntent(transcript, callState);
                     } finally {
-                        callState.isProcessing = false;
-                        callState.silenceTimer = null;
+                        callState.activeBehavior = null;
                     }
-                }, 1200); // Reduced from 2000ms to 1200ms to prevent target bot ASR timeouts
+                    callState.lastIntentProcessed = true;
+                    const streamed = await this.playStreamedResponse(callSid, deltas, ws, { turn, behavior });
+                    if (streamed.spoken) return;
+                    replyText = streamed.replyText;
+                } else {
+                    const result = await llmService.processCustomerIntent(transcript, callState).finally(() => {
+                        callState.activeBehavior = null;
+                    });
+                    latency.mark(turn, 'llmEnd');
+                    replyText = result.replyText;
+                    // Keep a single state object per call: the VAD, timers and buffers must not be forked
+                    callState.lastIntentProcessed = result.updatedState.lastIntentProcessed === true;
+                }
             }
 
-        } catch (error) {
-            console.error(`[Call Manager] Error handling audio for ${callSid}: ${error.message}`);
+            if (replyText.trim() === "WAIT") {
+                console.log(`⏳ [AI Tester] Detected incomplete sentence. Waiting for the target bot to finish...`);
+                latency.finishTurn(turn, 'wait');
+                return; // Do not speak, just keep listening
+            }
+
+            if (replyText.trim() === "END_CALL_LOOP") {
+                console.log(`🛑 [AI Tester] Detected target bot is stuck in a loop. Auto-terminating call...`);
+                callState.history.push({ role: "assistant", content: "[Auto-Terminated by Tester: Target bot is stuck in an infinite loop]", timestamp: Date.now() });
+
+                // Close the WebSocket connection to physically drop the Twilio call
+                if (ws.readyState === 1) ws.close();
+                return;
+            }
+
+            await this.playAIResponse(callSid, replyText, ws, { turn, source, behavior });
+        } catch (timerError) {
+            console.error(`[Call Manager] Error during transcription/TTS flow: ${timerError.message}`);
+            // A replayed run cannot go on past an unrecorded request (see httpCassette): hang up so the report says why
+            if (timerError.cassetteMiss) {
+                callState.history.push({ role: "assistant", content: `[Call aborted: ${timerError.message}]`, timestamp: Date.now() });
+                if (ws && ws.readyState === 1) ws.close();
+            }
+        } finally {
+            callState.isProcessing = false;
         }
     }
 
@@ -233,15 +708,29 @@ class CallManager {
                 callState.watchdogTimeout = null;
             }
 
-            // Wait gracefully for any active STT/LLM generation or pending silence timers to finish 
+            // If the stream stopped while the bot was still mid-turn, process what it said so far
+            callState.vad.flush();
+            if (callState.stt.stream) {
+                callState.stt.stream.close();
+                callState.stt.stream = null;
+                this.settleStreamedTurn(callSid);
+            }
+
+            // Wait gracefully for any active STT/LLM generation to finish
             // before we package up the history for the report card! (Max 6 seconds timeout)
             let waitLoops = 0;
-            while ((callState.isProcessing || callState.silenceTimer) && waitLoops < 60) {
+            while ((callState.isProcessing || callState.pendingTurn) && waitLoops < 60) {
                 await new Promise(r => setTimeout(r, 100));
                 waitLoops++;
             }
 
             console.log(`[Call Manager] Call ended: ${callSid}`);
+            this.publish(CALL_EVENTS.CALL_ENDED, callSid, {
+                scenario: callState.scenario,
+                targetLanguage: callState.targetLanguage,
+                durationMs: Date.now() - callState.startTime,
+                turns: callState.history.length
+            });
 
             // Force close the WebSocket if it's still open
             if (callState.ws && callState.ws.readyState === 1) {
@@ -249,36 +738,72 @@ class CallManager {
             }
 
             // Generate Test Report
+            // Latency is measured rather than judged, so it is attached to whatever report we end up with
+            const latency = callState.latency.summary();
+            const slots = callState.slots.summary();
+            const findings = callState.slots.findings();
+            const degradation = callState.degrader ? callState.degrader.summary() : null;
+            const persona = personaLibrary.summary(callState.persona);
+            const language = callState.languagePlan.evaluate(callState.history);
+            const behaviors = callState.behaviors.grade(callState.history, { referenceDate: callState.referenceDate });
+            // How the bot's speech was transcribed ('streaming', or 'batch' with the reason streaming was given up)
+            const stt = { mode: callState.stt.mode, fallback: callState.stt.fallback };
+            behaviors.injected.forEach(behavior => console.log(`🎭 [Behaviour] ${behavior.type} (tester turn ${behavior.turn}): ` +
+                `${behavior.recovered === true ? 'recovered' : behavior.recovered === false ? 'NOT recovered' : 'not graded'} - ${behavior.evidence}`));
+            language.switches.filter(entry => entry.reached).forEach(entry => console.log(entry.followed
+                ? `🌐 [Language] Bot followed the switch to ${entry.to} after ${entry.botTurns} turn(s)${entry.followMs !== null ? ` (${entry.followMs}ms)` : ''}`
+                : `🌐 [Language] Bot never followed the switch to ${entry.to}`));
+            let report;
             if (callState.history && callState.history.length > 0) {
                 console.log(`\n📊 [Call Manager] Analyzing call history for Test Report (Language: ${callState.targetLanguage}, Scenario: ${callState.scenario})...`);
                 try {
-                    const report = await llmService.generateTestReport(callState);
-                    console.log(`###REPORT###` + JSON.stringify({ callSid, scenario: callState.scenario, report }));
+                    // Code-checked scenario assertions can overrule the LLM judge's verdict
+                    const assertions = assertionEngine.evaluate(scenarioLibrary.get(callState.scenario).assertions, callState, latency);
+                    report = { ...assertionEngine.combine(await llmService.generateTestReport(callState), assertions), latency, slots, findings, language, persona, degradation, behaviors, stt };
+                    this.logLatencySummary(latency);
+                    findings.forEach(finding => console.log(`🎯 [Slot ${finding.severity}] ${finding.evidence}`));
+                    assertions.forEach(result => {
+                        const icon = result.passed === true ? '✅' : result.passed === false ? '❌' : '➖';
+                        console.log(`${icon} [Assertion] ${result.name}: ${result.evidence}`);
+                    });
+                    console.log(`📋 [Call Manager] Test report for ${callSid}: ${report.status} (${report.verdict})`);
 
                     // Determine the scenario for the *next* call based on this call's success
-                    if (callState.scenario === 'BOOKING' && report.isBookingConfirmed === true) {
-                        this.nextScenario = 'CANCELLATION';
-                        console.log(`[Call Manager] Booking was confirmed (even if test failed)! Next incoming call will trigger a CANCELLATION scenario.`);
-                    } else {
-                        // If booking wasn't confirmed, or we just finished a cancellation cycle, reset back to booking.
-                        this.nextScenario = 'BOOKING';
-                        console.log(`[Call Manager] Next incoming call will trigger a BOOKING scenario.`);
-                    }
+                    // (e.g. a confirmed BOOKING is followed by a CANCELLATION of that booking)
+                    this.nextScenario = scenarioLibrary.resolveNext(callState.scenario, report);
+                    this.nextPersona = report.isBookingConfirmed === true ? callState.persona : null;
+                    console.log(`[Call Manager] Next auto-rotated call will trigger a ${this.nextScenario} scenario.`);
 
                 } catch (e) {
                     console.error("[Call Manager] Failed to generate post-call report:", e.message);
+                    report = { status: "Failed", uxAnalysis: `Report generation crashed: ${e.message}`, enhancements: [], latency, slots, findings, language, persona, degradation, behaviors, stt };
                 }
             } else {
-                console.log(`###REPORT###` + JSON.stringify({
-                    callSid,
-                    report: {
-                        status: "Skipped",
-                        uxAnalysis: "Call ended before any conversation occurred.",
-                        enhancements: []
-                    }
-                }));
+                report = {
+                    status: "Skipped",
+                    uxAnalysis: "Call ended before any conversation occurred.",
+                    enhancements: [],
+                    latency,
+                    slots,
+                    findings,
+                    language,
+                    persona,
+                    degradation,
+                    behaviors,
+                    stt
+                };
+                console.log(`📋 [Call Manager] Test report for ${callSid}: ${report.status}`);
+            }
+
+            // Persist transcript, report and audio so results survive a dashboard refresh or server restart
+            try {
+                callStore.saveCall(callSid, callState, report);
+            } catch (e) {
+                console.error(`[Call Manager] Failed to persist call ${callSid}:`, e.message);
             }
 
+            this.publish(CALL_EVENTS.REPORT_READY, callSid, { scenario: callState.scenario, targetLanguage: callState.targetLanguage, report });
+
             this.activeCalls.delete(callSid);
         }
     }
@@ -291,65 +816,326 @@ class CallManager {
         if (!callState || callState.isEnding) return;
 
         console.log(`[Call Manager] Triggering AI initiative: "${initialText}"`);
-        callState.history.push({ role: "assistant", content: `(System: Bot was silent. AI is taking initiative: ${initialText})` });
+        callState.history.push({ role: "assistant", content: `(System: Bot was silent. AI is taking initiative: ${initialText})`, timestamp: Date.now() });
 
-        const result = await llmService.processCustomerIntent(initialText, {
-            ...callState,
-            latestReceivedOTP: this.latestReceivedOTP
-        });
+        const result = await llmService.processCustomerIntent(initialText, callState);
 
-        const langCode = callState.targetLanguage === 'English' ? 'en-IN' : 'hi-IN';
-        await this.playAIResponse(callSid, result.replyText, ws, langCode);
+        await this.playAIResponse(callSid, result.replyText, ws, { source: 'initiative' });
     }
 
     /**
      * Converts text to speech and streams it to Twilio with jitter-resistant pacing
+     * @param {{turn?: object, source?: string, behavior?: object}} [options] - LatencyTracker turn this reply answers (none for AI
+     *   initiative), where the text came from: 'llm', 'override', 'initiative' or 'behavior', and the injected
+     *   behaviour it acts out (tagged on the history turn)
      */
-    async playAIResponse(callSid, replyText, ws, languageCode) {
+    async playAIResponse(callSid, replyText, ws, { turn = null, source = 'llm', behavior = null } = {}) {
         const callState = this.activeCalls.get(callSid);
         if (!callState || callState.isEnding) return;
 
+        const latency = callState.latency;
+        // Speak in the language the plan assigns to this tester turn, not whatever the STT detected on the bot's side
+        const speakingLanguage = callState.languagePlan.testerLanguage(callState.languagePlan.testerTurns(callState.history) + 1);
+        const testerTurn = { role: "assistant", content: replyText, timestamp: Date.now() };
+        callState.history.push(testerTurn);
+        this.recordTesterTurn(callSid, callState, testerTurn, { source, behavior, speakingLanguage });
+
+        latency.mark(turn, 'ttsStart');
+        const { encoded, pcm } = await this.synthesizeReply(callState, replyText, speakingLanguage);
+        latency.mark(turn, 'ttsEnd');
+
+        if (ws.readyState === 1) {
+            const playback = this.startPlayback(callState, behavior);
+            await this.sendAudio(ws, encoded, pcm, playback);
+            this.finishPlayback(callSid, ws, playback, { turn, testerTurn });
+        }
+    }
+
+    /**
+     * REPLY_MODE=streaming: speaks the reply while the LLM is still generating it. Each sentence goes to TTS as
+     * soon as it is complete and is sent right after the previous one, so the tester starts talking once its
+     * first sentence is synthesized. Nothing is spoken before a whole sentence exists (see SentenceChunker), so
+     * WAIT / END_CALL_LOOP replies come back unspoken for processTargetTurn to act on.
+     * @param {AsyncIterable<string>} deltas - The reply as it is generated (llmService.streamCustomerIntent)
+     * @param {{turn?: object, behavior?: object}} [options] - As for playAIResponse
+     * @returns {Promise<{replyText: string, spoken: boolean}>}
+     */
+    async playStreamedResponse(callSid, deltas, ws, { turn = null, behavior = null } = {}) {
+        const callState = this.activeCalls.get(callSid);
+        const latency = callState.latency;
+        const speakingLanguage = callState.languagePlan.testerLanguage(callState.languagePlan.testerTurns(callState.history) + 1);
+        const chunker = new SentenceChunker();
+        const sentences = [];       // { text, audio } in speaking order; audio is the pending TTS result
+        let testerTurn = null;      // History entry, added with the first sentence and completed with the whole reply
+        let playback = null;
+        let player = null;
+        let generating = true;
+        let wake = null;            // Resolves the player's wait for the next sentence
+        const notify = () => {
+            if (!wake) return;
+            const resolve = wake;
+            wake = null;
+            resolve();
+        };
+
+        const speak = (text) => {
+            if (!testerTurn) {
+                testerTurn = { role: "assistant", content: text, timestamp: Date.now() };
+                callState.history.push(testerTurn);
+            }
+            // TTS runs while earlier sentences play and later ones are generated (only the first sentence's is marked)
+            latency.mark(turn, 'ttsStart');
+            const audio = this.synthesizeReply(callState, text, speakingLanguage);
+            audio.then(() => latency.mark(turn, 'ttsEnd'), () => {});
+            sentences.push({ text, audio });
+            notify();
+        };
+
+        const play = async () => {
+            for (let next = 0; ; next++) {
+                while (next === sentences.length && generating) await new Promise(resolve => { wake = resolve; });
+                if (next === sentences.length) return;
+                const { encoded, pcm } = await sentences[next].audio;
+                if (callState.isEnding || ws.readyState !== 1 || (playback && playback.interrupted)) return;
+                if (!playback) playback = this.startPlayback(callState, behavior);
+                await this.sendAudio(ws, encoded, pcm, playback);
+            }
+        };
+
+        let replyText = null;       // The whole reply, once generation has finished
+        try {
+            for await (const delta of deltas) {
+                chunker.push(delta).forEach(speak);
+                if (testerTurn && !player) {
+                    player = play();
+                    player.catch(() => {});     // Awaited below, once the whole reply is known
+                }
+                // Stop generating what nobody will hear
+                if (callState.isEnding || (playback && playback.interrupted)) break;
+            }
+            latency.mark(turn, 'llmEnd');
+
+            const rest = chunker.flush();
+            if (!testerTurn && (!rest || SentenceChunker.isSentinel(rest) || callState.isEnding)) {
+                return { replyText: rest, spoken: false };
+            }
+            if (rest && !(playback && playback.interrupted)) speak(rest);
+            replyText = chunker.text.trim();
+        } finally {
+            generating = false;
+            notify();
+            if (testerTurn && replyText === null) {
+                // Generation broke off: the reply is the sentences already queued, if the bot heard any of them
+                await player.catch(() => {});
+                if (playback) {
+                    testerTurn.content = sentences.map(sentence => sentence.text).join(' ');
+                    this.recordTesterTurn(callSid, callState, testerTurn, { source: 'llm', behavior, speakingLanguage });
+                    this.finishPlayback(callSid, ws, playback, { turn, testerTurn });
+                } else {
+                    callState.history.splice(callState.history.indexOf(testerTurn), 1);
+                }
+            }
+        }
+        if (!player) player = play();
+
+        // The history, slots and dashboard get the whole reply while its last sentences are still playing
+        testerTurn.content = replyText;
+        this.recordTesterTurn(callSid, callState, testerTurn, { source: 'llm', behavior, speakingLanguage });
+
+        try {
+            await player;
+        } finally {
+            if (playback) this.finishPlayback(callSid, ws, playback, { turn, testerTurn });
+        }
+        return { replyText, spoken: true };
+    }
+
+    /**
+     * Books a tester reply that is in the history: slots (or the injected behaviour it acts out), OTP use and the dashboard
+     */
+    recordTesterTurn(callSid, callState, testerTurn, { source, behavior, speakingLanguage }) {
+        const replyText = testerTurn.content;
+        const index = callState.history.indexOf(testerTurn);
         console.log(`🧑 [AI Tester]: "${replyText}"`);
-        callState.history.push({ role: "assistant", content: replyText });
-        callState.hasSpoken = true;
-
-        const replyAudioBuffer = await sarvamService.textToStream(replyText, languageCode);
-        const wav = new WaveFile();
-        wav.fromBuffer(replyAudioBuffer);
-        wav.toSampleRate(8000);
-
-        // --- VOLUME BOOST ---
-        const VOLUME_MULTIPLIER = 2.5;
-        const samples = new Int16Array(wav.data.samples.buffer, wav.data.samples.byteOffset, wav.data.samples.byteLength / 2);
-        for (let i = 0; i < samples.length; i++) {
-            let boosted = samples[i] * VOLUME_MULTIPLIER;
-            if (boosted > 32767) boosted = 32767;
-            if (boosted < -32768) boosted = -32768;
-            samples[i] = boosted;
+        if (behavior) {
+            // Deliberately wrong details must not count as what the tester asked for
+            testerTurn.behavior = behavior.type;
+            callState.behaviors.record(behavior, index);
+        } else {
+            callState.slots.recordTurn('tester', replyText, index);
         }
+        this.consumeOTP(callState, replyText);
+        this.publish(CALL_EVENTS.TURN_TESTER, callSid, { text: replyText, languageCode: LanguagePlan.languageCode(speakingLanguage), source });
+    }
 
-        wav.toMuLaw();
-        const mulawArray = new Uint8Array(wav.data.samples);
-        const CHUNK_SIZE_BYTES = 320;
-        let offset = 0;
+    /**
+     * TTS for one piece of tester speech, as the telephony provider will play it
+     * @returns {Promise<{encoded: Buffer, pcm: Buffer}>} - Wire-format audio to send, and the same audio as 8kHz PCM for the recording
+     */
+    async synthesizeReply(callState, text, speakingLanguage) {
+        const replyAudioBuffer = await providers.tts.textToStream(text, speakingLanguage, callState.persona.voice);
+        // 8kHz at the call's speech level (loudness-normalized, see AudioPipeline)
+        const samples = callState.audio.prepareOutbound(replyAudioBuffer);
+        // Line conditions under test (noise, packet loss, ...) are applied to exactly what the bot will hear
+        const played = callState.degrader ? callState.degrader.process(samples) : samples;
+        const pcm = Buffer.from(played.buffer, played.byteOffset, played.byteLength);
+        return { encoded: callState.audio.encodeOutbound(played), pcm };
+    }
+
+    /**
+     * Starts a tester playback. Barge-in: handleIncomingAudio flags it if the target bot talks over us.
+     */
+    startPlayback(callState, behavior) {
+        const now = Date.now();
+        const playback = {
+            startedAt: now,
+            playedUntil: now,       // When the far end will have played everything sent so far
+            firstChunkAt: null,
+            pacer: callState.audio.createPacer(),
+            segments: [],           // { pcm, startedAt, sentMs } per synthesized piece, for the recording
+            sentMs: 0,
+            totalMs: 0,
+            interrupted: false,
+            talkOver: Boolean(behavior && behavior.mode === 'talkOver')
+        };
+        callState.playback = playback;
+        return playback;
+    }
+
+    /**
+     * Sends one piece of audio, paced (see Pacer). Stops early if the playback is interrupted or the socket closes.
+     */
+    async sendAudio(ws, encoded, pcm, playback) {
+        const segment = { pcm, startedAt: Math.max(Date.now(), playback.playedUntil), sentMs: 0 };
+        playback.segments.push(segment);
+        playback.totalMs += playback.pacer.format.msFor(encoded.length);
+
+        await playback.pacer.send(encoded, (chunk, chunkMs) => {
+            if (ws.readyState !== 1 || playback.interrupted) return false;
+            ws.send(JSON.stringify({
+                event: "media",
+                streamSid: ws.streamSid,
+                media: { payload: chunk.toString('base64') }
+            }));
+
+            // Audio plays back to back in real time, and starts again from now after running dry
+            const now = Date.now();
+            if (playback.firstChunkAt === null) playback.firstChunkAt = now;
+            playback.playedUntil = Math.max(now, playback.playedUntil) + chunkMs;
+            segment.sentMs += chunkMs;
+            playback.sentMs += chunkMs;
+            return true;
+        });
+    }
+
+    /**
+     * Latency marks, recording and barge-in handling once a playback has stopped sending
+     */
+    finishPlayback(callSid, ws, playback, { turn, testerTurn }) {
+        const callState = this.activeCalls.get(callSid);
+        const latency = callState.latency;
+        callState.playback = null;
+
+        // Twilio plays the audio in real time from the first chunk, so playback outlasts the sending
+        const now = Date.now();
+        const playbackEnd = playback.interrupted ? Math.min(now, playback.playedUntil) : Math.max(now, playback.playedUntil);
+        if (playback.firstChunkAt !== null) latency.mark(turn, 'firstAudioChunk', playback.firstChunkAt);
+        latency.mark(turn, 'lastAudioChunk', now);
+        latency.mark(turn, 'playbackEnd', playbackEnd);
+
+        // Only what the bot actually heard goes into the recording (8 samples of 8kHz PCM per ms)
+        playback.segments.forEach(segment => {
+            const heardMs = Math.max(0, Math.min(segment.sentMs, playbackEnd - segment.startedAt));
+            callState.recording.addOutbound(segment.pcm.subarray(0, Math.round(heardMs * 8) * 2), segment.startedAt);
+        });
+        testerTurn.audio = this.recordingRange(callState, playback.startedAt, playbackEnd);
+
+        if (playback.interrupted) {
+            latency.finishTurn(turn, 'interrupted');
+            this.handleBargeIn(callSid, ws, playback);
+            return;
+        }
+
+        latency.finishTurn(turn, 'replied');
+        this.logTurnLatency(turn);
+        console.log(`[Call Manager] Successfully finished streaming audio to Twilio.\n`);
+        this.resetWatchdog(callSid, 45000, "Target bot hung (no response) for 45 seconds after AI spoke.");
+    }
+
+    /**
+     * Notes an injected silence in the history so the transcript and the judge see the pause
+     */
+    injectSilence(callState, behavior) {
+        console.log(`🎭 [Behaviour] Tester stays silent for ${behavior.seconds}s`);
+        callState.history.push({
+            role: "assistant",
+            content: `(Behaviour: the tester stays silent for ${behavior.seconds}s instead of answering)`,
+            type: "behavior",
+            behavior: behavior.type,
+            timestamp: Date.now()
+        });
+        callState.behaviors.record(behavior, callState.history.length - 1);
+    }
+
+    /**
+     * Where a turn sits in the call recording, as { startMs, endMs } offsets from the call start
+     * @returns {object|undefined} - undefined when either end is unknown
+     */
+    recordingRange(callState, startedAt, endedAt) {
+        if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt)) return undefined;
+        return { startMs: callState.recording.offsetOf(startedAt), endMs: callState.recording.offsetOf(endedAt) };
+    }
+
+    /**
+     * One console line per answered turn: how long the bot made us wait, and where our own time went
+     */
+    logTurnLatency(turn) {
+        if (!turn) return;
+        const m = turn.marks;
+        const seconds = (from, to) => (m[from] !== undefined && m[to] !== undefined ? `${((m[to] - m[from]) / 1000).toFixed(2)}s` : 'n/a');
+
+        console.log(`⏱️ [Latency] Turn ${turn.index + 1}: tester replied ${seconds('botSpeechEnd', 'firstAudioChunk')} after the bot stopped ` +
+            `(end-of-turn ${seconds('botSpeechEnd', 'endOfTurn')}, STT ${seconds('sttRequest', 'sttResponse')}, filter ${seconds('filterStart', 'filterEnd')}, ` +
+            `LLM ${seconds('llmStart', 'llmEnd')}, TTS ${seconds('ttsStart', 'ttsEnd')})`);
+    }
+
+    logLatencySummary(latency) {
+        const format = (ms) => (ms === null ? 'n/a' : `${(ms / 1000).toFixed(2)}s`);
+        console.log(`⏱️ [Latency] Bot response p50 ${format(latency.botResponseMs.p50)} / p95 ${format(latency.botResponseMs.p95)} | ` +
+            `Tester response p50 ${format(latency.testerResponseMs.p50)} / p95 ${format(latency.testerResponseMs.p95)} | Dead air ${format(latency.deadAirMs)}`);
+    }
+
+    /**
+     * Stops our tester mid-sentence because the target bot started talking over it.
+     * Twilio has already buffered audio ahead of real time, so it must be told to 'clear' it.
+     */
+    handleBargeIn(callSid, ws, playback) {
+        const callState = this.activeCalls.get(callSid);
+        if (!callState) return;
 
         if (ws.readyState === 1) {
-            while (offset < mulawArray.length) {
-                if (ws.readyState !== 1) break;
-                const chunkBytes = mulawArray.slice(offset, offset + CHUNK_SIZE_BYTES);
-                ws.send(JSON.stringify({
-                    event: "media",
-                    streamSid: ws.streamSid,
-                    media: { payload: Buffer.from(chunkBytes).toString('base64') }
-                }));
-
-                const index = offset / CHUNK_SIZE_BYTES;
-                offset += CHUNK_SIZE_BYTES;
-                if (index >= 5) await new Promise(r => setTimeout(r, 35));
-            }
-            console.log(`[Call Manager] Successfully finished streaming audio to Twilio.\n`);
-            this.resetWatchdog(callSid, 45000, "Target bot hung (no response) for 45 seconds after AI spoke.");
+            ws.send(JSON.stringify({ event: "clear", streamSid: ws.streamSid }));
+        }
+
+        // Twilio plays in real time, so what the bot actually heard is bounded by the wall clock
+        const totalMs = playback.totalMs;
+        const heardMs = Math.min(playback.sentMs, Date.now() - playback.startedAt);
+
+        // Mark the interrupted tester line so the LLM and the report judge know it was cut off
+        const lastTesterTurn = [...callState.history].reverse().find(turn => turn.role === 'assistant');
+        if (lastTesterTurn) {
+            lastTesterTurn.interrupted = true;
+            lastTesterTurn.spokenMs = Math.round(heardMs);
         }
+        callState.history.push({
+            role: "assistant",
+            content: `[Interrupted: the target bot started speaking after ${(heardMs / 1000).toFixed(1)}s of the tester's ${(totalMs / 1000).toFixed(1)}s reply, so the tester stopped talking]`,
+            type: "interruption",
+            timestamp: Date.now()
+        });
+
+        this.publish(CALL_EVENTS.TURN_INTERRUPTED, callSid, { spokenMs: Math.round(heardMs), totalMs: Math.round(totalMs) });
+        console.log(`✋ [Barge-In] Target bot interrupted the tester after ${(heardMs / 1000).toFixed(1)}s / ${(totalMs / 1000).toFixed(1)}s. Playback stopped.`);
     }
 }
 
@@ -0,0 +1,126 @@
+const { WaveFile } = require('wavefile');
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * Records both sides of one call on a shared wall-clock timeline.
+ *
+ * Twilio streams the target bot continuously (silence included), so inbound audio is laid out
+ * back to back from the moment its first packet arrived. Our tester only produces audio while it
+ * talks, so every outbound clip is placed at the time its playback started. Offsets are in ms
+ * from the call start, which is also what history entries use for their `audio` ranges.
+ */
+class CallRecorder {
+    constructor(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.inboundChunks = [];
+        this.inboundOffsetMs = null;   // When the first inbound packet arrived
+        this.outboundClips = [];       // { offsetMs, pcm }
+    }
+
+    /**
+     * Milliseconds between the call start and a wall-clock timestamp
+     */
+    offsetOf(at) {
+        return Math.max(0, Math.round(at - this.startTime));
+    }
+
+    /**
+     * @param {Buffer} pcm - 16-bit 8kHz PCM received from the target bot
+     * @param {number} [at] - Arrival time (only the first packet's matters)
+     */
+    addInbound(pcm, at = Date.now()) {
+        if (this.inboundOffsetMs === null) this.inboundOffsetMs = this.offsetOf(at);
+        this.inboundChunks.push(pcm);
+    }
+
+    /**
+     * @param {Buffer} pcm - 16-bit 8kHz PCM our tester actually played
+     * @param {number} startedAt - Wall-clock time the playback started
+     */
+    addOutbound(pcm, startedAt) {
+        if (pcm.length > 0) this.outboundClips.push({ offsetMs: this.offsetOf(startedAt), pcm });
+    }
+
+    get hasInbound() {
+        return this.inboundChunks.length > 0;
+    }
+
+    get hasOutbound() {
+        return this.outboundClips.length > 0;
+    }
+
+    /**
+     * Everything the bot said, as received (mono PCM)
+     */
+    inboundPcm() {
+        return Buffer.concat(this.inboundChunks);
+    }
+
+    /**
+     * Everything our tester said, clips back to back without the gaps (mono PCM)
+     */
+    outboundPcm() {
+        return Buffer.concat(this.outboundClips.map(clip => clip.pcm));
+    }
+
+    /**
+     * Stereo WAV of the whole call: target bot on the left channel, tester on the right,
+     * silences and overlaps preserved
+     * @returns {Buffer}
+     */
+    toStereoWav() {
+        const toSamples = (pcm) => new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+        const samplesAt = (ms) => Math.round(ms * SAMPLE_RATE / 1000);
+
+        const inbound = toSamples(this.inboundPcm());
+        const inboundStart = samplesAt(this.inboundOffsetMs || 0);
+        let length = inboundStart + inbound.length;
+        for (const clip of this.outboundClips) {
+            length = Math.max(length, samplesAt(clip.offsetMs) + clip.pcm.length / 2);
+        }
+
+        const left = new Int16Array(length);
+        const right = new Int16Array(length);
+        left.set(inbound, inboundStart);
+
+        for (const clip of this.outboundClips) {
+            const samples = toSamples(clip.pcm);
+            const start = samplesAt(clip.offsetMs);
+            // Clips shouldn't overlap, but mix rather than overwrite if they ever do
+            for (let i = 0; i < samples.length; i++) {
+                right[start + i] = Math.max(-32768, Math.min(32767, right[start + i] + samples[i]));
+            }
+        }
+
+        const wav = new WaveFile();
+        wav.fromScratch(2, SAMPLE_RATE, '16', [left, right]);
+        return Buffer.from(wav.toBuffer());
+    }
+
+    /**
+     * Cuts [fromMs, toMs) out of a recording produced by toStereoWav()
+     * @param {Buffer} wavBuffer
+     * @param {number} fromMs
+     * @param {number} toMs
+     * @returns {Buffer}
+     */
+    static clip(wavBuffer, fromMs, toMs) {
+        const wav = new WaveFile(wavBuffer);
+        const channels = wav.fmt.numChannels;
+        const frameBytes = channels * 2;
+        const data = Buffer.from(wav.data.samples);
+        const totalFrames = Math.floor(data.length / frameBytes);
+
+        const frameAt = (ms) => Math.max(0, Math.min(totalFrames, Math.round(ms * wav.fmt.sampleRate / 1000)));
+        const from = frameAt(fromMs);
+        const to = Math.max(from, frameAt(toMs));
+        const slice = data.subarray(from * frameBytes, to * frameBytes);
+
+        const clip = new WaveFile();
+        clip.fromScratch(channels, wav.fmt.sampleRate, '16', new Int16Array(slice.buffer.slice(slice.byteOffset, slice.byteOffset + slice.length)));
+        return Buffer.from(clip.toBuffer());
+    }
+}
+
+module.exports = CallRecorder;
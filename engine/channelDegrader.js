@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const seededRandom = require('./seededRandom');
+
+const SAMPLE_RATE = 8000;
+const FRAME_SAMPLES = 160;   // 20ms, one RTP packet
+const NOISE_DIR = path.join(__dirname, '..', 'assets', 'noise');
+
+/**
+ * Named audio conditions. Scenarios, suite entries and single calls pick one by name, or pass their own
+ * settings object (optionally `{ preset: 'street', ...overrides }`).
+ *
+ *   noise:      { type: 'traffic' | 'crowd' | 'babble' | 'white', snrDb }  background noise at a speech-to-noise ratio
+ *   packetLoss: { rate }                 fraction of 20ms packets dropped (silenced)
+ *   jitter:     { rate, maxMs }          fraction of packets followed by a playout gap of up to maxMs (starved jitter buffer)
+ *   clipping:   { threshold }            clip at this fraction of full scale (overdriven microphone)
+ *   volume:     { gainDb }               e.g. -15 for a caller far from the phone
+ *   speed:      { factor }               >1 talks faster (pitch shifts with it)
+ *   echo:       { delayMs, decay }       single reflection, e.g. a speakerphone in a small room
+ */
+const PRESETS = {
+    clean: {},
+    street: { noise: { type: 'traffic', snrDb: 10 } },
+    'crowded-clinic': { noise: { type: 'crowd', snrDb: 8 }, echo: { delayMs: 120, decay: 0.25 } },
+    'canteen-babble': { noise: { type: 'babble', snrDb: 5 } },
+    'bad-network': { packetLoss: { rate: 0.08 }, jitter: { rate: 0.05, maxMs: 80 } },
+    'quiet-caller': { volume: { gainDb: -18 } },
+    'loud-caller': { volume: { gainDb: 6 }, clipping: { threshold: 0.35 } },
+    'fast-talker': { speed: { factor: 1.25 } },
+    speakerphone: { echo: { delayMs: 180, decay: 0.45 }, volume: { gainDb: -6 }, noise: { type: 'white', snrDb: 25 } }
+};
+const NOISE_TYPES = ['traffic', 'crowd', 'babble', 'white'];
+const EFFECTS = ['noise', 'packetLoss', 'jitter', 'clipping', 'volume', 'speed', 'echo'];
+
+const noiseCache = new Map();
+
+/**
+ * Bundled background noise as 8kHz samples (white noise is generated)
+ */
+function loadNoise(type) {
+    if (!noiseCache.has(type)) {
+        const wav = new WaveFile(fs.readFileSync(path.join(NOISE_DIR, `${type}.wav`)));
+        wav.toBitDepth('16');
+        wav.toSampleRate(SAMPLE_RATE);
+        let samples = wav.getSamples(false, Int16Array);
+        if (wav.fmt.numChannels > 1) samples = samples[0];
+        noiseCache.set(type, samples);
+    }
+    return noiseCache.get(type);
+}
+
+function rms(samples) {
+    // Only count samples above the noise floor so pauses between words don't dilute the speech level
+    let sum = 0;
+    let count = 0;
+    for (const value of samples) {
+        if (Math.abs(value) > 100) {
+            sum += value * value;
+            count++;
+        }
+    }
+    return count > 0 ? Math.sqrt(sum / count) : 0;
+}
+
+/**
+ * Perturbs our tester's synthetic voice before it is sent to the target bot, to measure how robust the
+ * bot's ASR is under realistic line conditions. One instance per call; every reply goes through process().
+ */
+class ChannelDegrader {
+    /**
+     * @param {object} settings - Output of ChannelDegrader.resolve()
+     * @param {number} [seed] - PRNG seed (random per call unless given)
+     */
+    constructor(settings, seed = Math.floor(Math.random() * 2 ** 32)) {
+        this.settings = settings;
+        this.seed = seed;
+        this.random = seededRandom(seed);
+        this.stats = { replies: 0, packetsDropped: 0, gapsInserted: 0, samplesClipped: 0 };
+    }
+
+    static presets() {
+        return Object.entries(PRESETS).map(([name, settings]) => ({ name, settings }));
+    }
+
+    /**
+     * Validates a condition and expands preset names
+     * @param {string|object|null} spec - Preset name, settings object, or { preset, ...overrides }
+     * @returns {object|null} - { name, ...effects }, or null for clean audio
+     */
+    static resolve(spec) {
+        if (spec === undefined || spec === null || spec === '' || spec === 'clean') return null;
+
+        const fromPreset = (name) => {
+            if (!PRESETS[name]) throw new Error(`Unknown audio condition "${name}" (known: ${Object.keys(PRESETS).join(', ')})`);
+            return PRESETS[name];
+        };
+        const settings = typeof spec === 'string'
+            ? { name: spec, ...fromPreset(spec) }
+            : { name: spec.name || spec.preset || 'custom', ...(spec.preset ? fromPreset(spec.preset) : {}), ...spec };
+        delete settings.preset;
+
+        for (const key of Object.keys(settings)) {
+            if (key !== 'name' && key !== 'seed' && !EFFECTS.includes(key)) throw new Error(`Unknown audio effect "${key}" (known: ${EFFECTS.join(', ')})`);
+        }
+        if (settings.noise && !NOISE_TYPES.includes(settings.noise.type)) {
+            throw new Error(`Unknown noise type "${settings.noise.type}" (known: ${NOISE_TYPES.join(', ')})`);
+        }
+        if (settings.speed && !(settings.speed.factor > 0)) throw new Error("speed.factor must be a positive number");
+        return settings;
+    }
+
+    /**
+     * Applies the condition to one reply
+     * @param {Int16Array} samples - 8kHz PCM
+     * @returns {Int16Array} - The degraded reply (its length changes with speed and jitter)
+     */
+    process(samples) {
+        const { noise, packetLoss, jitter, clipping, volume, speed, echo } = this.settings;
+        let signal = Float64Array.from(samples);
+
+        if (speed && speed.factor !== 1) signal = this.changeSpeed(signal, speed.factor);
+        if (volume) {
+            const gain = Math.pow(10, volume.gainDb / 20);
+            for (let i = 0; i < signal.length; i++) signal[i] *= gain;
+        }
+        if (echo) {
+            const delay = Math.round(echo.delayMs * SAMPLE_RATE / 1000);
+            for (let i = signal.length - 1; i >= delay; i--) signal[i] += echo.decay * signal[i - delay];
+        }
+        if (noise) this.addNoise(signal, noise);
+        if (clipping) {
+            const limit = clipping.threshold * 32767;
+            for (let i = 0; i < signal.length; i++) {
+                if (Math.abs(signal[i]) > limit) {
+                    signal[i] = Math.sign(signal[i]) * limit;
+                    this.stats.samplesClipped++;
+                }
+            }
+        }
+        if (packetLoss) {
+            for (let start = 0; start < signal.length; start += FRAME_SAMPLES) {
+                if (this.random() < packetLoss.rate) {
+                    signal.fill(0, start, start + FRAME_SAMPLES);
+                    this.stats.packetsDropped++;
+                }
+            }
+        }
+        if (jitter) signal = this.insertGaps(signal, jitter);
+
+        this.stats.replies++;
+        return Int16Array.from(signal, value => Math.max(-32768, Math.min(32767, Math.round(value))));
+    }
+
+    changeSpeed(signal, factor) {
+        const output = new Float64Array(Math.floor(signal.length / factor));
+        for (let i = 0; i < output.length; i++) {
+            const position = i * factor;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, signal.length - 1);
+            output[i] = signal[index] + (signal[next] - signal[index]) * (position - index);
+        }
+        return output;
+    }
+
+    addNoise(signal, { type, snrDb }) {
+        const speechLevel = rms(signal);
+        if (speechLevel === 0) return;
+
+        let bed;
+        if (type === 'white') {
+            bed = Float64Array.from({ length: signal.length }, () => (this.random() * 2 - 1) * 10000);
+        } else {
+            // Loop the bundled recording from a random point so consecutive replies don't sound identical
+            const source = loadNoise(type);
+            const offset = Math.floor(this.random() * source.length);
+            bed = Float64Array.from({ length: signal.length }, (_, i) => source[(offset + i) % source.length]);
+        }
+
+        const noiseLevel = Math.sqrt(bed.reduce((sum, value) => sum + value * value, 0) / bed.length);
+        if (noiseLevel === 0) return;
+        const gain = speechLevel / (noiseLevel * Math.pow(10, snrDb / 20));
+        for (let i = 0; i < signal.length; i++) signal[i] += bed[i] * gain;
+    }
+
+    insertGaps(signal, { rate, maxMs }) {
+        const chunks = [];
+        for (let start = 0; start < signal.length; start += FRAME_SAMPLES) {
+            chunks.push(signal.subarray(start, start + FRAME_SAMPLES));
+            if (this.random() < rate) {
+                chunks.push(new Float64Array(Math.round(this.random() * maxMs * SAMPLE_RATE / 1000)));
+                this.stats.gapsInserted++;
+            }
+        }
+        const output = new Float64Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * What was applied to the call, as stored in the report
+     */
+    summary() {
+        return { ...this.settings, seed: this.seed, stats: { ...this.stats } };
+    }
+}
+
+module.exports = ChannelDegrader;
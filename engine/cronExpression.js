@@ -0,0 +1,144 @@
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The five standard fields; day of week accepts both 0 and 7 for Sunday
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// next() gives up after this long, e.g. for "0 0 30 2 *" (February 30th)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parses one field ("*", "5", "1-5", "mon-fri", "*\/15", "9-17/2", "1,15") into the set of values it allows
+ */
+function parseField(text, field, expression) {
+    const fail = (reason) => {
+        throw new Error(`Invalid cron expression "${expression}": ${field.name} ${reason}`);
+    };
+    const value = (token) => {
+        const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        const number = named >= 0 ? named + field.offset : /^\d+$/.test(token) ? Number(token) : NaN;
+        if (!Number.isInteger(number)) fail(`has an invalid value "${token}"`);
+        if (number < field.min || number > field.max) fail(`value ${number} is out of range ${field.min}-${field.max}`);
+        return number;
+    };
+
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || range === '') fail(`has an invalid part "${part}"`);
+        const step = stepText === undefined ? 1 : value(stepText);
+        if (step < 1) fail(`step must be at least 1`);
+
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(value);
+            if (from > to) fail(`range ${range} runs backwards`);
+        } else {
+            from = value(range);
+            to = stepText === undefined ? from : field.max;     // "5/15" = every 15 starting at 5
+        }
+        for (let current = from; current <= to; current += step) values.add(current);
+    }
+    return values;
+}
+
+/**
+ * A standard 5-field cron expression ("minute hour day-of-month month day-of-week") evaluated in the
+ * server's local time, e.g. "0 9-17 * * mon-sat" = on the hour during clinic hours, Monday to Saturday.
+ * Supports *, lists, ranges, steps, month/day names and the @hourly / @daily / @weekly / @monthly / @yearly macros.
+ */
+class CronExpression {
+    /**
+     * @param {string} expression
+     * @throws {Error} When the expression is malformed
+     */
+    constructor(expression) {
+        const source = String(expression || '').trim();
+        const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cron expression "${source}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+        }
+
+        this.source = source;
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = fields.map((text, i) => parseField(text, FIELDS[i], source));
+        if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+
+        // Like Vixie cron: when both day fields are restricted, a day matching either one is enough
+        this.anyDayOfMonth = fields[2] === '*';
+        this.anyDayOfWeek = fields[4] === '*';
+    }
+
+    /**
+     * Throws the parse error for a malformed expression, returns the parsed one otherwise
+     */
+    static parse(expression) {
+        return new CronExpression(expression);
+    }
+
+    matchesDay(date) {
+        const dayOfMonth = this.daysOfMonth.has(date.getDate());
+        const dayOfWeek = this.daysOfWeek.has(date.getDay());
+        if (this.anyDayOfMonth || this.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+        return dayOfMonth || dayOfWeek;
+    }
+
+    /**
+     * Whether the expression fires during the minute containing `date`
+     * @param {Date} date
+     */
+    matches(date) {
+        return this.minutes.has(date.getMinutes()) && this.hours.has(date.getHours()) &&
+            this.months.has(date.getMonth() + 1) && this.matchesDay(date);
+    }
+
+    /**
+     * The first minute strictly after `after` at which the expression fires
+     * @param {Date|number} [after]
+     * @returns {Date|null} - null when it never fires (e.g. February 30th)
+     */
+    next(after = new Date()) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = date.getTime() + MAX_LOOKAHEAD_MS;
+
+        // Skip whole months, days and hours that cannot match instead of testing every minute
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,233 @@
+// Languages a call can be placed in, with the Sarvam language codes the STT reports
+const LANGUAGE_CODES = {
+    English: 'en-IN',
+    Hindi: 'hi-IN',
+    Tamil: 'ta-IN',
+    Telugu: 'te-IN',
+    Kannada: 'kn-IN',
+    Marathi: 'mr-IN',
+    Gujarati: 'gu-IN'
+};
+
+// Letters of each supported language's script (Marathi shares Devanagari with Hindi)
+const SCRIPTS = {
+    English: { name: 'Latin', pattern: /[A-Za-z]/g },
+    Hindi: { name: 'Devanagari', pattern: /[\u0900-\u097F]/g },
+    Marathi: { name: 'Devanagari', pattern: /[\u0900-\u097F]/g },
+    Tamil: { name: 'Tamil', pattern: /[\u0B80-\u0BFF]/g },
+    Telugu: { name: 'Telugu', pattern: /[\u0C00-\u0C7F]/g },
+    Kannada: { name: 'Kannada', pattern: /[\u0C80-\u0CFF]/g },
+    Gujarati: { name: 'Gujarati', pattern: /[\u0A80-\u0AFF]/g }
+};
+const ANY_LETTER = /\p{L}/gu;
+
+// A bot turn counts as spoken in a language when at least this share of its letters are in that script
+const SCRIPT_MATCH_RATIO = 0.5;
+
+// Real utterances only: system notes start with "(" or "[", barge-in markers carry a type
+const isSpoken = (turn) => turn.type !== 'interruption' && !/^[[(]/.test(turn.content);
+
+/**
+ * Which language the tester speaks at each of its turns, and whether the target bot follows.
+ * Scenarios opt in with a `languagePlan` block:
+ *
+ *   languagePlan:
+ *     start: English          # language of the tester's first turns (default: the call language)
+ *     switches:
+ *       - atTurn: 2           # tester turn (1-based) from which it speaks the new language
+ *         to: target          # a language name, or "target" for the call's language
+ *     codeMix: English        # mix this language's words into every tester sentence (e.g. Hinglish)
+ *
+ * Calls without a plan speak the call language throughout. One instance per call.
+ */
+class LanguagePlan {
+    /**
+     * @param {{language: string, plan?: object}} options - The call language and the scenario's resolved plan
+     */
+    constructor({ language = 'English', plan = null }) {
+        const resolveName = (name) => (name === 'target' ? language : name);
+
+        this.target = language;
+        this.start = resolveName((plan && plan.start) || 'target');
+        this.switches = ((plan && plan.switches) || []).map(({ atTurn, to }) => ({ atTurn, to: resolveName(to) }));
+        this.codeMix = (plan && plan.codeMix) || null;
+    }
+
+    /**
+     * Validates a scenario's languagePlan block
+     * @param {object|undefined} definition
+     * @returns {object|null} - { start, switches, codeMix }, or null when the scenario has none
+     */
+    static resolve(definition) {
+        if (definition === undefined || definition === null) return null;
+        if (typeof definition !== 'object') throw new Error("languagePlan must be an object");
+
+        const checkLanguage = (name, field) => {
+            if (name !== 'target' && !LANGUAGE_CODES[name]) {
+                throw new Error(`languagePlan.${field} has an unknown language "${name}" (known: target, ${Object.keys(LANGUAGE_CODES).join(', ')})`);
+            }
+        };
+
+        const start = definition.start || 'target';
+        checkLanguage(start, 'start');
+        const switches = Array.isArray(definition.switches) ? definition.switches : [];
+        let previousTurn = 1;
+        for (const entry of switches) {
+            if (!entry || !Number.isInteger(entry.atTurn) || entry.atTurn <= previousTurn) {
+                throw new Error("languagePlan.switches need increasing atTurn numbers greater than 1");
+            }
+            checkLanguage(entry.to, 'switches.to');
+            previousTurn = entry.atTurn;
+        }
+        if (definition.codeMix) checkLanguage(definition.codeMix, 'codeMix');
+
+        return { start, switches: switches.map(({ atTurn, to }) => ({ atTurn, to })), codeMix: definition.codeMix || null };
+    }
+
+    static languageCode(language) {
+        return LANGUAGE_CODES[language] || 'en-IN';
+    }
+
+    /**
+     * Share of a text's letters written in a language's script (null when the text has no letters)
+     */
+    static scriptRatio(text, language) {
+        const letters = (String(text).match(ANY_LETTER) || []).length;
+        if (letters === 0 || !SCRIPTS[language]) return null;
+        return (String(text).match(SCRIPTS[language].pattern) || []).length / letters;
+    }
+
+    /**
+     * Whether a text counts as spoken in a language (enough of its letters are in that language's script)
+     */
+    static isWrittenIn(text, language) {
+        return LanguagePlan.scriptRatio(text, language) >= SCRIPT_MATCH_RATIO;
+    }
+
+    static scriptName(language) {
+        return SCRIPTS[language] ? SCRIPTS[language].name : null;
+    }
+
+    /**
+     * Whether the plan asks for anything beyond one language throughout
+     */
+    get isMultilingual() {
+        return this.start !== this.target || this.switches.length > 0 || this.codeMix !== null;
+    }
+
+    /**
+     * Every language the call may contain
+     */
+    get languages() {
+        return [...new Set([this.start, ...this.switches.map(entry => entry.to), this.target, this.codeMix].filter(Boolean))];
+    }
+
+    /**
+     * Language the tester must speak at one of its turns
+     * @param {number} turnNumber - 1-based tester turn
+     */
+    testerLanguage(turnNumber) {
+        let language = this.start;
+        for (const entry of this.switches) {
+            if (turnNumber >= entry.atTurn) language = entry.to;
+        }
+        return language;
+    }
+
+    /**
+     * Number of real tester utterances in a history
+     */
+    testerTurns(history) {
+        return history.filter(turn => turn.role === 'assistant' && isSpoken(turn)).length;
+    }
+
+    /**
+     * Languages a bot transcript may be in right now: the one the caller last spoke, the one before it (the bot
+     * may lag a switch by a turn) and the code-mixed language. Before the caller speaks, its opening language or
+     * the call language.
+     * @param {object[]} history
+     */
+    acceptedBotLanguages(history) {
+        const spoken = this.testerTurns(history);
+        const languages = spoken === 0
+            ? [this.start, this.target]
+            : [this.testerLanguage(spoken), this.testerLanguage(Math.max(1, spoken - 1)), this.codeMix];
+        return [...new Set(languages.filter(Boolean))];
+    }
+
+    /**
+     * One-line description for prompts, e.g. "start in English, then switch to Tamil from your reply number 2"
+     */
+    describe() {
+        const parts = [`start in ${this.start}`, ...this.switches.map(entry => `switch to ${entry.to} from your reply number ${entry.atTurn}`)];
+        return parts.join(', then ') + (this.codeMix ? `; mix ${this.codeMix} words into every sentence` : '');
+    }
+
+    /**
+     * The language the caller's latest turn set, which the bot should answer in (null before the caller spoke)
+     */
+    expectedBotLanguage(testerTurnsBefore) {
+        return testerTurnsBefore === 0 ? null : this.testerLanguage(testerTurnsBefore);
+    }
+
+    /**
+     * Most likely language of a transcript among the call's languages, by script
+     */
+    detect(text) {
+        let best = null;
+        for (const language of this.languages) {
+            const ratio = LanguagePlan.scriptRatio(text, language);
+            if (ratio !== null && ratio >= SCRIPT_MATCH_RATIO && (!best || ratio > best.ratio)) best = { language, ratio };
+        }
+        return best ? best.language : null;
+    }
+
+    /**
+     * Expected vs detected language of every turn, and how fast the bot followed each switch
+     * @param {object[]} history - Call history
+     * @returns {object} - Stored in the report as `language`
+     */
+    evaluate(history) {
+        const turns = [];
+        let testerTurns = 0;
+        history.forEach((turn, position) => {
+            if (!isSpoken(turn)) return;
+            const speaker = turn.role === 'assistant' ? 'tester' : 'bot';
+            if (speaker === 'tester') testerTurns++;
+
+            const expected = speaker === 'tester' ? this.testerLanguage(testerTurns) : this.expectedBotLanguage(testerTurns);
+            const matches = expected === null ? null : [expected, this.codeMix].filter(Boolean)
+                .some(language => LanguagePlan.isWrittenIn(turn.content, language));
+            turns.push({ position, speaker, testerTurn: testerTurns, expected, detected: this.detect(turn.content), matches, timestamp: turn.timestamp });
+        });
+
+        const switches = this.switches.map(({ atTurn, to }) => {
+            const trigger = turns.find(turn => turn.speaker === 'tester' && turn.testerTurn === atTurn);
+            if (!trigger) return { atTurn, to, reached: false, followed: null, botTurns: null, followMs: null };
+
+            const botTurns = turns.filter(turn => turn.speaker === 'bot' && turn.position > trigger.position);
+            const index = botTurns.findIndex(turn => LanguagePlan.isWrittenIn(history[turn.position].content, to));
+            return {
+                atTurn,
+                to,
+                reached: true,
+                followed: index >= 0,
+                botTurns: index >= 0 ? index + 1 : null,    // Bot turns it took to answer in the new language
+                followMs: index >= 0 && trigger.timestamp && botTurns[index].timestamp ? botTurns[index].timestamp - trigger.timestamp : null
+            };
+        });
+
+        const botTurns = turns.filter(turn => turn.speaker === 'bot' && turn.matches !== null);
+        return {
+            target: this.target,
+            start: this.start,
+            codeMix: this.codeMix,
+            switches,
+            turns: turns.map(({ timestamp, ...turn }) => turn),
+            botTurnsInExpectedLanguage: botTurns.filter(turn => turn.matches).length,
+            botTurnsChecked: botTurns.length
+        };
+    }
+}
+
+module.exports = LanguagePlan;
@@ -0,0 +1,124 @@
+/**
+ * Wall-clock timestamps for every stage of every turn of one call, and the latency stats derived from them.
+ *
+ * A turn starts when the target bot starts speaking and ends once our tester's reply has been played
+ * (or the turn was dropped: empty transcript, hallucination, WAIT). Stage marks (all Date.now() values):
+ *   botSpeechStart, botSpeechEnd, endOfTurn      - from the VAD (endOfTurn: or the streaming STT endpoint)
+ *   sttRequest, sttResponse                      - speech-to-text round trip
+ *   filterStart, filterEnd                       - llmService.isHallucination
+ *   llmStart, llmEnd                             - llmService.processCustomerIntent
+ *   ttsStart, ttsEnd                             - text-to-speech synthesis (of the first sentence for streamed replies)
+ *   pauseEnd                                     - end of an injected silence the tester answers after
+ *   firstAudioChunk, lastAudioChunk, playbackEnd - our reply going out to Twilio
+ *
+ * With REPLY_MODE=streaming the reply is spoken while it is generated, so llmEnd may come after firstAudioChunk.
+ */
+class LatencyTracker {
+    constructor() {
+        this.turns = [];
+        this.current = null;
+    }
+
+    /**
+     * Opens a new turn (or returns the open one if the bot is still in the same turn, e.g. after a breath)
+     * @param {number} [at]
+     */
+    startTurn(at = Date.now()) {
+        if (this.current && !this.current.marks.endOfTurn) return this.current;
+
+        this.current = { index: this.turns.length, outcome: null, marks: {} };
+        this.turns.push(this.current);
+        return this.mark(this.current, 'botSpeechStart', at);
+    }
+
+    /**
+     * Records a stage timestamp on a turn. The first mark of a stage wins, except for
+     * botSpeechEnd, which tracks the last speech segment before the end of turn.
+     * @param {object|null} turn
+     * @param {string} stage
+     * @param {number} [at]
+     */
+    mark(turn, stage, at = Date.now()) {
+        if (!turn) return turn;
+        if (turn.marks[stage] === undefined || stage === 'botSpeechEnd') turn.marks[stage] = Math.round(at);
+        return turn;
+    }
+
+    /**
+     * Closes a turn with what happened to it: replied | interrupted | wait | ignored | silence | ended
+     */
+    finishTurn(turn, outcome) {
+        if (turn && !turn.outcome) turn.outcome = outcome;
+        return turn;
+    }
+
+    /**
+     * Per-stage durations of one turn (undefined when a stage never happened)
+     */
+    measure(turn, previousTurn) {
+        const m = turn.marks;
+        const span = (from, to) => (m[from] !== undefined && m[to] !== undefined ? m[to] - m[from] : undefined);
+        const previousEnd = previousTurn && previousTurn.marks.playbackEnd;
+
+        return {
+            index: turn.index,
+            outcome: turn.outcome || 'ended',
+            // Dead air the bot leaves after our tester stops talking
+            botResponseMs: previousEnd !== undefined && m.botSpeechStart !== undefined ? m.botSpeechStart - previousEnd : undefined,
+            botSpeechMs: span('botSpeechStart', 'botSpeechEnd'),
+            endOfTurnDetectionMs: span('botSpeechEnd', 'endOfTurn'),
+            sttMs: span('sttRequest', 'sttResponse'),
+            filterMs: span('filterStart', 'filterEnd'),
+            llmMs: span('llmStart', 'llmEnd'),
+            ttsMs: span('ttsStart', 'ttsEnd'),
+            // Dead air our own pipeline leaves after the bot stops talking (a deliberate pause is not the pipeline's)
+            testerResponseMs: span(m.pauseEnd !== undefined ? 'pauseEnd' : 'botSpeechEnd', 'firstAudioChunk'),
+            playbackMs: span('firstAudioChunk', 'playbackEnd')
+        };
+    }
+
+    /**
+     * Per-turn breakdown plus aggregate stats, as stored in the post-call report
+     */
+    summary() {
+        const turns = this.turns.map((turn, i) => this.measure(turn, this.turns[i - 1]));
+        const values = key => turns.map(t => t[key]).filter(v => Number.isFinite(v));
+
+        const botResponse = values('botResponseMs');
+        const testerResponse = values('testerResponseMs');
+
+        return {
+            botResponseMs: LatencyTracker.stats(botResponse),
+            testerResponseMs: LatencyTracker.stats(testerResponse),
+            stages: {
+                endOfTurnDetectionMs: LatencyTracker.stats(values('endOfTurnDetectionMs')),
+                sttMs: LatencyTracker.stats(values('sttMs')),
+                filterMs: LatencyTracker.stats(values('filterMs')),
+                llmMs: LatencyTracker.stats(values('llmMs')),
+                ttsMs: LatencyTracker.stats(values('ttsMs'))
+            },
+            deadAirMs: [...botResponse, ...testerResponse].reduce((sum, v) => sum + Math.max(0, v), 0),
+            turns
+        };
+    }
+
+    /**
+     * count / p50 / p95 / avg / max of a list of durations (nearest-rank percentiles)
+     * @param {number[]} values
+     */
+    static stats(values) {
+        if (values.length === 0) return { count: 0, p50: null, p95: null, avg: null, max: null };
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const percentile = p => sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+        return {
+            count: sorted.length,
+            p50: percentile(50),
+            p95: percentile(95),
+            avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+            max: sorted[sorted.length - 1]
+        };
+    }
+}
+
+module.exports = LatencyTracker;
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PERSONAS_DIR = path.join(__dirname, '..', 'personas');
+const LANGUAGES = ['English', 'Hindi', 'Tamil', 'Telugu', 'Kannada', 'Marathi', 'Gujarati'];
+
+/**
+ * How each kind of caller talks. `voiceStyle` is what the tester LLM is told when the persona
+ * doesn't describe itself; `languageRule` is added to the prompt's language rules.
+ */
+const STYLES = {
+    calm: {
+        voiceStyle: 'Friendly, calm, normal pace.'
+    },
+    elderly: {
+        voiceStyle: 'You are an elderly patient. Speak slowly and politely, use simple words, sometimes ask the bot to repeat ' +
+            'itself or to speak louder, and occasionally give a detail twice.'
+    },
+    hurried: {
+        voiceStyle: 'You are in a hurry. Give very short answers, sometimes answer two questions at once, and ask the bot to ' +
+            'be quick. Do not make small talk.'
+    },
+    hesitant: {
+        voiceStyle: 'You are unsure and nervous. Start sentences with "umm" or "I think", pause mid-sentence, and sometimes ' +
+            'correct yourself before giving the right detail.'
+    },
+    hinglish: {
+        voiceStyle: 'You are a young urban caller who mixes English words into every sentence (code-mixing), e.g. ' +
+            '"Mujhe kal ke liye ek appointment book karna hai, morning mein."',
+        languageRule: 'Mix common English words (appointment, doctor, morning, confirm, slot) into your sentences the way ' +
+            'urban speakers do; the sentence structure must stay in the call language.'
+    }
+};
+
+// The original single caller, used when the personas directory is empty
+const DEFAULT_PERSONA = {
+    id: 'gokulakannan',
+    name: 'Gokulakannan',
+    age: 30,
+    gender: 'Male',
+    phone: '6374038470',
+    style: 'calm'
+};
+
+/**
+ * Loads the caller personas from personas/*.yaml: who the patient is (name, age, gender, phone),
+ * how they talk (style) and which TTS voice speaks for them (speaker, pace, pitch).
+ */
+class PersonaLibrary {
+    constructor(personasDir = process.env.PERSONAS_DIR || DEFAULT_PERSONAS_DIR) {
+        this.personasDir = personasDir;
+        this.personas = new Map();
+        this.reload();
+    }
+
+    /**
+     * (Re)reads every .yaml/.yml/.json file in the personas directory.
+     * Throws if a file is malformed so a broken persona is caught at startup, not mid-call.
+     */
+    reload() {
+        const personas = new Map();
+        const files = fs.existsSync(this.personasDir) ? fs.readdirSync(this.personasDir).sort() : [];
+
+        for (const file of files) {
+            const ext = path.extname(file).toLowerCase();
+            if (!['.yaml', '.yml', '.json'].includes(ext)) continue;
+
+            const raw = fs.readFileSync(path.join(this.personasDir, file), 'utf8');
+            const persona = this.normalize(ext === '.json' ? JSON.parse(raw) : yaml.load(raw), file);
+
+            if (personas.has(persona.id)) {
+                throw new Error(`[Persona Library] Duplicate persona id "${persona.id}" in ${file}`);
+            }
+            personas.set(persona.id, persona);
+        }
+
+        if (personas.size === 0) personas.set(DEFAULT_PERSONA.id, this.normalize(DEFAULT_PERSONA, 'default persona'));
+        this.personas = personas;
+        return this;
+    }
+
+    /**
+     * Validates a raw persona definition and fills in defaults (also used for personas inlined in a scenario)
+     * @param {object} definition - Parsed file contents
+     * @param {string} file - Source file name (for error messages)
+     * @returns {object}
+     */
+    normalize(definition, file) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`[Persona Library] ${file} does not contain a persona object`);
+        }
+        if (!definition.name) {
+            throw new Error(`[Persona Library] ${file} must define at least "name"`);
+        }
+
+        const style = definition.style || 'calm';
+        if (!STYLES[style]) {
+            throw new Error(`[Persona Library] ${file} has an unknown style "${style}" (known: ${Object.keys(STYLES).join(', ')})`);
+        }
+        const languages = definition.languages || LANGUAGES;
+        const unknownLanguage = languages.find(language => !LANGUAGES.includes(language));
+        if (unknownLanguage) {
+            throw new Error(`[Persona Library] ${file} lists an unknown language "${unknownLanguage}" (known: ${LANGUAGES.join(', ')})`);
+        }
+
+        // Sarvam's accepted ranges; pitch and loudness are only honored by models that support them (bulbul:v2)
+        const voice = definition.voice || {};
+        const inRange = (field, min, max) => {
+            if (voice[field] !== undefined && !(voice[field] >= min && voice[field] <= max)) {
+                throw new Error(`[Persona Library] ${file} voice.${field} must be between ${min} and ${max}`);
+            }
+        };
+        inRange('pace', 0.5, 2);
+        inRange('pitch', -0.75, 0.75);
+        inRange('loudness', 0.3, 3);
+
+        return {
+            id: String(definition.id || definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')),
+            name: definition.name,
+            age: definition.age || 30,
+            gender: definition.gender || 'Male',
+            phone: String(definition.phone || DEFAULT_PERSONA.phone),
+            style,
+            voiceStyle: definition.voiceStyle || STYLES[style].voiceStyle,
+            languages,
+            voice: {
+                speaker: voice.speaker || 'rahul',
+                pace: voice.pace !== undefined ? voice.pace : 1.1,
+                ...(voice.pitch !== undefined ? { pitch: voice.pitch } : {}),
+                ...(voice.loudness !== undefined ? { loudness: voice.loudness } : {}),
+                ...(voice.model ? { model: voice.model } : {})
+            }
+        };
+    }
+
+    has(id) {
+        return this.personas.has(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.personas.get(id);
+    }
+
+    /**
+     * Lightweight listing for the dashboard / API
+     */
+    list() {
+        return [...this.personas.values()].map(({ id, name, age, gender, style, languages }) => ({ id, name, age, gender, style, languages }));
+    }
+
+    /**
+     * Extra language rule for the tester prompt (e.g. code-mixing), or null
+     */
+    languageRule(persona) {
+        return (STYLES[persona.style] && STYLES[persona.style].languageRule) || null;
+    }
+
+    /**
+     * Picks a random persona that can speak the call's language
+     * @param {string[]|null} ids - Pool to pick from (null = every persona)
+     * @param {string} language
+     * @param {Function} [random] - Returns [0, 1), for reproducible picks
+     */
+    pick(ids, language, random = Math.random) {
+        const pool = (ids || [...this.personas.keys()]).map(id => this.get(id));
+        const speakers = pool.filter(persona => persona.languages.includes(language));
+        const candidates = speakers.length > 0 ? speakers : pool;
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+
+    /**
+     * Chooses the caller for one call: an explicit request wins, then the scenario's fixed persona, then a
+     * random pick from the scenario's pool
+     * @param {object} scenario - Normalized scenario (persona / personas)
+     * @param {{requested?: string|object, language?: string, random?: Function}} [options] - requested is a persona
+     *   id, 'random', or a full persona object
+     * @returns {object}
+     */
+    select(scenario, { requested, language = 'English', random } = {}) {
+        if (requested && typeof requested === 'object') return this.normalize(requested, 'call options');
+        if (requested && requested !== 'random') {
+            if (!this.has(requested)) throw new Error(`Unknown persona "${requested}" (known: ${[...this.personas.keys()].join(', ')})`);
+            return this.get(requested);
+        }
+        if (requested === 'random') return this.pick(null, language, random);
+        if (scenario && scenario.persona) return scenario.persona;
+        return this.pick(scenario ? scenario.personas : null, language, random);
+    }
+
+    /**
+     * What the report records about the caller
+     */
+    summary(persona) {
+        const { id, name, age, gender, phone, style, voice } = persona;
+        return { id, name, age, gender, phone, style, voice };
+    }
+}
+
+module.exports = new PersonaLibrary();
@@ -0,0 +1,259 @@
+const LatencyTracker = require('./latencyTracker');
+const suiteRunner = require('./suiteRunner');
+const callStore = require('../services/callStore');
+
+// Words that say nothing about what went wrong, ignored when clustering enhancement suggestions
+const STOPWORDS = new Set(('a an the and or but to of in on at for with by from as is are was were be been it its this that these those ' +
+    'bot should must could would can will not no when if then than so too very more less into about user caller patient ' +
+    'please ensure make sure improve better need needs add use also').split(' '));
+const SIMILARITY_THRESHOLD = 0.35;
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Content words of a suggestion, crudely stemmed ("confirms", "confirmed", "confirming" -> "confirm")
+ */
+function keywords(text) {
+    return new Set(String(text).toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOPWORDS.has(word))
+        .map(word => word.replace(/(ing|ed|s)$/, '')));
+}
+
+function similarity(a, b) {
+    const shared = [...a].filter(word => b.has(word)).length;
+    const total = new Set([...a, ...b]).size;
+    return total === 0 ? 0 : shared / total;
+}
+
+function passStats(calls) {
+    const passed = calls.filter(call => call.status === 'passed').length;
+    return { total: calls.length, passed, failed: calls.length - passed, passRate: calls.length > 0 ? passed / calls.length : 0 };
+}
+
+function groupBy(calls, keyOf) {
+    const groups = new Map();
+    for (const call of calls) {
+        const key = keyOf(call);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(call);
+    }
+    return groups;
+}
+
+/**
+ * Compares two sets of finished calls of the same target bot (e.g. the suite runs before and after a release):
+ * pass-rate deltas, latency changes, failure categories that appeared, and the cases that started failing.
+ * A set is either a suite run id or a range of stored calls ("2026-10-01..2026-10-07", either end optional).
+ */
+class RunComparator {
+    /**
+     * Resolves a set specification into calls: { callSid, scenario, language, status, report }
+     * @param {string} spec - Suite run id, or "<from>..<to>" (ISO dates/times) over the call store
+     * @returns {{label: string, calls: object[]}}
+     */
+    loadSet(spec) {
+        if (!spec) throw new Error("Missing set: pass a suite run id or a <from>..<to> range of stored calls");
+
+        if (spec.includes('..')) {
+            const [from, to] = spec.split('..').map(bound => (bound ? new Date(bound) : null));
+            if ([from, to].some(bound => bound && isNaN(bound))) throw new Error(`Invalid date range: ${spec}`);
+            // A bare end date includes that whole day
+            if (to && /^\d{4}-\d{2}-\d{2}$/.test(spec.split('..')[1])) to.setUTCDate(to.getUTCDate() + 1);
+
+            const calls = callStore.listCalls({ limit: Infinity })
+                .filter(call => call.report && (!from || new Date(call.startTime) >= from) && (!to || new Date(call.startTime) < to))
+                .map(call => ({
+                    callSid: call.callSid,
+                    scenario: call.scenario,
+                    language: call.targetLanguage,
+                    status: String(call.report.status).toLowerCase(),
+                    report: call.report
+                }));
+            return { label: `Calls ${spec}`, calls };
+        }
+
+        const run = suiteRunner.getRun(spec);
+        if (!run) {
+            const error = new Error(`Run not found: ${spec}`);
+            error.notFound = true;
+            throw error;
+        }
+        return {
+            label: `${run.suiteName} (${run.runId})`,
+            calls: run.calls.filter(call => call.status !== 'queued' && call.status !== 'cancelled')
+        };
+    }
+
+    /**
+     * Loads and compares two sets, attaching the stored transcripts of newly failing calls
+     * @param {string} baselineSpec
+     * @param {string} candidateSpec
+     * @param {object} [options] - See compare()
+     */
+    compareSets(baselineSpec, candidateSpec, options = {}) {
+        const comparison = this.compare(this.loadSet(baselineSpec), this.loadSet(candidateSpec), options);
+
+        for (const failing of comparison.newlyFailing) {
+            for (const call of failing.calls) {
+                const stored = call.callSid ? callStore.getCall(call.callSid) : null;
+                call.transcript = stored
+                    ? stored.history.map(turn => ({ role: turn.role === 'user' ? 'bot' : 'tester', content: turn.content }))
+                    : [];
+            }
+        }
+        return comparison;
+    }
+
+    /**
+     * @param {{label: string, calls: object[]}} baseline
+     * @param {{label: string, calls: object[]}} candidate
+     * @param {{maxPassRateDrop?: number, maxLatencyIncreaseMs?: number}} [options] - Release gate thresholds:
+     *   how far the overall or any scenario/language pass rate may drop, and how much the bot's median
+     *   response time may grow before the comparison counts as a regression
+     */
+    compare(baseline, candidate, { maxPassRateDrop = 0.05, maxLatencyIncreaseMs = 500 } = {}) {
+        const overall = { baseline: passStats(baseline.calls), candidate: passStats(candidate.calls) };
+        overall.delta = overall.candidate.passRate - overall.baseline.passRate;
+
+        const breakdown = (keyOf) => {
+            const before = groupBy(baseline.calls, keyOf);
+            const after = groupBy(candidate.calls, keyOf);
+            return [...new Set([...before.keys(), ...after.keys()])].sort().map(key => {
+                const row = { key, baseline: passStats(before.get(key) || []), candidate: passStats(after.get(key) || []) };
+                row.delta = row.baseline.total > 0 && row.candidate.total > 0 ? row.candidate.passRate - row.baseline.passRate : null;
+                return row;
+            });
+        };
+        const byScenario = breakdown(call => call.scenario);
+        const byLanguage = breakdown(call => call.language);
+        const byDegradation = breakdown(call => (call.report && call.report.degradation ? call.report.degradation.name : 'clean'));
+        const byCase = breakdown(call => `${call.scenario} / ${call.language}`);
+
+        const latency = this.compareLatency(baseline.calls, candidate.calls);
+        const failureCategories = this.clusterFailures(baseline.calls, candidate.calls);
+
+        // Cases that pass less often than before, with the calls that failed this time
+        const newlyFailing = byCase
+            .filter(row => row.delta !== null && row.delta < 0)
+            .map(row => ({
+                key: row.key,
+                baseline: row.baseline,
+                candidate: row.candidate,
+                calls: candidate.calls
+                    .filter(call => `${call.scenario} / ${call.language}` === row.key && call.status !== 'passed')
+                    .map(call => ({
+                        callSid: call.callSid,
+                        status: call.status,
+                        verdict: call.report ? call.report.verdict || call.report.uxAnalysis : call.error
+                    }))
+            }));
+
+        const reasons = [];
+        if (overall.delta < -maxPassRateDrop) {
+            reasons.push(`Pass rate dropped from ${percent(overall.baseline.passRate)} to ${percent(overall.candidate.passRate)}`);
+        }
+        for (const row of [...byScenario, ...byLanguage]) {
+            if (row.delta !== null && row.delta < -maxPassRateDrop) {
+                reasons.push(`${row.key}: pass rate dropped from ${percent(row.baseline.passRate)} to ${percent(row.candidate.passRate)}`);
+            }
+        }
+        const botP50 = latency.botResponseMs;
+        if (botP50.deltaP50 !== null && botP50.deltaP50 > maxLatencyIncreaseMs) {
+            reasons.push(`Bot median response time grew by ${botP50.deltaP50}ms (${botP50.baseline.p50}ms -> ${botP50.candidate.p50}ms)`);
+        }
+        newlyFailing.forEach(row => reasons.push(`Newly failing: ${row.key} (${row.candidate.failed}/${row.candidate.total} failed)`));
+
+        return {
+            baseline: { label: baseline.label, ...overall.baseline },
+            candidate: { label: candidate.label, ...overall.candidate },
+            passRateDelta: overall.delta,
+            byScenario,
+            byLanguage,
+            byDegradation,
+            byCase,
+            latency,
+            failureCategories,
+            newlyFailing,
+            regression: { detected: reasons.length > 0, reasons, thresholds: { maxPassRateDrop, maxLatencyIncreaseMs } }
+        };
+    }
+
+    /**
+     * Per-turn bot and tester response times pooled over each set, and dead air per call
+     */
+    compareLatency(baselineCalls, candidateCalls) {
+        const metrics = {
+            botResponseMs: (call) => this.turnValues(call, 'botResponseMs'),
+            testerResponseMs: (call) => this.turnValues(call, 'testerResponseMs'),
+            deadAirMs: (call) => (call.report && call.report.latency ? [call.report.latency.deadAirMs] : [])
+        };
+
+        const result = {};
+        for (const [metric, valuesOf] of Object.entries(metrics)) {
+            const baseline = LatencyTracker.stats(baselineCalls.flatMap(valuesOf));
+            const candidate = LatencyTracker.stats(candidateCalls.flatMap(valuesOf));
+            const both = baseline.count > 0 && candidate.count > 0;
+            result[metric] = {
+                baseline,
+                candidate,
+                deltaP50: both ? candidate.p50 - baseline.p50 : null,
+                deltaP95: both ? candidate.p95 - baseline.p95 : null
+            };
+        }
+        return result;
+    }
+
+    turnValues(call, field) {
+        const turns = call.report && call.report.latency ? call.report.latency.turns || [] : [];
+        return turns.map(turn => turn[field]).filter(Number.isFinite);
+    }
+
+    /**
+     * Groups what went wrong in each set into categories: the LLM's enhancement suggestions clustered by
+     * shared keywords, plus failed assertions and slot mismatches by name. A category is new when only
+     * the candidate set has it.
+     * @returns {{new: object[], resolved: object[], persisting: object[]}}
+     */
+    clusterFailures(baselineCalls, candidateCalls) {
+        const clusters = [];
+        const add = (text, set, callSid, exact) => {
+            const words = keywords(text);
+            let cluster = clusters.find(c => (exact ? c.label === text : !c.exact && similarity(c.words, words) >= SIMILARITY_THRESHOLD));
+            if (!cluster) {
+                cluster = { label: text, exact, words, baselineCount: 0, candidateCount: 0, examples: [], callSids: [] };
+                clusters.push(cluster);
+            }
+            cluster[`${set}Count`]++;
+            if (set === 'candidate') {
+                if (cluster.examples.length < 3 && !cluster.examples.includes(text)) cluster.examples.push(text);
+                if (callSid && !cluster.callSids.includes(callSid)) cluster.callSids.push(callSid);
+            }
+        };
+
+        const collect = (calls, set) => {
+            for (const call of calls) {
+                const report = call.report;
+                if (!report) continue;
+                (report.enhancements || []).forEach(text => add(text, set, call.callSid, false));
+                (report.assertions || []).filter(result => result.passed === false)
+                    .forEach(result => add(`Assertion failed: ${result.name}`, set, call.callSid, true));
+                (report.findings || []).filter(finding => finding.severity === 'error')
+                    .forEach(finding => add(`Slot mismatch: ${finding.field}`, set, call.callSid, true));
+            }
+        };
+        collect(baselineCalls, 'baseline');
+        collect(candidateCalls, 'candidate');
+
+        const categories = clusters
+            .map(({ label, baselineCount, candidateCount, examples, callSids }) => ({ label, baselineCount, candidateCount, examples, callSids }))
+            .sort((a, b) => b.candidateCount - a.candidateCount);
+        return {
+            new: categories.filter(c => c.baselineCount === 0),
+            resolved: categories.filter(c => c.candidateCount === 0),
+            persisting: categories.filter(c => c.baselineCount > 0 && c.candidateCount > 0)
+        };
+    }
+}
+
+module.exports = new RunComparator();
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const assertionEngine = require('./assertionEngine');
+const ChannelDegrader = require('./channelDegrader');
+const personaLibrary = require('./personaLibrary');
+const LanguagePlan = require('./languagePlan');
+const BehaviorInjector = require('./behaviorInjector');
+
+const DEFAULT_SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+class ScenarioLibrary {
+    constructor(scenariosDir = process.env.SCENARIOS_DIR || DEFAULT_SCENARIOS_DIR) {
+        this.scenariosDir = scenariosDir;
+        this.scenarios = new Map();
+        this.reload();
+    }
+
+    /**
+     * (Re)reads every .yaml/.yml/.json file in the scenarios directory.
+     * Throws if a file is malformed so a broken scenario is caught at startup, not mid-call.
+     */
+    reload() {
+        const scenarios = new Map();
+        const files = fs.existsSync(this.scenariosDir) ? fs.readdirSync(this.scenariosDir).sort() : [];
+
+        for (const file of files) {
+            const ext = path.extname(file).toLowerCase();
+            if (!['.yaml', '.yml', '.json'].includes(ext)) continue;
+
+            const filePath = path.join(this.scenariosDir, file);
+            const raw = fs.readFileSync(filePath, 'utf8');
+            const definition = ext === '.json' ? JSON.parse(raw) : yaml.load(raw);
+            const scenario = this.normalize(definition, file);
+
+            if (scenarios.has(scenario.id)) {
+                throw new Error(`[Scenario Library] Duplicate scenario id "${scenario.id}" in ${file}`);
+            }
+            scenarios.set(scenario.id, scenario);
+        }
+
+        this.scenarios = scenarios;
+        return this;
+    }
+
+    /**
+     * Validates a raw scenario definition and fills in defaults
+     * @param {object} definition - Parsed file contents
+     * @param {string} file - Source file name (for error messages)
+     * @returns {object}
+     */
+    normalize(definition, file) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`[Scenario Library] ${file} does not contain a scenario object`);
+        }
+        if (!definition.id || !definition.goal) {
+            throw new Error(`[Scenario Library] ${file} must define at least "id" and "goal"`);
+        }
+
+        const assertions = Array.isArray(definition.assertions) ? definition.assertions : [];
+        for (const assertion of assertions) {
+            if (!assertion || !assertionEngine.has(assertion.type)) {
+                throw new Error(`[Scenario Library] ${file} has an unknown assertion type "${assertion && assertion.type}" (known: ${assertionEngine.types().join(', ')})`);
+            }
+        }
+
+        let degradation;
+        let languagePlan;
+        let behaviors;
+        try {
+            degradation = ChannelDegrader.resolve(definition.degradation);
+            languagePlan = LanguagePlan.resolve(definition.languagePlan);
+            behaviors = BehaviorInjector.resolve(definition.behaviors);
+        } catch (e) {
+            throw new Error(`[Scenario Library] ${file}: ${e.message}`);
+        }
+
+        // A scenario either pins one inline persona or picks from a pool of persona ids (all personas by default)
+        const persona = definition.persona ? personaLibrary.normalize(definition.persona, file) : null;
+        const personas = Array.isArray(definition.personas) ? definition.personas.map(String) : null;
+        const unknownPersona = (personas || []).find(id => !personaLibrary.has(id));
+        if (unknownPersona) {
+            throw new Error(`[Scenario Library] ${file} references an unknown persona "${unknownPersona}"`);
+        }
+
+        const dateWindow = definition.dateWindow || {};
+        const bargeIn = definition.bargeIn || {};
+
+        return {
+            id: String(definition.id),
+            name: definition.name || String(definition.id),
+            description: definition.description || '',
+            intent: definition.intent || definition.name || String(definition.id),
+            goal: String(definition.goal).trim(),
+            persona,                            // Fixed caller, or null to pick one from `personas` per call
+            personas,
+            symptoms: Array.isArray(definition.symptoms) ? definition.symptoms : [],
+            dateWindow: {
+                minDaysAhead: Number.isFinite(dateWindow.minDaysAhead) ? dateWindow.minDaysAhead : 0,
+                maxDaysAhead: Number.isFinite(dateWindow.maxDaysAhead) ? dateWindow.maxDaysAhead : 15
+            },
+            confusionTactics: Array.isArray(definition.confusionTactics) ? definition.confusionTactics : [],
+            passCriteria: Array.isArray(definition.passCriteria) ? definition.passCriteria : [],
+            assertions,                         // Deterministic checks run by the assertion engine after the call
+            next: definition.next || {},
+            vad: definition.vad || {},          // Per-scenario VoiceActivityDetector tuning (e.g. endOfTurnMs)
+            bargeIn: {
+                enabled: bargeIn.enabled !== false,
+                minSpeechMs: Number.isFinite(bargeIn.minSpeechMs) ? bargeIn.minSpeechMs : 300
+            },
+            degradation,                        // Default audio condition of the tester's voice (null = clean)
+            languagePlan,                       // Scheduled language switches / code-mixing (null = call language throughout)
+            behaviors,                          // Adversarial caller behaviours to inject (see BehaviorInjector)
+            source: file
+        };
+    }
+
+    has(id) {
+        return this.scenarios.has(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.scenarios.get(id);
+    }
+
+    /**
+     * Lightweight listing for the dashboard / API
+     */
+    list() {
+        return [...this.scenarios.values()].map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * Picks a random symptom for a call (null when the scenario has none)
+     * @param {object} scenario
+     * @param {Function} [random] - Returns [0, 1), for reproducible picks
+     */
+    pickSymptom(scenario, random = Math.random) {
+        if (!scenario || scenario.symptoms.length === 0) return null;
+        return scenario.symptoms[Math.floor(random() * scenario.symptoms.length)];
+    }
+
+    /**
+     * Renders the scenario goal with the call-specific placeholders (e.g. {{symptom}}) filled in
+     */
+    renderGoal(scenario, callState) {
+        return scenario.goal.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+            const value = callState[key];
+            return value === undefined || value === null ? match : String(value);
+        });
+    }
+
+    /**
+     * Determines which scenario the next auto-rotated call should run, based on this call's report
+     */
+    resolveNext(scenarioId, report) {
+        const scenario = this.get(scenarioId);
+        if (!scenario) return 'BOOKING';
+
+        const next = scenario.next;
+        if (report && report.isBookingConfirmed === true && next.onBookingConfirmed) {
+            return next.onBookingConfirmed;
+        }
+        return next.otherwise || 'BOOKING';
+    }
+}
+
+module.exports = new ScenarioLibrary();
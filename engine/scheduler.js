@@ -0,0 +1,209 @@
+const suiteRunner = require('./suiteRunner');
+const CronExpression = require('./cronExpression');
+const scheduleStore = require('../services/scheduleStore');
+
+// Fields a client may set; the rest (ids, timestamps, last results) is managed here
+const EDITABLE_FIELDS = ['name', 'cron', 'enabled', 'suiteId', 'entries', 'concurrency'];
+
+/**
+ * Runs test suites on cron schedules, turning the tester into a synthetic uptime monitor for the target bot.
+ * A schedule either points at a suite in suites/ or carries its own scenario x language matrix:
+ *
+ *   { "name": "Clinic hours health check", "cron": "0 9-17 * * mon-sat", "suiteId": "smoke" }
+ *   { "name": "Hourly Hindi booking", "cron": "@hourly", "entries": [{ "scenario": "BOOKING", "language": "Hindi" }] }
+ *
+ * Each firing starts an ordinary suite run, so results are stored and compared like manual runs.
+ */
+class Scheduler {
+    constructor(runner, store) {
+        this.suiteRunner = runner;
+        this.store = store;
+        this.timer = null;
+
+        // Remember how the latest run of each schedule went (the bot's health as of that run)
+        runner.on('runFinished', run => {
+            if (run.scheduleId) this.recordResult(run);
+        });
+    }
+
+    /**
+     * Checks the schedules at the start of every minute until stop() is called
+     */
+    start() {
+        if (this.timer) return;
+        const schedules = this.list().filter(schedule => schedule.enabled);
+        console.log(`⏰ [Scheduler] Started with ${schedules.length} active schedule(s)`);
+
+        const armNextTick = () => {
+            const now = new Date();
+            const msToNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+            this.timer = setTimeout(() => {
+                this.tick(new Date());
+                armNextTick();
+            }, msToNextMinute);
+            // Never keep the process alive just for the schedule
+            this.timer.unref();
+        };
+        armNextTick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Starts every enabled schedule whose cron expression matches this minute
+     * @param {Date} now
+     * @returns {object[]} - The runs started
+     */
+    tick(now) {
+        const started = [];
+        for (const schedule of this.store.listSchedules()) {
+            if (!schedule.enabled) continue;
+            try {
+                if (!new CronExpression(schedule.cron).matches(now)) continue;
+                const run = this.trigger(schedule, now);
+                if (run) started.push(run);
+            } catch (e) {
+                console.error(`[Scheduler] Schedule ${schedule.id} (${schedule.name}) failed to start: ${e.message}`);
+            }
+        }
+        return started;
+    }
+
+    /**
+     * Starts a schedule's suite now, unless its previous run is still going
+     * @returns {object|null} - The run, or null when skipped
+     */
+    trigger(schedule, now = new Date()) {
+        const previous = schedule.lastRunId && this.suiteRunner.getRun(schedule.lastRunId);
+        if (previous && (previous.status === 'running' || previous.status === 'cancelling')) {
+            console.log(`⏰ [Scheduler] Skipping ${schedule.name}: its previous run ${previous.runId} is still going`);
+            this.store.saveSchedule({ ...schedule, lastSkippedAt: now.toISOString() });
+            return null;
+        }
+
+        const run = this.suiteRunner.start(this.suiteFor(schedule), { scheduleId: schedule.id });
+        console.log(`⏰ [Scheduler] ${schedule.name} (${schedule.cron}) started ${run.runId}`);
+        this.store.saveSchedule({ ...schedule, lastRunId: run.runId, lastRunAt: now.toISOString() });
+        return run;
+    }
+
+    /**
+     * The suite definition a schedule runs
+     */
+    suiteFor(schedule) {
+        if (schedule.suiteId) return this.suiteRunner.loadSuite(schedule.suiteId);
+        return { id: schedule.id, name: schedule.name, concurrency: schedule.concurrency, entries: schedule.entries };
+    }
+
+    recordResult(run) {
+        const schedule = this.store.getSchedule(run.scheduleId);
+        if (!schedule) return;
+
+        const { runId, status, passed, completed, passRate, finishedAt } = run;
+        this.store.saveSchedule({ ...schedule, lastResult: { runId, status, passed, completed, passRate, finishedAt } });
+        console.log(`🩺 [Scheduler] ${schedule.name}: ${passed}/${completed} calls passed (${(passRate * 100).toFixed(1)}%)`);
+    }
+
+    /**
+     * Validates a schedule definition (throws on the first problem)
+     */
+    validate(schedule) {
+        if (!schedule.name || typeof schedule.name !== 'string') throw new Error("Schedule needs a name");
+        new CronExpression(schedule.cron);
+        if (Boolean(schedule.suiteId) === Boolean(schedule.entries)) throw new Error("Schedule needs either a suiteId or an entries matrix");
+        // Expanding the matrix checks scenarios, personas, audio conditions and behaviours
+        this.suiteRunner.expandSuite(this.suiteFor(schedule));
+    }
+
+    /**
+     * Adds the next firing time for the API / dashboard
+     */
+    describe(schedule) {
+        let nextRunAt = null;
+        try {
+            const next = schedule.enabled ? new CronExpression(schedule.cron).next() : null;
+            nextRunAt = next ? next.toISOString() : null;
+        } catch (e) {
+            // A hand-edited file with a broken expression simply never fires
+        }
+        return { ...schedule, nextRunAt };
+    }
+
+    list() {
+        return this.store.listSchedules().map(schedule => this.describe(schedule));
+    }
+
+    get(id) {
+        const schedule = this.store.getSchedule(id);
+        return schedule ? this.describe(schedule) : null;
+    }
+
+    /**
+     * @param {object} definition - { name, cron, suiteId | entries, concurrency?, enabled? }
+     * @returns {object} - The stored schedule
+     */
+    create(definition) {
+        const now = new Date().toISOString();
+        const schedule = {
+            id: this.newId(),
+            ...this.pickEditable(definition),
+            enabled: definition.enabled !== false,
+            createdAt: now,
+            updatedAt: now,
+            lastRunId: null,
+            lastRunAt: null,
+            lastResult: null
+        };
+        this.validate(schedule);
+        this.store.saveSchedule(schedule);
+        return this.describe(schedule);
+    }
+
+    /**
+     * @returns {object|null} - The updated schedule, or null when there is no such schedule
+     */
+    update(id, changes) {
+        const existing = this.store.getSchedule(id);
+        if (!existing) return null;
+
+        const schedule = { ...existing, ...this.pickEditable(changes), updatedAt: new Date().toISOString() };
+        // Switching between a suite and an inline matrix drops the other one
+        if (changes.suiteId) delete schedule.entries;
+        if (changes.entries) delete schedule.suiteId;
+        this.validate(schedule);
+        this.store.saveSchedule(schedule);
+        return this.describe(schedule);
+    }
+
+    remove(id) {
+        return this.store.deleteSchedule(id);
+    }
+
+    /**
+     * Starts a schedule immediately, outside its cron times
+     * @returns {object|null} - The run (null when the schedule is missing or still running)
+     */
+    runNow(id) {
+        const schedule = this.store.getSchedule(id);
+        return schedule ? this.trigger(schedule) : null;
+    }
+
+    /**
+     * Time-based like suite run ids, made unique when two schedules are created within the same millisecond
+     */
+    newId() {
+        const base = `schedule-${Date.now()}`;
+        let id = base;
+        for (let n = 2; this.store.getSchedule(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    pickEditable(definition) {
+        return Object.fromEntries(EDITABLE_FIELDS.filter(field => definition[field] !== undefined).map(field => [field, definition[field]]));
+    }
+}
+
+module.exports = new Scheduler(suiteRunner, scheduleStore);
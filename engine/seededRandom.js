@@ -0,0 +1,17 @@
+/**
+ * Small seeded PRNG (mulberry32), for random choices that must be reproducible
+ * @param {number} seed
+ * @returns {Function} - Returns [0, 1), like Math.random
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = seededRandom;
@@ -0,0 +1,74 @@
+// Replies that are instructions to CallManager rather than speech (see the tester prompt in llmService)
+const SENTINELS = ['WAIT', 'END_CALL_LOOP'];
+
+// End of a sentence: terminal punctuation (Latin, Devanagari danda, ellipsis), closing quotes/brackets, then whitespace
+const SENTENCE_END = /[.!?।॥…]+["'”’)\]]*\s+/g;
+
+// Words whose trailing period does not end the sentence ("Dr. Priya", "Rs. 500", "10:30 A.M. please")
+const ABBREVIATIONS = /(?:^|[\s.])(?:dr|mr|mrs|ms|st|no|rs|vs|etc|\p{L})\.$/iu;
+
+/**
+ * Cuts a reply into sentences while the LLM is still generating it, so each one can be synthesized
+ * as soon as it is complete (REPLY_MODE=streaming).
+ *
+ * A sentence is only released once the whitespace after its punctuation has arrived, and nothing is
+ * released while the reply so far could still be one of the sentinels: a WAIT / END_CALL_LOOP reply
+ * never produces audio.
+ */
+class SentenceChunker {
+    constructor() {
+        this.text = '';         // Everything generated so far
+        this.released = 0;      // Length of this.text already handed out as sentences
+    }
+
+    /**
+     * True when the (whole) reply is a sentinel
+     * @param {string} text
+     */
+    static isSentinel(text) {
+        return SENTINELS.includes(text.trim());
+    }
+
+    /**
+     * True while the reply generated so far may still turn out to be a sentinel
+     * @param {string} text
+     */
+    static couldBeSentinel(text) {
+        const trimmed = text.trim();
+        return SENTINELS.some(sentinel => sentinel.startsWith(trimmed));
+    }
+
+    /**
+     * Adds generated text
+     * @param {string} delta
+     * @returns {string[]} - Sentences completed by this delta, in order
+     */
+    push(delta) {
+        this.text += delta;
+        if (SentenceChunker.couldBeSentinel(this.text)) return [];
+
+        const sentences = [];
+        SENTENCE_END.lastIndex = this.released;
+        let match;
+        while ((match = SENTENCE_END.exec(this.text))) {
+            const end = match.index + match[0].length;
+            const sentence = this.text.slice(this.released, end).trim();
+            if (ABBREVIATIONS.test(this.text.slice(this.released, match.index + 1))) continue;
+            if (sentence) sentences.push(sentence);
+            this.released = end;
+        }
+        return sentences;
+    }
+
+    /**
+     * The rest of the reply once generation has ended
+     * @returns {string} - Text after the last released sentence ('' when there is none)
+     */
+    flush() {
+        const rest = this.text.slice(this.released).trim();
+        this.released = this.text.length;
+        return rest;
+    }
+}
+
+module.exports = SentenceChunker;
@@ -0,0 +1,419 @@
+/**
+ * Structured appointment details of one call: the slot our tester was told to book, what it actually asked
+ * for, and what the target bot offered and confirmed at each turn. Transcripts are parsed in any supported
+ * language (English, Hindi, Marathi, Tamil, Telugu, Kannada, Gujarati), including Indic numerals,
+ * military time ("18:00", "eighteen hundred", "1430 hours") and time-of-day words ("शाम 5 बजे").
+ *
+ * Dates are ISO "YYYY-MM-DD" (local time), times are 24h "HH:MM".
+ */
+
+// Native digits of every supported script, mapped to ASCII (Marathi uses Devanagari)
+const DIGIT_BLOCKS = [0x0966, 0x0BE6, 0x0C66, 0x0CE6, 0x0AE6];   // Devanagari, Tamil, Telugu, Kannada, Gujarati
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50 };
+
+// Words that put a bare hour in the afternoon/evening or the morning
+const PM_WORDS = ['afternoon', 'evening', 'night', 'शाम', 'रात', 'दोपहर', 'संध्याकाळी', 'रात्री', 'दुपारी', 'மாலை', 'இரவு', 'மதியம்',
+    'సాయంత్రం', 'రాత్రి', 'మధ్యాహ్నం', 'ಸಂಜೆ', 'ರಾತ್ರಿ', 'ಮಧ್ಯಾಹ್ನ', 'સાંજે', 'રાત્રે', 'બપોરે'];
+const AM_WORDS = ['morning', 'सुबह', 'सकाळी', 'காலை', 'ఉదయం', 'ಬೆಳಿಗ್ಗೆ', 'સવારે'];
+
+// "o'clock" in each language, optionally preceded by the Hindi/Marathi quarter words (साढ़े = half past, सवा = quarter past, पौने = quarter to)
+const INDIC_OCLOCK = /(?:(साढ़े|साढे|सवा|पौने)\s*)?(\d{1,2})(?:[:.](\d{2}))?\s*(?:बजे|बजकर|वाजता|वाजून|மணிக்கு|மணி|గంటలకు|గంటలు|ಗಂಟೆಗೆ|ಗಂಟೆ|વાગ્યે|વાગે)/g;
+
+// Whole words only; \b doesn't understand Indic scripts (कल must not match inside निकल)
+const wholeWord = (alternatives) => new RegExp(`(?<![\\p{L}\\p{M}])(?:${alternatives})(?![\\p{L}\\p{M}])`, 'giu');
+
+const RELATIVE_DAYS = [
+    [wholeWord('day after tomorrow|परसों|परवा|நாளை மறுநாள்|ఎల్లుండి|ನಾಡಿದ್ದು|પરમ ?દિવસે'), 2],
+    [wholeWord('tomorrow|कल|उद्या|நாளை|రేపు|ನಾಳೆ|કાલે'), 1],
+    [wholeWord('today|आज|இன்று|ఈ ?రోజు|ಇಂದು|આજે'), 0]
+];
+const WEEKDAYS = [
+    ['sunday', 'रविवार'], ['monday', 'सोमवार'], ['tuesday', 'मंगलवार'], ['wednesday', 'बुधवार'],
+    ['thursday', 'गुरुवार'], ['friday', 'शुक्रवार'], ['saturday', 'शनिवार']
+];
+const MONTHS = [
+    ['jan', 'जनवरी'], ['feb', 'फ़रवरी', 'फरवरी'], ['mar', 'मार्च'], ['apr', 'अप्रैल'], ['may', 'मई'], ['jun', 'जून'],
+    ['jul', 'जुलाई'], ['aug', 'अगस्त'], ['sep', 'सितंबर', 'सितम्बर'], ['oct', 'अक्टूबर'], ['nov', 'नवंबर', 'नवम्बर'], ['dec', 'दिसंबर', 'दिसम्बर']
+];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|' +
+    MONTHS.flatMap(names => names.slice(1)).join('|') + ')';
+
+// Completed bookings only: "confirmed", not "confirm"; the Hindi verbs in their done forms
+const CONFIRMATION_PATTERN = /\bconfirmed\b|\bbooked\b|\bscheduled\b|\bcancell?ed\b|\brescheduled\b|(?:कन्फर्म|पक्का|बुक|निश्चित) (?:हो गया|हो गई|हो चुका|कर दिया|कर दी)|உறுதி|புக் செய்ய|నిర్ధారించ|బుక్ చేయ|ದೃಢ|ಬುಕ್ ಮಾಡ|કન્ફર્મ|બુક થ/i;
+// "Can you confirm…", "Shall I book…": asking is not confirming
+const QUESTION_OPENER = /^(?:can|could|would|will|shall|should|may|do|does|did|is|are|was|have|has|क्या)(?:\s|,|$)/i;
+const VISIT_TYPES = [
+    ['In Person', /in[- ]person|walk[- ]in|clinic visit|physical visit|व्यक्तिगत/i],
+    ['Video', /video|online|tele[- ]?consult|virtual|वीडियो/i]
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+const toIsoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toTime = (hours, minutes) => (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59 ? `${pad(hours)}:${pad(minutes)}` : null);
+
+function startOfDay(reference) {
+    const day = new Date(reference);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(reference, days) {
+    const day = startOfDay(reference);
+    day.setDate(day.getDate() + days);
+    return day;
+}
+
+/**
+ * Native digits -> ASCII and English number words -> digits, so one set of patterns covers every language
+ */
+function normalizeText(text) {
+    let normalized = String(text || '').replace(/[०-९௦-௯౦-౯೦-೯૦-૯]/g, (char) => {
+        const code = char.charCodeAt(0);
+        const block = DIGIT_BLOCKS.find(start => code >= start && code <= start + 9);
+        return String(code - block);
+    });
+
+    const units = Object.keys(NUMBER_WORDS).join('|');
+    const tens = Object.keys(TENS_WORDS).join('|');
+    normalized = normalized
+        .replace(new RegExp(`\\b(${tens})[\\s-](${units})\\b`, 'gi'), (m, t, u) => String(TENS_WORDS[t.toLowerCase()] + NUMBER_WORDS[u.toLowerCase()]))
+        .replace(new RegExp(`\\b(${tens}|${units})\\b`, 'gi'), (word) => String(TENS_WORDS[word.toLowerCase()] ?? NUMBER_WORDS[word.toLowerCase()]));
+    return normalized;
+}
+
+/**
+ * Nudges a bare 1-12 hour into the afternoon/evening when a time-of-day word sits next to it
+ */
+function applyDayPeriod(hours, text, index, end) {
+    if (hours > 12) return hours;
+    const around = text.slice(Math.max(0, index - 20), end + 15).toLowerCase();
+    if (hours < 12 && PM_WORDS.some(word => around.includes(word))) return hours + 12;
+    if (hours === 12 && AM_WORDS.some(word => around.includes(word))) return 0;
+    return hours;
+}
+
+/**
+ * Every time mentioned in a sentence, in spoken order, as HH:MM
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseTimes(text) {
+    const normalized = normalizeText(text);
+    const found = [];
+    const claim = (match, time) => {
+        const end = match.index + match[0].length;
+        if (!time || found.some(f => match.index < f.end && end > f.index)) return;
+        found.push({ index: match.index, end, time });
+    };
+
+    // Most specific patterns first; later ones never re-use characters an earlier one claimed
+    for (const match of normalized.matchAll(/\b(\d{1,2})(?:[:.\s](\d{2}))?\s*(a\.?\s?m\b\.?|p\.?\s?m\b\.?)/gi)) {
+        let hours = parseInt(match[1], 10);
+        const isPm = match[3].toLowerCase().startsWith('p');
+        if (hours > 12) { claim(match, null); continue; }
+        if (isPm && hours < 12) hours += 12;
+        if (!isPm && hours === 12) hours = 0;
+        claim(match, toTime(hours, match[2] ? parseInt(match[2], 10) : 0));
+    }
+    for (const match of normalized.matchAll(INDIC_OCLOCK)) {
+        let hours = parseInt(match[2], 10);
+        let minutes = match[3] ? parseInt(match[3], 10) : 0;
+        if (match[1] === 'साढ़े' || match[1] === 'साढे') minutes = 30;
+        if (match[1] === 'सवा') minutes = 15;
+        if (match[1] === 'पौने') { hours -= 1; minutes = 45; }
+        claim(match, toTime(applyDayPeriod(hours, normalized, match.index, match.index + match[0].length), minutes));
+    }
+    for (const match of normalized.matchAll(/\b(\d{1,2})\s*o'?\s?clock/gi)) {
+        claim(match, toTime(applyDayPeriod(parseInt(match[1], 10), normalized, match.index, match.index + match[0].length), 0));
+    }
+    for (const match of normalized.matchAll(/\b(\d{1,2})\s+hundred(?:\s+hours)?\b/gi)) {
+        claim(match, toTime(parseInt(match[1], 10), 0));
+    }
+    for (const match of normalized.matchAll(/\b(\d{2})(\d{2})\s*(?:hrs|hours)\b/gi)) {
+        claim(match, toTime(parseInt(match[1], 10), parseInt(match[2], 10)));
+    }
+    for (const match of normalized.matchAll(/\b(\d{1,2})[:.](\d{2})\b(?:\s*(?:hrs|hours)\b)?/gi)) {
+        const hours = parseInt(match[1], 10);
+        claim(match, toTime(applyDayPeriod(hours, normalized, match.index, match.index + match[0].length), parseInt(match[2], 10)));
+    }
+
+    return found.sort((a, b) => a.index - b.index).map(f => f.time);
+}
+
+/**
+ * The last date mentioned in a sentence, resolved against the call date
+ * @param {string} text
+ * @param {number|Date} [reference] - When the call happened (relative words and missing years resolve against it)
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function parseDate(text, reference = Date.now()) {
+    const normalized = normalizeText(text);
+    const found = [];
+    const claim = (match, date) => {
+        const end = match.index + match[0].length;
+        if (!date || found.some(f => match.index < f.end && end > f.index)) return;
+        found.push({ index: match.index, end, date });
+    };
+    const monthIndex = (name) => MONTHS.findIndex(names => name.toLowerCase().startsWith(names[0]) || names.slice(1).includes(name));
+    const withYear = (day, month, year) => {
+        if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+        let date = new Date(year || startOfDay(reference).getFullYear(), month, day);
+        // No year given and the date already passed: the caller means next year
+        if (!year && date < startOfDay(reference)) date = new Date(date.getFullYear() + 1, month, day);
+        return toIsoDate(date);
+    };
+
+    for (const match of normalized.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+        claim(match, withYear(parseInt(match[3], 10), parseInt(match[2], 10) - 1, parseInt(match[1], 10)));
+    }
+    for (const match of normalized.matchAll(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/g)) {
+        const year = match[3] ? parseInt(match[3].length === 2 ? `20${match[3]}` : match[3], 10) : null;
+        claim(match, withYear(parseInt(match[1], 10), parseInt(match[2], 10) - 1, year));     // Indian DD/MM order
+    }
+    for (const match of normalized.matchAll(new RegExp(`(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}`, 'gi'))) {
+        claim(match, withYear(parseInt(match[1], 10), monthIndex(match[2])));
+    }
+    for (const match of normalized.matchAll(new RegExp(`${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'gi'))) {
+        claim(match, withYear(parseInt(match[2], 10), monthIndex(match[1])));
+    }
+    for (const [pattern, days] of RELATIVE_DAYS) {
+        for (const match of normalized.matchAll(pattern)) claim(match, toIsoDate(addDays(reference, days)));
+    }
+    WEEKDAYS.forEach((names, weekday) => {
+        for (const match of normalized.matchAll(wholeWord(names.join('|')))) {
+            // The coming occurrence; the same weekday as today means next week
+            const ahead = (weekday - startOfDay(reference).getDay() + 7) % 7 || 7;
+            claim(match, toIsoDate(addDays(reference, ahead)));
+        }
+    });
+
+    if (found.length === 0) return null;
+    return found.sort((a, b) => a.index - b.index)[found.length - 1].date;
+}
+
+/**
+ * A 10-digit Indian phone number read out in digits, words or native numerals
+ */
+function parsePhone(text) {
+    const match = normalizeText(text).match(/(?:\+?91[\s-]?)?((?:\d[\s-]?){9}\d)(?!\d)/);
+    return match ? match[1].replace(/\D/g, '') : null;
+}
+
+class SlotTracker {
+    /**
+     * @param {{target?: object, referenceDate?: number}} [options] - target = the slot and details our tester
+     *   was told to book ({ date, time, symptom, visitType, name, phone })
+     */
+    constructor({ target = {}, referenceDate = Date.now() } = {}) {
+        this.referenceDate = referenceDate;
+        this.target = {
+            date: target.date || null,
+            time: target.time || null,
+            symptom: target.symptom || null,
+            visitType: target.visitType || null,
+            name: target.name || null,
+            phone: target.phone ? String(target.phone) : null
+        };
+        this.turns = [];
+    }
+
+    /**
+     * Picks the appointment slot for a call: a random day inside the scenario's date window,
+     * at a random half hour between 9 AM and 7:30 PM
+     * @param {{minDaysAhead: number, maxDaysAhead: number}} dateWindow
+     * @param {number} [reference]
+     */
+    static pickTarget(dateWindow, reference = Date.now(), random = Math.random) {
+        const days = dateWindow.minDaysAhead + Math.floor(random() * (dateWindow.maxDaysAhead - dateWindow.minDaysAhead + 1));
+        const halfHour = Math.floor(random() * 22);          // 09:00 ... 19:30
+        return { date: toIsoDate(addDays(reference, days)), time: toTime(9 + Math.floor(halfHour / 2), (halfHour % 2) * 30) };
+    }
+
+    /**
+     * How the tester should say a slot out loud, e.g. "tomorrow at 10:30 AM" or "Friday, October 23 at 4 PM"
+     */
+    static describe({ date, time }, reference = Date.now()) {
+        let day = '';
+        if (date) {
+            const [year, month, dayOfMonth] = date.split('-').map(Number);
+            const when = new Date(year, month - 1, dayOfMonth);
+            const ahead = Math.round((when - startOfDay(reference)) / (24 * 60 * 60 * 1000));
+            day = ahead === 0 ? 'today' : ahead === 1 ? 'tomorrow'
+                : when.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+        }
+        if (!time) return day;
+
+        const [hours, minutes] = time.split(':').map(Number);
+        const spokenTime = `${hours % 12 || 12}${minutes ? `:${pad(minutes)}` : ''} ${hours < 12 ? 'AM' : 'PM'}`;
+        return day ? `${day} at ${spokenTime}` : spokenTime;
+    }
+
+    /**
+     * Native digits -> ASCII and English number words -> digits ("four three" -> "4 3")
+     */
+    static normalize(text) {
+        return normalizeText(text);
+    }
+
+    /**
+     * Extracts every slot field from one utterance
+     * @returns {{date: string|null, time: string|null, times: string[], phone: string|null, visitType: string|null}}
+     */
+    static parse(text, reference = Date.now()) {
+        const times = parseTimes(text);
+        const visitType = VISIT_TYPES.find(([, pattern]) => pattern.test(text));
+        return {
+            date: parseDate(text, reference),
+            time: times.length > 0 ? times[times.length - 1] : null,
+            times,
+            phone: parsePhone(text),
+            visitType: visitType ? visitType[0] : null
+        };
+    }
+
+    /**
+     * True when some sentence of the utterance states a booking as done; questions never count
+     * @param {RegExp} [pattern] - Overrides the built-in confirmation wording
+     */
+    static isConfirmation(text, pattern = CONFIRMATION_PATTERN) {
+        return text.split(/(?<=[.!?।])\s+/).some(sentence => {
+            const trimmed = sentence.trim();
+            return pattern.test(trimmed) && !trimmed.endsWith('?') && !QUESTION_OPENER.test(trimmed);
+        });
+    }
+
+    /**
+     * Rebuilds a tracker from a stored history (bot = 'user', tester = 'assistant'), e.g. for calls recorded before slot tracking
+     */
+    static fromHistory(history, options = {}) {
+        const tracker = new SlotTracker(options);
+        history.forEach((turn, position) => {
+            if (turn.type === 'interruption' || /^[[(]/.test(turn.content)) return;
+            tracker.recordTurn(turn.role === 'user' ? 'bot' : 'tester', turn.content, position);
+        });
+        return tracker;
+    }
+
+    /**
+     * Parses and stores one utterance
+     * @param {'bot'|'tester'} speaker
+     * @param {string} text
+     * @param {number} position - Index of the matching history entry
+     */
+    recordTurn(speaker, text, position) {
+        const slots = SlotTracker.parse(text, this.referenceDate);
+        const lower = String(text).toLowerCase();
+        if (this.target.name && lower.includes(this.target.name.toLowerCase())) slots.name = this.target.name;
+        if (this.target.symptom && lower.includes(this.target.symptom.toLowerCase())) slots.symptom = this.target.symptom;
+
+        const mentionsSlot = Boolean(slots.date || slots.time);
+        let kind = 'mention';
+        if (speaker === 'tester' && mentionsSlot) kind = 'request';
+        if (speaker === 'bot' && mentionsSlot) kind = 'offer';
+        if (speaker === 'bot' && SlotTracker.isConfirmation(text)) kind = 'confirmation';
+
+        const entry = { position, speaker, kind, text, slots };
+        this.turns.push(entry);
+        return entry;
+    }
+
+    /**
+     * What the tester asked for, field by field (the latest value wins, so changes of mind are followed)
+     */
+    get requested() {
+        return this.mergeSlots(this.turns.filter(turn => turn.speaker === 'tester'));
+    }
+
+    get offers() {
+        return this.turns.filter(turn => turn.kind === 'offer');
+    }
+
+    /**
+     * The slot the bot last confirmed. A bare "Your appointment is confirmed" inherits the date/time
+     * the bot offered or mentioned before it.
+     */
+    get confirmed() {
+        const index = this.turns.map(turn => turn.kind).lastIndexOf('confirmation');
+        if (index < 0) return null;
+        return this.mergeSlots(this.turns.slice(0, index + 1).filter(turn => turn.speaker === 'bot'));
+    }
+
+    mergeSlots(turns) {
+        const merged = { date: null, time: null, visitType: null, phone: null, name: null, symptom: null };
+        for (const turn of turns) {
+            for (const field of Object.keys(merged)) {
+                if (turn.slots[field]) merged[field] = turn.slots[field];
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Mismatches between target, request, offers and confirmation, as report findings
+     * @returns {{severity: 'error'|'warning'|'info', field: string, expected: string, actual: string, position: number, evidence: string}[]}
+     */
+    findings() {
+        const findings = [];
+        const add = (severity, field, expected, actual, turn, message) =>
+            findings.push({ severity, field, expected, actual, position: turn ? turn.position : null, evidence: message });
+
+        // The tester itself drifted from the slot it was told to book
+        const requested = this.requested;
+        const lastRequest = [...this.turns].reverse().find(turn => turn.kind === 'request');
+        for (const field of ['date', 'time']) {
+            if (this.target[field] && requested[field] && requested[field] !== this.target[field]) {
+                add('warning', field, this.target[field], requested[field], lastRequest, `Tester asked for ${field} ${requested[field]} but its target was ${this.target[field]}.`);
+            }
+        }
+
+        // Offers that don't match what had been requested by then
+        for (const offer of this.offers) {
+            const requestedSoFar = this.mergeSlots(this.turns.filter(turn => turn.speaker === 'tester' && turn.position < offer.position));
+            for (const field of ['date', 'time']) {
+                if (requestedSoFar[field] && offer.slots[field] && offer.slots[field] !== requestedSoFar[field]) {
+                    add('info', field, requestedSoFar[field], offer.slots[field], offer, `Bot offered ${field} ${offer.slots[field]} when ${requestedSoFar[field]} was requested: "${offer.text}"`);
+                }
+            }
+        }
+
+        // The bot confirmed something other than what was asked for
+        const confirmed = this.confirmed;
+        const confirmation = [...this.turns].reverse().find(turn => turn.kind === 'confirmation');
+        if (confirmed) {
+            for (const field of ['date', 'time', 'visitType']) {
+                if (requested[field] && confirmed[field] && confirmed[field] !== requested[field]) {
+                    add('error', field, requested[field], confirmed[field], confirmation, `Bot confirmed ${field} ${confirmed[field]} but the tester asked for ${requested[field]}: "${confirmation.text}"`);
+                }
+            }
+        }
+
+        // Patient details read back wrongly
+        if (this.target.phone) {
+            for (const turn of this.turns.filter(t => t.speaker === 'bot' && t.slots.phone && t.slots.phone !== this.target.phone)) {
+                add('error', 'phone', this.target.phone, turn.slots.phone, turn, `Bot read back phone ${turn.slots.phone}, expected ${this.target.phone}: "${turn.text}"`);
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Everything tracked for the call, as stored in the post-call report (findings are reported separately)
+     */
+    summary() {
+        return {
+            target: this.target,
+            requested: this.requested,
+            offered: this.offers.map(({ position, text, slots }) => ({ position, text, date: slots.date, time: slots.time, times: slots.times })),
+            confirmed: this.confirmed,
+            turns: this.turns.map(({ position, speaker, kind, slots }) => ({ position, speaker, kind, slots }))
+        };
+    }
+}
+
+module.exports = SlotTracker;
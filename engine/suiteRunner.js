@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const callManager = require('./callManager');
+const scenarioLibrary = require('./scenarioLibrary');
+const twilioService = require('../services/twilioService');
+const runStore = require('../services/runStore');
+const ChannelDegrader = require('./channelDegrader');
+const personaLibrary = require('./personaLibrary');
+const BehaviorInjector = require('./behaviorInjector');
+const { CALL_EVENTS } = require('./callEvents');
+
+const DEFAULT_SUITES_DIR = path.join(__dirname, '..', 'suites');
+const DEFAULT_CALL_TIMEOUT_MS = 10 * 60 * 1000;
+const STATUS_POLL_MS = 15000;
+const FAILED_TWILIO_STATUSES = ['busy', 'failed', 'no-answer', 'canceled'];
+
+class SuiteRunner extends EventEmitter {
+    constructor(manager, dialer, suitesDir = process.env.SUITES_DIR || DEFAULT_SUITES_DIR) {
+        super();
+        this.callManager = manager;
+        this.dialer = dialer;
+        this.suitesDir = suitesDir;
+        this.runs = new Map();      // runId -> run summary (live object, updated as calls finish)
+        this.inFlight = 0;          // Calls dialed by any suite that have not produced a report yet
+        this.statusPollMs = STATUS_POLL_MS;
+    }
+
+    /**
+     * Lists the suite definitions found in the suites directory
+     */
+    listSuites() {
+        if (!fs.existsSync(this.suitesDir)) return [];
+
+        return fs.readdirSync(this.suitesDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const suite = this.loadSuite(path.join(this.suitesDir, file));
+                return { id: suite.id, name: suite.name, totalCalls: this.expandSuite(suite).length };
+            });
+    }
+
+    /**
+     * Loads a suite definition by id (file name in suites/) or by path
+     * @param {string} idOrPath
+     * @returns {object}
+     */
+    loadSuite(idOrPath) {
+        const candidates = [idOrPath, path.join(this.suitesDir, idOrPath), path.join(this.suitesDir, `${idOrPath}.json`)];
+        const filePath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+        if (!filePath) throw new Error(`Suite not found: ${idOrPath}`);
+
+        const suite = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { id: path.basename(filePath, '.json'), ...suite };
+    }
+
+    /**
+     * Expands a suite's scenario x language x persona x audio condition x repetition entries into a flat call queue
+     * @param {object} suite
+     * @returns {Array<{scenario: string, language: string, repetition: number, persona?: string, degradation?: string|object, behaviors?: Array}>}
+     */
+    expandSuite(suite) {
+        if (!suite || !Array.isArray(suite.entries) || suite.entries.length === 0) {
+            throw new Error("Suite must define a non-empty 'entries' array");
+        }
+
+        const queue = [];
+        suite.entries.forEach((entry, entryIndex) => {
+            const scenarios = entry.scenarios || [entry.scenario || 'BOOKING'];
+            const languages = entry.languages || [entry.language || 'English'];
+            const repeat = Math.max(1, parseInt(entry.repeat, 10) || 1);
+            // Caller personas and audio conditions are further matrix dimensions; undefined = the scenario's own default
+            const personas = entry.personas || [entry.persona];
+            const unknownPersona = personas.find(persona => persona !== undefined && persona !== 'random' && !personaLibrary.has(persona));
+            if (unknownPersona) throw new Error(`Suite entry ${entryIndex}: unknown persona "${unknownPersona}"`);
+            const degradations = entry.degradations || [entry.degradation];
+            degradations.forEach(degradation => {
+                try {
+                    ChannelDegrader.resolve(degradation);
+                } catch (e) {
+                    throw new Error(`Suite entry ${entryIndex}: ${e.message}`);
+                }
+            });
+            if (entry.behaviors) {
+                try {
+                    BehaviorInjector.resolve(entry.behaviors);
+                } catch (e) {
+                    throw new Error(`Suite entry ${entryIndex}: ${e.message}`);
+                }
+            }
+
+            for (const scenario of scenarios) {
+                if (!scenarioLibrary.has(scenario)) {
+                    throw new Error(`Suite entry ${entryIndex} references unknown scenario "${scenario}"`);
+                }
+                for (const language of languages) {
+                    for (const persona of personas) {
+                        for (const degradation of degradations) {
+                            for (let repetition = 1; repetition <= repeat; repetition++) {
+                                queue.push({
+                                    scenario, language, repetition,
+                                    ...(entry.vad ? { vad: entry.vad } : {}),
+                                    ...(entry.behaviors ? { behaviors: entry.behaviors } : {}),
+                                    ...(persona !== undefined ? { persona } : {}),
+                                    ...(degradation !== undefined ? { degradation } : {})
+                                });
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        return queue;
+    }
+
+    /**
+     * Queues every call of a suite and runs them in the background
+     * @param {object} suite - Suite definition (see suites/*.json)
+     * @param {{scheduleId?: string}} [options] - The schedule that started the run (none for manual runs)
+     * @returns {object} - The live run summary
+     */
+    start(suite, { scheduleId = null } = {}) {
+        const queue = this.expandSuite(suite);
+        const runId = this.newRunId();
+
+        const run = {
+            runId,
+            suiteId: suite.id || 'inline',
+            suiteName: suite.name || suite.id || 'Inline suite',
+            scheduleId,
+            status: 'running',
+            concurrency: Math.max(1, parseInt(suite.concurrency, 10) || 1),
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            total: queue.length,
+            completed: 0,
+            passed: 0,
+            failed: 0,
+            skipped: 0,
+            errored: 0,
+            passRate: 0,
+            byLanguage: {},
+            byScenario: {},
+            byDegradation: {},
+            calls: queue.map((item, index) => ({ index, ...item, callSid: null, status: 'queued', report: null, error: null }))
+        };
+
+        this.runs.set(runId, run);
+        this.persist(run);
+        console.log(`\n🧪 [Suite Runner] Starting ${run.suiteName} (${runId}): ${run.total} calls, concurrency ${run.concurrency}`);
+
+        this.executeRun(run, suite.callTimeoutMs || DEFAULT_CALL_TIMEOUT_MS).catch(e => {
+            console.error(`[Suite Runner] Run ${runId} crashed: ${e.message}`);
+            run.status = 'errored';
+            run.finishedAt = new Date().toISOString();
+            this.persist(run);
+        });
+
+        return run;
+    }
+
+    /**
+     * Time-based ids, made unique when two runs start within the same millisecond (or one was stored by an earlier server)
+     */
+    newRunId() {
+        const base = `run-${Date.now()}`;
+        let id = base;
+        for (let n = 2; this.runs.has(id) || runStore.getRun(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    /**
+     * Stops dialing new calls for a run. Calls already in progress finish normally.
+     */
+    cancel(runId) {
+        const run = this.runs.get(runId);
+        if (!run || run.status !== 'running') return false;
+
+        run.status = 'cancelling';
+        console.log(`[Suite Runner] Cancelling ${runId}. Calls in progress will finish, queued calls are dropped.`);
+        return true;
+    }
+
+    /**
+     * A run of this process, or one stored by an earlier server (see runStore)
+     */
+    getRun(runId) {
+        if (this.runs.has(runId)) return this.runs.get(runId);
+        const stored = runStore.getRun(runId);
+        return stored && this.asStored(stored);
+    }
+
+    /**
+     * A stored run that is not one of this process's was cut short by a restart if it never finished
+     */
+    asStored(run) {
+        return ['running', 'cancelling'].includes(run.status) ? { ...run, status: 'interrupted' } : run;
+    }
+
+    /**
+     * Runs of this process followed by stored ones, newest first
+     */
+    listRuns() {
+        const live = [...this.runs.values()].map(({ calls, ...summary }) => summary);
+        const stored = runStore.listRuns().filter(run => !this.runs.has(run.runId)).map(run => this.asStored(run));
+        return [...live, ...stored].sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Saves the run after every change so finished calls survive a restart mid-run
+     */
+    persist(run) {
+        try {
+            runStore.saveRun(run);
+        } catch (e) {
+            console.error(`[Suite Runner] Failed to persist ${run.runId}: ${e.message}`);
+        }
+    }
+
+    async executeRun(run, callTimeoutMs) {
+        const pending = run.calls.slice();
+        const running = new Set();
+
+        while (pending.length > 0 || running.size > 0) {
+            if (run.status === 'cancelling') {
+                pending.splice(0).forEach(call => { call.status = 'cancelled'; });
+            }
+
+            // Respect the suite's limit against *all* live calls, including manual dashboard calls
+            while (pending.length > 0 && run.status === 'running' && this.hasCapacity(run.concurrency, running.size)) {
+                const call = pending.shift();
+                const task = this.executeCall(run, call, callTimeoutMs).finally(() => running.delete(task));
+                running.add(task);
+            }
+
+            if (running.size > 0) {
+                await Promise.race([...running, new Promise(r => setTimeout(r, 1000))]);
+            } else if (pending.length > 0) {
+                await new Promise(r => setTimeout(r, 1000));
+            }
+        }
+
+        run.status = run.status === 'cancelling' ? 'cancelled' : 'completed';
+        run.finishedAt = new Date().toISOString();
+        this.persist(run);
+        console.log(`🏁 [Suite Runner] ${run.suiteName} ${run.status}: ${run.passed}/${run.completed} passed (${(run.passRate * 100).toFixed(1)}%)`);
+        this.emit('runFinished', run);
+    }
+
+    hasCapacity(concurrency, runningForThisRun) {
+        const liveCalls = Math.max(this.callManager.activeCalls.size, this.inFlight);
+        return runningForThisRun < concurrency && liveCalls < concurrency;
+    }
+
+    async executeCall(run, call, callTimeoutMs) {
+        this.inFlight++;
+        call.status = 'dialing';
+        call.startedAt = new Date().toISOString();
+
+        try {
+            const callSid = await this.dialer.placeCall();
+            call.callSid = callSid;
+            call.status = 'in-progress';
+            this.callManager.registerOutboundCall(callSid, { scenario: call.scenario, language: call.language, vad: call.vad, persona: call.persona, degradation: call.degradation, behaviors: call.behaviors, runIndex: call.index });
+            console.log(`[Suite Runner] ${run.runId} #${call.index + 1}/${run.total}: ${call.scenario} in ${call.language} -> ${callSid}`);
+
+            const report = await this.waitForReport(callSid, callTimeoutMs);
+            call.report = report;
+            call.status = report.status === 'Passed' ? 'passed' : report.status === 'Skipped' ? 'skipped' : 'failed';
+        } catch (e) {
+            call.status = 'errored';
+            call.error = e.message;
+            console.error(`[Suite Runner] ${run.runId} #${call.index + 1} errored: ${e.message}`);
+            if (call.callSid) this.callManager.pendingCallOptions.delete(call.callSid);
+        } finally {
+            this.inFlight--;
+            call.finishedAt = new Date().toISOString();
+            this.recordResult(run, call);
+        }
+    }
+
+    /**
+     * Resolves with the CallManager report for a call, or rejects if Twilio never connects / the call hangs
+     */
+    waitForReport(callSid, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const onReport = (event) => {
+                if (event.callSid !== callSid) return;
+                cleanup();
+                resolve(event.report);
+            };
+
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error(`No report within ${Math.round(timeoutMs / 1000)}s`));
+            }, timeoutMs);
+
+            // Calls that are never answered (or answered without a media stream) never produce a report, so ask Twilio directly
+            const poller = setInterval(async () => {
+                if (this.callManager.activeCalls.has(callSid)) return;
+                try {
+                    const status = await this.dialer.getCallStatus(callSid);
+                    // Still registered = startCall never consumed the options: the stream never connected
+                    const neverStreamed = status === 'completed' && this.callManager.pendingCallOptions.has(callSid);
+                    if (FAILED_TWILIO_STATUSES.includes(status) || neverStreamed) {
+                        cleanup();
+                        reject(new Error(neverStreamed ? "Twilio call completed without a media stream" : `Twilio call ended with status "${status}"`));
+                    }
+                } catch (e) {
+                    // Transient REST errors are retried on the next poll
+                }
+            }, this.statusPollMs);
+
+            const cleanup = () => {
+                clearTimeout(timeout);
+                clearInterval(poller);
+                this.callManager.removeListener(CALL_EVENTS.REPORT_READY, onReport);
+            };
+
+            this.callManager.on(CALL_EVENTS.REPORT_READY, onReport);
+        });
+    }
+
+    /**
+     * Label of a call's audio condition for the per-condition breakdown
+     */
+    conditionName(call) {
+        if (call.report && call.report.degradation) return call.report.degradation.name;
+        if (call.degradation === undefined) return scenarioLibrary.get(call.scenario).degradation?.name || 'clean';
+        return ChannelDegrader.resolve(call.degradation)?.name || 'clean';
+    }
+
+    recordResult(run, call) {
+        if (call.status === 'cancelled') return;
+
+        run.completed++;
+        const bucketKeys = [[run.byLanguage, call.language], [run.byScenario, call.scenario], [run.byDegradation, this.conditionName(call)]];
+
+        for (const [buckets, key] of bucketKeys) {
+            const bucket = buckets[key] || (buckets[key] = { total: 0, passed: 0, failed: 0, skipped: 0, errored: 0, passRate: 0 });
+            bucket.total++;
+            bucket[call.status]++;
+            bucket.passRate = bucket.passed / bucket.total;
+        }
+
+        run[call.status]++;
+        run.passRate = run.passed / run.completed;
+        this.persist(run);
+    }
+}
+
+module.exports = new SuiteRunner(callManager, twilioService);
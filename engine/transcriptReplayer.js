@@ -0,0 +1,221 @@
+const llmService = require('../services/llmService');
+const providers = require('../services/providers');
+const scenarioLibrary = require('./scenarioLibrary');
+const personaLibrary = require('./personaLibrary');
+const SlotTracker = require('./slotTracker');
+const LanguagePlan = require('./languagePlan');
+const BehaviorInjector = require('./behaviorInjector');
+
+const SENTINELS = ['WAIT', 'END_CALL_LOOP'];
+const LOOP_NOTE = /^\[Auto-Terminated by Tester/;
+
+// Real utterances only: system notes start with "(" or "[", barge-in markers carry a type
+const isSpoken = (turn) => turn.type !== 'interruption' && !/^[[(]/.test(turn.content);
+const comparable = (text) => SlotTracker.normalize(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Offline prompt regression: feeds the target-bot turns of a stored call through the current tester
+ * logic (llmService.processCustomerIntent) and diffs each new reply against the one recorded on the call.
+ * Every bot turn is replayed against the recorded history up to it, so one changed reply does not
+ * cascade into the rest of the call.
+ *
+ * Changes are graded: a different sentinel (WAIT / END_CALL_LOOP), the wrong language or a slot other than
+ * the target is a 'regression'; other wording changes are 'info'. Run it with the stub LLM or with
+ * LLM_PROVIDER=recorded so results are deterministic.
+ */
+class TranscriptReplayer {
+    /**
+     * Rebuilds the call state the tester had when the stored call started
+     * @param {object} record - A stored call (callStore.getCall)
+     */
+    callStateFor(record) {
+        const scenario = scenarioLibrary.get(record.scenario) || scenarioLibrary.get('BOOKING');
+        const report = record.report || {};
+        const language = record.targetLanguage || 'English';
+        const startTime = Date.parse(record.startTime) || Date.now();
+
+        // The caller as recorded; calls stored before personas existed get the scenario's first caller
+        let persona;
+        if (report.persona && personaLibrary.has(report.persona.id)) persona = personaLibrary.get(report.persona.id);
+        else if (report.persona) persona = personaLibrary.normalize(report.persona, `${record.callSid} persona`);
+        else persona = personaLibrary.select(scenario, { language, random: () => 0 });
+
+        const target = (report.slots && report.slots.target) || SlotTracker.pickTarget(scenario.dateWindow, startTime, () => 0);
+        return {
+            callSid: record.callSid,
+            scenario: scenario.id,
+            targetLanguage: language,
+            symptom: record.symptom,
+            startTime,
+            persona,
+            slots: new SlotTracker({ target, referenceDate: startTime }),
+            languagePlan: new LanguagePlan({ language, plan: scenario.languagePlan }),
+            history: [],
+            latestReceivedOTP: null,
+            otpExpiresAt: null,
+            activeBehavior: null
+        };
+    }
+
+    /**
+     * What the tester did after each bot turn of a recorded history
+     * @returns {object[]} - { position, reply, bot, recorded, behavior, skipped }; recorded is the reply text,
+     *   a sentinel, or null when the turn cannot be replayed (skipped says why)
+     */
+    recordedTurns(history) {
+        const turns = [];
+        let testerTurns = 0;
+
+        history.forEach((turn, position) => {
+            if (turn.role === 'assistant' && isSpoken(turn)) testerTurns++;
+            if (turn.role !== 'user' || !isSpoken(turn)) return;
+
+            let recorded = null;
+            let behavior = null;
+            let skipped = 'call ended';
+            for (const next of history.slice(position + 1)) {
+                if (next.role === 'user' && isSpoken(next)) {
+                    // The bot went on talking without an answer: the tester said WAIT
+                    [recorded, skipped] = ['WAIT', null];
+                    break;
+                }
+                if (LOOP_NOTE.test(next.content)) {
+                    [recorded, skipped] = ['END_CALL_LOOP', null];
+                    break;
+                }
+                if (next.type === 'behavior' && next.behavior === 'silence') {
+                    skipped = 'injected silence';
+                    break;
+                }
+                // Talk-overs cut into the bot's next turn rather than answering this one
+                if (!isSpoken(next) || next.behavior === 'talkOver') continue;
+                [recorded, behavior, skipped] = [next.content, next.behavior || null, null];
+                break;
+            }
+            turns.push({ position, reply: testerTurns + 1, bot: turn.content, recorded, behavior, skipped });
+        });
+        return turns;
+    }
+
+    /**
+     * OTP the tester held at a point of the call, from the OTP notes in the history
+     */
+    otpAt(history) {
+        let otp = null;
+        for (const turn of history) {
+            if (turn.type !== 'otp') continue;
+            const received = turn.content.match(/OTP (\d+) received/);
+            otp = received ? received[1] : null;
+        }
+        return otp;
+    }
+
+    /**
+     * Replays a stored call through the current tester logic
+     * @param {object} record - A stored call (callStore.getCall)
+     * @returns {Promise<object>} - { callSid, scenario, targetLanguage, llm, total, replayed, identical, changed, regressions, turns }
+     */
+    async replay(record) {
+        const history = record.history || [];
+        const base = this.callStateFor(record);
+        const turns = [];
+
+        for (const turn of this.recordedTurns(history)) {
+            if (turn.skipped) {
+                turns.push({ ...turn, replayed: null, status: 'skipped', changes: [] });
+                continue;
+            }
+
+            const context = history.slice(0, turn.position + 1);
+            const otp = this.otpAt(context);
+            const callState = {
+                ...base,
+                history: context,
+                latestReceivedOTP: otp,
+                otpExpiresAt: otp ? Infinity : null,
+                // Injected behaviours are replayed as injected, so only the tester's handling of them is compared
+                activeBehavior: turn.behavior && turn.behavior !== 'talkOver'
+                    ? new BehaviorInjector(BehaviorInjector.resolve([{ type: turn.behavior, atTurn: turn.reply }]), { persona: base.persona }).next(turn.reply, turn.bot)
+                    : null
+            };
+
+            const llm = providers.llm;
+            const missesBefore = llm.misses;
+            const { replyText } = await llmService.processCustomerIntent(turn.bot, callState);
+            const replayed = replyText.trim();
+
+            const changes = llm.misses > missesBefore
+                ? [{ kind: 'unrecorded', severity: 'regression', detail: "No recorded LLM response for the current prompt; re-record to review the change." }]
+                : this.compare(turn.recorded, replayed, {
+                    expectedLanguage: base.languagePlan.testerLanguage(turn.reply),
+                    codeMix: base.languagePlan.codeMix,
+                    // Unless the scenario pins one, the caller's own number is the phone the tester should give
+                    target: { ...base.slots.target, phone: base.slots.target.phone || base.persona.phone },
+                    referenceDate: base.startTime
+                });
+            const status = changes.some(change => change.severity === 'regression') ? 'regression' : changes.length > 0 ? 'changed' : 'identical';
+            turns.push({ ...turn, replayed, status, changes });
+        }
+
+        const count = (status) => turns.filter(turn => turn.status === status).length;
+        return {
+            callSid: record.callSid,
+            scenario: base.scenario,
+            targetLanguage: base.targetLanguage,
+            llm: providers.configuredName('llm'),
+            total: turns.length,
+            replayed: turns.length - count('skipped'),
+            identical: count('identical'),
+            changed: count('changed'),
+            regressions: count('regression'),
+            turns
+        };
+    }
+
+    /**
+     * Behaviour changes between the recorded and the replayed reply to one bot turn
+     * @returns {{kind: string, severity: 'regression'|'info', detail: string}[]}
+     */
+    compare(recorded, replayed, { expectedLanguage, codeMix, target, referenceDate }) {
+        const changes = [];
+        const isSentinel = (text) => SENTINELS.includes(text);
+
+        if (isSentinel(recorded) || isSentinel(replayed)) {
+            if (recorded !== replayed) {
+                const describe = (text) => (isSentinel(text) ? text : `"${text}"`);
+                changes.push({ kind: 'sentinel', severity: 'regression', detail: `Now says ${describe(replayed)} where the recording said ${describe(recorded)}.` });
+            }
+            return changes;
+        }
+
+        // Language: only a regression when the recorded reply was in the language the plan expected
+        const speaks = (text) => [expectedLanguage, codeMix].filter(Boolean).some(language => LanguagePlan.isWrittenIn(text, language));
+        const hasLetters = LanguagePlan.scriptRatio(replayed, expectedLanguage) !== null;
+        if (hasLetters && !speaks(replayed) && speaks(recorded)) {
+            changes.push({ kind: 'language', severity: 'regression', detail: `Reply is no longer in ${expectedLanguage}: "${replayed}"` });
+        }
+
+        // Slot details: a different value than recorded is a regression unless it is the target's
+        const before = SlotTracker.parse(recorded, referenceDate);
+        const after = SlotTracker.parse(replayed, referenceDate);
+        for (const field of ['date', 'time', 'phone']) {
+            if (after[field] && after[field] !== before[field]) {
+                const wrong = after[field] !== target[field];
+                changes.push({
+                    kind: 'slot',
+                    severity: wrong ? 'regression' : 'info',
+                    detail: `Now gives ${field} ${after[field]}${before[field] ? ` instead of ${before[field]}` : ''}${wrong ? ` (target: ${target[field] || 'none'})` : ' (the target)'}.`
+                });
+            } else if (before[field] && !after[field]) {
+                changes.push({ kind: 'slot', severity: 'info', detail: `No longer gives the ${field} (${before[field]}).` });
+            }
+        }
+
+        if (changes.length === 0 && comparable(recorded) !== comparable(replayed)) {
+            changes.push({ kind: 'text', severity: 'info', detail: "Wording changed." });
+        }
+        return changes;
+    }
+}
+
+module.exports = new TranscriptReplayer();
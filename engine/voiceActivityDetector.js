@@ -0,0 +1,185 @@
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+    sampleRate: 8000,
+    minSpeechMs: 100,          // Consecutive speech frames needed before we believe the bot started talking
+    hangoverMs: 300,           // Keep "in speech" through short dips (breaths, plosive gaps)
+    endOfTurnMs: 1200,         // Silence after speech before the bot's turn is considered over
+    minThreshold: 200,         // Absolute RMS floor, so a dead-silent line doesn't make every pop "speech"
+    speechToNoiseRatio: 3,     // Speech must be this many times louder than the estimated noise floor
+    initialNoiseFloor: 60,
+    noiseRiseRate: 0.02,       // Noise floor follows increases slowly (so speech onsets don't raise it)...
+    noiseFallRate: 0.2,        // ...and decreases quickly
+    maxSpeechZcr: 0.3,         // Zero-crossing rate above this looks like hiss/static rather than voice
+    strongSpeechRatio: 2       // Frames this far above the threshold count as speech regardless of ZCR (fricatives)
+};
+
+/**
+ * Energy + zero-crossing voice activity detector with an adaptive noise floor.
+ * Time is derived from the audio itself (frame lengths), so results are deterministic
+ * for a given recording and the detector can be unit-tested against WAV fixtures.
+ *
+ * Events:
+ *   'speechStart' { atMs, rms }            - Speech confirmed (timestamp is the onset, not the confirmation)
+ *   'speechEnd'   { atMs, durationMs }     - Speech stopped (after hangover)
+ *   'endOfTurn'   { atMs, speechMs, forced } - Silence lasted endOfTurnMs after speech; the bot is done talking
+ */
+class VoiceActivityDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.noiseFloor = this.options.initialNoiseFloor;
+        this.elapsedMs = 0;
+        this.state = 'silence';       // silence | speech | pendingEndOfTurn
+        this.candidateMs = 0;         // Speech-like audio seen while still in 'silence'
+        this.quietMs = 0;             // Non-speech audio seen while in 'speech'
+        this.silenceSinceSpeechMs = 0;
+        this.speechStartedAt = null;
+        this.turnSpeechMs = 0;
+        this.lastFrame = { rms: 0, zcr: 0, isSpeech: false };
+    }
+
+    /**
+     * True between the first speech onset of a turn and its end-of-turn
+     */
+    get inTurn() {
+        return this.state !== 'silence';
+    }
+
+    /**
+     * How long the current speech segment has lasted (0 when not in speech)
+     */
+    get currentSpeechMs() {
+        return this.state === 'speech' ? this.elapsedMs - this.speechStartedAt : 0;
+    }
+
+    /**
+     * Current energy threshold derived from the adaptive noise floor
+     */
+    get threshold() {
+        return Math.max(this.options.minThreshold, this.noiseFloor * this.options.speechToNoiseRatio);
+    }
+
+    /**
+     * Computes RMS energy and zero-crossing rate of one frame
+     * @param {Int16Array} samples
+     */
+    static analyze(samples) {
+        if (samples.length === 0) return { rms: 0, zcr: 0 };
+
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+
+        return {
+            rms: Math.sqrt(sumSquares / samples.length),
+            zcr: samples.length > 1 ? crossings / (samples.length - 1) : 0
+        };
+    }
+
+    /**
+     * Feeds one frame of 16-bit PCM (any length, normally a 20ms Twilio packet)
+     * @param {Int16Array|Buffer} frame
+     * @returns {{rms: number, zcr: number, isSpeech: boolean, state: string}}
+     */
+    process(frame) {
+        const samples = Buffer.isBuffer(frame)
+            ? new Int16Array(frame.buffer, frame.byteOffset, Math.floor(frame.length / 2))
+            : frame;
+        const frameMs = samples.length * 1000 / this.options.sampleRate;
+        const { rms, zcr } = VoiceActivityDetector.analyze(samples);
+
+        const threshold = this.threshold;
+        const loudEnough = rms > threshold;
+        const voiceLike = zcr <= this.options.maxSpeechZcr || rms > threshold * this.options.strongSpeechRatio;
+        const isSpeech = loudEnough && voiceLike;
+
+        if (!isSpeech && this.state !== 'speech') {
+            const rate = rms > this.noiseFloor ? this.options.noiseRiseRate : this.options.noiseFallRate;
+            this.noiseFloor += (rms - this.noiseFloor) * rate;
+        }
+
+        this.elapsedMs += frameMs;
+        this.advance(isSpeech, frameMs, rms);
+
+        this.lastFrame = { rms, zcr, isSpeech, state: this.state };
+        return this.lastFrame;
+    }
+
+    advance(isSpeech, frameMs, rms) {
+        const { minSpeechMs, hangoverMs, endOfTurnMs } = this.options;
+
+        if (this.state === 'silence' || this.state === 'pendingEndOfTurn') {
+            if (isSpeech) {
+                this.candidateMs += frameMs;
+                if (this.candidateMs >= minSpeechMs) {
+                    this.speechStartedAt = this.elapsedMs - this.candidateMs;
+                    this.state = 'speech';
+                    this.quietMs = 0;
+                    this.candidateMs = 0;
+                    this.emit('speechStart', { atMs: this.speechStartedAt, rms });
+                }
+            } else {
+                this.candidateMs = 0;
+            }
+
+            if (this.state === 'pendingEndOfTurn' && !isSpeech) {
+                this.silenceSinceSpeechMs += frameMs;
+                if (this.silenceSinceSpeechMs >= endOfTurnMs) this.finishTurn(false);
+            }
+            return;
+        }
+
+        // state === 'speech'
+        if (isSpeech) {
+            this.quietMs = 0;
+            return;
+        }
+
+        this.quietMs += frameMs;
+        if (this.quietMs >= hangoverMs) {
+            const endedAt = this.elapsedMs - this.quietMs;
+            const durationMs = endedAt - this.speechStartedAt;
+            this.turnSpeechMs += durationMs;
+            this.state = 'pendingEndOfTurn';
+            this.silenceSinceSpeechMs = this.quietMs;
+            this.emit('speechEnd', { atMs: endedAt, durationMs });
+
+            if (this.silenceSinceSpeechMs >= endOfTurnMs) this.finishTurn(false);
+        }
+    }
+
+    finishTurn(forced) {
+        const speechMs = this.turnSpeechMs;
+        this.state = 'silence';
+        this.turnSpeechMs = 0;
+        this.silenceSinceSpeechMs = 0;
+        this.candidateMs = 0;
+        this.emit('endOfTurn', { atMs: this.elapsedMs, speechMs, forced });
+    }
+
+    /**
+     * Ends the current turn immediately (e.g. the stream stopped while the bot was still talking)
+     * @returns {boolean} - Whether there was a turn to end
+     */
+    flush() {
+        if (this.state === 'silence') return false;
+
+        if (this.state === 'speech') {
+            const durationMs = this.elapsedMs - this.speechStartedAt;
+            this.turnSpeechMs += durationMs;
+            this.emit('speechEnd', { atMs: this.elapsedMs, durationMs });
+        }
+        this.finishTurn(true);
+        return true;
+    }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,76 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node replay_call.js <callSid | path/to/call.json>... [--llm stub|recorded|openai] [--recordings file] [--record] [--json]
+// Replays the target-bot turns of stored calls through the current tester prompt and diffs the replies
+// against the recorded ones. Exits with 1 when a reply regressed (sentinel, language or slot change).
+//   --llm recorded   answer from recorded model responses (default file: data/replays/<callSid>.llm.json)
+//   --record         with --llm recorded: fetch missing responses from OpenAI and save them
+const args = process.argv.slice(2);
+const getFlag = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+const targets = args.filter((arg, index) => !arg.startsWith('--') && !['--llm', '--recordings'].includes(args[index - 1]));
+
+process.env.LLM_PROVIDER = getFlag('llm', process.env.LLM_PROVIDER || 'stub');
+if (args.includes('--record')) process.env.LLM_RECORD_MODE = 'record';
+
+// Required after the provider is chosen
+const callStore = require('./services/callStore');
+const transcriptReplayer = require('./engine/transcriptReplayer');
+
+const ICONS = { identical: '✅', changed: '✏️', regression: '❌', skipped: '➖' };
+
+function loadRecord(target) {
+    if (fs.existsSync(target)) return JSON.parse(fs.readFileSync(target, 'utf8'));
+    const record = callStore.getCall(target);
+    if (!record) throw new Error(`No stored call or file: ${target}`);
+    return record;
+}
+
+function printReplay(result) {
+    console.log(`\n🔁 ${result.callSid} | ${result.scenario} / ${result.targetLanguage} | LLM: ${result.llm}`);
+    result.turns.forEach(turn => {
+        console.log(`${ICONS[turn.status]} Reply ${turn.reply} to: "${turn.bot}"`);
+        if (turn.status === 'skipped') {
+            console.log(`     (skipped: ${turn.skipped})`);
+            return;
+        }
+        if (turn.status === 'identical') return;
+        console.log(`     recorded: ${turn.recorded}`);
+        console.log(`     replayed: ${turn.replayed}`);
+        turn.changes.forEach(change => console.log(`     ${change.severity === 'regression' ? '⚠️' : 'ℹ️'} [${change.kind}] ${change.detail}`));
+    });
+    console.log(`📊 ${result.identical}/${result.replayed} identical, ${result.changed} changed, ${result.regressions} regressed`);
+}
+
+async function replayCalls() {
+    if (targets.length === 0) {
+        console.error("❌ Usage: node replay_call.js <callSid | path/to/call.json>... [--llm stub|recorded|openai] [--recordings file] [--record] [--json]");
+        process.exit(2);
+    }
+
+    const results = [];
+    for (const target of targets) {
+        const record = loadRecord(target);
+        if (process.env.LLM_PROVIDER === 'recorded') {
+            process.env.LLM_RECORDINGS = getFlag('recordings', path.join(__dirname, 'data', 'replays', `${record.callSid}.llm.json`));
+        }
+        const result = await transcriptReplayer.replay(record);
+        results.push(result);
+        if (!args.includes('--json')) printReplay(result);
+    }
+
+    if (args.includes('--json')) console.log(JSON.stringify(results, null, 2));
+    if (results.some(result => result.regressions > 0)) {
+        console.error("\n❌ Tester behaviour regressed on a replayed call.");
+        process.exit(1);
+    }
+}
+
+replayCalls().catch(error => {
+    console.error("❌ Failed to replay:", error.message);
+    process.exit(1);
+});
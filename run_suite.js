@@ -0,0 +1,119 @@
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+
+// Usage: node run_suite.js <suite-id | path/to/suite.json> [--server http://localhost:4001] [--min-pass-rate 0.8]
+//        [--baseline <run-id | previous>] [--max-pass-rate-drop 0.05] [--max-latency-increase-ms 500]
+// The server (node server.js) must already be running, since it owns the Twilio media streams.
+// With --baseline the run is also a release gate: it fails if it regressed against that run
+// ("previous" = the last completed run of the same suite).
+const args = process.argv.slice(2);
+const suiteArg = args.find(arg => !arg.startsWith('--'));
+const getFlag = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const serverUrl = getFlag('server', `http://localhost:${process.env.PORT || 4001}`);
+const minPassRate = parseFloat(getFlag('min-pass-rate', '0'));
+const baselineArg = getFlag('baseline', null);
+const POLL_INTERVAL_MS = 5000;
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+function printBreakdown(title, buckets) {
+    console.log(`\n${title}`);
+    Object.entries(buckets).forEach(([key, bucket]) => {
+        console.log(`  ${key.padEnd(16)} ${String(bucket.passed).padStart(3)}/${String(bucket.total).padEnd(3)} passed  (${percent(bucket.passRate)})  failed: ${bucket.failed}  skipped: ${bucket.skipped}  errored: ${bucket.errored}`);
+    });
+}
+
+async function runSuite() {
+    if (!suiteArg) {
+        console.error("❌ Usage: node run_suite.js <suite-id | path/to/suite.json> [--server URL] [--min-pass-rate 0.8]");
+        process.exit(2);
+    }
+
+    // Send local files inline so suites don't have to live in the server's suites/ directory
+    const body = fs.existsSync(suiteArg) ? { suite: JSON.parse(fs.readFileSync(suiteArg, 'utf8')) } : { suiteId: suiteArg };
+
+    const { data } = await axios.post(`${serverUrl}/suites/run`, body);
+    console.log(`🧪 Suite started: ${data.runId} (${data.total} calls)`);
+
+    let run;
+    let lastCompleted = -1;
+    do {
+        await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+        run = (await axios.get(`${serverUrl}/suite-runs/${data.runId}`)).data;
+
+        if (run.completed !== lastCompleted) {
+            lastCompleted = run.completed;
+            console.log(`⏳ ${run.completed}/${run.total} calls finished | passed: ${run.passed} failed: ${run.failed} skipped: ${run.skipped} errored: ${run.errored}`);
+        }
+    } while (run.status === 'running' || run.status === 'cancelling');
+
+    console.log(`\n📊 ${run.suiteName} ${run.status} | Pass rate: ${percent(run.passRate)} (${run.passed}/${run.completed})`);
+    printBreakdown("By language:", run.byLanguage);
+    printBreakdown("By scenario:", run.byScenario);
+    printBreakdown("By audio condition:", run.byDegradation);
+
+    const failures = run.calls.filter(call => call.status === 'failed' || call.status === 'errored');
+    if (failures.length > 0) {
+        console.log("\nFailures:");
+        failures.forEach(call => {
+            console.log(`  ❌ ${call.scenario} / ${call.language} #${call.repetition} (${call.callSid || 'not dialed'}): ${call.error || call.report?.uxAnalysis || ''}`);
+        });
+    }
+
+    if (run.status !== 'completed' || run.passRate < minPassRate) {
+        console.error(`\n❌ Suite did not meet the required pass rate of ${percent(minPassRate)}.`);
+        process.exit(1);
+    }
+
+    if (baselineArg && !(await compareWithBaseline(run))) {
+        console.error("\n❌ Suite regressed against the baseline.");
+        process.exit(1);
+    }
+    console.log("\n✅ Suite passed.");
+}
+
+/**
+ * Prints the regression comparison against --baseline
+ * @returns {Promise<boolean>} - False if the gate detected a regression
+ */
+async function compareWithBaseline(run) {
+    let baselineId = baselineArg;
+    if (baselineId === 'previous') {
+        const runs = (await axios.get(`${serverUrl}/suite-runs`)).data;
+        const previous = runs.find(other => other.suiteId === run.suiteId && other.status === 'completed' && other.startedAt < run.startedAt);
+        if (!previous) {
+            console.log(`\nℹ️ No previous completed run of ${run.suiteId} to compare against.`);
+            return true;
+        }
+        baselineId = previous.runId;
+    }
+
+    const params = { baseline: baselineId, candidate: run.runId };
+    if (args.includes('--max-pass-rate-drop')) params.maxPassRateDrop = getFlag('max-pass-rate-drop');
+    if (args.includes('--max-latency-increase-ms')) params.maxLatencyIncreaseMs = getFlag('max-latency-increase-ms');
+    const comparison = (await axios.get(`${serverUrl}/compare`, { params })).data;
+
+    const signed = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}pp`;
+    console.log(`\n🔀 Compared with ${comparison.baseline.label}: pass rate ${percent(comparison.baseline.passRate)} -> ${percent(comparison.candidate.passRate)} (${signed(comparison.passRateDelta)})`);
+    [...comparison.byScenario, ...comparison.byLanguage, ...comparison.byDegradation]
+        .filter(row => row.delta !== null && row.delta !== 0)
+        .forEach(row => console.log(`  ${row.key.padEnd(16)} ${percent(row.baseline.passRate)} -> ${percent(row.candidate.passRate)} (${signed(row.delta)})`));
+
+    const bot = comparison.latency.botResponseMs;
+    if (bot.deltaP50 !== null) console.log(`  Bot response p50 ${bot.baseline.p50}ms -> ${bot.candidate.p50}ms, p95 ${bot.baseline.p95}ms -> ${bot.candidate.p95}ms`);
+    comparison.failureCategories.new.forEach(category => console.log(`  🆕 ${category.label} (${category.candidateCount}x)`));
+    comparison.newlyFailing.forEach(row => console.log(`  ❌ Newly failing: ${row.key} ${row.calls.map(call => call.callSid).join(', ')}`));
+
+    comparison.regression.reasons.forEach(reason => console.log(`  ⚠️ ${reason}`));
+    return !comparison.regression.detected;
+}
+
+runSuite().catch(error => {
+    console.error("❌ Failed to run suite:", error.response?.data || error.message);
+    process.exit(1);
+});
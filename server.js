@@ -11,15 +11,8 @@ const wss = new WebSocket.Server({ server });
 // ---------------------------------------------------------
 const sseClients = new Set();
 
-// Intercept console.log to broadcast internal engine logs to the dashboard
-const originalConsoleLog = console.log;
-console.log = function (...args) {
-    const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : a).join(' ');
-    originalConsoleLog(message);
-
-    const sseMessage = message.split('\n').map(line => `data: ${line}`).join('\n') + '\n\n';
-
-    // Broadcast to dashboard without crashing if a write fails
+// Broadcast to dashboard without crashing if a write fails
+function broadcast(sseMessage) {
     sseClients.forEach(client => {
         try {
             client.write(sseMessage);
@@ -27,6 +20,15 @@ console.log = function (...args) {
             // Quietly ignore failed writes to disconnected clients
         }
     });
+}
+
+// Intercept console.log to broadcast internal engine logs to the dashboard
+const originalConsoleLog = console.log;
+console.log = function (...args) {
+    const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : a).join(' ');
+    originalConsoleLog(message);
+
+    broadcast(message.split('\n').map(line => `data: ${line}`).join('\n') + '\n\n');
 };
 
 const originalConsoleError = console.error;
@@ -34,18 +36,21 @@ console.error = function (...args) {
     const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : a).join(' ');
     originalConsoleError(message);
 
-    const sseMessage = message.split('\n').map(line => `data: ❌ ERROR: ${line}`).join('\n') + '\n\n';
-    sseClients.forEach(client => {
-        try {
-            client.write(sseMessage);
-        } catch (err) { }
-    });
+    broadcast(message.split('\n').map(line => `data: ❌ ERROR: ${line}`).join('\n') + '\n\n');
 };
 
 const callManager = require('./engine/callManager');
-const { spawn } = require('child_process');
-const twilio = require('twilio');
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+const { CALL_EVENT } = require('./engine/callEvents');
+const scenarioLibrary = require('./engine/scenarioLibrary');
+const ChannelDegrader = require('./engine/channelDegrader');
+const personaLibrary = require('./engine/personaLibrary');
+const BehaviorInjector = require('./engine/behaviorInjector');
+const suiteRunner = require('./engine/suiteRunner');
+const scheduler = require('./engine/scheduler');
+const runComparator = require('./engine/runComparator');
+const twilioService = require('./services/twilioService');
+const callStore = require('./services/callStore');
+const otpService = require('./services/otpService');
 
 app.use(express.json());
 
@@ -80,18 +85,55 @@ app.post('/twilio-webhook', (req, res) => {
     res.send(twiml);
 });
 
-// Manual OTP Injection Route (Triggered from Dashboard)
+/**
+ * Picks the call a dashboard action targets: the body's callSid, or the only active call when
+ * there is exactly one (keeps single-call scripts working). Sends the error response itself.
+ * @returns {string|null}
+ */
+function resolveTargetCall(req, res) {
+    const callSid = req.body.callSid;
+    if (callSid) {
+        if (callManager.activeCalls.has(callSid)) return callSid;
+        res.status(404).send(`No active call with SID ${callSid}`);
+        return null;
+    }
+
+    const activeCalls = [...callManager.activeCalls.keys()];
+    if (activeCalls.length === 1) return activeCalls[0];
+    res.status(400).send(activeCalls.length === 0 ? "No active calls" : "Several calls are active, specify a callSid");
+    return null;
+}
+
+// Manual OTP Injection Route (Triggered from a Dashboard call panel)
 app.post('/inject-otp', (req, res) => {
     const otpCode = req.body.otp;
+    if (!otpCode) return res.status(400).send("No OTP provided");
 
-    if (otpCode) {
-        console.log(`\n💉 [Manual Injection] User injected OTP: ${otpCode}`);
-        // Store it globally so the LLM knows it instantly
-        callManager.latestReceivedOTP = otpCode;
-        res.sendStatus(200);
-    } else {
-        res.status(400).send("No OTP provided");
-    }
+    const callSid = resolveTargetCall(req, res);
+    if (!callSid) return;
+
+    console.log(`\n💉 [Manual Injection] User injected OTP for ${callSid}: ${otpCode}`);
+    // Stored on the call so its LLM knows it instantly
+    callManager.setOTP(callSid, otpCode);
+    res.sendStatus(200);
+});
+
+// Inbound SMS webhook (Twilio Messaging format: form-encoded From / To / Body). Point the Twilio number's
+// "A message comes in" hook here; simulate_sms.js posts the same format locally. OTPs go to the matching call.
+app.post('/sms-webhook', express.urlencoded({ extended: false }), (req, res) => {
+    const { From, To, Body } = req.body;
+    if (!To || Body === undefined) return res.status(400).send("Expected Twilio SMS fields To and Body");
+
+    otpService.receiveSms({ from: From, to: To, body: Body });
+    // Empty TwiML: no auto-reply
+    res.type('text/xml');
+    res.send('<Response></Response>');
+});
+
+// Typed call events go out as named SSE events (event: report.ready, ...) so the dashboard
+// renders from structured payloads; plain log lines stay on the default 'message' event
+callManager.on(CALL_EVENT, (event) => {
+    broadcast(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
 });
 
 // SSE Endpoint for Dashboard Log Stream
@@ -99,6 +141,7 @@ app.get('/logs-stream', (req, res) => {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders(); // Open the stream now rather than on the first broadcast
 
     sseClients.add(res);
 
@@ -107,58 +150,89 @@ app.get('/logs-stream', (req, res) => {
     });
 });
 
-// Manual Response Override Route (Triggered from Dashboard)
+// Manual Response Override Route (Triggered from a Dashboard call panel)
 app.post('/override-response', (req, res) => {
     const overrideText = req.body.text;
+    if (!overrideText) return res.status(400).send("No text provided");
 
-    if (overrideText) {
-        console.log(`\n🎛️ [Manual Override] User set NEXT AI response: "${overrideText}"`);
-        callManager.manualOverrideResponse = overrideText;
-        res.sendStatus(200);
-    } else {
-        res.status(400).send("No text provided");
-    }
+    const callSid = resolveTargetCall(req, res);
+    if (!callSid) return;
+
+    console.log(`\n🎛️ [Manual Override] User set NEXT AI response for ${callSid}: "${overrideText}"`);
+    callManager.setManualOverride(callSid, overrideText);
+    res.sendStatus(200);
 });
 
-// Trigger Twilio Call Endpoint (From Dashboard)
-app.post('/run-test', (req, res) => {
-    const requestedLanguage = req.body.language || 'English';
-    callManager.pendingTestLanguage = requestedLanguage;
-    console.log(`\n> Dashboard triggered new Twilio outbound test. Selected Language: ${requestedLanguage}`);
+// Calls in progress, with their transcript so far (Dashboard call panels, e.g. after a refresh)
+app.get('/active-calls', (req, res) => {
+    res.json(callManager.listActiveCalls());
+});
 
-    // Spawn the Twilio dialer script as a background process
-    const child = spawn('node', ['test_call_twilio.js']);
+// List the available test scenarios (Populates the Dashboard dropdown)
+app.get('/scenarios', (req, res) => {
+    res.json(scenarioLibrary.list());
+});
 
-    child.on('error', (err) => {
-        console.error(`❌ [Server] Failed to start test_call_twilio.js: ${err.message}`);
-    });
+// List the caller personas (Populates the Dashboard dropdown)
+app.get('/personas', (req, res) => {
+    res.json(personaLibrary.list());
+});
 
-    child.on('exit', (code) => {
-        if (code !== 0) {
-            console.error(`❌ [Server] test_call_twilio.js exited with code ${code}`);
-        } else {
-            console.log(`✅ [Server] test_call_twilio.js finished successfully.`);
-        }
-    });
+// List the audio condition presets for the tester's voice (Populates the Dashboard dropdown)
+app.get('/degradations', (req, res) => {
+    res.json(ChannelDegrader.presets());
+});
 
-    // Pipe the Twilio dialer output into our Server Console so it broadcasts to the UI
-    child.stdout.on('data', (data) => {
-        const lines = data.toString().split('\n').filter(line => line.trim());
-        lines.forEach(line => console.log(line));
-    });
+// List the adversarial caller behaviours a call can inject (Populates the Dashboard checkboxes)
+app.get('/behaviors', (req, res) => {
+    res.json(BehaviorInjector.catalog());
+});
 
-    child.stderr.on('data', (data) => {
-        const lines = data.toString().split('\n').filter(line => line.trim());
-        lines.forEach(line => console.error(line));
-    });
+// Trigger Twilio Call Endpoint (From Dashboard)
+// Body: { language, scenario, persona, degradation, behaviors } - persona is an id or 'random', degradation a preset name or
+// settings object, behaviors a list of behaviour types or { type, atTurn, probability } objects
+// Every call is dialed with its own scenario/language, so several can run side by side
+app.post('/run-test', async (req, res) => {
+    const requestedLanguage = req.body.language || 'English';
+    const requestedScenario = req.body.scenario || null;
 
-    res.sendStatus(200);
+    if (requestedScenario && !scenarioLibrary.has(requestedScenario)) {
+        return res.status(400).send(`Unknown scenario: ${requestedScenario}`);
+    }
+    const requestedPersona = req.body.persona || undefined;
+    if (requestedPersona && requestedPersona !== 'random' && !personaLibrary.has(requestedPersona)) {
+        return res.status(400).send(`Unknown persona: ${requestedPersona}`);
+    }
+    try {
+        ChannelDegrader.resolve(req.body.degradation);
+        BehaviorInjector.resolve(req.body.behaviors);
+    } catch (e) {
+        return res.status(400).send(e.message);
+    }
+
+    console.log(`\n> Dashboard triggered new Twilio outbound test. Selected Language: ${requestedLanguage} | Scenario: ${requestedScenario || `Auto (${callManager.nextScenario})`}${req.body.degradation ? ` | Audio: ${req.body.degradation}` : ''}`);
+
+    try {
+        const callSid = await twilioService.placeCall();
+        callManager.registerOutboundCall(callSid, { scenario: requestedScenario, language: requestedLanguage, persona: requestedPersona, degradation: req.body.degradation || undefined, behaviors: req.body.behaviors || undefined });
+        console.log(`✅ [Twilio] Call initiated: ${callSid}`);
+        res.json({ callSid });
+    } catch (e) {
+        console.error(`❌ [Server] Failed to start Twilio call: ${e.message}`);
+        res.status(500).send(e.message);
+    }
 });
 
 // End an active Twilio Call Endpoint (From Dashboard)
+// Body: { callSid } ends one call; no callSid ends every active call
 app.post('/end-test', async (req, res) => {
-    console.log(`\n> Dashboard requested to end active calls...`);
-    const activeCalls = [...callManager.activeCalls.keys()];
+    const requested = req.body.callSid;
+    if (requested && !callManager.activeCalls.has(requested)) {
+        return res.status(404).send(`No active call with SID ${requested}`);
+    }
+
+    console.log(`\n> Dashboard requested to end ${requested ? `call ${requested}` : 'all active calls'}...`);
+    const activeCalls = requested ? [requested] : [...callManager.activeCalls.keys()];
 
     if (activeCalls.length === 0) {
         console.log(`> No active calls found in CallManager.`);
@@ -168,7 +242,7 @@ app.post('/end-test', async (req, res) => {
     try {
         for (const sid of activeCalls) {
             console.log(`> Terminating Twilio Call SID: ${sid}`);
-            await twilioClient.calls(sid).update({ status: 'completed' });
+            await twilioService.hangUp(sid);
             callManager.endCall(sid);
         }
         res.sendStatus(200);
@@ -178,7 +252,158 @@ app.post('/end-test', async (req, res) => {
     }
 });
 
-const WaveFile = require('wavefile').WaveFile;
+// List the test suites available in suites/
+app.get('/suites', (req, res) => {
+    try {
+        res.json(suiteRunner.listSuites());
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+// Start a batch test suite (From Dashboard or run_suite.js CLI)
+// Body: { suiteId: "nightly-regression" } or { suite: { entries: [...] } }
+app.post('/suites/run', (req, res) => {
+    try {
+        const suite = req.body.suite || suiteRunner.loadSuite(req.body.suiteId);
+        const run = suiteRunner.start(suite);
+        res.status(202).json({ runId: run.runId, total: run.total });
+    } catch (e) {
+        console.error(`> Failed to start suite:`, e.message);
+        res.status(400).send(e.message);
+    }
+});
+
+app.get('/suite-runs', (req, res) => {
+    res.json(suiteRunner.listRuns());
+});
+
+app.get('/suite-runs/:runId', (req, res) => {
+    const run = suiteRunner.getRun(req.params.runId);
+    if (!run) return res.status(404).send("Run not found");
+    res.json(run);
+});
+
+app.post('/suite-runs/:runId/cancel', (req, res) => {
+    if (!suiteRunner.cancel(req.params.runId)) return res.status(404).send("No running suite with that id");
+    res.sendStatus(200);
+});
+
+// Recurring suite runs on cron schedules (synthetic uptime monitoring of the target bot)
+// Body: { name, cron, suiteId } or { name, cron, entries: [...], concurrency } - enabled defaults to true
+app.get('/schedules', (req, res) => {
+    res.json(scheduler.list());
+});
+
+app.post('/schedules', (req, res) => {
+    try {
+        res.status(201).json(scheduler.create(req.body));
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+app.get('/schedules/:id', (req, res) => {
+    const schedule = scheduler.get(req.params.id);
+    if (!schedule) return res.status(404).send("Schedule not found");
+    res.json(schedule);
+});
+
+app.put('/schedules/:id', (req, res) => {
+    try {
+        const schedule = scheduler.update(req.params.id, req.body);
+        if (!schedule) return res.status(404).send("Schedule not found");
+        res.json(schedule);
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+app.delete('/schedules/:id', (req, res) => {
+    try {
+        if (!scheduler.remove(req.params.id)) return res.status(404).send("Schedule not found");
+        res.sendStatus(204);
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+// Run a schedule's suite right away (e.g. to check a new schedule works)
+app.post('/schedules/:id/run', (req, res) => {
+    try {
+        if (!scheduler.get(req.params.id)) return res.status(404).send("Schedule not found");
+        const run = scheduler.runNow(req.params.id);
+        if (!run) return res.status(409).send("The schedule's previous run is still going");
+        res.status(202).json({ runId: run.runId, total: run.total });
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+// Regression comparison between two sets of calls (suite run ids, or "<from>..<to>" ranges of stored calls)
+// GET /compare?baseline=run-1&candidate=run-2[&maxPassRateDrop=0.05&maxLatencyIncreaseMs=500]
+app.get('/compare', (req, res) => {
+    const options = {};
+    if (req.query.maxPassRateDrop !== undefined) options.maxPassRateDrop = parseFloat(req.query.maxPassRateDrop);
+    if (req.query.maxLatencyIncreaseMs !== undefined) options.maxLatencyIncreaseMs = parseFloat(req.query.maxLatencyIncreaseMs);
+    if (Object.values(options).some(value => !Number.isFinite(value))) return res.status(400).send("Thresholds must be numbers");
+
+    try {
+        res.json(runComparator.compareSets(req.query.baseline, req.query.candidate, options));
+    } catch (e) {
+        res.status(e.notFound ? 404 : 400).send(e.message);
+    }
+});
+
+// Call History API (Stored transcripts, reports and audio of past calls)
+app.get('/calls', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json(callStore.listCalls({ limit }));
+});
+
+app.get('/calls/:sid', (req, res) => {
+    try {
+        const call = callStore.getCall(req.params.sid);
+        if (!call) return res.status(404).send("Call not found");
+        res.json(call);
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+// ?direction=inbound (target bot, default) or ?direction=outbound (our tester)
+app.get('/calls/:sid/audio', (req, res) => {
+    try {
+        const audioPath = callStore.getAudioPath(req.params.sid, req.query.direction || 'inbound');
+        if (!audioPath) return res.status(404).send("No audio stored for this call");
+        res.type('audio/wav');
+        res.sendFile(audioPath);
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
+
+// Stereo recording (target bot left, tester right) as a download,
+// or one slice of it with ?from=<ms>&to=<ms> (per-turn clips linked from the transcript)
+app.get('/calls/:sid/recording', (req, res) => {
+    try {
+        const from = Number(req.query.from);
+        const to = Number(req.query.to);
+
+        if (req.query.from !== undefined || req.query.to !== undefined) {
+            if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) return res.status(400).send("from/to must be offsets in ms with to > from");
+            const clip = callStore.getRecordingClip(req.params.sid, from, to);
+            if (!clip) return res.status(404).send("No recording stored for this call");
+            return res.type('audio/wav').send(clip);
+        }
+
+        const recordingPath = callStore.getAudioPath(req.params.sid, 'recording');
+        if (!recordingPath) return res.status(404).send("No recording stored for this call");
+        res.download(recordingPath, `${req.params.sid}.wav`);
+    } catch (e) {
+        res.status(400).send(e.message);
+    }
+});
 
 // WebSocket Route from Twilio Media Streams
 wss.on('connection', (ws) => {
@@ -196,37 +421,17 @@ wss.on('connection', (ws) => {
                 callSid = data.start.callSid;
                 console.log(`\n\n📡 Twilio Stream Started! Call SID: ${callSid}`);
 
-                // Explicitly start the call in our engine, inheriting the UI language requested
-                callManager.startCall(callSid, ws);
+                // Explicitly start the call in our engine (scenario/language registered when it was dialed),
+                // in the media format the stream announced (Twilio: start.mediaFormat, Exotel: start.media_format)
+                callManager.startCall(callSid, ws, { mediaFormat: data.start.mediaFormat || data.start.media_format });
                 return;
             }
 
             // Extract Base64 Audio if present
             if (eventType === 'media' && data.media && data.media.payload) {
-                // Twilio sends 8kHz mu-law encoded audio in base64
-                const mulawAudioBuffer = Buffer.from(data.media.payload, 'base64');
-
-                // Sarvam requires 16-bit PCM. We use wavefile to quickly transcode it.
-                // 1. Create a WAV file object containing the mu-law bytes
-                const wav = new WaveFile();
-                wav.fromScratch(1, 8000, '8m', mulawAudioBuffer); // 1 channel, 8000hz, 8-bit mu-law
-
-                // 2. Transcode the WAV object into 16-bit PCM
-                wav.fromMuLaw();
-
-                // 3. Extract the raw PCM bytes (ignoring the WAV headers since Sarvam accepts raw PCM)
-                const pcmSamples = wav.getSamples(false, Int16Array);
-                const pcmAudioBuffer = Buffer.from(pcmSamples.buffer);
-
-                // 4. Compute RMS Volume for Voice Activity Detection (VAD)
-                let sumSquares = 0;
-                for (let i = 0; i < pcmSamples.length; i++) {
-                    sumSquares += pcmSamples[i] * pcmSamples[i];
-                }
-                const rms = Math.sqrt(sumSquares / pcmSamples.length);
-
-                // Pass the transcoded PCM bytes AND the volume to the Call Manager
-                await callManager.handleIncomingAudio(callSid, pcmAudioBuffer, ws, rms);
+                // Encoded as negotiated at 'start' (Twilio: 8kHz mu-law); the call's audio pipeline decodes it to PCM
+                // and its VAD does the speech detection
+                await callManager.handleIncomingMedia(callSid, Buffer.from(data.media.payload, 'base64'), ws);
             }
 
             if (eventType === 'stop') {
@@ -245,6 +450,13 @@ wss.on('connection', (ws) => {
 });
 
 const PORT = process.env.PORT || 4001;
-server.listen(PORT, () => {
-    console.log(`🚀 Exotel Native Webhook & WebSocket Server running on port ${PORT}`);
-});
+
+// Only bind the port when run directly, so tests can require the server and listen on a free port
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🚀 Exotel Native Webhook & WebSocket Server running on port ${PORT}`);
+    });
+    scheduler.start();
+}
+
+module.exports = { app, server, wss };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { toWav } = require('../engine/audioPipeline');
+const CallRecorder = require('../engine/callRecorder');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'calls');
+// recording = stereo, target bot left / tester right, aligned to the call's wall clock
+const AUDIO_FILES = { inbound: 'inbound.wav', outbound: 'outbound.wav', recording: 'recording.wav' };
+
+class CallStore {
+    constructor(storeDir = process.env.CALL_STORE_DIR || DEFAULT_STORE_DIR) {
+        this.storeDir = storeDir;
+    }
+
+    /**
+     * Call SIDs come from URLs, so only allow plain identifiers to prevent path traversal
+     */
+    callDir(callSid) {
+        if (!/^[\w-]+$/.test(callSid)) throw new Error(`Invalid call SID: ${callSid}`);
+        return path.join(this.storeDir, callSid);
+    }
+
+    /**
+     * Persists everything we know about a finished call: metadata, timestamped history, report and raw audio
+     * @param {string} callSid
+     * @param {object} callState - The CallManager state for the call
+     * @param {object} report - The generated test report
+     * @returns {object} - The stored call record
+     */
+    saveCall(callSid, callState, report) {
+        const dir = this.callDir(callSid);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const audio = {};
+        const recording = callState.recording;
+        if (recording && recording.hasInbound) {
+            fs.writeFileSync(path.join(dir, AUDIO_FILES.inbound), this.toWav(recording.inboundPcm()));
+            audio.inbound = AUDIO_FILES.inbound;
+        }
+        if (recording && recording.hasOutbound) {
+            fs.writeFileSync(path.join(dir, AUDIO_FILES.outbound), this.toWav(recording.outboundPcm()));
+            audio.outbound = AUDIO_FILES.outbound;
+        }
+        if (recording && (recording.hasInbound || recording.hasOutbound)) {
+            fs.writeFileSync(path.join(dir, AUDIO_FILES.recording), recording.toStereoWav());
+            audio.recording = AUDIO_FILES.recording;
+        }
+
+        const endTime = Date.now();
+        const record = {
+            callSid,
+            scenario: callState.scenario,
+            targetLanguage: callState.targetLanguage,
+            symptom: callState.symptom,
+            startTime: new Date(callState.startTime).toISOString(),
+            endTime: new Date(endTime).toISOString(),
+            durationMs: endTime - callState.startTime,
+            history: callState.history,
+            report,
+            audio
+        };
+
+        fs.writeFileSync(path.join(dir, 'call.json'), JSON.stringify(record, null, 2));
+        return record;
+    }
+
+    /**
+     * Wraps raw 16-bit 8kHz PCM into a playable WAV file
+     */
+    toWav(pcmBuffer) {
+        return toWav(pcmBuffer);
+    }
+
+    /**
+     * @param {string} callSid
+     * @returns {object|null}
+     */
+    getCall(callSid) {
+        const file = path.join(this.callDir(callSid), 'call.json');
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Lists stored calls, newest first, without their (potentially large) transcripts
+     * @param {{limit?: number}} [options]
+     */
+    listCalls({ limit = 100 } = {}) {
+        if (!fs.existsSync(this.storeDir)) return [];
+
+        return fs.readdirSync(this.storeDir)
+            .map(callSid => {
+                try {
+                    return this.getCall(callSid);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.startTime.localeCompare(a.startTime))
+            .slice(0, limit)
+            .map(({ history, ...summary }) => ({ ...summary, turns: history.length }));
+    }
+
+    /**
+     * Absolute path of a stored audio file, or null if the call has no audio in that direction
+     * @param {string} callSid
+     * @param {'inbound'|'outbound'|'recording'} direction - inbound = target bot, outbound = our tester,
+     *   recording = both as stereo
+     */
+    getAudioPath(callSid, direction = 'inbound') {
+        const fileName = AUDIO_FILES[direction];
+        if (!fileName) throw new Error(`Unknown audio direction: ${direction}`);
+
+        const file = path.join(this.callDir(callSid), fileName);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    /**
+     * A slice of the stereo call recording (e.g. one turn, as referenced by a history entry's `audio` range)
+     * @param {string} callSid
+     * @param {number} fromMs - Offset from the call start
+     * @param {number} toMs
+     * @returns {Buffer|null} - WAV bytes, or null if the call has no recording
+     */
+    getRecordingClip(callSid, fromMs, toMs) {
+        const file = this.getAudioPath(callSid, 'recording');
+        if (!file) return null;
+        return CallRecorder.clip(fs.readFileSync(file), fromMs, toMs);
+    }
+}
+
+module.exports = new CallStore();
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const seededRandom = require('../engine/seededRandom');
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'data', 'cassettes');
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_SEED = 1;
+const CLOCK_FILE = 'clock.json';
+
+/**
+ * Record-and-replay layer for the paid HTTP APIs (Sarvam STT/TTS and OpenAI chat completions).
+ *
+ *   HTTP_CASSETTE=off        (default) every request goes to the network
+ *   HTTP_CASSETTE=record     requests go to the network and the responses are saved
+ *   HTTP_CASSETTE=replay     responses come from disk only; unrecorded requests throw (error.cassetteMiss)
+ *   HTTP_CASSETTE_DIR        where the cassette lives (default data/cassettes, one JSON file per request)
+ *   HTTP_CASSETTE_SEED       seed for each call's random choices while recording or replaying (default 1)
+ *   HTTP_CASSETTE_DATE       the "today" calls see while recording or replaying (default: when recording began)
+ *
+ * Requests are keyed on a normalized hash of service, method, path and body: object keys are sorted,
+ * hosts and headers (API keys) are left out and audio uploads are hashed. So that a cassette recorded today
+ * still replays tomorrow, the calls read "today" from referenceDate(), which stays at the recording's date
+ * (saved as clock.json in the cassette), and the per-call choices that end up in the tester prompt (persona,
+ * target slot, symptom, behaviours) come from random(), which repeats itself while a cassette is on.
+ * Anything else that differs is a different request. Unlike LLM_PROVIDER=recorded,
+ * which pins the tester's answers for one stored call, this sits under the vendors and covers whole runs.
+ *
+ * The services rethrow cassette misses instead of falling back to an empty transcript or a canned
+ * reply, so a stale cassette fails the run loudly.
+ */
+class HttpCassette {
+    get mode() {
+        const mode = process.env.HTTP_CASSETTE || 'off';
+        if (!MODES.includes(mode)) throw new Error(`HTTP_CASSETTE must be one of ${MODES.join(', ')} (got "${mode}")`);
+        return mode;
+    }
+
+    get dir() {
+        return process.env.HTTP_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+    }
+
+    /**
+     * Canonical form of a request body: sorted keys, binary payloads replaced by their hash
+     */
+    normalize(value) {
+        if (Buffer.isBuffer(value)) return { sha256: crypto.createHash('sha256').update(value).digest('hex'), bytes: value.length };
+        if (Array.isArray(value)) return value.map(item => this.normalize(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => [key, this.normalize(value[key])]));
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} service - e.g. 'sarvam', 'openai'
+     * @param {{method: string, path: string, body: object}} request
+     */
+    key(service, { method, path: requestPath, body }) {
+        const canonical = JSON.stringify([service, method.toUpperCase(), requestPath, this.normalize(body)]);
+        return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 32);
+    }
+
+    /**
+     * Source of randomness for one call's choices. While recording or replaying, the sequence is seeded from
+     * HTTP_CASSETTE_SEED and what identifies the call, so each call of a run makes its own choices and makes
+     * the same ones (and sends the same prompts) on every run.
+     * @param {...(string|number)} call - e.g. scenario, language, position in the suite run
+     * @returns {Function} - Returns [0, 1), like Math.random
+     */
+    random(...call) {
+        if (this.mode === 'off') return Math.random;
+        const base = parseInt(process.env.HTTP_CASSETTE_SEED, 10) || DEFAULT_SEED;
+        return seededRandom(crypto.createHash('sha256').update([base, ...call].join('|')).digest().readUInt32LE(0));
+    }
+
+    /**
+     * The moment a call treats as "now" when picking and describing dates. Off: `now` itself. Recording:
+     * HTTP_CASSETTE_DATE, else the time the cassette was first recorded. Replaying: the same, so the prompts match.
+     * @param {number} [now]
+     * @returns {number} - Epoch milliseconds
+     */
+    referenceDate(now = Date.now()) {
+        const mode = this.mode;
+        if (mode === 'off') return now;
+
+        if (process.env.HTTP_CASSETTE_DATE) {
+            const pinned = Date.parse(process.env.HTTP_CASSETTE_DATE);
+            if (Number.isNaN(pinned)) throw new Error(`HTTP_CASSETTE_DATE is not a date (got "${process.env.HTTP_CASSETTE_DATE}")`);
+            return pinned;
+        }
+        const file = path.join(this.dir, CLOCK_FILE);
+        if (fs.existsSync(file)) return Date.parse(JSON.parse(fs.readFileSync(file, 'utf8')).referenceDate);
+        if (mode === 'replay') {
+            const error = new Error(`No ${CLOCK_FILE} in ${this.dir}. Re-record with HTTP_CASSETTE=record or set HTTP_CASSETTE_DATE.`);
+            error.cassetteMiss = true;
+            throw error;
+        }
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ referenceDate: new Date(now).toISOString() }, null, 2));
+        return now;
+    }
+
+    entryFile(service, key) {
+        return path.join(this.dir, service, `${key}.json`);
+    }
+
+    /**
+     * Sends a request through the cassette
+     * @param {string} service
+     * @param {{method: string, path: string, body: object}} request - What identifies the request (no host, no headers)
+     * @param {() => Promise<object>} send - Performs the real request and resolves with the JSON response body
+     * @returns {Promise<object>} - The (recorded) response body
+     */
+    async request(service, request, send) {
+        const mode = this.mode;
+        if (mode === 'off') return send();
+
+        const key = this.key(service, request);
+        const file = this.entryFile(service, key);
+        const summary = `${request.method.toUpperCase()} ${request.path}`;
+
+        if (mode === 'replay') {
+            if (!fs.existsSync(file)) {
+                console.error(`📼 [Cassette] MISS ${service} ${summary} (${key})`);
+                const error = new Error(`No recorded ${service} response for ${summary} (${key}). Re-record with HTTP_CASSETTE=record.`);
+                error.cassetteMiss = true;
+                throw error;
+            }
+            return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+        }
+
+        // Only successful responses are recorded; errors reach the caller as usual
+        const response = await send();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            service,
+            request: { method: request.method.toUpperCase(), path: request.path, body: this.normalize(request.body) },
+            response,
+            recordedAt: new Date().toISOString()
+        }, null, 2));
+        console.log(`📼 [Cassette] Recorded ${service} ${summary} (${key})`);
+        return response;
+    }
+}
+
+module.exports = new HttpCassette();
@@ -1,10 +1,18 @@
-const OpenAI = require('openai');
+const scenarioLibrary = require('../engine/scenarioLibrary');
+const personaLibrary = require('../engine/personaLibrary');
+const providers = require('./providers');
+const httpCassette = require('./httpCassette');
+const SlotTracker = require('../engine/slotTracker');
+const LanguagePlan = require('../engine/languagePlan');
+
+const FALLBACK_REPLY = "I'm sorry, I am having trouble connecting to my brain right now.";
 
 class LLMService {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
+    /**
+     * The configured chat model backend (OpenAI by default, see services/providers)
+     */
+    get llm() {
+        return providers.llm;
     }
 
     /**
@@ -14,37 +22,96 @@ class LLMService {
      * @returns {Promise<{replyText: string, updatedState: object}>}
      */
     async processCustomerIntent(transcript, callState) {
-        // Define the scenario-specific instructions
-        let scenarioInstructions = '';
-        if (callState.scenario === 'BOOKING') {
-            scenarioInstructions = `TEST SCENARIO: Book Appointment
-Your ONLY goal for this call is to book an appointment with a Doctor. Provide your details when asked. Your specific medical reason for visiting is: "${callState.symptom}". You must strictly only use this symptom during the entire call. Confirm the appointment details. End with "Thank you". Do NOT cancel anything.`;
-        } else if (callState.scenario === 'CANCELLATION') {
-            scenarioInstructions = `TEST SCENARIO: Cancel Appointment
-Your ONLY goal for this call is to cancel an appointment you booked earlier. Say you want to cancel. Provide your phone number and name when asked. If the bot asks which appointment to cancel, pick any of them. Confirm the cancellation. End with "Thank you". Do NOT book anything new.`;
+        try {
+            const replyText = await this.llm.complete(this.testerRequest(transcript, callState));
+
+            return {
+                replyText: replyText,
+                updatedState: { ...callState, lastIntentProcessed: true }
+            };
+        } catch (error) {
+            if (error.cassetteMiss) throw error;
+            console.error("[LLM] Chat completion error:", error.message);
+            return {
+                replyText: FALLBACK_REPLY,
+                updatedState: callState
+            };
         }
+    }
+
+    /**
+     * Same reply as processCustomerIntent, yielded as the model generates it (REPLY_MODE=streaming).
+     * The prompt is built straight away, so per-reply state such as callState.activeBehavior can be cleared
+     * once this returns. Providers that cannot stream yield the whole reply at once.
+     * @param {string} transcript - What the customer said
+     * @param {object} callState - The current state of the call
+     * @returns {AsyncGenerator<string>} - Text deltas of the reply
+     */
+    streamCustomerIntent(transcript, callState) {
+        return this.streamReply(this.testerRequest(transcript, callState));
+    }
 
-        const todayDate = new Date();
-        const tomorrowDate = new Date(todayDate);
-        tomorrowDate.setDate(tomorrowDate.getDate() + 1);
-        const nextWeekDate = new Date(todayDate);
-        nextWeekDate.setDate(nextWeekDate.getDate() + 7);
+    async *streamReply(request) {
+        let generated = false;
+        try {
+            if (typeof this.llm.stream !== 'function') {
+                yield await this.llm.complete(request);
+                return;
+            }
+            for await (const delta of this.llm.stream(request)) {
+                generated = true;
+                yield delta;
+            }
+        } catch (error) {
+            if (error.cassetteMiss) throw error;
+            console.error("[LLM] Chat completion stream error:", error.message);
+            // A reply that broke off half way ends where it stopped
+            if (!generated) yield FALLBACK_REPLY;
+        }
+    }
 
+    /**
+     * The chat completion request for the tester's next reply: system prompt, call history and the bot's last line
+     */
+    testerRequest(transcript, callState) {
+        // Scenario goal, persona and tactics come from the declarative scenario library
+        const scenario = scenarioLibrary.get(callState.scenario) || scenarioLibrary.get('BOOKING');
+        const scenarioInstructions = `TEST SCENARIO: ${scenario.name}
+${scenarioLibrary.renderGoal(scenario, callState)}`;
+        // CallManager picks the caller and slot when the call starts; call states without them get random ones
+        // (the same ones on every request while a cassette records or replays, see httpCassette.random)
+        const random = httpCassette.random(callState.scenario, callState.targetLanguage);
+        const persona = callState.persona || personaLibrary.select(scenario, { language: callState.targetLanguage, random });
+        const languageRule = personaLibrary.languageRule(persona);
+        // Language of the reply being generated (changes mid-call when the scenario schedules a switch)
+        const plan = callState.languagePlan || new LanguagePlan({ language: callState.targetLanguage, plan: scenario.languagePlan });
+        const replyNumber = plan.testerTurns(callState.history) + 1;
+        const replyLanguage = plan.testerLanguage(replyNumber);
+
+        // Today's date as the call sees it (pinned to the recording's date while a cassette is on)
+        const referenceDate = callState.referenceDate || httpCassette.referenceDate(callState.startTime);
+        const todayDate = new Date(referenceDate);
         const formatDate = (date) => date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
 
+        // The slot was picked when the call started (see SlotTracker) so the bot's confirmation can be checked against it
+        const target = callState.slots ? callState.slots.target : SlotTracker.pickTarget(scenario.dateWindow, referenceDate, random);
+        const [year, month, day] = target.date.split('-').map(Number);
+
         // System Prompt defining the AI as the Human User/Tester
         let systemPrompt = `You are an automated voice-call tester acting as a real patient calling a hospital.
         
 CRITICAL TEST TARGET INSTRUCTIONS:
-1. At the VERY BEGINNING of this call, you must INVENT a specific date and time for your appointment.
-2. The date MUST be between ${formatDate(todayDate)} and ${formatDate(new Date(todayDate.getTime() + 15 * 24 * 60 * 60 * 1000))}.
-3. The time MUST be a specific slot like "10:30 AM", "4 PM", or "8 PM". 
-4. VARIETY IS MANDATORY: You must pick a DIFFERENT day and time for every single call. Do NOT repeat yourself.
-5. Once you choose your target date/time, LOCK IT IN YOUR BRAIN. You must spend the rest of the call trying to book EXACTLY that slot.
-6. YOUR SYMPTOM: ${callState.symptom}. You must stick to this.`;
-
-        // Inject OTP logic if provided in state
-        if (callState.latestReceivedOTP) {
+1. Your appointment slot for this call has already been chosen:
+TARGET SLOT: ${SlotTracker.describe(target, referenceDate)}
+2. That is ${formatDate(new Date(year, month - 1, day))}, at ${target.time} in 24-hour time.
+3. You must spend the rest of the call trying to book EXACTLY that slot. Never pick a different one yourself.`;
+
+        if (callState.symptom) {
+            systemPrompt += `\n4. YOUR SYMPTOM: ${callState.symptom}. You must stick to this.`;
+        }
+
+        // Inject OTP logic if provided in state (CallManager clears it once read out; expired codes are never offered)
+        if (callState.latestReceivedOTP && !(callState.otpExpiresAt <= Date.now())) {
             systemPrompt += `\nCRITICAL INFO: You just received a text message with the OTP code ${callState.latestReceivedOTP}. If the bot asks you for an OTP, read this code to them slowly and clearly in digit format (e.g. 'one two three four').\n`;
         }
 
@@ -58,7 +125,7 @@ BEHAVIOR RULES:
 3. Ask questions clearly and politely.
 4. Provide realistic patient details when asked.
 5. NEGOTIATION & VERIFICATION: 
-   - You MUST ask for the specific date and time you invented at the start.
+   - You MUST ask for your TARGET SLOT.
    - If the bot offers a DIFFERENT time or date (e.g. if you asked for 8 PM but the bot offers 18:00/6 PM), you MUST refuse and say: "No, that's not what I asked for. I need 8 PM specifically."
    - YOU MUST RECOGNIZE MILITARY TIME: "eighteen hundred" or "18:00" is 6 PM. If it doesn't match your target, CORRECT THE BOT.
    - Do NOT say "Yes" or "Confirm" unless the bot accurately repeats YOUR requested slot.
@@ -67,19 +134,18 @@ BEHAVIOR RULES:
 8. When asked for the type of visit or appointment, if you choose the in-person option, you MUST say exactly "In Person". Do NOT say "In person, please". Keep it simple and direct.
 
 PATIENT PROFILE:
-Name: Gokulakannan
-Age: 30
-Gender: Male
-Phone: 6374038470
+Name: ${persona.name}
+Age: ${persona.age}
+Gender: ${persona.gender}
+Phone: ${persona.phone}
 
 ${scenarioInstructions}
 
 VOICE STYLE:
-Friendly, calm, normal pace.
+${persona.voiceStyle}
 
 CONFUSION TESTING RULES (Use these OCCASIONALLY to test bot robustness):
-1. Redundant Times: Use redundant time formats like "5 o'clock 5 PM" if that matches your target time.
-2. Changing Mind: Sometimes change your mind mid-sentence, e.g., "I'd like 4 PM... wait, actually make it [your target time]."
+${scenario.confusionTactics.map((tactic, i) => `${i + 1}. ${tactic}`).join('\n') || 'None for this scenario.'}
 
 ERROR HANDLING:
 If bot response is unclear: Say "Sorry, can you repeat?"
@@ -89,55 +155,54 @@ CRITICAL: Do NOT say "WAIT" if the transcript ends with a complete name, a fully
 When responding to a numbered list of options, DO NOT say the number (like "number one" or "number two"). ONLY say the exact text of the option you are picking.
 
 CRITICAL DATE RULE: You must ABSOLUTELY use the correct year (which is ${todayDate.getFullYear()}).
-- VARIETY: Pick a UNIQUE target date and time for this call. USE IT.
 
 END CONDITION:
 After completing scenario, politely end call.
 CRITICAL: If the target bot repeats the exact same question or gets stuck in a loop for 4 attempts without moving forward, you MUST reply with exactly the word "END_CALL_LOOP". Do not say anything else.
 
 CRITICAL LANGUAGE TEST RULE:
-1. You MUST conduct the ENTIRE call in ${callState.targetLanguage}.
-2. Even if the hospital bot greets you in English, your VERY FIRST reply MUST be spoken natively in ${callState.targetLanguage}.
-3. Simple reason for calling (e.g., "I want to book an appointment") directly in ${callState.targetLanguage}.
-4. IGNORE any audio transcripts that sound like podcast hosts (e.g. "Satya", "solar system", "Colab Tech"). These are transcription errors.`;
-
-        // console.log(`[LLM] Processing transcript: "${transcript}"`);
-
-        try {
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    ...callState.history,
-                    { role: "user", content: transcript }
-                ]
-            });
-
-            const replyText = response.choices[0].message.content;
-
-            return {
-                replyText: replyText,
-                updatedState: { ...callState, lastIntentProcessed: true }
-            };
-        } catch (error) {
-            console.error("[LLM] OpenAI API Error:", error.message);
-            return {
-                replyText: "I'm sorry, I am having trouble connecting to my brain right now.",
-                updatedState: callState
-            };
+${plan.switches.length > 0 || plan.start !== plan.target ? `1. This call tests LANGUAGE SWITCHING. Your language plan: ${plan.describe()}.
+2. This is your reply number ${replyNumber}: you MUST speak it natively in ${replyLanguage}, whatever language the bot used.
+3. Keep to the plan even if the bot does not follow your switch; that is what is being tested.` : `1. You MUST conduct the ENTIRE call in ${replyLanguage}.
+2. Even if the hospital bot greets you in English, your VERY FIRST reply MUST be spoken natively in ${replyLanguage}.
+3. Simple reason for calling (e.g., "I want to book an appointment") directly in ${replyLanguage}.`}
+4. IGNORE any audio transcripts that sound like podcast hosts (e.g. "Satya", "solar system", "Colab Tech"). These are transcription errors.${plan.codeMix ? `
+5. CODE-MIXING: Mix ${plan.codeMix} words and short phrases into every ${replyLanguage} sentence, the way real callers do (e.g. "appointment", "doctor", "morning").` : ''}${languageRule ? `\n${plan.codeMix ? 6 : 5}. ${languageRule}` : ''}`;
+
+        // CallManager sets this for one reply when the scenario injects an adversarial behaviour (see BehaviorInjector)
+        const behavior = callState.activeBehavior;
+        if (behavior && behavior.instruction) {
+            systemPrompt += `
+
+EDGE-CASE TEST (THIS REPLY ONLY):
+${behavior.instruction}
+Stay in character and keep the language rules above. Example: "${behavior.example}"`;
         }
+
+        return {
+            purpose: 'tester-reply',
+            model: "gpt-4o",
+            messages: [
+                { role: "system", content: systemPrompt },
+                // History entries carry extra metadata (timestamps), OpenAI only accepts role/content
+                ...callState.history.map(({ role, content }) => ({ role, content })),
+                { role: "user", content: transcript }
+            ]
+        };
     }
 
     /**
      * Fast pre-processing check to determine if the transcribed audio is actually a known 
      * OpenAI Whisper hallucination (e.g. YouTube intros, podcast hosts, etc.)
      * @param {string} transcript 
-     * @param {string} targetLanguage - The language the tester is supposed to be speaking
+     * @param {string|string[]} expectedLanguages - The language(s) the bot may be speaking at this point of the call
      * @param {string} detectedLanguageCode - The language the STT engine thinks it heard
      * @returns {Promise<boolean>}
      */
-    async isHallucination(transcript, targetLanguage = "English", detectedLanguageCode = "en-IN") {
+    async isHallucination(transcript, expectedLanguages = "English", detectedLanguageCode = "en-IN") {
         if (!transcript || transcript.trim().length < 2) return true;
+        // Around a scheduled language switch (or in code-mixed calls) more than one language is legitimate
+        const targetLanguage = [].concat(expectedLanguages).join(' or ');
 
         const systemPrompt = `You are a strict QA voice data filter. Your job is to determine if a transcript from a hospital appointment call is a "Whisper AI Hallucination" (phantom text) or real speech.
 
@@ -161,9 +226,10 @@ Return true if it is a hallucination or the wrong language.
 Return false ONLY if it is a meaningful sentence in ${targetLanguage} related to a hospital appointment.`;
 
         try {
-            const response = await this.openai.chat.completions.create({
+            const content = await this.llm.complete({
+                purpose: 'hallucination-filter',
                 model: "gpt-4o-mini",
-                response_format: { type: "json_object" },
+                json: true,
                 messages: [
                     { role: "system", content: systemPrompt },
                     { role: "user", content: `Detected Text: "${transcript}"` }
@@ -171,9 +237,10 @@ Return false ONLY if it is a meaningful sentence in ${targetLanguage} related to
                 temperature: 0.1
             });
 
-            const result = JSON.parse(response.choices[0].message.content);
+            const result = JSON.parse(content);
             return result.isHallucinated === true;
         } catch (error) {
+            if (error.cassetteMiss) throw error;
             console.error("[LLM Filter] Error checking hallucination:", error.message);
             return false;
         }
@@ -186,7 +253,11 @@ Return false ONLY if it is a meaningful sentence in ${targetLanguage} related to
      */
     async generateTestReport(callState) {
         const chatHistory = callState.history;
-        const scenario = callState.scenario;
+        const scenario = scenarioLibrary.get(callState.scenario) || scenarioLibrary.get('BOOKING');
+        const plan = callState.languagePlan || new LanguagePlan({ language: callState.targetLanguage, plan: scenario.languagePlan });
+        // Expected language per line, so the judge grades each bot turn against what the caller was speaking then
+        const expectedByPosition = new Map(plan.evaluate(chatHistory).turns.map(turn => [turn.position, turn.expected]));
+        const injected = chatHistory.some(msg => msg.behavior);
 
         if (!chatHistory || chatHistory.length === 0) {
             return {
@@ -198,11 +269,14 @@ Return false ONLY if it is a meaningful sentence in ${targetLanguage} related to
 
         const systemPrompt = `You are a strict QA Test Engineer evaluating a conversation between an AI Patient (User) and a Hospital Voice Bot (Assistant).
         
-The AI Patient was explicitly instructed to perform the following scenario: ${callState.targetLanguage} ${scenario}
+The AI Patient was explicitly instructed to perform the following scenario: ${callState.targetLanguage} ${scenario.id} (${scenario.name})
 
 Analyze the conversation transcript provided to you.
-Your goal is to determine if the Hospital Voice Bot successfully handled the user's intent to ${scenario === 'BOOKING' ? 'book an appointment' : 'cancel an appointment'} AND successfully detected and spoke ${callState.targetLanguage}.
-
+Your goal is to determine if the Hospital Voice Bot successfully handled the user's intent to ${scenario.intent} AND successfully detected and spoke ${callState.targetLanguage}.
+${scenario.passCriteria.length > 0 ? `
+SCENARIO PASS CRITERIA (all must hold for "Passed"):
+${scenario.passCriteria.map(criterion => `- ${criterion}`).join('\n')}
+` : ''}
 Extract and output the following JSON structure exactly:
 {
     "status": "Passed" | "Failed",
@@ -215,17 +289,30 @@ Extract and output the following JSON structure exactly:
     ]
 }
 
-- Mark "Passed" if the bot successfully answered questions or booked/cancelled the appointment gracefully AND successfully switched to ${callState.targetLanguage}.
+- Mark "Passed" if the bot successfully answered questions or completed the caller's intent gracefully AND successfully switched to ${callState.targetLanguage}.
 - Mark "isBookingConfirmed" as true ONLY if you are absolutely certain the hospital bot successfully secured and confirmed an appointment slot (even if the overall UX was poor and status is Failed).
 - Mark "languageDetectionSuccess" as true if the Assistant responded in ${callState.targetLanguage} naturally.
-- Mark "Failed" if the bot crashed, got stuck in a loop, gave incorrect info, abruptly hung up, OR failed to switch to the correct language.`;
+- Mark "Failed" if the bot crashed, got stuck in a loop, gave incorrect info, abruptly hung up, OR failed to switch to the correct language.${plan.isMultilingual ? `
+
+LANGUAGE SWITCHING: The AI Patient did NOT speak ${callState.targetLanguage} throughout. Its plan was to ${plan.describe()}.
+Each transcript line is tagged with the language expected at that point. The bot should answer in the language the patient
+is currently speaking and follow each switch within one turn${plan.codeMix ? `; code-mixed ${plan.codeMix} words are normal and must not count against the bot` : ''}.
+Judge "languageDetectionSuccess" against those per-turn expectations, not against ${callState.targetLanguage} alone.` : ''}${injected ? `
+
+EDGE-CASE BEHAVIOURS: The AI Patient deliberately misbehaved on the lines tagged [injected: ...] (silence, off-topic questions,
+wrong details, impossible dates or times, spelling, talking over the bot). These are part of the test, not failures of the patient.
+Judge how gracefully the bot recovered from each one and name any it did not handle in "enhancements".` : ''}`;
 
         try {
-            const transcriptText = chatHistory.map(msg => `${msg.role === 'user' ? 'Target Bot' : 'AI Tester'}: ${msg.content}`).join('\\n');
+            const transcriptText = chatHistory.map((msg, position) => {
+                const expected = plan.isMultilingual && expectedByPosition.get(position);
+                return `${msg.role === 'user' ? 'Target Bot' : 'AI Tester'}: ${msg.content}${expected ? ` [expected: ${expected}]` : ''}${msg.behavior ? ` [injected: ${msg.behavior}]` : ''}`;
+            }).join('\\n');
 
-            const response = await this.openai.chat.completions.create({
+            const content = await this.llm.complete({
+                purpose: 'test-report',
                 model: "gpt-4o",
-                response_format: { type: "json_object" },
+                json: true,
                 messages: [
                     { role: "system", content: systemPrompt },
                     { role: "user", content: `Here is the transcript of the call:\n\n${transcriptText}` }
@@ -233,8 +320,9 @@ Extract and output the following JSON structure exactly:
                 temperature: 0.2
             });
 
-            return JSON.parse(response.choices[0].message.content);
+            return JSON.parse(content);
         } catch (error) {
+            if (error.cassetteMiss) throw error;
             console.error("[LLM Report Error]:", error.message);
             return {
                 status: "Failed",
@@ -0,0 +1,95 @@
+const callManager = require('../engine/callManager');
+const SlotTracker = require('../engine/slotTracker');
+
+// Tried in order; the first capture group is the code. Override with OTP_PATTERNS (a JSON array of regex sources).
+const DEFAULT_PATTERNS = [
+    '(?:otp|(?:one|1)[- ]time (?:password|code)|verification code|security code|pin)\\D{0,30}?(\\d{4,8})(?!\\d)',
+    '(?<!\\d)(\\d{4,8})\\s+is\\s+(?:your|the)\\s+(?:otp|(?:one|1)[- ]time|verification|security)'
+];
+
+/**
+ * Turns inbound SMS into OTPs for the tester. A message is tied to the active call whose persona phone
+ * (the number the tester gives out) matches its recipient and which started
+ * less than OTP_WINDOW_MS (default 10 min) before it arrived. When several calls qualify, the newest wins.
+ */
+class OtpService {
+    /**
+     * @returns {RegExp[]}
+     */
+    get patterns() {
+        let sources = DEFAULT_PATTERNS;
+        if (process.env.OTP_PATTERNS) {
+            try {
+                sources = JSON.parse(process.env.OTP_PATTERNS);
+            } catch (e) {
+                console.error(`[OTP] Ignoring invalid OTP_PATTERNS (${e.message}), using the defaults.`);
+            }
+        }
+        return sources.map(source => new RegExp(source, 'i'));
+    }
+
+    get windowMs() {
+        return parseInt(process.env.OTP_WINDOW_MS, 10) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Pulls the OTP out of an SMS body
+     * @param {string} body
+     * @returns {string|null}
+     */
+    extractCode(body) {
+        const text = SlotTracker.normalize(body);
+        for (const pattern of this.patterns) {
+            const match = text.match(pattern);
+            if (match && match[1]) return match[1];
+        }
+        return null;
+    }
+
+    /**
+     * The active call an SMS sent to `to` at `receivedAt` belongs to
+     * @returns {string|null} - callSid
+     */
+    findCall(to, receivedAt = Date.now()) {
+        const lastDigits = (number) => String(number || '').replace(/\D/g, '').slice(-10);
+        const recipient = lastDigits(to);
+        if (!recipient) return null;
+
+        const candidates = [...callManager.activeCalls.entries()].filter(([, callState]) => {
+            const phone = lastDigits(callState.slots && callState.slots.target.phone);
+            const age = receivedAt - callState.startTime;
+            return !callState.isEnding && phone === recipient && age >= 0 && age <= this.windowMs;
+        });
+        if (candidates.length === 0) return null;
+
+        candidates.sort(([, a], [, b]) => b.startTime - a.startTime);
+        return candidates[0][0];
+    }
+
+    /**
+     * Handles one inbound SMS
+     * @param {{from?: string, to: string, body: string, receivedAt?: number}} sms
+     * @returns {{otp: string|null, callSid: string|null, reason?: string}}
+     */
+    receiveSms({ from = null, to, body, receivedAt = Date.now() }) {
+        console.log(`\n📩 [SMS] From ${from || 'unknown'} to ${to}: "${body}"`);
+
+        const otp = this.extractCode(body || '');
+        if (!otp) {
+            console.log(`[OTP] No OTP found in the message.`);
+            return { otp: null, callSid: null, reason: "No OTP found in the message" };
+        }
+
+        const callSid = this.findCall(to, receivedAt);
+        if (!callSid) {
+            console.log(`⚠️ [OTP] ${otp} matches no active call for ${to}, dropped.`);
+            return { otp, callSid: null, reason: `No active call for ${to} in the last ${Math.round(this.windowMs / 60000)} min` };
+        }
+
+        callManager.setOTP(callSid, otp, { source: 'sms', from });
+        console.log(`🔑 [OTP] ${otp} delivered to call ${callSid}`);
+        return { otp, callSid };
+    }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,114 @@
+/**
+ * Provider registry for the speech and language backends.
+ *
+ * Each kind has a small interface every implementation must provide:
+ *   stt: streamToText(wavBuffer) -> Promise<{ text, languageCode }>
+ *        optional openStream({ languageCode }) -> session with write(pcmFrame) and close(), emitting
+ *        'partial' { text }, 'final' { text, languageCode }, 'endpoint' and 'error' (used when STT_MODE=streaming)
+ *   tts: textToStream(text, targetLanguageName, voice) -> Promise<Buffer> (WAV bytes); voice = { speaker, pace, pitch, ... }
+ *   llm: complete({ purpose, model, messages, json, temperature }) -> Promise<string>
+ *        optional stream(request) -> async iterable of text deltas (used when REPLY_MODE=streaming)
+ *
+ * Implementations are chosen by STT_PROVIDER / TTS_PROVIDER / LLM_PROVIDER (read on every lookup,
+ * so tests can switch them at runtime). Other vendors can be added with register().
+ * LLM_PROVIDER=recorded answers from a file of recorded model responses (see recordedLlmProvider.js).
+ */
+const DEFAULT_PROVIDERS = {
+    stt: 'sarvam',
+    tts: 'sarvam',
+    llm: 'openai'
+};
+
+const REQUIRED_METHODS = {
+    stt: 'streamToText',
+    tts: 'textToStream',
+    llm: 'complete'
+};
+
+class ProviderRegistry {
+    constructor() {
+        // Factories are lazy so unused vendors (and their SDKs / API keys) are never loaded
+        this.factories = {
+            stt: {
+                sarvam: () => require('../sarvamService'),
+                stub: () => require('./stubSttProvider')
+            },
+            tts: {
+                sarvam: () => require('../sarvamService'),
+                stub: () => require('./stubTtsProvider')
+            },
+            llm: {
+                openai: () => require('./openaiLlmProvider'),
+                stub: () => require('./stubLlmProvider'),
+                recorded: () => require('./recordedLlmProvider')
+            }
+        };
+        this.instances = new Map();
+    }
+
+    /**
+     * Adds (or replaces) an implementation, e.g. register('stt', 'deepgram', () => new DeepgramStt())
+     * @param {'stt'|'tts'|'llm'} kind
+     * @param {string} name
+     * @param {Function} factory - Returns the provider instance
+     */
+    register(kind, name, factory) {
+        if (!this.factories[kind]) throw new Error(`Unknown provider kind: ${kind}`);
+        this.factories[kind][name] = factory;
+        this.instances.delete(`${kind}:${name}`);
+    }
+
+    /**
+     * Name of the configured implementation for a kind
+     */
+    configuredName(kind) {
+        return (process.env[`${kind.toUpperCase()}_PROVIDER`] || DEFAULT_PROVIDERS[kind]).toLowerCase();
+    }
+
+    /**
+     * @param {'stt'|'tts'|'llm'} kind
+     * @returns {object} - The configured provider instance
+     */
+    get(kind) {
+        return this.named(kind, this.configuredName(kind));
+    }
+
+    /**
+     * A specific implementation, whatever is configured (e.g. the real model behind a recording provider)
+     * @param {'stt'|'tts'|'llm'} kind
+     * @param {string} name
+     * @returns {object}
+     */
+    named(kind, name) {
+        const key = `${kind}:${name}`;
+
+        if (!this.instances.has(key)) {
+            const factory = this.factories[kind] && this.factories[kind][name];
+            if (!factory) {
+                throw new Error(`No ${kind.toUpperCase()} provider named "${name}". Available: ${Object.keys(this.factories[kind] || {}).join(', ')}`);
+            }
+
+            const provider = factory();
+            if (typeof provider[REQUIRED_METHODS[kind]] !== 'function') {
+                throw new Error(`${kind.toUpperCase()} provider "${name}" must implement ${REQUIRED_METHODS[kind]}()`);
+            }
+            this.instances.set(key, provider);
+        }
+
+        return this.instances.get(key);
+    }
+
+    get stt() {
+        return this.get('stt');
+    }
+
+    get tts() {
+        return this.get('tts');
+    }
+
+    get llm() {
+        return this.get('llm');
+    }
+}
+
+module.exports = new ProviderRegistry();
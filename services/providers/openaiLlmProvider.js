@@ -0,0 +1,69 @@
+const OpenAI = require('openai');
+const httpCassette = require('../httpCassette');
+
+class OpenAILlmProvider {
+    constructor() {
+        this.client = null;
+    }
+
+    /**
+     * Lazily builds the client so the engine can start (e.g. with stub STT/TTS) without an OpenAI key
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: process.env.OPENAI_API_KEY,
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * Runs a chat completion and returns the raw text of the first choice
+     * @param {object} request
+     * @param {string} request.purpose - What the completion is for ('tester-reply', 'hallucination-filter', 'test-report')
+     * @param {string} request.model - Model name, e.g. "gpt-4o"
+     * @param {Array<{role: string, content: string}>} request.messages
+     * @param {boolean} [request.json] - Ask for a JSON object response
+     * @param {number} [request.temperature]
+     * @returns {Promise<string>}
+     */
+    async complete(request) {
+        const body = this.body(request);
+        // The client is only built when the request really goes out, so replays need no key
+        const response = await httpCassette.request('openai', { method: 'POST', path: '/chat/completions', body },
+            () => this.getClient().chat.completions.create(body));
+
+        return response.choices[0].message.content;
+    }
+
+    /**
+     * Streams a chat completion, yielding the text of the first choice as it is generated
+     * @param {object} request - Same shape as complete()
+     * @returns {AsyncGenerator<string>}
+     */
+    async *stream(request) {
+        // The cassette stores whole responses, so recorded and replayed runs get the reply in one piece
+        if (httpCassette.mode !== 'off') {
+            yield await this.complete(request);
+            return;
+        }
+
+        const chunks = await this.getClient().chat.completions.create({ ...this.body(request), stream: true });
+        for await (const chunk of chunks) {
+            const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+            if (delta) yield delta;
+        }
+    }
+
+    body({ model, messages, json = false, temperature }) {
+        return {
+            model,
+            messages,
+            ...(json ? { response_format: { type: "json_object" } } : {}),
+            ...(temperature !== undefined ? { temperature } : {})
+        };
+    }
+}
+
+module.exports = new OpenAILlmProvider();
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Answers chat completions from a file of recorded model responses, so prompt changes can be
+ * replayed offline and reviewed like code (see engine/transcriptReplayer.js).
+ *
+ *   LLM_RECORDINGS=path/to/recordings.json   where the responses are kept
+ *   LLM_RECORD_MODE=replay                   (default) unknown prompts fail
+ *   LLM_RECORD_MODE=record                   unknown prompts go to LLM_RECORD_UPSTREAM (default openai) and are saved
+ *
+ * Responses are keyed by a hash of the whole request, so any change to a prompt is a miss until re-recorded.
+ */
+class RecordedLlmProvider {
+    constructor() {
+        this.recordings = null;     // key -> { purpose, said, response } for the loaded file
+        this.file = null;
+        this.misses = 0;            // Requests with no recorded response since startup
+    }
+
+    /**
+     * Stable key of a request: everything that can change the model's answer
+     */
+    static key({ purpose, model, messages, json = false, temperature = null }) {
+        return crypto.createHash('sha256').update(JSON.stringify({ purpose, model, messages, json, temperature })).digest('hex').slice(0, 24);
+    }
+
+    /**
+     * The recordings of the currently configured file (re-read when LLM_RECORDINGS changes)
+     */
+    load() {
+        const file = process.env.LLM_RECORDINGS;
+        if (!file) throw new Error("LLM_RECORDINGS must point to a recordings file for the recorded LLM provider");
+
+        if (this.file !== file) {
+            this.file = file;
+            this.recordings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        }
+        return this.recordings;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Sorted keys keep re-recorded files diffable
+        const sorted = Object.fromEntries(Object.keys(this.recordings).sort().map(key => [key, this.recordings[key]]));
+        fs.writeFileSync(this.file, JSON.stringify(sorted, null, 2));
+    }
+
+    /**
+     * @param {object} request - Same shape as the OpenAI provider's complete() request
+     * @returns {Promise<string>}
+     */
+    async complete(request) {
+        const recordings = this.load();
+        const key = RecordedLlmProvider.key(request);
+        if (recordings[key]) return recordings[key].response;
+
+        if ((process.env.LLM_RECORD_MODE || 'replay') !== 'record') {
+            this.misses++;
+            throw new Error(`No recorded ${request.purpose} response for this prompt (${key}). Re-record with LLM_RECORD_MODE=record.`);
+        }
+
+        // Lazy require: the registry requires this module
+        const upstream = require('./index').named('llm', process.env.LLM_RECORD_UPSTREAM || 'openai');
+        const response = await upstream.complete(request);
+        const lastMessage = request.messages[request.messages.length - 1] || { content: '' };
+        recordings[key] = { purpose: request.purpose, said: String(lastMessage.content).slice(0, 200), response };
+        this.save();
+        return response;
+    }
+
+    /**
+     * Recordings hold whole responses, so a streamed reply arrives in one piece
+     * @param {object} request
+     * @returns {AsyncGenerator<string>}
+     */
+    async *stream(request) {
+        yield await this.complete(request);
+    }
+}
+
+module.exports = new RecordedLlmProvider();
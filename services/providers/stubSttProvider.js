@@ -0,0 +1,137 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { WaveFile } = require('wavefile');
+
+// A short hospital-bot dialogue used when no transcript file is configured
+const DEFAULT_TRANSCRIPTS = [
+    "Welcome to City Hospital. How can I help you today?",
+    "Sure. May I know your name please?",
+    "Thank you. Can you tell me your phone number?",
+    "Which date and time would you like the appointment?",
+    "Your appointment is confirmed. Is there anything else?"
+];
+
+const SILENCE_RMS = 100;
+const SAMPLE_RATE = 8000;
+const PARTIAL_EVERY_MS = 400;     // How often a growing partial transcript is emitted while the bot speaks
+
+/**
+ * Streaming session of the stub recognizer: energy-based endpointing over the pushed PCM frames, partials
+ * that reveal the canned transcript word by word, then a final and an endpoint once the bot pauses for
+ * STUB_STT_ENDPOINT_MS (default 800ms, shorter than the VAD's end of turn, like a real streaming endpointer)
+ */
+class StubSttStream extends EventEmitter {
+    constructor(provider) {
+        super();
+        this.provider = provider;
+        this.endpointMs = parseInt(process.env.STUB_STT_ENDPOINT_MS, 10) || 800;
+        this.transcript = null;       // Canned text of the utterance being heard (null between utterances)
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.nextPartialMs = PARTIAL_EVERY_MS;
+        this.closed = false;
+    }
+
+    /**
+     * @param {Buffer} pcm - 16-bit 8kHz mono frame
+     */
+    write(pcm) {
+        if (this.closed) return;
+        const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+        const frameMs = samples.length / SAMPLE_RATE * 1000;
+
+        if (rmsOf(samples) >= SILENCE_RMS) {
+            if (this.transcript === null) this.transcript = this.provider.nextTranscript() || '';
+            this.speechMs += frameMs;
+            this.silenceMs = 0;
+            if (this.speechMs >= this.nextPartialMs && this.transcript) {
+                this.nextPartialMs += PARTIAL_EVERY_MS;
+                const words = this.transcript.split(' ');
+                const heard = Math.min(words.length - 1, Math.floor(this.speechMs / PARTIAL_EVERY_MS));
+                if (heard > 0) this.emit('partial', { text: words.slice(0, heard).join(' ') });
+            }
+            return;
+        }
+
+        if (this.transcript === null) return;
+        this.silenceMs += frameMs;
+        if (this.silenceMs < this.endpointMs) return;
+
+        if (this.transcript) this.emit('final', { text: this.transcript, languageCode: this.provider.languageCode });
+        this.emit('endpoint', {});
+        this.transcript = null;
+        this.speechMs = 0;
+        this.nextPartialMs = PARTIAL_EVERY_MS;
+    }
+
+    close() {
+        this.closed = true;
+        // An utterance cut off by the close was never recognized, so a batch upload of it gets the same transcript
+        if (this.transcript) this.provider.cursor--;
+        this.removeAllListeners();
+    }
+}
+
+function rmsOf(samples) {
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+    return samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+}
+
+class StubSttProvider {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Reloads the canned transcripts (STUB_STT_TRANSCRIPTS may point at a JSON array of strings)
+     */
+    reset() {
+        const file = process.env.STUB_STT_TRANSCRIPTS;
+        this.transcripts = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_TRANSCRIPTS.slice();
+        this.languageCode = process.env.STUB_STT_LANGUAGE_CODE || 'en-IN';
+        this.cursor = 0;
+    }
+
+    /**
+     * @param {string[]} transcripts - Returned one per non-silent utterance, in order
+     * @param {string} [languageCode]
+     */
+    setTranscripts(transcripts, languageCode = this.languageCode) {
+        this.transcripts = transcripts.slice();
+        this.languageCode = languageCode;
+        this.cursor = 0;
+    }
+
+    /**
+     * Returns the next canned transcript for every non-silent WAV, and "" for silence or once the script runs out
+     * @param {Buffer} audioBuffer - WAV bytes
+     * @returns {Promise<{text: string, languageCode: string}>}
+     */
+    async streamToText(audioBuffer) {
+        const wav = new WaveFile(Buffer.from(audioBuffer));
+        const samples = wav.getSamples(false, Int16Array);
+
+        if (rmsOf(samples) < SILENCE_RMS || this.cursor >= this.transcripts.length) {
+            return { text: "", languageCode: this.languageCode };
+        }
+
+        return { text: this.nextTranscript(), languageCode: this.languageCode };
+    }
+
+    /**
+     * The next canned transcript (null once the script runs out); batch and streaming share the script
+     */
+    nextTranscript() {
+        return this.cursor < this.transcripts.length ? this.transcripts[this.cursor++] : null;
+    }
+
+    /**
+     * Opens a streaming recognition session (see StubSttStream)
+     */
+    openStream() {
+        return new StubSttStream(this);
+    }
+}
+
+module.exports = new StubSttProvider();
@@ -0,0 +1,45 @@
+const { WaveFile } = require('wavefile');
+
+// Distinct tone per language so recordings show which language the tester "spoke"
+const LANGUAGE_TONES_HZ = {
+    'English': 440,
+    'Hindi': 494,
+    'Tamil': 523,
+    'Telugu': 587,
+    'Kannada': 659,
+    'Marathi': 698,
+    'Gujarati': 784
+};
+
+class StubTtsProvider {
+    constructor() {
+        this.msPerChar = parseInt(process.env.STUB_TTS_MS_PER_CHAR, 10) || 20;
+    }
+
+    /**
+     * Renders a sine tone whose length scales with the text, as an 8kHz 16-bit WAV (same shape as Sarvam's output).
+     * The persona's pace shortens/lengthens it and its pitch shifts the tone.
+     * @param {string} text - The text to "speak"
+     * @param {string} targetLanguageName - The english name of the language (e.g., 'Tamil')
+     * @param {{pace?: number, pitch?: number}} [voice]
+     * @returns {Promise<Buffer>}
+     */
+    async textToStream(text, targetLanguageName = "English", voice = {}) {
+        const durationMs = Math.min(4000, Math.max(300, text.length * this.msPerChar / (voice.pace || 1)));
+        const frequency = (LANGUAGE_TONES_HZ[targetLanguageName] || 440) * (1 + (voice.pitch || 0));
+        const totalSamples = Math.round(8000 * durationMs / 1000);
+        const samples = new Int16Array(totalSamples);
+
+        for (let i = 0; i < totalSamples; i++) {
+            // Short fade in/out avoids clicks that would look like speech onsets to a VAD
+            const fade = Math.min(1, i / 80, (totalSamples - i) / 80);
+            samples[i] = Math.round(6000 * fade * Math.sin(2 * Math.PI * frequency * i / 8000));
+        }
+
+        const wav = new WaveFile();
+        wav.fromScratch(1, 8000, '16', samples);
+        return Buffer.from(wav.toBuffer());
+    }
+}
+
+module.exports = new StubTtsProvider();
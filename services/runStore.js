@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'runs');
+
+/**
+ * Persists suite runs (one JSON file per run, including every call's report) so they can be
+ * compared against later runs after a server restart
+ */
+class RunStore {
+    constructor(storeDir = process.env.RUN_STORE_DIR || DEFAULT_STORE_DIR) {
+        this.storeDir = storeDir;
+    }
+
+    /**
+     * Run ids come from URLs, so only allow plain identifiers to prevent path traversal
+     */
+    runFile(runId) {
+        if (!/^[\w-]+$/.test(runId)) throw new Error(`Invalid run id: ${runId}`);
+        return path.join(this.storeDir, `${runId}.json`);
+    }
+
+    /**
+     * @param {object} run - SuiteRunner run summary (with its calls)
+     */
+    saveRun(run) {
+        fs.mkdirSync(this.storeDir, { recursive: true });
+        fs.writeFileSync(this.runFile(run.runId), JSON.stringify(run, null, 2));
+    }
+
+    /**
+     * @param {string} runId
+     * @returns {object|null}
+     */
+    getRun(runId) {
+        const file = this.runFile(runId);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Stored runs, newest first, without their per-call details
+     */
+    listRuns() {
+        if (!fs.existsSync(this.storeDir)) return [];
+
+        return fs.readdirSync(this.storeDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return this.getRun(path.basename(file, '.json'));
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .map(({ calls, ...summary }) => summary);
+    }
+}
+
+module.exports = new RunStore();
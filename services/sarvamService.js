@@ -1,5 +1,7 @@
 const axios = require('axios');
 const FormData = require('form-data');
+const httpCassette = require('./httpCassette');
+const SarvamSttStream = require('./sarvamSttStream');
 
 class SarvamService {
     constructor() {
@@ -24,36 +26,51 @@ class SarvamService {
             formData.append('file', nodeBuffer, { filename: 'audio.wav', contentType: 'audio/wav' });
             formData.append('model', 'saarika:v2.5');
 
-            const response = await axios.post(`${this.baseUrl}/speech-to-text`, formData, {
+            // Recorded against the audio's hash (see httpCassette)
+            const request = { method: 'POST', path: '/speech-to-text', body: { file: nodeBuffer, model: 'saarika:v2.5' } };
+            const data = await httpCassette.request('sarvam', request, async () => (await axios.post(`${this.baseUrl}/speech-to-text`, formData, {
                 headers: {
                     ...formData.getHeaders(),
                     'api-subscription-key': this.apiKey,
                 },
-            });
+            })).data);
 
-            // console.log('[Sarvam] Raw API Response:', JSON.stringify(response.data));
+            // console.log('[Sarvam] Raw API Response:', JSON.stringify(data));
 
             // The Sarvam v1 schema used .transcript, but newer versions might use .text
-            const resultText = response.data.transcript || response.data.text || "";
-            const languageCode = response.data.language_code || "en-IN";
+            const resultText = data.transcript || data.text || "";
+            const languageCode = data.language_code || "en-IN";
 
             return {
                 text: resultText.trim(),
                 languageCode: languageCode
             };
         } catch (error) {
+            if (error.cassetteMiss) throw error;
             console.error('[Sarvam] STT Error:', error.response?.data || error.message);
             return { text: "", languageCode: "en-IN" };
         }
     }
 
+    /**
+     * Opens a streaming speech-to-text session over Sarvam's WebSocket API (see sarvamSttStream.js)
+     * @param {{languageCode?: string}} [options] - 'unknown' (default) lets Sarvam detect the language
+     * @returns {SarvamSttStream}
+     */
+    openStream({ languageCode = 'unknown' } = {}) {
+        // Only the HTTP endpoints can be recorded, so runs with a cassette keep to batch uploads
+        if (httpCassette.mode !== 'off') throw new Error("Streaming STT is not covered by the HTTP cassette");
+        return new SarvamSttStream({ baseUrl: this.baseUrl, apiKey: this.apiKey, languageCode });
+    }
+
     /**
      * Converts bot text response into raw audio stream for Exotel (TTS)
      * @param {string} text - The text to speak
      * @param {string} targetLanguageName - The english name of the language (e.g., 'Tamil')
+     * @param {{speaker?: string, pace?: number, pitch?: number, loudness?: number, model?: string}} [voice] - The caller persona's voice
      * @returns {Promise<Buffer>} - The audio bytes
      */
-    async textToStream(text, targetLanguageName = "English") {
+    async textToStream(text, targetLanguageName = "English", voice = {}) {
         try {
             const languageCodeMap = {
                 'English': 'en-IN',
@@ -72,25 +89,29 @@ class SarvamService {
             const payload = {
                 inputs: [text],
                 target_language_code: targetLanguageCode,
-                speaker: "rahul",
-                pace: 1.1,                   // Slightly faster pace
+                speaker: voice.speaker || "rahul",
+                pace: voice.pace || 1.1,     // Slightly faster pace by default
                 speech_sample_rate: 8000,    // EXOTEL CRITICAL: Must remain 8kHz
                 enable_preprocessing: true,
-                model: "bulbul:v3"
+                model: voice.model || "bulbul:v3"
             };
+            // Only some models accept pitch/loudness, so they are sent only when the persona sets them
+            if (voice.pitch !== undefined) payload.pitch = voice.pitch;
+            if (voice.loudness !== undefined) payload.loudness = voice.loudness;
 
-            const response = await axios.post(`${this.baseUrl}/text-to-speech`, payload, {
+            const data = await httpCassette.request('sarvam', { method: 'POST', path: '/text-to-speech', body: payload }, async () => (await axios.post(`${this.baseUrl}/text-to-speech`, payload, {
                 headers: {
                     'Content-Type': 'application/json',
                     'api-subscription-key': this.apiKey,
                 }
-            });
+            })).data);
 
             // Sarvam TTS returns base64 string in 'audios' array
-            const base64Audio = response.data.audios[0];
+            const base64Audio = data.audios[0];
             return Buffer.from(base64Audio, 'base64');
 
         } catch (error) {
+            if (error.cassetteMiss) throw error;
             console.error('[Sarvam] TTS Error:', error.response?.data || error.message);
             return Buffer.from([]);
         }
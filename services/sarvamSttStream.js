@@ -0,0 +1,108 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const SAMPLE_RATE = 8000;
+const SEND_EVERY_MS = 100;        // Twilio frames are 20ms; batch them so the socket isn't flooded with tiny messages
+
+/**
+ * One streaming speech-to-text session on Sarvam's WebSocket API (wss://api.sarvam.ai/speech-to-text/ws).
+ *
+ * PCM frames are forwarded as they arrive; Sarvam's own voice activity detection decides where an
+ * utterance ends (vad_signals=true): it sends START_SPEECH / END_SPEECH events and a transcript per
+ * utterance. Sarvam does not send interim results, so there are no 'partial' events on this stream.
+ *
+ * Events (the streaming STT interface, see services/providers/index.js):
+ *   'final'    { text, languageCode } - transcript of one utterance
+ *   'endpoint' {}                     - the speaker finished the utterance
+ *   'error'    Error                  - the session is unusable (CallManager falls back to batch uploads)
+ */
+class SarvamSttStream extends EventEmitter {
+    /**
+     * @param {{baseUrl: string, apiKey: string, languageCode?: string, model?: string}} options
+     */
+    constructor({ baseUrl, apiKey, languageCode = 'unknown', model = 'saarika:v2.5' }) {
+        super();
+        this.pending = [];            // Frames waiting to be sent (also while the socket is connecting)
+        this.pendingMs = 0;
+        this.speechEnded = false;     // END_SPEECH seen, its transcript not yet
+        this.closed = false;
+
+        const url = `${baseUrl.replace(/^http/, 'ws')}/speech-to-text/ws?${new URLSearchParams({
+            'language-code': languageCode,
+            model,
+            sample_rate: String(SAMPLE_RATE),
+            input_audio_codec: 'pcm_s16le',
+            vad_signals: 'true'
+        })}`;
+        this.socket = new WebSocket(url, { headers: { 'api-subscription-key': apiKey } });
+        this.socket.on('open', () => this.flush());
+        this.socket.on('message', (data) => this.handleMessage(data));
+        this.socket.on('error', (error) => this.fail(`Sarvam streaming STT connection failed: ${error.message}`));
+        this.socket.on('close', (code) => {
+            if (!this.closed) this.fail(`Sarvam streaming STT closed the connection (code ${code})`);
+        });
+    }
+
+    /**
+     * @param {Buffer} pcm - 16-bit 8kHz mono frame
+     */
+    write(pcm) {
+        if (this.closed) return;
+        this.pending.push(pcm);
+        this.pendingMs += pcm.length / 2 / SAMPLE_RATE * 1000;
+        if (this.pendingMs >= SEND_EVERY_MS) this.flush();
+    }
+
+    flush() {
+        if (this.socket.readyState !== WebSocket.OPEN || this.pending.length === 0) return;
+        const audio = Buffer.concat(this.pending);
+        this.pending = [];
+        this.pendingMs = 0;
+        this.socket.send(JSON.stringify({
+            audio: { data: audio.toString('base64'), encoding: 'audio/wav', sample_rate: String(SAMPLE_RATE) }
+        }));
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            console.error('[Sarvam] Streaming STT sent a non-JSON message, ignored.');
+            return;
+        }
+        const data = message.data || {};
+
+        if (message.type === 'events') {
+            if (data.signal_type === 'END_SPEECH') this.speechEnded = true;
+            return;
+        }
+        if (message.type === 'data') {
+            const text = (data.transcript || '').trim();
+            if (text) this.emit('final', { text, languageCode: data.language_code || 'en-IN' });
+            // The transcript of an utterance arrives after its END_SPEECH event
+            if (this.speechEnded) {
+                this.speechEnded = false;
+                this.emit('endpoint', {});
+            }
+            return;
+        }
+        if (message.type === 'error') {
+            this.fail(`Sarvam streaming STT error: ${data.error || data.message || JSON.stringify(data)}`);
+        }
+    }
+
+    fail(reason) {
+        if (this.closed) return;
+        this.close();
+        this.emit('error', new Error(reason));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING) this.socket.terminate();
+    }
+}
+
+module.exports = SarvamSttStream;
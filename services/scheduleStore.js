@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'schedules');
+
+/**
+ * Persists recurring test schedules (one JSON file per schedule) so they survive a server restart
+ */
+class ScheduleStore {
+    constructor(storeDir = process.env.SCHEDULE_STORE_DIR || DEFAULT_STORE_DIR) {
+        this.storeDir = storeDir;
+    }
+
+    /**
+     * Schedule ids come from URLs, so only allow plain identifiers to prevent path traversal
+     */
+    scheduleFile(id) {
+        if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid schedule id: ${id}`);
+        return path.join(this.storeDir, `${id}.json`);
+    }
+
+    /**
+     * @param {object} schedule - Scheduler schedule definition and its last results
+     */
+    saveSchedule(schedule) {
+        fs.mkdirSync(this.storeDir, { recursive: true });
+        fs.writeFileSync(this.scheduleFile(schedule.id), JSON.stringify(schedule, null, 2));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getSchedule(id) {
+        const file = this.scheduleFile(id);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * @returns {boolean} - false when there was no such schedule
+     */
+    deleteSchedule(id) {
+        const file = this.scheduleFile(id);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    /**
+     * Every stored schedule, oldest first
+     */
+    listSchedules() {
+        if (!fs.existsSync(this.storeDir)) return [];
+
+        return fs.readdirSync(this.storeDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return this.getSchedule(path.basename(file, '.json'));
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    }
+}
+
+module.exports = new ScheduleStore();
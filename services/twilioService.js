@@ -0,0 +1,87 @@
+const twilio = require('twilio');
+const axios = require('axios');
+
+class TwilioService {
+    constructor() {
+        this.client = null;
+    }
+
+    /**
+     * Lazily builds the Twilio REST client so requiring this module never crashes without credentials
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+        return this.client;
+    }
+
+    /**
+     * Ensures E.164 format (India +91) for Twilio
+     * @param {string} number
+     * @returns {string}
+     */
+    normalizeNumber(number) {
+        if (!number) throw new Error("TARGET_BOT_NUMBER is not configured");
+
+        if (number.startsWith('0')) {
+            return '+91' + number.substring(1);
+        } else if (number.length === 10) {
+            return '+91' + number;
+        }
+        return number;
+    }
+
+    /**
+     * Resolves the public URL Twilio should call back on.
+     * Uses PUBLIC_BASE_URL if set, otherwise asks the local Ngrok agent (port 4040) for its tunnel.
+     * @returns {Promise<string>}
+     */
+    async getPublicUrl() {
+        if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+
+        try {
+            const ngrokRes = await axios.get("http://127.0.0.1:4040/api/tunnels");
+            return ngrokRes.data.tunnels[0].public_url;
+        } catch (err) {
+            throw new Error("Could not find Ngrok. Make sure `ngrok http 4001` is running!");
+        }
+    }
+
+    /**
+     * Instructs Twilio to dial the target bot. Twilio will POST to /twilio-webhook when it answers.
+     * @returns {Promise<string>} - The new Call SID
+     */
+    async placeCall() {
+        const targetBotNumber = this.normalizeNumber(process.env.TARGET_BOT_NUMBER);
+        const publicUrl = await this.getPublicUrl();
+
+        const call = await this.getClient().calls.create({
+            url: `${publicUrl}/twilio-webhook`,
+            to: targetBotNumber,
+            from: process.env.TWILIO_PHONE_NUMBER
+        });
+
+        return call.sid;
+    }
+
+    /**
+     * Fetches the current Twilio status of a call (queued, ringing, in-progress, busy, no-answer, failed, ...)
+     * @param {string} callSid
+     * @returns {Promise<string>}
+     */
+    async getCallStatus(callSid) {
+        const call = await this.getClient().calls(callSid).fetch();
+        return call.status;
+    }
+
+    /**
+     * Hangs up a call on Twilio's side
+     * @param {string} callSid
+     */
+    async hangUp(callSid) {
+        await this.getClient().calls(callSid).update({ status: 'completed' });
+    }
+}
+
+module.exports = new TwilioService();
@@ -0,0 +1,45 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { MediaStreamSimulator } = require('./simulator/mediaStreamSimulator');
+
+// Usage: node simulate_call.js [script.json] [--server ws://localhost:4001] [--out recording.wav]
+//                               [--encoding audio/x-mulaw|audio/x-alaw|audio/l16|base64] [--sample-rate 8000]
+// Plays a scripted target bot into our running server over the Twilio Media Streams protocol. No Twilio/Ngrok needed.
+const args = process.argv.slice(2);
+const getFlag = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const scriptPath = args.find(arg => !arg.startsWith('--') && arg.endsWith('.json')) || path.join(__dirname, 'simulator', 'scripts', 'booking.json');
+const serverUrl = getFlag('server', `ws://localhost:${process.env.PORT || 4001}`);
+const outPath = getFlag('out', null);
+const mediaFormat = { encoding: getFlag('encoding', 'audio/x-mulaw'), sampleRate: Number(getFlag('sample-rate', 8000)) };
+
+async function simulateCall() {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+
+    // WAV paths in scripts are relative to the repository root
+    const steps = script.steps.map(step => step.play ? { ...step, play: path.resolve(__dirname, step.play) } : step);
+
+    const simulator = new MediaStreamSimulator({ url: serverUrl, script: steps, mediaFormat });
+    simulator.on('testerSpeechStart', (ms) => console.log(`🧑 [Simulator] Tester started speaking at ${(ms / 1000).toFixed(2)}s`));
+    simulator.on('testerSpeechEnd', (u) => console.log(`🧑 [Simulator] Tester stopped speaking at ${(u.endMs / 1000).toFixed(2)}s`));
+    simulator.on('clear', () => console.log(`✋ [Simulator] Server sent a 'clear' (barge-in)`));
+
+    console.log(`\n📞 [Simulator] Calling ${serverUrl} as ${simulator.callSid} with ${path.basename(scriptPath)} (${simulator.format})...`);
+    const result = await simulator.run();
+
+    console.log(`✅ [Simulator] Call finished after ${(result.durationMs / 1000).toFixed(1)}s. Tester spoke ${result.testerUtterances.length} time(s).`);
+
+    if (outPath) {
+        fs.writeFileSync(outPath, simulator.toRecordingWav());
+        console.log(`💾 [Simulator] Tester audio saved to ${outPath}`);
+    }
+}
+
+simulateCall().catch(error => {
+    console.error("❌ Simulation failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+require('dotenv').config();
+
+// Usage: node simulate_sms.js "Your OTP is 482913" [--to 6374038470] [--from HOSPTL] [--server http://localhost:4001]
+// Local stand-in for Twilio: posts an inbound SMS to our /sms-webhook in Twilio's form-encoded format.
+// --to defaults to the persona phone the tester gives out; the server ties the OTP to the call using that number.
+const args = process.argv.slice(2);
+const getFlag = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+const flagValues = new Set(['--to', '--from', '--server'].map(flag => args[args.indexOf(flag) + 1]));
+
+const body = args.find(arg => !arg.startsWith('--') && !flagValues.has(arg));
+const to = getFlag('to', '6374038470');
+const from = getFlag('from', 'HOSPTL');
+const serverUrl = getFlag('server', `http://localhost:${process.env.PORT || 4001}`);
+
+async function simulateSms() {
+    if (!body) throw new Error('Pass the message text, e.g. node simulate_sms.js "Your OTP is 482913"');
+
+    const form = new URLSearchParams({
+        MessageSid: `SMSIM${Date.now()}`,
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACSIMULATED',
+        From: from,
+        To: to,
+        Body: body,
+        NumMedia: '0'
+    });
+
+    console.log(`📩 [Simulator] Sending SMS to ${to} via ${serverUrl}/sms-webhook: "${body}"`);
+    const response = await fetch(`${serverUrl}/sms-webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: form.toString()
+    });
+    if (!response.ok) throw new Error(`Server answered ${response.status}: ${await response.text()}`);
+    console.log("✅ [Simulator] Delivered. The server log shows which call received the OTP.");
+}
+
+simulateSms().catch(error => {
+    console.error("❌ SMS simulation failed:", error.message);
+    process.exit(1);
+});
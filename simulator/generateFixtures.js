@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const { synthesizeSpeech } = require('./mediaStreamSimulator');
+
+// Regenerates the synthetic target-bot WAV fixtures used by simulator scripts and tests.
+// Usage: node simulator/generateFixtures.js
+const FIXTURES = {
+    'bot_greeting.wav': { durationMs: 1600, pitchHz: 180 },
+    'bot_question.wav': { durationMs: 1200, pitchHz: 170 },
+    'bot_confirmation.wav': { durationMs: 2000, pitchHz: 175 }
+};
+
+for (const [fileName, options] of Object.entries(FIXTURES)) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, 8000, '16', synthesizeSpeech(options.durationMs, options));
+    fs.writeFileSync(path.join(__dirname, 'fixtures', fileName), Buffer.from(wav.toBuffer()));
+    console.log(`✅ Wrote fixtures/${fileName}`);
+}
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { WaveFile } = require('wavefile');
+const { AudioFormat, Resampler, readWav } = require('../engine/audioPipeline');
+
+const SAMPLE_RATE = 8000;                              // Scripted audio is prepared at 8kHz, then converted to the media format
+const FRAME_MS = 20;                                   // One media packet (160 mu-law bytes for Twilio)
+const REPLY_GAP_MS = 700;                              // Tester audio gap that ends one of its utterances
+
+/**
+ * Synthesizes a speech-like signal (voiced harmonics with a syllable-rate envelope)
+ * so VAD and turn-taking can be exercised without recorded audio.
+ * @param {number} durationMs
+ * @param {{pitchHz?: number, amplitude?: number}} [options]
+ * @returns {Int16Array} - 16-bit PCM at 8kHz
+ */
+function synthesizeSpeech(durationMs, { pitchHz = 140, amplitude = 9000 } = {}) {
+    const totalSamples = Math.round(SAMPLE_RATE * durationMs / 1000);
+    const pcm = new Int16Array(totalSamples);
+
+    for (let i = 0; i < totalSamples; i++) {
+        const t = i / SAMPLE_RATE;
+        // ~4 syllables per second, never fully silent inside the utterance
+        const envelope = 0.55 + 0.45 * Math.sin(2 * Math.PI * 4 * t);
+        let sample = 0;
+        for (let harmonic = 1; harmonic <= 6; harmonic++) {
+            sample += Math.sin(2 * Math.PI * pitchHz * harmonic * t) / harmonic;
+        }
+        pcm[i] = Math.max(-32768, Math.min(32767, Math.round(sample * envelope * amplitude / 2)));
+    }
+    return pcm;
+}
+
+/**
+ * Loads any WAV file and returns it as 16-bit mono PCM at 8kHz
+ * @param {string} filePath
+ * @returns {Int16Array}
+ */
+function loadWav(filePath) {
+    // Multi-channel files are read as their first channel; the target bot is mono
+    const { samples, sampleRate } = readWav(fs.readFileSync(filePath));
+    return Resampler.resample(samples, sampleRate, SAMPLE_RATE);
+}
+
+/**
+ * Local stand-in for a Twilio call. Connects to our server's WebSocket and speaks the
+ * Twilio Media Streams protocol (connected/start/media/stop with base64 mu-law @ 8kHz),
+ * playing scripted target-bot audio and recording everything our tester sends back.
+ * mediaFormat announces (and uses) another wire format, e.g. { encoding: 'audio/x-alaw', sampleRate: 16000 }.
+ *
+ * Script steps:
+ *   { play: 'path/to/file.wav' }        - target bot speaks a WAV file
+ *   { speech: { durationMs: 1500 } }    - target bot speaks synthesized speech-like audio
+ *   { silenceMs: 2000 }                 - line stays silent
+ *   { waitForReply: true, timeoutMs }   - wait until the tester has spoken and gone quiet again
+ *   { waitForTesterSpeech: true, delayMs } - wait until the tester starts talking (+delayMs), e.g. to barge in on it
+ *   { hangup: true }                    - end the script early
+ */
+class MediaStreamSimulator extends EventEmitter {
+    constructor({ url = 'ws://localhost:4001', callSid = `SIM${Date.now()}`, streamSid = `MZ${Date.now()}`, script = [], mediaFormat = {} } = {}) {
+        super();
+        this.url = url;
+        this.callSid = callSid;
+        this.streamSid = streamSid;
+        this.script = script;
+        this.format = new AudioFormat(mediaFormat);
+        this.frameBytes = this.format.bytesFor(FRAME_MS);
+
+        this.ws = null;
+        this.clock = null;
+        this.playbackQueue = [];          // Encoded frames waiting to be sent
+        this.sequenceNumber = 0;
+        this.startedAt = null;
+
+        // What our tester sent back
+        this.receivedFrames = [];         // { at, pcm }
+        this.testerUtterances = [];       // { startMs, endMs, bytes }
+        this.clearEvents = [];            // ms offsets of Twilio 'clear' messages
+        this.lastReceivedAt = 0;
+    }
+
+    send(payload) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ sequenceNumber: String(++this.sequenceNumber), ...payload }));
+        }
+    }
+
+    elapsedMs() {
+        return Date.now() - this.startedAt;
+    }
+
+    /**
+     * Opens the socket, sends the Twilio 'connected' + 'start' handshake and starts the 20ms media clock
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.url);
+
+            this.ws.on('open', () => {
+                this.startedAt = Date.now();
+                this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+                this.send({
+                    event: 'start',
+                    streamSid: this.streamSid,
+                    start: {
+                        streamSid: this.streamSid,
+                        callSid: this.callSid,
+                        accountSid: 'ACsimulator',
+                        tracks: ['inbound'],
+                        mediaFormat: { encoding: this.format.encoding, sampleRate: this.format.sampleRate, channels: 1 }
+                    }
+                });
+                this.startClock();
+                resolve();
+            });
+
+            this.ws.on('message', (message) => this.handleServerMessage(message));
+            this.ws.on('error', reject);
+            this.ws.on('close', () => {
+                this.stopClock();
+                this.emit('closed');
+            });
+        });
+    }
+
+    /**
+     * Twilio streams a packet every 20ms even when nobody talks, so silence is sent as real frames
+     */
+    startClock() {
+        let chunk = 1;
+        const tick = () => {
+            const frame = this.playbackQueue.shift() || this.format.silence(FRAME_MS);
+            this.send({
+                event: 'media',
+                streamSid: this.streamSid,
+                media: { track: 'inbound', chunk: String(chunk++), timestamp: String(this.elapsedMs()), payload: frame.toString('base64') }
+            });
+            this.closeUtteranceIfQuiet();
+
+            // Schedule against the wall clock so timer drift doesn't accumulate
+            const nextAt = this.startedAt + chunk * FRAME_MS;
+            this.clock = setTimeout(tick, Math.max(0, nextAt - Date.now()));
+        };
+        this.clock = setTimeout(tick, FRAME_MS);
+    }
+
+    stopClock() {
+        if (this.clock) clearTimeout(this.clock);
+        this.clock = null;
+    }
+
+    handleServerMessage(message) {
+        let data;
+        try {
+            data = JSON.parse(message.toString());
+        } catch (e) {
+            return;
+        }
+
+        if (data.event === 'media' && data.media && data.media.payload) {
+            const now = this.elapsedMs();
+            const samples = this.format.decode(Buffer.from(data.media.payload, 'base64'));
+            const pcm = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+            this.receivedFrames.push({ at: now, pcm });
+
+            const current = this.testerUtterances[this.testerUtterances.length - 1];
+            if (current && current.open) {
+                current.endMs = now;
+                current.bytes += pcm.length;
+            } else {
+                this.testerUtterances.push({ startMs: now, endMs: now, bytes: pcm.length, open: true });
+                this.emit('testerSpeechStart', now);
+            }
+            this.lastReceivedAt = now;
+        }
+
+        if (data.event === 'clear') {
+            this.clearEvents.push(this.elapsedMs());
+            this.emit('clear');
+        }
+    }
+
+    closeUtteranceIfQuiet() {
+        const current = this.testerUtterances[this.testerUtterances.length - 1];
+        if (current && current.open && this.elapsedMs() - this.lastReceivedAt > REPLY_GAP_MS) {
+            current.open = false;
+            this.emit('testerSpeechEnd', current);
+        }
+    }
+
+    /**
+     * Queues PCM for playback and resolves once it has been streamed out
+     */
+    playPcm(pcm) {
+        const encoded = this.format.encode(Resampler.resample(pcm, SAMPLE_RATE, this.format.sampleRate));
+        for (let offset = 0; offset < encoded.length; offset += this.frameBytes) {
+            const frame = this.format.silence(FRAME_MS);
+            encoded.copy(frame, 0, offset, Math.min(offset + this.frameBytes, encoded.length));
+            this.playbackQueue.push(frame);
+        }
+
+        return new Promise(resolve => {
+            const check = setInterval(() => {
+                if (this.playbackQueue.length === 0 || !this.clock) {
+                    clearInterval(check);
+                    resolve();
+                }
+            }, FRAME_MS);
+        });
+    }
+
+    waitForReply(timeoutMs = 30000) {
+        const alreadyDone = this.testerUtterances.length;
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.removeListener('testerSpeechEnd', onEnd);
+                reject(new Error(`Tester did not reply within ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            const onEnd = () => {
+                if (this.testerUtterances.filter(u => !u.open).length <= alreadyDone) return;
+                clearTimeout(timeout);
+                this.removeListener('testerSpeechEnd', onEnd);
+                resolve(this.testerUtterances[this.testerUtterances.length - 1]);
+            };
+            this.on('testerSpeechEnd', onEnd);
+        });
+    }
+
+    waitForTesterSpeech(timeoutMs = 30000, delayMs = 0) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.removeListener('testerSpeechStart', onStart);
+                reject(new Error(`Tester did not start speaking within ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            const onStart = () => {
+                clearTimeout(timeout);
+                this.removeListener('testerSpeechStart', onStart);
+                setTimeout(resolve, delayMs);
+            };
+            this.on('testerSpeechStart', onStart);
+        });
+    }
+
+    /**
+     * Runs the whole script: connect, play every step, then send 'stop' and close
+     * @returns {Promise<object>} - Summary of what the tester did
+     */
+    async run() {
+        await this.connect();
+
+        for (const step of this.script) {
+            if (step.hangup) break;
+            if (step.play) await this.playPcm(loadWav(step.play));
+            if (step.speech) await this.playPcm(synthesizeSpeech(step.speech.durationMs || 1000, step.speech));
+            if (step.silenceMs) await new Promise(r => setTimeout(r, step.silenceMs));
+            if (step.waitForTesterSpeech) await this.waitForTesterSpeech(step.timeoutMs, step.delayMs);
+            if (step.waitForReply) await this.waitForReply(step.timeoutMs);
+        }
+
+        return this.stop();
+    }
+
+    stop() {
+        this.send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid, accountSid: 'ACsimulator' } });
+        this.stopClock();
+        if (this.ws) this.ws.close();
+
+        return {
+            callSid: this.callSid,
+            durationMs: this.elapsedMs(),
+            testerUtterances: this.testerUtterances.map(({ open, ...utterance }) => utterance),
+            clearEvents: this.clearEvents
+        };
+    }
+
+    /**
+     * Everything the tester sent, laid out on the call's timeline as a playable WAV
+     * @returns {Buffer}
+     */
+    toRecordingWav() {
+        const sampleRate = this.format.sampleRate;
+        const totalSamples = Math.ceil((this.elapsedMs() + FRAME_MS) * sampleRate / 1000);
+        const timeline = new Int16Array(totalSamples);
+        let cursor = 0;
+
+        for (const { at, pcm } of this.receivedFrames) {
+            const samples = new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2);
+            // Tester audio arrives faster than real time, so never overwrite what was already placed
+            cursor = Math.max(cursor, Math.round(at * sampleRate / 1000));
+            if (cursor + samples.length > timeline.length) break;
+            timeline.set(samples, cursor);
+            cursor += samples.length;
+        }
+
+        const wav = new WaveFile();
+        wav.fromScratch(1, sampleRate, '16', timeline);
+        return Buffer.from(wav.toBuffer());
+    }
+}
+
+module.exports = { MediaStreamSimulator, synthesizeSpeech, loadWav };
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const { synthesizeSpeech } = require('../../simulator/mediaStreamSimulator');
+
+// Regenerates the WAV fixtures used by tests/test_vad.js.
+// Usage: node tests/fixtures/generateVadFixtures.js
+const SAMPLE_RATE = 8000;
+
+// Small deterministic PRNG so fixtures are byte-identical across runs
+let seed = 42;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const samplesFor = (ms) => Math.round(SAMPLE_RATE * ms / 1000);
+
+const noise = (ms, rms) => Float64Array.from({ length: samplesFor(ms) }, () => (random() * 2 - 1) * rms * Math.sqrt(3));
+
+const speech = (ms, amplitude) => Float64Array.from(synthesizeSpeech(ms, { amplitude }));
+
+// A line pop: one loud click followed by a short decaying ring
+const pop = () => Float64Array.from({ length: samplesFor(40) }, (_, i) => (i < 8 ? 20000 : 0) * (i % 2 ? -1 : 1));
+
+function build(segments, lineNoiseRms) {
+    const pcm = Float64Array.from(segments.flatMap(segment => Array.from(segment)));
+    const floor = noise(pcm.length * 1000 / SAMPLE_RATE, lineNoiseRms);
+    return Int16Array.from(pcm, (sample, i) => Math.max(-32768, Math.min(32767, Math.round(sample + floor[i]))));
+}
+
+const FIXTURES = {
+    // One utterance over audible line noise
+    'vad_speech_in_line_noise.wav': build([noise(1000, 0), speech(1500, 9000), noise(2000, 0)], 150),
+    // Only line pops, no speech: the old fixed-RMS VAD triggered on these
+    'vad_line_pops.wav': build([noise(300, 0), pop(), noise(500, 0), pop(), noise(500, 0), pop(), noise(1000, 0)], 40),
+    // A quiet bot (RMS ~200) on a very clean line: below the old fixed threshold of 300
+    'vad_quiet_bot.wav': build([noise(800, 0), speech(1500, 700), noise(2000, 0)], 10),
+    // Two sentences with a short breath between them: one turn, two speech segments
+    'vad_two_sentences.wav': build([noise(500, 0), speech(1000, 9000), noise(600, 0), speech(1000, 9000), noise(2000, 0)], 60)
+};
+
+for (const [fileName, pcm] of Object.entries(FIXTURES)) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, SAMPLE_RATE, '16', pcm);
+    fs.writeFileSync(path.join(__dirname, fileName), Buffer.from(wav.toBuffer()));
+    console.log(`✅ Wrote tests/fixtures/${fileName}`);
+}
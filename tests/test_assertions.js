@@ -0,0 +1,111 @@
+const assert = require('assert');
+const assertionEngine = require('../engine/assertionEngine');
+
+/**
+ * Builds the call state the engine reads: bot lines are 'user', tester lines are 'assistant'
+ */
+function call(lines, targetLanguage = 'English') {
+    return {
+        targetLanguage,
+        history: lines.map(([speaker, content]) => ({ role: speaker === 'bot' ? 'user' : 'assistant', content, timestamp: 0 }))
+    };
+}
+
+function resultOf(assertion, callState, latency) {
+    return assertionEngine.evaluate([assertion], callState, latency)[0];
+}
+
+function runTests() {
+    console.log("🚀 Starting assertion engine tests...\n");
+
+    const booked = call([
+        ['bot', "Welcome to the clinic. How can I help you?"],
+        ['tester', "I'd like 4 PM... wait, actually make it tomorrow at 10:30 AM."],
+        ['bot', "Your appointment is confirmed for tomorrow at 10:30 AM."]
+    ]);
+    const misheard = call([
+        ['bot', "Welcome to the clinic. How can I help you?"],
+        ['tester', "Tomorrow at 10:30 AM, please."],
+        ['bot', "Your appointment is confirmed for tomorrow at 10 AM."]
+    ]);
+
+    // Slot read-back: the tester's final choice must come back from the bot
+    let result = resultOf({ type: 'repeatsRequestedSlot' }, booked);
+    assert.strictEqual(result.passed, true, result.evidence);
+    result = resultOf({ type: 'repeatsRequestedSlot' }, misheard);
+    assert.strictEqual(result.passed, false);
+    assert.ok(/\d{4}-\d{2}-\d{2} 10:30/.test(result.evidence), result.evidence);
+    assert.strictEqual(resultOf({ type: 'repeatsRequestedSlot' }, call([['bot', "Hello"]])).passed, null, "nothing requested = not applicable");
+    console.log("✅ repeatsRequestedSlot catches a misheard time");
+
+    // Confirmed slot vs requested slot, including a bare "confirmed" after an offer
+    assert.strictEqual(resultOf({ type: 'confirmedRequestedSlot' }, booked).passed, true);
+    result = resultOf({ type: 'confirmedRequestedSlot' }, misheard);
+    assert.strictEqual(result.passed, false);
+    assert.ok(result.evidence.includes('10:00'), result.evidence);
+    result = resultOf({ type: 'confirmedRequestedSlot' }, call([
+        ['tester', "Tomorrow at 10:30 AM, please."],
+        ['bot', "I can give you tomorrow at 18:00."],
+        ['tester', "Okay."],
+        ['bot', "Done, your appointment is confirmed."]
+    ]));
+    assert.strictEqual(result.passed, false, "the confirmation inherits the slot the bot offered");
+    assert.strictEqual(resultOf({ type: 'confirmedRequestedSlot' }, call([['tester', "Tomorrow at 4 PM"], ['bot', "Let me check."]])).passed, null, "nothing confirmed = not applicable");
+    console.log("✅ confirmedRequestedSlot compares the confirmed slot with the request");
+
+    assert.strictEqual(resultOf({ type: 'confirmedWithinTurns', maxTurns: 2 }, booked).passed, true);
+    assert.strictEqual(resultOf({ type: 'confirmedWithinTurns', maxTurns: 1 }, booked).passed, false);
+    console.log("✅ confirmedWithinTurns respects maxTurns");
+
+    // Asking the caller to confirm something, then hanging up, books nothing
+    const asked = call([
+        ['tester', "Tomorrow at 10:30 AM, please."],
+        ['bot', "Welcome. Can you confirm your phone number please?"],
+        ['tester', "It's 6374038470."],
+        ['bot', "Sorry, the system is down. Goodbye."]
+    ]);
+    assert.strictEqual(resultOf({ type: 'confirmedWithinTurns', maxTurns: 6 }, asked).passed, false);
+    assert.strictEqual(resultOf({ type: 'confirmedRequestedSlot' }, asked).passed, null);
+    result = resultOf({ type: 'confirmedRequestedSlot' }, call([['tester', "Tomorrow at 10:30 AM, please."], ['bot', "Okay, you're booked."]]));
+    assert.strictEqual(result.passed, false, result.evidence);
+    console.log("✅ Questions don't count as confirmations, and a slotless confirmation fails");
+
+    const latency = { turns: [{ index: 0, botResponseMs: undefined }, { index: 1, botResponseMs: 2500 }, { index: 2, botResponseMs: 9100 }] };
+    result = resultOf({ type: 'maxTurnLatency', maxMs: 8000 }, booked, latency);
+    assert.strictEqual(result.passed, false);
+    assert.ok(result.evidence.includes('turn 3 9.10s'), result.evidence);
+    assert.strictEqual(resultOf({ type: 'maxTurnLatency' }, booked, { turns: [] }).passed, null);
+    console.log("✅ maxTurnLatency flags slow turns");
+
+    const hindi = call([['bot', "नमस्ते, मैं आपकी कैसे मदद कर सकता हूँ?"], ['bot', "आपका appointment कल सुबह है।"]], 'Hindi');
+    assert.strictEqual(resultOf({ type: 'targetScript' }, hindi).passed, true);
+    assert.strictEqual(resultOf({ type: 'targetScript' }, booked, undefined).passed, true);
+    assert.strictEqual(resultOf({ type: 'targetScript' }, { ...booked, targetLanguage: 'Tamil' }).passed, false, "English replies fail a Tamil call");
+    console.log("✅ targetScript checks the bot's script");
+
+    // A failed assertion overrules a Passed LLM verdict; passing ones leave it alone
+    const llmReport = { status: 'Passed', uxAnalysis: 'Smooth.', enhancements: [] };
+    let combined = assertionEngine.combine(llmReport, assertionEngine.evaluate([{ type: 'repeatsRequestedSlot' }], misheard));
+    assert.strictEqual(combined.status, 'Failed');
+    assert.strictEqual(combined.llmStatus, 'Passed');
+    assert.ok(combined.verdict.includes('Bot repeated the requested date and time'));
+    combined = assertionEngine.combine(llmReport, assertionEngine.evaluate([{ type: 'repeatsRequestedSlot' }], booked));
+    assert.strictEqual(combined.status, 'Passed');
+    console.log("✅ Deterministic failures overrule the LLM verdict");
+
+    // The same transcript always gets the same result
+    assert.deepStrictEqual(
+        assertionEngine.evaluate([{ type: 'repeatsRequestedSlot' }, { type: 'confirmedWithinTurns' }], misheard),
+        assertionEngine.evaluate([{ type: 'repeatsRequestedSlot' }, { type: 'confirmedWithinTurns' }], misheard)
+    );
+    console.log("✅ Results are deterministic");
+
+    console.log("\n✅ Assertion engine tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,183 @@
+const assert = require('assert');
+const { WaveFile } = require('wavefile');
+const { AudioPipeline, AudioFormat, Resampler, Pacer, measureLoudness, normalizeLoudness, readWav, toWav, codecs } = require('../engine/audioPipeline');
+
+function tone(frequency, sampleRate, ms, amplitude = 10000) {
+    return Int16Array.from({ length: Math.round(sampleRate * ms / 1000) }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+}
+
+// RMS away from the edges, where the resampler's kernel runs into the clip boundaries
+function rms(samples) {
+    const margin = Math.floor(samples.length / 10);
+    let sum = 0;
+    for (let i = margin; i < samples.length - margin; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / (samples.length - 2 * margin));
+}
+
+function testCodecs() {
+    // mu-law is bit-exact with wavefile (what the engine used before) for every 16-bit value and every byte
+    const everySample = Int16Array.from({ length: 65536 }, (_, i) => i - 32768);
+    const reference = new WaveFile();
+    reference.fromScratch(1, 8000, '16', everySample);
+    reference.toMuLaw();
+    assert.ok(codecs['audio/x-mulaw'].encode(everySample).equals(Buffer.from(reference.data.samples)));
+    const everyByte = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const decoded = new WaveFile();
+    decoded.fromScratch(1, 8000, '8m', everyByte);
+    decoded.fromMuLaw();
+    assert.deepStrictEqual(codecs['audio/x-mulaw'].decode(everyByte), decoded.getSamples(false, Int16Array));
+
+    // A-law follows the ITU G.711 reference
+    const alaw = codecs['audio/x-alaw'];
+    assert.deepStrictEqual([...alaw.encode(Int16Array.from([0, -1, 32767, -32768]))], [0xD5, 0x55, 0xAA, 0x2A]);
+    assert.deepStrictEqual([...alaw.decode(Buffer.from([0xD5, 0x55, 0xAA, 0x2A]))], [8, -8, 32256, -32256]);
+
+    // Companding keeps the quantization error proportional to the signal (under 1/16 of it above the smallest steps)
+    for (const name of ['audio/x-mulaw', 'audio/x-alaw']) {
+        const roundTrip = codecs[name].decode(codecs[name].encode(everySample));
+        const worst = everySample.reduce((max, value, i) => Math.abs(value) < 256 ? max : Math.max(max, Math.abs(roundTrip[i] - value) / Math.abs(value)), 0);
+        assert.ok(worst < 1 / 16, `${name} round trip error ${worst}`);
+    }
+
+    // L16 is big-endian (RFC 3551), Exotel's raw PCM little-endian
+    const pcm = Int16Array.from([0, 1, -1, 32767, -32768]);
+    const l16 = codecs['audio/l16'];
+    assert.deepStrictEqual([...l16.encode(pcm)], [0, 0, 0, 1, 0xFF, 0xFF, 0x7F, 0xFF, 0x80, 0x00], "big-endian");
+    assert.deepStrictEqual([...l16.decode(Buffer.from([0x01, 0x00, 0xFF, 0xFE]))], [256, -2]);
+    assert.deepStrictEqual(l16.decode(l16.encode(pcm)), pcm);
+    const raw = codecs['audio/x-pcm-le'];
+    assert.deepStrictEqual([...raw.encode(pcm)], [0, 0, 1, 0, 0xFF, 0xFF, 0xFF, 0x7F, 0x00, 0x80], "little-endian");
+    assert.deepStrictEqual([...raw.decode(Buffer.from([0x01, 0x00, 0xFF, 0xFE]))], [1, -257]);
+    assert.deepStrictEqual(raw.decode(raw.encode(pcm)), pcm);
+    console.log("✅ mu-law, A-law, L16 and little-endian PCM codecs");
+}
+
+function testFormatNegotiation() {
+    // Twilio's start.mediaFormat, Exotel's start.media_format, and the names other providers use
+    assert.deepStrictEqual(String(AudioFormat.fromMediaFormat({ encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 })), 'audio/x-mulaw @ 8000Hz');
+    assert.deepStrictEqual(String(AudioFormat.fromMediaFormat({ encoding: 'base64', sample_rate: '8000', bit_rate: '128kbps' })), 'audio/x-pcm-le @ 8000Hz');
+    assert.deepStrictEqual(String(AudioFormat.fromMediaFormat({ encoding: 'LINEAR16', sampleRate: 16000 })), 'audio/l16 @ 16000Hz');
+    assert.deepStrictEqual(String(AudioFormat.fromMediaFormat({ encoding: 'PCMA', sampleRate: '16000' })), 'audio/x-alaw @ 16000Hz');
+    assert.deepStrictEqual(String(AudioFormat.fromMediaFormat(undefined)), 'audio/x-mulaw @ 8000Hz');
+    assert.throws(() => AudioFormat.fromMediaFormat({ encoding: 'audio/opus' }), /Unsupported media encoding "audio\/opus"/);
+    assert.throws(() => AudioFormat.fromMediaFormat({ encoding: 'audio/x-mulaw', sampleRate: 'abc' }), /Unsupported media sample rate/);
+    assert.throws(() => AudioFormat.fromMediaFormat({ encoding: 'audio/x-mulaw', channels: 2 }), /Only mono/);
+
+    const wide = new AudioFormat({ encoding: 'audio/l16', sampleRate: 16000 });
+    assert.strictEqual(wide.bytesFor(20), 640);
+    assert.strictEqual(wide.msFor(640), 20);
+    assert.ok(new AudioFormat().silence(20).equals(Buffer.alloc(160, 0xFF)), "mu-law silence is 0xFF");
+    console.log("✅ Media formats negotiated from start events");
+}
+
+function testResampler() {
+    // Pass band kept, stop band removed (no aliasing), lengths follow the rate ratio
+    const cases = [
+        { frequency: 1000, from: 16000, to: 8000, kept: true },
+        { frequency: 5000, from: 16000, to: 8000, kept: false },
+        { frequency: 1000, from: 22050, to: 8000, kept: true },
+        { frequency: 6000, from: 22050, to: 8000, kept: false },
+        { frequency: 1000, from: 8000, to: 16000, kept: true }
+    ];
+    for (const { frequency, from, to, kept } of cases) {
+        const input = tone(frequency, from, 500);
+        const output = Resampler.resample(input, from, to);
+        assert.strictEqual(output.length, Math.ceil(input.length * to / from), `${from} -> ${to} length`);
+        const gainDb = 20 * Math.log10(Math.max(1, rms(output)) / rms(input));
+        if (kept) assert.ok(Math.abs(gainDb) < 0.1, `${frequency}Hz ${from} -> ${to}: ${gainDb.toFixed(2)}dB`);
+        else assert.ok(gainDb < -60, `${frequency}Hz ${from} -> ${to} should be filtered out, ${gainDb.toFixed(1)}dB`);
+    }
+    const same = tone(440, 8000, 100);
+    assert.strictEqual(Resampler.resample(same, 8000, 8000), same);
+
+    // 20ms packets one by one give exactly the one-shot result, with no delay
+    const input = tone(440, 16000, 1000);
+    const streaming = new Resampler(16000, 8000);
+    const pieces = [];
+    for (let offset = 0; offset < input.length; offset += 320) pieces.push(...streaming.process(input.subarray(offset, offset + 320)));
+    pieces.push(...streaming.flush());
+    assert.deepStrictEqual(Int16Array.from(pieces), Resampler.resample(input, 16000, 8000));
+    const impulse = new Int16Array(1600);
+    impulse[800] = 20000;
+    const moved = Resampler.resample(impulse, 16000, 8000);
+    assert.strictEqual(moved.indexOf(Math.max(...moved)), 400);
+    console.log("✅ Band-limited resampling, streamed in packets");
+}
+
+function testLoudness() {
+    // BS.1770 reference: a full-scale 997Hz sine measures -3.01 LUFS, at any sample rate
+    assert.strictEqual(measureLoudness(tone(997, 48000, 3000, 32767), 48000).toFixed(1), '-3.0');
+    assert.strictEqual(measureLoudness(tone(997, 8000, 3000, 32767), 8000).toFixed(1), '-3.0');
+    assert.strictEqual(measureLoudness(tone(997, 8000, 3000, 3277), 8000).toFixed(1), '-23.0');
+    assert.strictEqual(measureLoudness(new Int16Array(8000), 8000), -Infinity);
+    // Pauses are gated out: 1s of speech in 3s measures close to the speech alone, not the 4.8 LU lower average
+    const padded = new Int16Array(24000);
+    padded.set(tone(997, 8000, 1000, 3277), 8000);
+    const paddedLufs = measureLoudness(padded, 8000);
+    assert.ok(paddedLufs > -25 && paddedLufs < -23, `padded speech measured ${paddedLufs.toFixed(1)} LUFS`);
+    assert.ok(Number.isFinite(measureLoudness(tone(300, 8000, 200), 8000)), "clips shorter than a block are measured too");
+
+    const quiet = normalizeLoudness(tone(300, 8000, 2000, 1000), 8000, { targetLufs: -16 });
+    assert.strictEqual(measureLoudness(quiet.samples, 8000).toFixed(1), '-16.0');
+    assert.ok(quiet.gainDb > 0);
+    // A peaky clip stops at -1 dBFS instead of clipping
+    const spiky = tone(300, 8000, 2000, 1000);
+    spiky[4000] = 30000;
+    const limited = normalizeLoudness(spiky, 8000, { targetLufs: -10 });
+    assert.ok(Math.max(...limited.samples.map(Math.abs)) <= Math.round(32767 * Math.pow(10, -1 / 20)));
+    assert.ok(measureLoudness(limited.samples, 8000) < -10);
+    const silence = new Int16Array(800);
+    assert.strictEqual(normalizeLoudness(silence, 8000).samples, silence);
+    console.log("✅ Loudness measured and normalized per BS.1770");
+}
+
+async function testPipeline() {
+    // Inbound: a 16kHz A-law packet becomes 20ms of 8kHz PCM
+    const wide = new AudioPipeline(new AudioFormat({ encoding: 'audio/x-alaw', sampleRate: 16000 }));
+    const speech = codecs['audio/x-alaw'].encode(tone(500, 16000, 1000));
+    let inbound = 0;
+    for (let offset = 0; offset < speech.length; offset += 320) inbound += wide.decodeInbound(speech.subarray(offset, offset + 320)).length;
+    assert.ok(Math.abs(inbound / 2 - 8000) <= wide.inboundResampler.reach, `${inbound / 2} samples of 8kHz PCM for 1s`);
+    const narrow = new AudioPipeline();
+    assert.strictEqual(narrow.decodeInbound(Buffer.alloc(160, 0xFF)).length, 320);
+
+    // Outbound: TTS at any rate comes out at 8kHz and the target loudness, then in the wire format
+    process.env.AUDIO_TARGET_LUFS = '-20';
+    const prepared = narrow.prepareOutbound(toWav(tone(300, 22050, 1500, 2000), 22050));
+    delete process.env.AUDIO_TARGET_LUFS;
+    assert.strictEqual(prepared.length, 12000);
+    assert.strictEqual(measureLoudness(prepared, 8000).toFixed(1), '-20.0');
+    assert.strictEqual(narrow.encodeOutbound(prepared).length, 12000);
+    assert.strictEqual(wide.encodeOutbound(prepared).length, 24000);
+    assert.deepStrictEqual(readWav(toWav(prepared)), { samples: prepared, sampleRate: 8000 });
+
+    // Pacing: 40ms chunks, the first five at once, then one every 35ms, across the pieces of one reply
+    const pacer = new Pacer(new AudioFormat({ encoding: 'audio/l16', sampleRate: 16000 }));
+    const sent = [];
+    const startedAt = Date.now();
+    const record = (chunk, ms) => sent.push({ bytes: chunk.length, ms, at: Date.now() - startedAt });
+    await pacer.send(Buffer.alloc(1280 * 4), record);
+    await pacer.send(Buffer.alloc(1280 * 3 + 640), record);
+    assert.deepStrictEqual(sent.map(chunk => chunk.ms), [40, 40, 40, 40, 40, 40, 40, 20]);
+    assert.ok(sent[4].at < 20, "the burst goes out at once");
+    assert.ok(sent[7].at >= 2 * 35 - 5, "then one chunk per interval");
+    let stopAfter = 2;
+    await pacer.send(Buffer.alloc(1280 * 5), () => --stopAfter > 0);
+    assert.strictEqual(stopAfter, 0, "returning false stops the sending");
+    console.log("✅ Pipeline converts both directions and paces the output");
+}
+
+async function runTests() {
+    console.log("🚀 Starting audio pipeline tests...\n");
+    testCodecs();
+    testFormatNegotiation();
+    testResampler();
+    testLoudness();
+    await testPipeline();
+    console.log("\n✅ Audio pipeline tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const BehaviorInjector = require('../engine/behaviorInjector');
+const assertionEngine = require('../engine/assertionEngine');
+const scenarioLibrary = require('../engine/scenarioLibrary');
+const personaLibrary = require('../engine/personaLibrary');
+const llmService = require('../services/llmService');
+
+const persona = personaLibrary.get('gokulakannan');
+
+// Deterministic stand-in for Math.random() cycling through the given values
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+/**
+ * History from [speaker, content, behavior?] lines: bot lines are 'user', tester lines are 'assistant'
+ */
+function history(lines) {
+    return lines.map(([speaker, content, behavior]) => ({
+        role: speaker === 'bot' ? 'user' : 'assistant', content, ...(behavior ? { behavior } : {}), timestamp: 0
+    }));
+}
+
+/**
+ * Grades one behaviour injected at the first tagged line of a history
+ */
+function gradeOne(type, lines, params = {}) {
+    const injector = new BehaviorInjector(BehaviorInjector.resolve([{ type, atTurn: 1, ...params }]), { persona });
+    const turns = history(lines);
+    const behavior = injector.next(1, '');
+    injector.record(behavior, turns.findIndex(turn => turn.behavior));
+    return injector.grade(turns).injected[0];
+}
+
+async function runTests() {
+    console.log("🚀 Starting caller behaviour tests...\n");
+
+    // Validation and defaults
+    assert.deepStrictEqual(BehaviorInjector.resolve(undefined), []);
+    assert.deepStrictEqual(BehaviorInjector.resolve(['silence']), [{ type: 'silence', seconds: 8, probability: 1, maxTimes: 1 }]);
+    assert.deepStrictEqual(BehaviorInjector.resolve([{ type: 'talkOver', atTurn: 3, delayMs: 900 }]),
+        [{ type: 'talkOver', delayMs: 900, atTurn: 3, probability: undefined, maxTimes: 1 }]);
+    assert.throws(() => BehaviorInjector.resolve(['shouting']), /Unknown behavior "shouting"/);
+    assert.throws(() => BehaviorInjector.resolve([{ type: 'offTopic', atTurn: 0 }]), /atTurn must be a tester turn number/);
+    assert.throws(() => BehaviorInjector.resolve([{ type: 'offTopic', probability: 2 }]), /probability must be between 0 and 1/);
+    assert.throws(() => scenarioLibrary.normalize({ id: 'X', goal: 'g', behaviors: ['nope'] }, 'x.yaml'), /x.yaml: Unknown behavior "nope"/);
+    assert.ok(scenarioLibrary.get('BOOKING_EDGE_CASES').behaviors.length > 0, "bundled edge-case scenario loads");
+    assert.ok(BehaviorInjector.catalog().some(entry => entry.type === 'wrongPhoneThenCorrect'));
+    console.log("✅ Behaviour settings validated");
+
+    // When behaviours fire: at a fixed turn, on matching bot questions by chance, at most maxTimes
+    const fixed = new BehaviorInjector(BehaviorInjector.resolve([{ type: 'offTopic', atTurn: 2 }]), { persona });
+    assert.strictEqual(fixed.next(1, "How can I help?"), null);
+    const offTopic = fixed.next(2, "Which day?");
+    assert.deepStrictEqual([offTopic.type, offTopic.turn, offTopic.mode], ['offTopic', 2, 'instruction']);
+    assert.strictEqual(fixed.next(2, "Which day?").type, 'offTopic', "a reply that was never spoken (WAIT) doesn't use it up");
+    fixed.record(offTopic, 3);
+    assert.strictEqual(fixed.next(2, "Which day?"), null, "fires once by default");
+
+    const chance = new BehaviorInjector(BehaviorInjector.resolve([{ type: 'wrongPhoneThenCorrect', probability: 0.5, maxTimes: 2 }]), { persona, random: sequence(0.7, 0.2) });
+    assert.strictEqual(chance.next(1, "Which day would you like?"), null, "only answers to a phone question qualify");
+    assert.strictEqual(chance.next(2, "What is your phone number?"), null, "0.7 is above the probability");
+    const wrongPhone = chance.next(3, "What is your phone number?");
+    assert.ok(wrongPhone.example.includes(persona.phone) && wrongPhone.instruction.includes('WRONG'));
+    assert.strictEqual(new BehaviorInjector(BehaviorInjector.resolve(['spellName']), { persona }).next(1, "May I have your name?").example, "My name is G-O-K-U-L-A-K-A-N-N-A-N.");
+    console.log("✅ Behaviours fire at their turn or by probability on matching questions");
+
+    // Recovery grading per behaviour
+    assert.strictEqual(gradeOne('silence', [['bot', "Which day?"], ['tester', "(Behaviour: silent)", 'silence'], ['bot', "Hello, are you still there?"], ['tester', "Yes, tomorrow."]]).recovered, true);
+    assert.strictEqual(gradeOne('silence', [['bot', "Which day?"], ['tester', "(Behaviour: silent)", 'silence'], ['tester', "Tomorrow."]]).recovered, false);
+    assert.strictEqual(gradeOne('offTopic', [['tester', "Is there parking?", 'offTopic'], ['bot', "Yes. Which day would you like the appointment?"]]).recovered, true);
+    assert.strictEqual(gradeOne('offTopic', [['tester', "Is there parking?", 'offTopic'], ['bot', "There is a big parking lot."], ['bot', "It is free."]]).recovered, false);
+    assert.strictEqual(gradeOne('wrongPhoneThenCorrect', [['tester', "9000012345, sorry, 6374038470", 'wrongPhoneThenCorrect'], ['bot', "Your number is 6374038470."]]).recovered, true);
+    const keptWrong = gradeOne('wrongPhoneThenCorrect', [['tester', "9000012345, sorry, 6374038470", 'wrongPhoneThenCorrect'], ['bot', "I have noted 9000012345."]]);
+    assert.strictEqual(keptWrong.recovered, false);
+    assert.ok(keptWrong.evidence.includes('read back 9000012345'), keptWrong.evidence);
+    assert.strictEqual(gradeOne('wrongPhoneThenCorrect', [['tester', "9000012345, sorry, 6374038470", 'wrongPhoneThenCorrect'], ['bot', "Thank you."]]).recovered, null);
+    assert.strictEqual(gradeOne('pastDate', [['tester', "Yesterday at 10 AM?", 'pastDate'], ['bot', "That date has already passed. How about tomorrow?"]]).recovered, true);
+    assert.strictEqual(gradeOne('pastDate', [['tester', "Yesterday at 10 AM?", 'pastDate'], ['bot', "Okay, your appointment yesterday at 10 AM is confirmed."]]).recovered, false);
+    assert.strictEqual(gradeOne('outsideHours', [['tester', "2 AM tomorrow?", 'outsideHours'], ['bot', "We are closed then. We are open from 9 AM."]]).recovered, true);
+    assert.strictEqual(gradeOne('outsideHours', [['tester', "2 AM tomorrow?", 'outsideHours'], ['bot', "Sure, booked for 2 AM tomorrow."]]).recovered, false);
+    assert.strictEqual(gradeOne('spellName', [['tester', "G-O-K-U-L", 'spellName'], ['bot', "Thank you Gokulakannan, which day?"]]).recovered, true);
+    assert.strictEqual(gradeOne('spellName', [['tester', "G-O-K-U-L", 'spellName'], ['bot', "Sorry, what is your name?"]]).recovered, false);
+    assert.strictEqual(gradeOne('talkOver', [['bot', "Which day would"], ['tester', "Hello? Can you hear me?", 'talkOver'], ['bot', "Yes, which day?"]]).recovered, true);
+    console.log("✅ Recovery graded for every behaviour in the catalogue");
+
+    // The assertion reads the same grades
+    const injector = new BehaviorInjector(BehaviorInjector.resolve([{ type: 'offTopic', atTurn: 1 }, { type: 'pastDate', atTurn: 2 }]), { persona });
+    const calls = history([
+        ['bot', "Welcome, how can I help?"], ['tester', "Is there parking?", 'offTopic'],
+        ['bot', "Yes. Which day would you like?"], ['tester', "Yesterday?", 'pastDate'],
+        ['bot', "Okay, booked for yesterday. Confirmed."]
+    ]);
+    injector.record(injector.next(1, ''), 1);
+    injector.record(injector.next(2, ''), 3);
+    const [recovery] = assertionEngine.evaluate([{ type: 'recoversFromBehaviors' }], { history: calls, behaviors: injector });
+    assert.strictEqual(recovery.passed, false);
+    assert.ok(recovery.evidence.startsWith('pastDate at caller turn 2'), recovery.evidence);
+    assert.strictEqual(assertionEngine.evaluate([{ type: 'recoversFromBehaviors', types: ['offTopic'] }], { history: calls, behaviors: injector })[0].passed, true);
+    assert.strictEqual(assertionEngine.evaluate([{ type: 'recoversFromBehaviors' }], { history: calls })[0].passed, null, "calls without behaviours are not applicable");
+    console.log("✅ recoversFromBehaviors fails on the behaviour the bot mishandled");
+
+    // The active behaviour reaches the tester prompt (the stub LLM says its example line)
+    process.env.LLM_PROVIDER = 'stub';
+    const callState = { scenario: 'BOOKING', targetLanguage: 'English', history: [], persona, activeBehavior: offTopic };
+    const { replyText } = await llmService.processCustomerIntent("Which day would you like?", callState);
+    assert.strictEqual(replyText, offTopic.example);
+    const { replyText: normal } = await llmService.processCustomerIntent("Which day would you like?", { ...callState, activeBehavior: null });
+    assert.notStrictEqual(normal, offTopic.example);
+    console.log("✅ Injected behaviour is acted out in the tester's reply");
+
+    console.log("\n✅ Caller behaviour tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { WaveFile } = require('wavefile');
+const CallRecorder = require('../engine/callRecorder');
+
+const SAMPLE_RATE = 8000;
+
+function tone(ms, amplitude) {
+    const samples = Int16Array.from({ length: ms * SAMPLE_RATE / 1000 }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * 300 * i / SAMPLE_RATE)));
+    return Buffer.from(samples.buffer);
+}
+
+function silence(ms) {
+    return Buffer.alloc(ms * SAMPLE_RATE / 1000 * 2);
+}
+
+/**
+ * Peak absolute sample of one channel between two offsets
+ */
+function peak(channel, fromMs, toMs) {
+    let max = 0;
+    for (let i = fromMs * SAMPLE_RATE / 1000; i < toMs * SAMPLE_RATE / 1000; i++) max = Math.max(max, Math.abs(channel[i]));
+    return max;
+}
+
+function runTests() {
+    console.log("🚀 Starting call recorder tests...\n");
+
+    // Call starts at t=0; the bot talks 0-1000ms, then goes quiet; our tester talks 1500-2500ms
+    // and the bot talks over it again from 2000ms
+    const recorder = new CallRecorder(0);
+    recorder.addInbound(tone(1000, 8000), 0);
+    recorder.addInbound(silence(1000), 1000);
+    recorder.addInbound(tone(1000, 8000), 2000);
+    recorder.addOutbound(tone(1000, 6000), 1500);
+
+    const wav = new WaveFile(recorder.toStereoWav());
+    assert.strictEqual(wav.fmt.numChannels, 2);
+    assert.strictEqual(wav.fmt.sampleRate, SAMPLE_RATE);
+
+    const [left, right] = wav.getSamples(false, Int16Array);
+    assert.strictEqual(left.length, 3 * SAMPLE_RATE, "recording spans the whole call");
+    assert.ok(peak(left, 0, 1000) > 7000 && peak(left, 1000, 2000) === 0, "bot audio stays on the left channel at its own time");
+    assert.ok(peak(right, 0, 1500) === 0, "tester channel is silent until the tester speaks");
+    assert.ok(peak(right, 1500, 2500) > 5000 && peak(right, 2500, 3000) === 0, "tester audio is placed at its playback time");
+    assert.ok(peak(left, 2000, 2500) > 7000 && peak(right, 2000, 2500) > 5000, "overlapping speech is kept on both channels");
+    console.log("✅ Stereo timeline keeps silences and overlaps");
+
+    const clip = new WaveFile(CallRecorder.clip(recorder.toStereoWav(), 1500, 2500));
+    const [clipLeft, clipRight] = clip.getSamples(false, Int16Array);
+    assert.strictEqual(clipLeft.length, SAMPLE_RATE, "clip covers exactly the requested second");
+    assert.ok(peak(clipLeft, 0, 500) === 0 && peak(clipLeft, 500, 1000) > 7000);
+    assert.ok(peak(clipRight, 0, 1000) > 5000);
+    console.log("✅ Per-turn clip cut from the stereo recording");
+
+    console.log("\n✅ Call recorder tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const ChannelDegrader = require('../engine/channelDegrader');
+
+/**
+ * One second of a 300Hz tone, a stand-in for a TTS reply
+ */
+function tone(amplitude = 8000, length = 8000) {
+    return Int16Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * 300 * i / 8000)));
+}
+
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+}
+
+function runTests() {
+    console.log("🚀 Starting channel degradation tests...\n");
+
+    // Presets, overrides and validation
+    assert.strictEqual(ChannelDegrader.resolve(undefined), null);
+    assert.strictEqual(ChannelDegrader.resolve('clean'), null);
+    assert.deepStrictEqual(ChannelDegrader.resolve('street'), { name: 'street', noise: { type: 'traffic', snrDb: 10 } });
+    assert.deepStrictEqual(ChannelDegrader.resolve({ preset: 'street', packetLoss: { rate: 0.1 } }),
+        { name: 'street', noise: { type: 'traffic', snrDb: 10 }, packetLoss: { rate: 0.1 } });
+    assert.strictEqual(ChannelDegrader.resolve({ volume: { gainDb: -10 } }).name, 'custom');
+    assert.throws(() => ChannelDegrader.resolve('thunderstorm'), /Unknown audio condition "thunderstorm"/);
+    assert.throws(() => ChannelDegrader.resolve({ reverb: {} }), /Unknown audio effect "reverb"/);
+    assert.throws(() => ChannelDegrader.resolve({ noise: { type: 'rain', snrDb: 5 } }), /Unknown noise type "rain"/);
+    assert.ok(ChannelDegrader.presets().some(preset => preset.name === 'bad-network'));
+    console.log("✅ Presets resolve and unknown settings are rejected");
+
+    // Background noise lands at the requested speech-to-noise ratio
+    for (const type of ['traffic', 'crowd', 'babble', 'white']) {
+        const speech = tone();
+        const degraded = new ChannelDegrader({ name: type, noise: { type, snrDb: 10 } }, 7).process(speech);
+        const noise = degraded.map((value, i) => value - speech[i]);
+        const snr = 20 * Math.log10(rms(speech) / rms(noise));
+        assert.ok(Math.abs(snr - 10) < 0.5, `${type} SNR ${snr.toFixed(2)}dB`);
+    }
+    console.log("✅ Noise mixed at the configured SNR");
+
+    // Packet loss drops whole 20ms frames
+    const lossy = new ChannelDegrader({ name: 'loss', packetLoss: { rate: 0.2 } }, 42);
+    const dropped = lossy.process(tone());
+    let silentFrames = 0;
+    for (let start = 0; start < dropped.length; start += 160) {
+        if (dropped.subarray(start, start + 160).every(value => value === 0)) silentFrames++;
+    }
+    assert.strictEqual(silentFrames, lossy.stats.packetsDropped);
+    assert.ok(silentFrames > 0 && silentFrames < 50);
+    console.log("✅ Packet loss silences whole frames");
+
+    // Jitter, speed, volume, clipping and echo
+    const jittery = new ChannelDegrader({ name: 'jitter', jitter: { rate: 0.5, maxMs: 80 } }, 3);
+    assert.ok(jittery.process(tone()).length > 8000 && jittery.stats.gapsInserted > 0, "jitter gaps lengthen the reply");
+    assert.strictEqual(new ChannelDegrader({ name: 'fast', speed: { factor: 1.25 } }).process(tone()).length, 6400);
+    const quiet = new ChannelDegrader({ name: 'quiet', volume: { gainDb: -20 } }).process(tone());
+    assert.ok(Math.abs(rms(quiet) / rms(tone()) - 0.1) < 0.01);
+    const clipper = new ChannelDegrader({ name: 'clip', clipping: { threshold: 0.1 } });
+    const clipped = clipper.process(tone());
+    assert.ok(Math.max(...clipped) <= 3277 && clipper.stats.samplesClipped > 0);
+    const click = new Int16Array(2000);
+    click[0] = 10000;
+    const echoed = new ChannelDegrader({ name: 'echo', echo: { delayMs: 100, decay: 0.5 } }).process(click);
+    assert.strictEqual(echoed[800], 5000, "reflection 100ms later at half the level");
+    console.log("✅ Jitter, speed, volume, clipping and echo applied");
+
+    // The same seed reproduces the same degradation
+    const settings = ChannelDegrader.resolve('bad-network');
+    const first = new ChannelDegrader(settings, 99).process(tone());
+    const second = new ChannelDegrader(settings, 99).process(tone());
+    assert.deepStrictEqual(first, second);
+    const summary = new ChannelDegrader(ChannelDegrader.resolve('street'), 5).summary();
+    assert.strictEqual(summary.seed, 5);
+    assert.strictEqual(summary.name, 'street');
+    console.log("✅ Seeded runs are reproducible");
+
+    console.log("\n✅ Channel degradation tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
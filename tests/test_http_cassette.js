@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Real vendor clients against a local stand-in for api.sarvam.ai and OpenAI; the cassette goes to a throwaway directory
+process.env.LLM_PROVIDER = 'openai';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.HTTP_CASSETTE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-cassettes-'));
+
+const httpCassette = require('../services/httpCassette');
+const sarvamService = require('../services/sarvamService');
+const llmService = require('../services/llmService');
+const personaLibrary = require('../engine/personaLibrary');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const hits = [];
+
+function fakeVendor(req, res) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        hits.push(req.url);
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/text-to-speech') {
+            const { inputs } = JSON.parse(body);
+            res.end(JSON.stringify({ audios: [Buffer.from(`audio:${inputs[0]}`).toString('base64')] }));
+        } else if (req.url === '/speech-to-text') {
+            res.end(JSON.stringify({ transcript: ` heard ${body.includes('saarika:v2.5') ? 'the upload' : 'nothing'} `, language_code: 'en-IN' }));
+        } else if (req.url === '/v1/chat/completions') {
+            const { messages } = JSON.parse(body);
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test', object: 'chat.completion', created: 0, model: 'gpt-4o',
+                choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: `Reply to: ${messages[messages.length - 1].content}` } }]
+            }));
+        } else {
+            res.statusCode = 404;
+            res.end('{}');
+        }
+    });
+}
+
+async function runTests() {
+    console.log("🚀 Starting HTTP cassette tests...\n");
+
+    // Keys: key order and hosts don't matter, bodies and audio bytes do
+    const request = { method: 'post', path: '/text-to-speech', body: { inputs: ['Hi'], speaker: 'rahul', pace: 1.1 } };
+    const reordered = { method: 'POST', path: '/text-to-speech', body: { pace: 1.1, speaker: 'rahul', inputs: ['Hi'] } };
+    assert.strictEqual(httpCassette.key('sarvam', request), httpCassette.key('sarvam', reordered));
+    assert.notStrictEqual(httpCassette.key('sarvam', request), httpCassette.key('sarvam', { ...request, body: { ...request.body, inputs: ['Hello'] } }));
+    assert.notStrictEqual(httpCassette.key('sarvam', request), httpCassette.key('openai', request));
+    const audio = (bytes) => ({ method: 'POST', path: '/speech-to-text', body: { file: Buffer.from(bytes), model: 'saarika:v2.5' } });
+    assert.strictEqual(httpCassette.key('sarvam', audio([1, 2, 3])), httpCassette.key('sarvam', audio([1, 2, 3])));
+    assert.notStrictEqual(httpCassette.key('sarvam', audio([1, 2, 3])), httpCassette.key('sarvam', audio([1, 2, 4])));
+    assert.deepStrictEqual(httpCassette.normalize({ b: undefined, a: [{ d: 1, c: 2 }] }), { a: [{ c: 2, d: 1 }] });
+    process.env.HTTP_CASSETTE = 'rewind';
+    assert.throws(() => httpCassette.mode, /HTTP_CASSETTE must be one of off, record, replay/);
+    // Numbers that look like years or dates are content like any other
+    const prompt = (text) => ({ method: 'POST', path: '/chat/completions', body: { messages: [{ role: 'user', content: text }] } });
+    assert.notStrictEqual(httpCassette.key('openai', prompt("The OTP is 2031.")), httpCassette.key('openai', prompt("The OTP is 2099.")));
+    assert.notStrictEqual(httpCassette.key('openai', prompt("Tuesday, October 20 at 2030 hours")), httpCassette.key('openai', prompt("Wednesday, October 21 at 2045 hours")));
+    console.log("✅ Requests keyed on their normalized content");
+
+    const server = http.createServer(fakeVendor);
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    sarvamService.baseUrl = `http://localhost:${port}`;
+    process.env.OPENAI_BASE_URL = `http://localhost:${port}/v1`;
+
+    const wav = Buffer.from('RIFF-fake-wav-bytes');
+    // Same caller and slot every time, so the tester prompt (and its key) is stable
+    const callState = {
+        history: [], scenario: 'BOOKING', targetLanguage: 'English', startTime: Date.parse('2026-10-19T08:00:00.000Z'),
+        persona: personaLibrary.get('gokulakannan'), slots: { target: { date: '2026-10-20', time: '10:30' } }
+    };
+    const exercise = async () => ({
+        speech: (await sarvamService.textToStream("Hello, I need an appointment.", 'English', { speaker: 'rahul' })).toString(),
+        text: await sarvamService.streamToText(wav),
+        reply: (await llmService.processCustomerIntent("How can I help you?", callState)).replyText
+    });
+
+    // Off: straight to the network, nothing saved
+    process.env.HTTP_CASSETTE = 'off';
+    const live = await exercise();
+    assert.strictEqual(live.speech, 'audio:Hello, I need an appointment.');
+    assert.deepStrictEqual(live.text, { text: 'heard the upload', languageCode: 'en-IN' });
+    assert.strictEqual(live.reply, 'Reply to: How can I help you?');
+    assert.strictEqual(hits.length, 3);
+    assert.ok(!fs.existsSync(path.join(process.env.HTTP_CASSETTE_DIR, 'sarvam')));
+
+    // Record: same answers, one file per request, no API key in the cassette
+    process.env.HTTP_CASSETTE = 'record';
+    assert.deepStrictEqual(await exercise(), live);
+    assert.strictEqual(hits.length, 6);
+    const saved = ['sarvam', 'openai'].flatMap(service => fs.readdirSync(path.join(process.env.HTTP_CASSETTE_DIR, service)).map(file => path.join(process.env.HTTP_CASSETTE_DIR, service, file)));
+    assert.strictEqual(saved.length, 3);
+    const entries = saved.map(file => fs.readFileSync(file, 'utf8'));
+    assert.ok(entries.every(entry => !entry.includes('sk-test')));
+    assert.ok(entries.some(entry => JSON.parse(entry).request.body.file && JSON.parse(entry).request.body.file.bytes === wav.length), "audio is stored as its hash");
+    console.log("✅ Record mode saves the vendor responses");
+
+    // Call states without a caller or slot (tests/test_llm.js) get the same random ones on every run while a cassette is on
+    const unpinned = () => ({ history: [], scenario: 'BOOKING', targetLanguage: 'Tamil', startTime: Date.now() });
+    const keyOf = (callState) => httpCassette.key('openai', { method: 'POST', path: '/chat/completions', body: llmService.testerRequest("Welcome to Exotel Clinic.", callState) });
+    assert.strictEqual(keyOf(unpinned()), keyOf(unpinned()));
+    assert.strictEqual(httpCassette.random('BOOKING', 'Tamil', 2)(), httpCassette.random('BOOKING', 'Tamil', 2)(), "a call makes the same choices on every run");
+    assert.notStrictEqual(httpCassette.random('BOOKING', 'Tamil', 2)(), httpCassette.random('BOOKING', 'Tamil', 3)(), "but not the same ones as the next call");
+    assert.notStrictEqual(httpCassette.random('BOOKING', 'Tamil', 2)(), httpCassette.random('BOOKING', 'Hindi', 2)());
+    const unpinnedReply = (await llmService.processCustomerIntent("Welcome to Exotel Clinic.", unpinned())).replyText;
+    assert.strictEqual(hits.length, 7);
+    // "Today" stays at the recording's date, so the prompt of a call made days later is the recorded one
+    const recordedAt = JSON.parse(fs.readFileSync(path.join(process.env.HTTP_CASSETTE_DIR, 'clock.json'), 'utf8')).referenceDate;
+    assert.strictEqual(httpCassette.referenceDate(Date.now() + 3 * DAY_MS), Date.parse(recordedAt));
+    assert.strictEqual(keyOf({ ...unpinned(), startTime: Date.now() + 3 * DAY_MS }), keyOf(unpinned()));
+
+    // Replay: the vendors are gone and the answers are the same
+    await new Promise(resolve => server.close(resolve));
+    process.env.HTTP_CASSETTE = 'replay';
+    assert.deepStrictEqual(await exercise(), live);
+    assert.strictEqual((await llmService.processCustomerIntent("Welcome to Exotel Clinic.", { ...unpinned(), startTime: Date.now() + 3 * DAY_MS })).replyText, unpinnedReply);
+    assert.strictEqual(hits.length, 7, "nothing reached the network");
+    // Streamed replies (REPLY_MODE=streaming) come from the same recording, in one piece
+    const streamed = [];
+    for await (const delta of llmService.streamCustomerIntent("How can I help you?", callState)) streamed.push(delta);
+    assert.deepStrictEqual(streamed, [live.reply]);
+    console.log("✅ Replay mode serves the recordings offline");
+
+    // Misses fail loudly instead of degrading into an empty transcript or a canned reply
+    await assert.rejects(sarvamService.streamToText(Buffer.from('other audio')), error => error.cassetteMiss && /No recorded sarvam response for POST \/speech-to-text/.test(error.message));
+    await assert.rejects(sarvamService.textToStream("Something new"), error => error.cassetteMiss);
+    await assert.rejects(llmService.processCustomerIntent("Something new", callState), /No recorded openai response for POST \/chat\/completions/);
+    await assert.rejects(llmService.generateTestReport({ ...callState, history: [{ role: 'user', content: "Hi" }] }), error => error.cassetteMiss);
+    console.log("✅ Cache misses throw in replay mode");
+
+    console.log("\n✅ HTTP cassette tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const LanguagePlan = require('../engine/languagePlan');
+const assertionEngine = require('../engine/assertionEngine');
+const scenarioLibrary = require('../engine/scenarioLibrary');
+
+/**
+ * History with a timestamp per line: bot lines are 'user', tester lines are 'assistant'
+ */
+function history(lines) {
+    return lines.map(([speaker, content], i) => ({ role: speaker === 'bot' ? 'user' : 'assistant', content, timestamp: i * 1000 }));
+}
+
+function runTests() {
+    console.log("🚀 Starting language plan tests...\n");
+
+    // Validation of scenario blocks
+    assert.strictEqual(LanguagePlan.resolve(undefined), null);
+    assert.deepStrictEqual(LanguagePlan.resolve({ start: 'English', switches: [{ atTurn: 2, to: 'target' }] }),
+        { start: 'English', switches: [{ atTurn: 2, to: 'target' }], codeMix: null });
+    assert.throws(() => LanguagePlan.resolve({ start: 'French' }), /unknown language "French"/);
+    assert.throws(() => LanguagePlan.resolve({ switches: [{ atTurn: 1, to: 'Tamil' }] }), /increasing atTurn/);
+    assert.throws(() => LanguagePlan.resolve({ switches: [{ atTurn: 3, to: 'Tamil' }, { atTurn: 2, to: 'Hindi' }] }), /increasing atTurn/);
+    assert.throws(() => scenarioLibrary.normalize({ id: 'X', goal: 'g', languagePlan: { codeMix: 'Klingon' } }, 'x.yaml'), /x.yaml: languagePlan.codeMix/);
+    assert.ok(scenarioLibrary.get('BOOKING_LANGUAGE_SWITCH').languagePlan, "bundled switch scenario loads");
+    console.log("✅ Language plans validated");
+
+    // Tester language per turn, and what the bot may say around the switch
+    const plan = new LanguagePlan({ language: 'Tamil', plan: LanguagePlan.resolve({ start: 'English', switches: [{ atTurn: 2, to: 'target' }] }) });
+    assert.deepStrictEqual([1, 2, 5].map(turn => plan.testerLanguage(turn)), ['English', 'Tamil', 'Tamil']);
+    assert.ok(plan.isMultilingual);
+    assert.ok(!new LanguagePlan({ language: 'Hindi' }).isMultilingual, "no plan = the call language throughout");
+    assert.deepStrictEqual(plan.acceptedBotLanguages([]), ['English', 'Tamil']);
+    assert.deepStrictEqual(plan.acceptedBotLanguages(history([['bot', "Hello"], ['tester', "Hi"], ['bot', "Yes?"], ['tester', "வணக்கம்"]])), ['Tamil', 'English'],
+        "right after the switch the bot may still answer in English");
+    assert.deepStrictEqual(new LanguagePlan({ language: 'Hindi', plan: { codeMix: 'English' } }).acceptedBotLanguages(history([['tester', "Haan"]])), ['Hindi', 'English']);
+    assert.strictEqual(plan.describe(), "start in English, then switch to Tamil from your reply number 2");
+    console.log("✅ Expected language per tester turn");
+
+    // Per-turn evaluation and how fast the bot followed
+    const followed = history([
+        ['bot', "Welcome to City Hospital. How can I help you?"],
+        ['tester', "I want to book an appointment."],
+        ['bot', "Sure. Which day would you like?"],
+        ['tester', "நாளை காலை பத்து மணிக்கு."],
+        ['bot', "Sorry, which time?"],
+        ['tester', "காலை பத்து மணி."],
+        ['bot', "சரி, நாளை காலை பத்து மணிக்கு உங்கள் அப்பாயிண்ட்மெண்ட் உறுதி செய்யப்பட்டது."]
+    ]);
+    const summary = plan.evaluate(followed);
+    assert.deepStrictEqual(summary.switches, [{ atTurn: 2, to: 'Tamil', reached: true, followed: true, botTurns: 2, followMs: 3000 }]);
+    assert.deepStrictEqual(summary.turns.map(turn => [turn.speaker, turn.expected, turn.detected, turn.matches]), [
+        ['bot', null, 'English', null],
+        ['tester', 'English', 'English', true],
+        ['bot', 'English', 'English', true],
+        ['tester', 'Tamil', 'Tamil', true],
+        ['bot', 'Tamil', 'English', false],
+        ['tester', 'Tamil', 'Tamil', true],
+        ['bot', 'Tamil', 'Tamil', true]
+    ]);
+    assert.deepStrictEqual([summary.botTurnsInExpectedLanguage, summary.botTurnsChecked], [2, 3]);
+    assert.strictEqual(plan.evaluate(followed.slice(0, 3)).switches[0].reached, false, "call ended before the switch");
+    console.log("✅ Switch follow-up measured in bot turns and milliseconds");
+
+    // Assertions use the per-turn expectations
+    const callState = { targetLanguage: 'Tamil', history: followed, languagePlan: plan };
+    const [switchResult, scriptResult] = assertionEngine.evaluate([
+        { type: 'followsLanguageSwitch', maxBotTurns: 1 },
+        { type: 'targetScript', minRatio: 0.6 }
+    ], callState);
+    assert.strictEqual(switchResult.passed, false);
+    assert.ok(switchResult.evidence.includes('followed after 2 bot turn(s)'), switchResult.evidence);
+    assert.strictEqual(scriptResult.passed, true, scriptResult.evidence);
+    assert.strictEqual(assertionEngine.evaluate([{ type: 'followsLanguageSwitch', maxBotTurns: 2 }], callState)[0].passed, true);
+    assert.strictEqual(assertionEngine.evaluate([{ type: 'followsLanguageSwitch' }], { targetLanguage: 'Tamil', history: followed })[0].passed, null,
+        "calls without a switch are not applicable");
+
+    const mixed = new LanguagePlan({ language: 'Hindi', plan: { codeMix: 'English' } });
+    const hinglish = history([['tester', "Mujhe appointment chahiye"], ['bot', "Sure, kaunsa din? किस दिन?"], ['bot', "Doctor available hai"]]);
+    assert.strictEqual(assertionEngine.evaluate([{ type: 'targetScript' }], { targetLanguage: 'Hindi', history: hinglish, languagePlan: mixed })[0].passed, true,
+        "code-mixed English answers count as the expected language");
+    console.log("✅ followsLanguageSwitch and targetScript grade each turn against the plan");
+
+    console.log("\n✅ Language plan tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const LatencyTracker = require('../engine/latencyTracker');
+
+function runTests() {
+    console.log("🚀 Starting latency tracker tests...\n");
+
+    // Nearest-rank percentiles over a known distribution
+    const stats = LatencyTracker.stats([100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]);
+    assert.deepStrictEqual(stats, { count: 10, p50: 500, p95: 1000, avg: 550, max: 1000 });
+    assert.deepStrictEqual(LatencyTracker.stats([]), { count: 0, p50: null, p95: null, avg: null, max: null });
+    console.log("✅ p50/p95 computed");
+
+    // Two bot turns, the tester answers both; the second turn starts 800ms after our playback ended
+    const tracker = new LatencyTracker();
+    const first = tracker.startTurn(0);
+    tracker.mark(first, 'botSpeechEnd', 600);
+    // A breath inside a turn continues it rather than opening a new one
+    assert.strictEqual(tracker.startTurn(900), first);
+    tracker.mark(first, 'botSpeechEnd', 1500);
+    tracker.mark(first, 'endOfTurn', 2700);
+    tracker.mark(first, 'sttRequest', 2700);
+    tracker.mark(first, 'sttResponse', 3100);
+    tracker.mark(first, 'llmStart', 3200);
+    tracker.mark(first, 'llmEnd', 3900);
+    tracker.mark(first, 'firstAudioChunk', 4200);
+    tracker.mark(first, 'playbackEnd', 6000);
+    tracker.finishTurn(first, 'replied');
+
+    const second = tracker.startTurn(6800);
+    assert.notStrictEqual(second, first);
+    tracker.mark(second, 'botSpeechEnd', 7600);
+    tracker.mark(second, 'endOfTurn', 8800);
+    tracker.finishTurn(second, 'wait');
+
+    const summary = tracker.summary();
+    assert.strictEqual(summary.turns.length, 2);
+    assert.strictEqual(summary.turns[0].testerResponseMs, 2700);
+    assert.strictEqual(summary.turns[0].sttMs, 400);
+    assert.strictEqual(summary.turns[0].botResponseMs, undefined, "the first turn has nothing to respond to");
+    assert.strictEqual(summary.turns[1].botResponseMs, 800);
+    assert.strictEqual(summary.turns[1].outcome, 'wait');
+    assert.strictEqual(summary.deadAirMs, 2700 + 800);
+    console.log("✅ Per-turn stages and dead air derived from marks");
+
+    console.log("\n✅ Latency tracker tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,506 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+
+// Keep this test fully offline: stub STT/TTS/LLM providers, no Twilio, results stored in a temp dir
+process.env.STT_PROVIDER = 'stub';
+process.env.TTS_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+process.env.STUB_TTS_MS_PER_CHAR = '40';   // Long enough tester replies for the bot to barge in on
+process.env.CALL_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-calls-'));
+
+const { server } = require('../server');
+const callManager = require('../engine/callManager');
+const callStore = require('../services/callStore');
+const providers = require('../services/providers');
+const { MediaStreamSimulator } = require('../simulator/mediaStreamSimulator');
+const { CALL_EVENTS, CALL_EVENT } = require('../engine/callEvents');
+const { measureLoudness } = require('../engine/audioPipeline');
+
+const FIXTURES = path.join(__dirname, '..', 'simulator', 'fixtures');
+
+// Tomorrow as YYYY-MM-DD in local time, what "tomorrow" in a transcript resolves to
+function tomorrow() {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Bot greets, asks for a slot, then confirms `confirmation`
+const BOOKING_SCRIPT = [
+    { silenceMs: 300 },
+    { play: path.join(FIXTURES, 'bot_greeting.wav') },
+    { waitForReply: true, timeoutMs: 15000 },
+    { play: path.join(FIXTURES, 'bot_question.wav') },
+    { waitForReply: true, timeoutMs: 15000 },
+    { play: path.join(FIXTURES, 'bot_confirmation.wav') },
+    { waitForReply: true, timeoutMs: 15000 }
+];
+
+/**
+ * Plays one scripted call against the server and resolves with the simulator result, the report
+ * and every typed call event published for it
+ * @param {object} [mediaFormat] - Wire format the simulated provider announces (default 8kHz mu-law)
+ */
+async function simulateCall(port, callSid, transcripts, script, mediaFormat) {
+    // What the stub STT "hears" for each target-bot utterance
+    providers.stt.setTranscripts(transcripts);
+
+    const events = [];
+    const onEvent = (event) => {
+        if (event.callSid === callSid) events.push(event);
+    };
+    callManager.on(CALL_EVENT, onEvent);
+
+    const reportPromise = new Promise(resolve => {
+        const onReport = (event) => {
+            if (event.callSid !== callSid) return;
+            callManager.removeListener(CALL_EVENTS.REPORT_READY, onReport);
+            resolve(event.report);
+        };
+        callManager.on(CALL_EVENTS.REPORT_READY, onReport);
+    });
+
+    const simulator = new MediaStreamSimulator({ url: `ws://localhost:${port}`, callSid, script, mediaFormat });
+    const result = await simulator.run();
+    const report = await reportPromise;
+    callManager.removeListener(CALL_EVENT, onEvent);
+    return { result, report, events, simulator };
+}
+
+/**
+ * Subscribes to the dashboard SSE stream and collects the raw text it receives
+ */
+function openEventStream(port) {
+    return new Promise(resolve => {
+        const stream = { text: '', request: null };
+        stream.request = http.get(`http://localhost:${port}/logs-stream`, res => {
+            res.setEncoding('utf8');
+            res.on('data', chunk => { stream.text += chunk; });
+            resolve(stream);
+        });
+        stream.request.on('error', () => {});
+    });
+}
+
+async function testBookingCall(port) {
+    const stream = await openEventStream(port);
+    callManager.registerOutboundCall('SIMTEST001', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+    const { result, report, events } = await simulateCall(port, 'SIMTEST001', [
+        "Welcome to the clinic. How can I help you?",
+        "Which date and time would you like?",
+        "Your appointment is confirmed for tomorrow at 10:30 AM."
+    ], BOOKING_SCRIPT);
+
+    assert.strictEqual(result.testerUtterances.length, 3, "tester should answer each bot turn exactly once");
+    assert.strictEqual(result.clearEvents.length, 0, "nobody interrupted, so playback is never cleared");
+    assert.strictEqual(report.status, "Passed");
+    assert.deepStrictEqual(report.assertions.map(result => [result.type, result.passed]), [
+        ['repeatsRequestedSlot', true], ['confirmedRequestedSlot', true], ['confirmedWithinTurns', true], ['maxTurnLatency', true], ['targetScript', true]
+    ]);
+    console.log(`✅ Tester replied ${result.testerUtterances.length} times, report: ${report.status}`);
+
+    assert.deepStrictEqual([report.slots.requested.date, report.slots.requested.time], [tomorrow(), '10:30']);
+    assert.deepStrictEqual([report.slots.confirmed.date, report.slots.confirmed.time], [tomorrow(), '10:30']);
+    assert.deepStrictEqual(report.findings, [], "the bot confirmed exactly the requested slot");
+    console.log(`✅ Slot tracked: requested and confirmed ${report.slots.confirmed.date} ${report.slots.confirmed.time}`);
+
+    assert.ok(report.persona && report.persona.voice.speaker, "the caller persona is recorded in the report");
+    assert.strictEqual(report.slots.target.name, report.persona.name);
+    console.log(`✅ Caller persona recorded: ${report.persona.name} (${report.persona.style}, voice ${report.persona.voice.speaker})`);
+
+    const latency = report.latency;
+    assert.deepStrictEqual(latency.turns.map(turn => turn.outcome), ['replied', 'replied', 'replied']);
+    assert.ok(latency.turns.every(turn => turn.testerResponseMs > 0 && turn.sttMs >= 0 && turn.llmMs >= 0 && turn.ttsMs >= 0), "every stage should be timed");
+    assert.ok(latency.turns.every(turn => turn.endOfTurnDetectionMs >= 1000), "end of turn should follow the configured silence");
+    assert.strictEqual(latency.botResponseMs.count, 2, "the bot answers the tester twice");
+    assert.ok(latency.botResponseMs.p50 >= 0 && latency.botResponseMs.p95 >= latency.botResponseMs.p50);
+    assert.ok(latency.deadAirMs > 0);
+    console.log(`✅ Latency measured: bot p50 ${latency.botResponseMs.p50}ms, tester p50 ${latency.testerResponseMs.p50}ms`);
+
+    const stored = callStore.getCall('SIMTEST001');
+    assert.ok(stored, "call should be persisted");
+    assert.deepStrictEqual(stored.history.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+    assert.strictEqual(stored.history[3].content, "Tomorrow at 10:30 AM, please.");
+    assert.ok(stored.history.every(turn => typeof turn.timestamp === 'number'), "history turns should be timestamped");
+    assert.ok(callStore.getAudioPath('SIMTEST001', 'inbound'), "inbound audio should be stored");
+    assert.ok(callStore.getAudioPath('SIMTEST001', 'outbound'), "outbound audio should be stored");
+    console.log(`✅ Call persisted with ${stored.history.length} timestamped turns and audio`);
+
+    // Every turn knows where it is in the stereo recording, and the route serves that slice
+    assert.ok(stored.audio.recording, "stereo recording should be stored");
+    assert.ok(stored.history.every(turn => turn.audio && turn.audio.endMs > turn.audio.startMs), "each turn should carry its recording range");
+    const firstReply = stored.history[1].audio;
+    assert.ok(firstReply.startMs > stored.history[0].audio.endMs, "the tester answers after the bot finished");
+    const clipResponse = await fetch(`http://localhost:${port}/calls/SIMTEST001/recording?from=${firstReply.startMs}&to=${firstReply.endMs}`);
+    assert.strictEqual(clipResponse.status, 200);
+    const [botChannel, testerChannel] = new WaveFile(Buffer.from(await clipResponse.arrayBuffer())).getSamples(false, Int16Array);
+    const energy = (samples) => samples.reduce((sum, v) => sum + Math.abs(v), 0) / samples.length;
+    assert.ok(energy(testerChannel) > 10 * Math.max(1, energy(botChannel)), "the tester's turn should be on the right channel");
+    console.log(`✅ Stereo recording stored, turn 2 clip ${firstReply.endMs - firstReply.startMs}ms served from it`);
+
+    assert.deepStrictEqual(events.map(event => event.type), [
+        'call.started',
+        'turn.target', 'turn.tester',
+        'turn.target', 'turn.tester',
+        'turn.target', 'turn.tester',
+        'call.ended', 'report.ready'
+    ]);
+    assert.strictEqual(events[0].scenario, 'BOOKING');
+    assert.strictEqual(events[1].text, "Welcome to the clinic. How can I help you?");
+    assert.strictEqual(events[2].source, 'llm');
+    assert.strictEqual(events[8].report.status, 'Passed');
+    console.log(`✅ ${events.length} typed call events published in order`);
+
+    // The event is published synchronously; give it a moment to cross the socket
+    for (let waited = 0; !stream.text.includes('event: report.ready') && waited < 2000; waited += 50) {
+        await new Promise(r => setTimeout(r, 50));
+    }
+    stream.request.destroy();
+    const reportFrame = stream.text.split('\n\n').find(frame => frame.startsWith('event: report.ready\n'));
+    assert.ok(reportFrame, "SSE stream should carry report.ready as a named event");
+    const payload = JSON.parse(reportFrame.split('\n').find(line => line.startsWith('data: ')).slice(6));
+    assert.strictEqual(payload.callSid, 'SIMTEST001');
+    assert.strictEqual(payload.report.status, 'Passed');
+    assert.ok(!stream.text.includes('###REPORT###'), "reports are no longer smuggled through log lines");
+    console.log("✅ SSE stream delivers named events with JSON payloads");
+}
+
+async function testSlotMismatch(port) {
+    callManager.registerOutboundCall('SIMTEST005', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' }, degradation: 'street' });
+    const { report } = await simulateCall(port, 'SIMTEST005', [
+        "Welcome to the clinic. How can I help you?",
+        "Which date and time would you like?",
+        "Your appointment is confirmed for tomorrow at eighteen hundred hours."
+    ], BOOKING_SCRIPT);
+
+    assert.strictEqual(report.status, 'Failed', "confirming the wrong slot fails the call even if the LLM judge passes it");
+    assert.strictEqual(report.llmStatus, 'Passed');
+    const mismatch = report.findings.find(finding => finding.severity === 'error');
+    assert.deepStrictEqual([mismatch.field, mismatch.expected, mismatch.actual], ['time', '10:30', '18:00']);
+    assert.strictEqual(report.assertions.find(result => result.type === 'confirmedRequestedSlot').passed, false);
+    console.log(`✅ Wrong confirmation reported: ${mismatch.evidence}`);
+
+    assert.strictEqual(report.degradation.name, 'street');
+    assert.ok(report.degradation.stats.replies > 0, "every tester reply went through the street noise");
+    console.log(`✅ Audio condition recorded in the report (seed ${report.degradation.seed})`);
+}
+
+async function testLanguageSwitch(port) {
+    callManager.registerOutboundCall('SIMTEST007', { scenario: 'BOOKING_LANGUAGE_SWITCH', language: 'Tamil' });
+    const { report, events } = await simulateCall(port, 'SIMTEST007', [
+        "Welcome to the clinic. How can I help you?",
+        "Which date and time would you like?",
+        "சரி, உங்கள் அப்பாயிண்ட்மெண்ட் உறுதி செய்யப்பட்டது."
+    ], BOOKING_SCRIPT);
+
+    // The tester's voice switches language on its second reply, whatever the STT reported for the bot
+    const spoken = events.filter(event => event.type === 'turn.tester').map(event => event.languageCode);
+    assert.deepStrictEqual(spoken, ['en-IN', 'ta-IN', 'ta-IN']);
+    assert.deepStrictEqual(report.language.switches, [{ atTurn: 2, to: 'Tamil', reached: true, followed: true, botTurns: 1, followMs: report.language.switches[0].followMs }]);
+    assert.ok(report.language.switches[0].followMs > 0);
+    assert.strictEqual(report.assertions.find(result => result.type === 'followsLanguageSwitch').passed, true);
+    console.log(`✅ Language switch to Tamil followed by the bot after ${report.language.switches[0].followMs}ms`);
+}
+
+async function testInjectedBehavior(port) {
+    callManager.registerOutboundCall('SIMTEST008', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' }, behaviors: [{ type: 'offTopic', atTurn: 1 }] });
+    const { report } = await simulateCall(port, 'SIMTEST008', [
+        "Welcome to the clinic. How can I help you?",
+        "There is parking. Which date and time would you like for your appointment?",
+        "Your appointment for tomorrow at 10:30 AM is confirmed."
+    ], BOOKING_SCRIPT);
+
+    // The off-topic question is tagged in the transcript and kept out of what the tester asked for
+    const stored = callStore.getCall('SIMTEST008');
+    const injected = stored.history.find(turn => turn.behavior);
+    assert.deepStrictEqual([injected.behavior, injected.content], ['offTopic', "By the way, is there parking near the hospital?"]);
+    assert.deepStrictEqual(report.behaviors.injected.map(behavior => [behavior.type, behavior.turn, behavior.recovered]), [['offTopic', 1, true]]);
+    assert.strictEqual(report.slots.requested.time, '10:30');
+    console.log(`✅ Off-topic question injected and the bot's recovery graded: ${report.behaviors.injected[0].evidence}`);
+}
+
+async function testSilenceBehavior(port) {
+    // Both bot turns get a 1s silence the bot does not fill; the tester's late answer goes through the normal reply path
+    callManager.registerOutboundCall('SIMTEST013', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' }, behaviors: [{ type: 'silence', atTurn: 1, seconds: 1, maxTimes: 2 }] });
+    const { result, report } = await simulateCall(port, 'SIMTEST013', [
+        "Welcome to the clinic. Your appointment for tomorrow is",
+        "Welcome to the clinic. How can I help you?"
+    ], [
+        { silenceMs: 300 },
+        { play: path.join(FIXTURES, 'bot_greeting.wav') },
+        { silenceMs: 3000 },
+        { play: path.join(FIXTURES, 'bot_greeting.wav') },
+        { waitForReply: true, timeoutMs: 15000 }
+    ]);
+
+    assert.strictEqual(result.testerUtterances.length, 1, "the WAIT after the first silence must not be spoken");
+    const spoken = callStore.getCall('SIMTEST013').history.filter(turn => turn.role === 'assistant' && !turn.type).map(turn => turn.content);
+    assert.deepStrictEqual(spoken, ["Hi, I would like to book an appointment with a doctor."]);
+    const turns = report.latency.turns;
+    assert.deepStrictEqual(turns.map(turn => turn.outcome), ['wait', 'replied']);
+    assert.ok(turns[1].testerResponseMs < 1000, `latency is measured from the end of the pause, got ${turns[1].testerResponseMs}ms`);
+    assert.deepStrictEqual(report.behaviors.injected.map(behavior => [behavior.type, behavior.recovered]), [['silence', true], ['silence', false]]);
+    console.log(`✅ Answers after an unfilled silence keep the WAIT check and latency (${turns[1].testerResponseMs}ms after the pause)`);
+}
+
+async function testBargeIn(port) {
+    const { result, events } = await simulateCall(port, 'SIMTEST002', [
+        "Welcome to the clinic. How can I help you?",
+        "Sorry to interrupt, may I know your name?"
+    ], [
+        { silenceMs: 300 },
+        { play: path.join(FIXTURES, 'bot_greeting.wav') },
+        // Talk over the tester shortly after its reply starts
+        { waitForTesterSpeech: true, delayMs: 200, timeoutMs: 15000 },
+        { play: path.join(FIXTURES, 'bot_question.wav') },
+        { waitForReply: true, timeoutMs: 15000 }
+    ]);
+
+    assert.strictEqual(result.clearEvents.length, 1, "server should send Twilio a 'clear' when interrupted");
+    assert.strictEqual(events.filter(event => event.type === 'turn.interrupted').length, 1);
+
+    const stored = callStore.getCall('SIMTEST002');
+    const firstReply = stored.history.find(turn => turn.role === 'assistant');
+    assert.strictEqual(firstReply.interrupted, true, "the cut-off tester line should be flagged");
+    assert.ok(firstReply.spokenMs < 2000, `tester should have stopped early, spoke ${firstReply.spokenMs}ms`);
+    assert.ok(stored.history.some(turn => turn.type === 'interruption'), "interruption should be recorded in history");
+    assert.ok(stored.history[stored.history.length - 1].content.startsWith("My name is"), "tester should answer the interrupting question");
+    console.log(`✅ Barge-in stopped the tester after ${firstReply.spokenMs}ms and it answered the new question`);
+}
+
+async function testStreamingStt(port) {
+    process.env.STT_MODE = 'streaming';
+    callManager.registerOutboundCall('SIMTEST009', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+    const { result, report, events } = await simulateCall(port, 'SIMTEST009', [
+        "Welcome to the clinic. How can I help you?",
+        "Which date and time would you like?",
+        "Your appointment is confirmed for tomorrow at 10:30 AM."
+    ], BOOKING_SCRIPT);
+
+    // The recognizer's endpoint ends each bot turn before the VAD's 1.2s of silence would
+    assert.strictEqual(result.testerUtterances.length, 3);
+    assert.strictEqual(report.status, "Passed");
+    assert.deepStrictEqual(report.stt, { mode: 'streaming', fallback: null });
+    assert.ok(report.latency.turns.every(turn => turn.endOfTurnDetectionMs < 1000), JSON.stringify(report.latency.turns.map(turn => turn.endOfTurnDetectionMs)));
+    const partials = events.filter(event => event.type === 'turn.partial');
+    assert.ok(partials.length > 0 && "Welcome to the clinic. How can I help you?".startsWith(partials[0].text), "partial transcripts are published while the bot speaks");
+    assert.deepStrictEqual(events.filter(event => event.type === 'turn.target').map(event => event.text), [
+        "Welcome to the clinic. How can I help you?", "Which date and time would you like?", "Your appointment is confirmed for tomorrow at 10:30 AM."
+    ]);
+    console.log(`✅ Streaming STT answered in ${report.latency.testerResponseMs.p50}ms p50 (end of turn after ${report.latency.turns[0].endOfTurnDetectionMs}ms) with ${partials.length} partials`);
+
+    // A session that fails mid-call hands over to batch uploads without losing the turn
+    const openStream = providers.stt.openStream;
+    providers.stt.openStream = () => {
+        const stream = openStream.call(providers.stt);
+        stream.once('partial', () => setImmediate(() => stream.emit('error', new Error("socket reset"))));
+        return stream;
+    };
+    try {
+        callManager.registerOutboundCall('SIMTEST010', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+        const fallback = await simulateCall(port, 'SIMTEST010', [
+            "Welcome to the clinic. How can I help you?",
+            "Which date and time would you like?",
+            "Your appointment is confirmed for tomorrow at 10:30 AM."
+        ], BOOKING_SCRIPT);
+        assert.strictEqual(fallback.result.testerUtterances.length, 3);
+        assert.strictEqual(fallback.report.status, "Passed");
+        assert.deepStrictEqual(fallback.report.stt, { mode: 'batch', fallback: "socket reset" });
+        console.log("✅ Failed streaming session fell back to batch uploads");
+    } finally {
+        providers.stt.openStream = openStream;
+        delete process.env.STT_MODE;
+    }
+}
+
+async function testStreamedReply(port) {
+    process.env.REPLY_MODE = 'streaming';
+    // A slow model: the two-sentence confirmation reply is spoken before it has been fully generated
+    process.env.STUB_LLM_MS_PER_TOKEN = '200';
+    try {
+        callManager.registerOutboundCall('SIMTEST011', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+        const { result, report, events } = await simulateCall(port, 'SIMTEST011', [
+            "Welcome to the clinic. How can I help you?",
+            "Which date and time would you like?",
+            "Your appointment for tomorrow at 10:30 AM is",
+            "Your appointment is confirmed for tomorrow at 10:30 AM."
+        ], [
+            ...BOOKING_SCRIPT.slice(0, 5),
+            // Cut off mid-sentence: the tester must answer WAIT and stay quiet
+            { play: path.join(FIXTURES, 'bot_confirmation.wav') },
+            { silenceMs: 2500 },
+            { play: path.join(FIXTURES, 'bot_confirmation.wav') },
+            { waitForReply: true, timeoutMs: 15000 }
+        ]);
+
+        assert.strictEqual(result.testerUtterances.length, 3, "the WAIT turn must not produce audio");
+        const testerLines = events.filter(event => event.type === 'turn.tester').map(event => event.text);
+        assert.strictEqual(testerLines.length, 3);
+        assert.strictEqual(testerLines[2], "Yes, that's correct. Thank you.");
+        const turns = report.latency.turns;
+        assert.deepStrictEqual(turns.map(turn => turn.outcome), ['replied', 'replied', 'wait', 'replied']);
+
+        // Everything before the LLM finished, against the first audio: the tester spoke while generating
+        const confirmation = turns[3];
+        const untilLlmEnd = confirmation.endOfTurnDetectionMs + confirmation.sttMs + confirmation.filterMs + confirmation.llmMs;
+        assert.ok(confirmation.testerResponseMs < untilLlmEnd, `first audio after ${confirmation.testerResponseMs}ms, LLM done after ${untilLlmEnd}ms`);
+        console.log(`✅ Streamed reply started ${untilLlmEnd - confirmation.testerResponseMs}ms before the LLM finished, WAIT stayed silent`);
+    } finally {
+        delete process.env.REPLY_MODE;
+        delete process.env.STUB_LLM_MS_PER_TOKEN;
+    }
+}
+
+async function testBrokenOffStream(port) {
+    // The model stream fails after the first sentence was queued: it is still played, booked and recorded
+    process.env.REPLY_MODE = 'streaming';
+    const { stream } = providers.llm;
+    providers.llm.stream = async function* () {
+        yield "Hi, I would like to book an appointment. ";
+        yield "With";
+        const error = new Error("No recorded openai response");
+        error.cassetteMiss = true;
+        throw error;
+    };
+    try {
+        callManager.registerOutboundCall('SIMTEST014', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+        const { events } = await simulateCall(port, 'SIMTEST014', ["Welcome to the clinic. How can I help you?"], [
+            { silenceMs: 300 },
+            { play: path.join(FIXTURES, 'bot_greeting.wav') },
+            { silenceMs: 5000 }
+        ]);
+
+        const history = callStore.getCall('SIMTEST014').history;
+        const testerTurns = history.filter(turn => turn.role === 'assistant');
+        assert.strictEqual(testerTurns[0].content, "Hi, I would like to book an appointment.");
+        assert.ok(testerTurns[0].audio, "the played sentence is in the recording");
+        assert.ok(testerTurns[1].content.startsWith("[Call aborted:"), "the cassette miss still aborts the call");
+        assert.deepStrictEqual(events.filter(event => event.type === 'turn.tester').map(event => event.text), ["Hi, I would like to book an appointment."]);
+        console.log("✅ A stream that broke off keeps the sentence already spoken and releases the playback");
+    } finally {
+        providers.llm.stream = stream;
+        delete process.env.REPLY_MODE;
+    }
+}
+
+async function testMediaFormat(port) {
+    // A provider streaming 16kHz A-law: decoded and resampled on the way in, and answered in the same format
+    callManager.registerOutboundCall('SIMTEST012', { scenario: 'BOOKING', targetSlot: { date: tomorrow(), time: '10:30' } });
+    const { result, report, simulator } = await simulateCall(port, 'SIMTEST012', [
+        "Welcome to the clinic. How can I help you?",
+        "Which date and time would you like?",
+        "Your appointment is confirmed for tomorrow at 10:30 AM."
+    ], BOOKING_SCRIPT, { encoding: 'audio/x-alaw', sampleRate: 16000 });
+
+    assert.strictEqual(result.testerUtterances.length, 3);
+    assert.strictEqual(report.status, "Passed");
+    // Everything the tester sent, back to back (the pauses between its replies would pull the gated level down)
+    const received = Buffer.concat(simulator.receivedFrames.map(frame => frame.pcm));
+    const lufs = measureLoudness(new Int16Array(received.buffer, received.byteOffset, received.length / 2), 16000);
+    assert.ok(Math.abs(lufs + 16) < 1, `tester speech should arrive at -16 LUFS, got ${lufs.toFixed(1)}`);
+    console.log(`✅ 16kHz A-law call negotiated from the start event, tester at ${lufs.toFixed(1)} LUFS`);
+}
+
+async function testSmsOtp(port) {
+    const sendSms = (to, body) => fetch(`http://localhost:${port}/sms-webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ MessageSid: 'SMTEST1', From: 'APOLLO', To: to, Body: body }).toString()
+    });
+
+    callManager.registerOutboundCall('SIMTEST006', { scenario: 'BOOKING', persona: 'gokulakannan' });
+    const call = simulateCall(port, 'SIMTEST006', ["Please tell me the OTP we sent to your phone."], [
+        { silenceMs: 1500 },
+        { play: path.join(FIXTURES, 'bot_question.wav') },
+        { waitForReply: true, timeoutMs: 15000 }
+    ]);
+
+    for (let waited = 0; !callManager.activeCalls.has('SIMTEST006') && waited < 2000; waited += 50) {
+        await new Promise(r => setTimeout(r, 50));
+    }
+    // Twilio-format SMS to the persona phone, plus one for a number no call uses
+    const response = await sendSms('+916374038470', "Your OTP for appointment booking is 482913. Do not share it.");
+    assert.strictEqual(response.status, 200);
+    assert.ok((await response.text()).includes('<Response>'), "Twilio expects TwiML back");
+    await sendSms('+919999999999', "Your OTP is 111111.");
+    assert.strictEqual(callManager.activeCalls.get('SIMTEST006').latestReceivedOTP, '482913');
+
+    const { events } = await call;
+    assert.strictEqual(events.filter(event => event.type === 'otp.received').length, 1);
+
+    const history = callStore.getCall('SIMTEST006').history.map(turn => turn.content);
+    assert.ok(history.includes("(System: OTP 482913 received via SMS from APOLLO)"), history.join(' | '));
+    assert.ok(history.includes("The OTP is 4 8 2 9 1 3."), "the tester reads out the SMS code");
+    assert.strictEqual(history[history.length - 1], "(System: OTP 482913 used)", "the code expires once read out");
+    console.log("✅ OTP captured from the SMS webhook, read out and expired");
+}
+
+async function testConcurrentCalls(port) {
+    const base = `http://localhost:${port}`;
+    const post = (url, body) => fetch(base + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+    // Two calls dialed with different languages, both connected at the same time
+    callManager.registerOutboundCall('SIMTEST003', { scenario: 'BOOKING', language: 'Hindi', persona: 'rohit-sharma' });
+    callManager.registerOutboundCall('SIMTEST004', { scenario: 'CANCELLATION', language: 'Tamil' });
+    const calls = ['SIMTEST003', 'SIMTEST004'].map(callSid =>
+        new MediaStreamSimulator({ url: `ws://localhost:${port}`, callSid, script: [{ silenceMs: 1500 }] }).run());
+
+    for (let waited = 0; callManager.activeCalls.size < 2 && waited < 2000; waited += 50) {
+        await new Promise(r => setTimeout(r, 50));
+    }
+
+    const active = await (await fetch(`${base}/active-calls`)).json();
+    assert.deepStrictEqual(active.map(call => [call.callSid, call.targetLanguage]).sort(), [['SIMTEST003', 'Hindi'], ['SIMTEST004', 'Tamil']]);
+    assert.strictEqual(active.find(call => call.callSid === 'SIMTEST003').persona, 'Rohit Sharma', "the requested persona places the call");
+    assert.ok(['Gokulakannan', 'Arjun Mehta', 'Priya Raman', 'Lakshmi Narayanan'].includes(active.find(call => call.callSid === 'SIMTEST004').persona),
+        "random personas speak the call's language");
+
+    assert.strictEqual((await post('/override-response', { text: "8 PM" })).status, 400, "ambiguous without a callSid");
+    assert.strictEqual((await post('/override-response', { callSid: 'SIMTEST999', text: "8 PM" })).status, 404);
+    assert.strictEqual((await post('/override-response', { callSid: 'SIMTEST003', text: "8 PM" })).status, 200);
+    assert.strictEqual((await post('/inject-otp', { callSid: 'SIMTEST004', otp: '4321' })).status, 200);
+
+    assert.strictEqual(callManager.activeCalls.get('SIMTEST003').manualOverrideResponse, "8 PM");
+    assert.strictEqual(callManager.activeCalls.get('SIMTEST004').manualOverrideResponse, null, "override must not leak into the other call");
+    assert.strictEqual(callManager.activeCalls.get('SIMTEST004').latestReceivedOTP, '4321');
+    assert.strictEqual(callManager.activeCalls.get('SIMTEST003').latestReceivedOTP, null, "OTP must not leak into the other call");
+
+    await Promise.all(calls);
+    console.log("✅ Two concurrent calls listed and controlled independently");
+}
+
+async function runTests() {
+    console.log("🚀 Starting mock telephony end-to-end test...\n");
+
+    await new Promise(resolve => server.listen(0, resolve));
+    const port = server.address().port;
+
+    await testBookingCall(port);
+    await testSlotMismatch(port);
+    await testLanguageSwitch(port);
+    await testInjectedBehavior(port);
+    await testSilenceBehavior(port);
+    await testBargeIn(port);
+    await testStreamingStt(port);
+    await testStreamedReply(port);
+    await testBrokenOffStream(port);
+    await testMediaFormat(port);
+    await testSmsOtp(port);
+    await testConcurrentCalls(port);
+
+    console.log("\n✅ Mock telephony end-to-end test complete.");
+}
+
+runTests()
+    .then(() => 0, error => {
+        console.error("❌ Test failed:", error.message);
+        return 1;
+    })
+    .then(exitCode => {
+        fs.rmSync(process.env.CALL_STORE_DIR, { recursive: true, force: true });
+        process.exit(exitCode);
+    });
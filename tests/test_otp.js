@@ -0,0 +1,93 @@
+const assert = require('assert');
+const callManager = require('../engine/callManager');
+const otpService = require('../services/otpService');
+
+/**
+ * Minimal active call as seen by the OTP matcher
+ */
+function fakeCall(callSid, { phone = '6374038470', startTime = Date.now() } = {}) {
+    callManager.activeCalls.set(callSid, {
+        startTime,
+        isEnding: false,
+        history: [],
+        slots: { target: { phone } },
+        latestReceivedOTP: null,
+        otpExpiresAt: null
+    });
+}
+
+function runTests() {
+    console.log("🚀 Starting OTP capture tests...\n");
+
+    // Code extraction from typical hospital SMS
+    assert.strictEqual(otpService.extractCode("Your OTP for appointment booking is 482913. Do not share it."), '482913');
+    assert.strictEqual(otpService.extractCode("482913 is your one-time password for Apollo Clinics"), '482913');
+    assert.strictEqual(otpService.extractCode("Verification code: 7731"), '7731');
+    assert.strictEqual(otpService.extractCode("आपका OTP ४८२९ है"), '4829', "native digits are normalized");
+    assert.strictEqual(otpService.extractCode("Your appointment on 20/10 is confirmed."), null);
+    console.log("✅ OTPs extracted from SMS text");
+
+    // Custom patterns replace the defaults
+    process.env.OTP_PATTERNS = JSON.stringify(['Ref#(\\d{5})']);
+    assert.strictEqual(otpService.extractCode("Use Ref#55120 to verify"), '55120');
+    assert.strictEqual(otpService.extractCode("Your OTP is 482913"), null);
+    process.env.OTP_PATTERNS = 'not json';
+    assert.strictEqual(otpService.extractCode("Your OTP is 482913"), '482913', "invalid config falls back to the defaults");
+    delete process.env.OTP_PATTERNS;
+    console.log("✅ OTP_PATTERNS overrides the patterns");
+
+    // Matching by phone number and time window
+    const now = Date.now();
+    fakeCall('OTPCALL1', { phone: '6374038470', startTime: now - 60000 });
+    fakeCall('OTPCALL2', { phone: '9876543210', startTime: now - 30000 });
+    fakeCall('OTPCALL3', { phone: '6374038470', startTime: now - 20 * 60000 });
+    assert.strictEqual(otpService.findCall('+916374038470', now), 'OTPCALL1', "E.164 recipient, stale call outside the window ignored");
+    assert.strictEqual(otpService.findCall('9876543210', now), 'OTPCALL2');
+    assert.strictEqual(otpService.findCall('1112223334', now), null);
+    process.env.TWILIO_PHONE_NUMBER = '+15005550006';
+    assert.strictEqual(otpService.findCall('+15005550006', now), null, "our caller ID is shared by every call, so it picks none");
+    delete process.env.TWILIO_PHONE_NUMBER;
+
+    fakeCall('OTPCALL4', { phone: '6374038470', startTime: now - 5000 });
+    assert.strictEqual(otpService.findCall('6374038470', now), 'OTPCALL4', "the newest matching call wins");
+    console.log("✅ SMS tied to the call by phone number and time window");
+
+    // Delivery, use and expiry
+    const result = otpService.receiveSms({ from: 'APOLLO', to: '+91 98765 43210', body: "Your OTP is 482913" });
+    assert.deepStrictEqual(result, { otp: '482913', callSid: 'OTPCALL2' });
+    const callState = callManager.activeCalls.get('OTPCALL2');
+    assert.strictEqual(callState.latestReceivedOTP, '482913');
+    assert.ok(callState.otpExpiresAt > now);
+    assert.strictEqual(callState.history[0].type, 'otp');
+    assert.ok(callState.history[0].content.includes('SMS from APOLLO'));
+    assert.strictEqual(callManager.activeCalls.get('OTPCALL1').latestReceivedOTP, null, "other calls don't get the OTP");
+
+    callManager.consumeOTP(callState, "Just a second, let me check.");
+    assert.strictEqual(callState.latestReceivedOTP, '482913', "not read out yet");
+    callManager.consumeOTP(callState, "My number is 9148291350, and the visit is at 10.");
+    assert.strictEqual(callState.latestReceivedOTP, '482913', "the digits inside a longer number are not the OTP");
+    assert.strictEqual(callManager.readsOut("The code is 48-29-13 and I'm calling about 10 AM.", '482913'), true);
+    callManager.consumeOTP(callState, "It is four eight two nine one three.");
+    assert.strictEqual(callState.latestReceivedOTP, null, "expires once read out");
+    assert.ok(callState.history[callState.history.length - 1].content.includes('482913 used'));
+
+    callManager.setOTP('OTPCALL1', '1234');
+    callManager.activeCalls.get('OTPCALL1').otpExpiresAt = Date.now() - 1;
+    callManager.consumeOTP(callManager.activeCalls.get('OTPCALL1'), "Hello?");
+    assert.strictEqual(callManager.activeCalls.get('OTPCALL1').latestReceivedOTP, null);
+    assert.ok(callManager.activeCalls.get('OTPCALL1').history.some(turn => turn.content.includes('1234 expired unused')));
+
+    assert.strictEqual(otpService.receiveSms({ to: '1112223334', body: "Your OTP is 9999" }).callSid, null);
+    assert.strictEqual(otpService.receiveSms({ to: '6374038470', body: "Hello" }).otp, null);
+    console.log("✅ OTPs delivered once, cleared after use or expiry");
+
+    callManager.activeCalls.clear();
+    console.log("\n✅ OTP capture tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { WaveFile } = require('wavefile');
+const personaLibrary = require('../engine/personaLibrary');
+const scenarioLibrary = require('../engine/scenarioLibrary');
+const llmService = require('../services/llmService');
+const stubTts = require('../services/providers/stubTtsProvider');
+const stubLlm = require('../services/providers/stubLlmProvider');
+
+// Deterministic stand-in for Math.random() cycling through the given values
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+async function durationMs(voice) {
+    const wav = new WaveFile(await stubTts.textToStream("I would like to book an appointment.", 'English', voice));
+    return wav.getSamples(false, Int16Array).length / 8;
+}
+
+async function runTests() {
+    console.log("🚀 Starting caller persona tests...\n");
+
+    // Bundled personas load with their voices
+    const kamala = personaLibrary.get('kamala-devi');
+    assert.deepStrictEqual([kamala.age, kamala.gender, kamala.style], [72, 'Female', 'elderly']);
+    assert.deepStrictEqual(kamala.voice, { speaker: 'vidya', pace: 0.8, pitch: -0.2, model: 'bulbul:v2' });
+    assert.ok(kamala.voiceStyle.includes('elderly'), "the style's speaking instructions are the default voice style");
+    assert.ok(personaLibrary.list().length >= 5);
+    console.log("✅ Persona library loads the bundled callers");
+
+    // Validation
+    assert.throws(() => personaLibrary.normalize({ age: 40 }, 'x.yaml'), /must define at least "name"/);
+    assert.throws(() => personaLibrary.normalize({ name: 'A', style: 'angry' }, 'x.yaml'), /unknown style "angry"/);
+    assert.throws(() => personaLibrary.normalize({ name: 'A', voice: { pace: 5 } }, 'x.yaml'), /voice.pace must be between 0.5 and 2/);
+    assert.throws(() => personaLibrary.normalize({ name: 'A', languages: ['French'] }, 'x.yaml'), /unknown language "French"/);
+    assert.strictEqual(personaLibrary.normalize({ name: 'Meera Iyer' }, 'x.yaml').id, 'meera-iyer');
+    assert.throws(() => scenarioLibrary.normalize({ id: 'X', goal: 'g', personas: ['nobody'] }, 'x.yaml'), /unknown persona "nobody"/);
+    console.log("✅ Malformed personas and unknown persona ids are rejected");
+
+    // Selection: explicit request, then the scenario's fixed persona, then a random caller who speaks the language
+    const booking = scenarioLibrary.get('BOOKING');
+    assert.strictEqual(personaLibrary.select(booking, { requested: 'arjun-mehta' }).name, 'Arjun Mehta');
+    assert.throws(() => personaLibrary.select(booking, { requested: 'nobody' }), /Unknown persona "nobody"/);
+    const pinned = scenarioLibrary.normalize({ id: 'PINNED', goal: 'g', persona: { name: 'Ravi', age: 45 } }, 'pinned.yaml');
+    assert.strictEqual(personaLibrary.select(pinned, { requested: undefined }).name, 'Ravi');
+
+    for (let i = 0; i < 10; i++) {
+        const persona = personaLibrary.select(booking, { language: 'Tamil', random: sequence(i / 10) });
+        assert.ok(persona.languages.includes('Tamil'), `${persona.name} does not speak Tamil`);
+    }
+    const pool = scenarioLibrary.normalize({ id: 'POOL', goal: 'g', personas: ['rohit-sharma', 'kamala-devi'] }, 'pool.yaml');
+    assert.strictEqual(personaLibrary.select(pool, { language: 'Tamil', random: sequence(0) }).id, 'rohit-sharma', "nobody speaks it: any from the pool");
+    assert.ok(new Set([0, 0.3, 0.6, 0.9].map(r => personaLibrary.select(booking, { language: 'Hindi', random: () => r }).id)).size > 1, "callers vary between calls");
+    console.log("✅ Personas selected by request, scenario and language");
+
+    // The persona reaches the tester prompt and the TTS voice
+    const callState = { scenario: 'BOOKING', targetLanguage: 'Hindi', history: [], persona: personaLibrary.get('rohit-sharma') };
+    let prompt = '';
+    const original = stubLlm.complete;
+    stubLlm.complete = async (request) => {
+        prompt = request.messages[0].content;
+        return "Hello";
+    };
+    try {
+        process.env.LLM_PROVIDER = 'stub';
+        await llmService.processCustomerIntent("Hello, how can I help?", callState);
+    } finally {
+        stubLlm.complete = original;
+    }
+    assert.ok(prompt.includes('Name: Rohit Sharma') && prompt.includes('Age: 27'));
+    assert.ok(prompt.includes('code-mixing') && /Mix common English words/.test(prompt), "Hinglish callers are told to code-mix");
+
+    const normal = await durationMs({ pace: 1 });
+    assert.ok(Math.abs(await durationMs({ pace: 2 }) - normal / 2) < 5, "pace speeds the voice up");
+    assert.ok(await durationMs({ pace: 0.8 }) > normal);
+    console.log("✅ Persona drives the prompt and the TTS voice");
+
+    console.log("\n✅ Caller persona tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
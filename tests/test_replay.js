@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline tester brain; recordings go to a throwaway directory
+process.env.LLM_PROVIDER = 'stub';
+delete process.env.LLM_RECORD_MODE;
+
+const transcriptReplayer = require('../engine/transcriptReplayer');
+const recordedLlmProvider = require('../services/providers/recordedLlmProvider');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'replay_booking_call.json');
+const loadCall = () => JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+const TARGET = { date: '2026-10-20', time: '10:30', phone: '6374038470' };
+const REFERENCE = Date.parse('2026-10-19T08:00:00.000Z');
+
+async function runTests() {
+    console.log("🚀 Starting transcript replay tests...\n");
+
+    // What the tester did after each bot turn, sentinels included
+    const recorded = transcriptReplayer.recordedTurns(loadCall().history);
+    assert.deepStrictEqual(recorded.map(turn => turn.recorded), [
+        "Hi, I would like to book an appointment with a doctor.",
+        "My name is Gokulakannan.",
+        "Tomorrow at 10:30 AM, please.",
+        "My phone number is 6374038470.",
+        "WAIT",
+        "Yes, that's correct. Thank you."
+    ]);
+    assert.deepStrictEqual(recorded.map(turn => turn.reply), [1, 2, 3, 4, 5, 5], "WAIT is not a spoken tester turn");
+    const looped = transcriptReplayer.recordedTurns([
+        { role: 'user', content: "Please hold." },
+        { role: 'assistant', content: "[Auto-Terminated by Tester: the bot repeated itself]" }
+    ]);
+    assert.strictEqual(looped[0].recorded, 'END_CALL_LOOP');
+    const silent = transcriptReplayer.recordedTurns([
+        { role: 'user', content: "Which day?" },
+        { role: 'assistant', content: "(Behaviour: silent for 8s)", type: 'behavior', behavior: 'silence' },
+        { role: 'user', content: "Hello, are you there?" }
+    ]);
+    assert.strictEqual(silent[0].skipped, 'injected silence');
+    assert.strictEqual(silent[1].skipped, 'call ended');
+    console.log("✅ Recorded tester replies, WAIT and END_CALL_LOOP read back from the history");
+
+    // The unchanged tester logic reproduces the recorded call
+    const unchanged = await transcriptReplayer.replay(loadCall());
+    assert.strictEqual(unchanged.llm, 'stub');
+    assert.strictEqual(unchanged.replayed, 6);
+    assert.strictEqual(unchanged.identical, 6, JSON.stringify(unchanged.turns.filter(turn => turn.status !== 'identical')));
+    assert.strictEqual(unchanged.regressions, 0);
+    console.log("✅ Replaying with the same tester logic is identical");
+
+    // A tester that now answers the half-finished sentence instead of waiting
+    const answered = loadCall();
+    answered.history.splice(9, 1);
+    const sentinel = await transcriptReplayer.replay(answered);
+    const cutOff = sentinel.turns.find(turn => turn.bot.endsWith('10:30 AM is'));
+    assert.strictEqual(cutOff.status, 'regression');
+    assert.strictEqual(cutOff.changes[0].kind, 'sentinel');
+    assert.ok(cutOff.changes[0].detail.startsWith('Now says WAIT'), cutOff.changes[0].detail);
+    console.log("✅ Sentinel changes are regressions");
+
+    // Slot details: the target is fine, anything else is a regression
+    const wrongTime = transcriptReplayer.compare("Tomorrow at 10:30 AM, please.", "Tomorrow at 4 PM, please.", { expectedLanguage: 'English', target: TARGET, referenceDate: REFERENCE });
+    assert.deepStrictEqual(wrongTime.map(change => [change.kind, change.severity]), [['slot', 'regression']]);
+    assert.ok(wrongTime[0].detail.includes('16:00 instead of 10:30'), wrongTime[0].detail);
+    const fixedTime = transcriptReplayer.compare("Tomorrow at 4 PM, please.", "Tomorrow at 10:30 AM, please.", { expectedLanguage: 'English', target: TARGET, referenceDate: REFERENCE });
+    assert.deepStrictEqual(fixedTime.map(change => change.severity), ['info']);
+    const wrongPhone = transcriptReplayer.compare("My phone number is 6374038470.", "My phone number is 9000012345.", { expectedLanguage: 'English', target: TARGET, referenceDate: REFERENCE });
+    assert.strictEqual(wrongPhone[0].severity, 'regression');
+    // A stored call whose recorded slot differs from the target: replaying the target is only info
+    const misbooked = loadCall();
+    misbooked.history[5].content = "Tomorrow at 4 PM, please.";
+    const slotTurn = (await transcriptReplayer.replay(misbooked)).turns[2];
+    assert.strictEqual(slotTurn.status, 'changed');
+    assert.strictEqual(slotTurn.changes[0].detail, "Now gives time 10:30 instead of 16:00 (the target).");
+    console.log("✅ Slot changes graded against the target");
+
+    // Language: a reply that drops out of the expected language
+    const hindi = { expectedLanguage: 'Hindi', target: TARGET, referenceDate: REFERENCE };
+    const english = transcriptReplayer.compare("मेरा नाम गोकुलकन्नन है।", "My name is Gokulakannan.", hindi);
+    assert.deepStrictEqual(english.map(change => [change.kind, change.severity]), [['language', 'regression']]);
+    assert.deepStrictEqual(transcriptReplayer.compare("My name is Gokulakannan.", "My name is Gokul.", hindi).map(change => change.kind), ['text'],
+        "a recording that was already off-language is not a new regression");
+    assert.deepStrictEqual(transcriptReplayer.compare("My name is Gokulakannan.", "My  name is   Gokulakannan!", { expectedLanguage: 'English', target: TARGET }), [],
+        "spacing and punctuation are not changes");
+    console.log("✅ Language drops flagged, wording changes are info");
+
+    // Recorded model responses: record once, replay offline, flag prompts that were never recorded
+    process.env.LLM_PROVIDER = 'recorded';
+    process.env.LLM_RECORDINGS = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-replays-')), 'REPLAYTEST001.llm.json');
+    process.env.LLM_RECORD_UPSTREAM = 'stub';
+    process.env.LLM_RECORD_MODE = 'record';
+    const recording = await transcriptReplayer.replay(loadCall());
+    assert.strictEqual(recording.llm, 'recorded');
+    assert.strictEqual(recording.identical, 6);
+    const saved = JSON.parse(fs.readFileSync(process.env.LLM_RECORDINGS, 'utf8'));
+    assert.strictEqual(Object.keys(saved).length, 6);
+    assert.ok(Object.values(saved).every(entry => entry.purpose && entry.response));
+
+    process.env.LLM_RECORD_MODE = 'replay';
+    const replayed = await transcriptReplayer.replay(loadCall());
+    assert.strictEqual(replayed.identical, 6);
+    assert.strictEqual(recordedLlmProvider.misses, 0);
+
+    // Any change to the prompt (here the symptom line) misses the recordings
+    const edited = loadCall();
+    edited.symptom = 'headache';
+    const unrecorded = await transcriptReplayer.replay(edited);
+    assert.strictEqual(unrecorded.regressions, 6);
+    assert.ok(unrecorded.turns.every(turn => turn.changes[0].kind === 'unrecorded'));
+    assert.strictEqual(recordedLlmProvider.misses, 6);
+    console.log("✅ Recorded LLM responses replay offline and unrecorded prompts fail");
+
+    console.log("\n✅ Transcript replay tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
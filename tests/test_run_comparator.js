@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stored runs and calls go to throwaway directories
+process.env.RUN_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-runs-'));
+process.env.CALL_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-calls-'));
+
+const runComparator = require('../engine/runComparator');
+const runStore = require('../services/runStore');
+const callStore = require('../services/callStore');
+
+/**
+ * A finished suite call with the parts of a report the comparator reads
+ */
+function call(callSid, scenario, language, status, { botMs = [800], enhancements = [], assertions = [] } = {}) {
+    return {
+        callSid,
+        scenario,
+        language,
+        status,
+        report: {
+            status: status === 'passed' ? 'Passed' : 'Failed',
+            verdict: `${status} verdict`,
+            enhancements,
+            assertions,
+            latency: { deadAirMs: 2000, turns: botMs.map(ms => ({ botResponseMs: ms, testerResponseMs: 1200 })) }
+        }
+    };
+}
+
+function runTests() {
+    console.log("🚀 Starting run comparison tests...\n");
+
+    const baseline = {
+        label: 'v1',
+        calls: [
+            call('B1', 'BOOKING', 'English', 'passed'),
+            call('B2', 'BOOKING', 'Hindi', 'passed'),
+            call('B3', 'CANCELLATION', 'English', 'failed', { enhancements: ["Bot should confirm the cancellation explicitly."] }),
+            call('B4', 'BOOKING', 'Tamil', 'failed', { enhancements: ["Speak slower when reading out dates."] })
+        ]
+    };
+    const candidate = {
+        label: 'v2',
+        calls: [
+            call('C1', 'BOOKING', 'English', 'passed', { botMs: [1600] }),
+            call('C2', 'BOOKING', 'Hindi', 'failed', {
+                botMs: [1700],
+                enhancements: ["The bot misheard the requested time slot.", "Bot should confirm cancellations explicitly"],
+                assertions: [{ name: 'Bot repeated the requested date and time', passed: false }]
+            }),
+            call('C3', 'CANCELLATION', 'English', 'passed', { botMs: [1500] }),
+            call('C4', 'BOOKING', 'Tamil', 'failed', { botMs: [1500], enhancements: ["Bot misheard the time slot the caller requested."] })
+        ]
+    };
+
+    const comparison = runComparator.compare(baseline, candidate);
+
+    // Pass rates overall and per scenario / language
+    assert.strictEqual(comparison.baseline.passRate, 0.5);
+    assert.strictEqual(comparison.candidate.passRate, 0.5);
+    assert.strictEqual(comparison.passRateDelta, 0);
+    assert.deepStrictEqual(comparison.byLanguage.map(row => [row.key, row.delta]), [['English', 0.5], ['Hindi', -1], ['Tamil', 0]]);
+    assert.deepStrictEqual(comparison.byScenario.map(row => [row.key, row.baseline.passed, row.candidate.passed]), [['BOOKING', 2, 1], ['CANCELLATION', 0, 1]]);
+    assert.deepStrictEqual(comparison.byDegradation.map(row => [row.key, row.delta]), [['clean', 0]], "calls without a condition count as clean audio");
+    console.log("✅ Pass-rate deltas per scenario, language and audio condition");
+
+    // Latency pooled per turn
+    assert.strictEqual(comparison.latency.botResponseMs.baseline.p50, 800);
+    assert.strictEqual(comparison.latency.botResponseMs.candidate.p50, 1500);
+    assert.strictEqual(comparison.latency.botResponseMs.deltaP50, 700);
+    assert.strictEqual(comparison.latency.deadAirMs.deltaP50, 0);
+    console.log("✅ Latency changes");
+
+    // Similar suggestions cluster together; only the candidate has the misheard-slot category
+    const categories = comparison.failureCategories;
+    const misheard = categories.new.find(category => /misheard/.test(category.label));
+    assert.ok(misheard, JSON.stringify(categories.new));
+    assert.strictEqual(misheard.candidateCount, 2, "both misheard-slot suggestions fall into one category");
+    assert.deepStrictEqual(misheard.callSids, ['C2', 'C4']);
+    assert.ok(categories.new.some(category => category.label === 'Assertion failed: Bot repeated the requested date and time'));
+    assert.ok(categories.persisting.some(category => /cancell?ation/.test(category.label)), "reworded suggestion matches the baseline one");
+    assert.ok(categories.resolved.some(category => /slower/.test(category.label)));
+    console.log("✅ Failure categories clustered into new / persisting / resolved");
+
+    // Newly failing cases and the release gate
+    assert.deepStrictEqual(comparison.newlyFailing.map(row => row.key), ['BOOKING / Hindi']);
+    assert.deepStrictEqual(comparison.newlyFailing[0].calls.map(c => c.callSid), ['C2']);
+    assert.strictEqual(comparison.regression.detected, true);
+    assert.ok(comparison.regression.reasons.some(reason => reason.startsWith('Hindi: pass rate dropped')));
+    assert.ok(comparison.regression.reasons.some(reason => reason.startsWith('Bot median response time grew by 700ms')));
+    assert.strictEqual(runComparator.compare(baseline, baseline).regression.detected, false, "a run never regresses against itself");
+    assert.ok(!runComparator.compare(baseline, candidate, { maxLatencyIncreaseMs: 1000 }).regression.reasons.some(r => r.includes('response time')));
+    console.log("✅ Newly failing cases fail the release gate");
+
+    // Stored runs and stored call ranges resolve into sets, with transcripts for newly failing calls
+    runStore.saveRun({ runId: 'run-1', suiteName: 'Smoke', startedAt: '2026-10-01T10:00:00.000Z', calls: baseline.calls });
+    runStore.saveRun({ runId: 'run-2', suiteName: 'Smoke', startedAt: '2026-10-02T10:00:00.000Z', calls: candidate.calls });
+    assert.deepStrictEqual(runStore.listRuns().map(run => run.runId), ['run-2', 'run-1']);
+    assert.ok(!('calls' in runStore.listRuns()[0]));
+
+    callStore.saveCall('C2', {
+        scenario: 'BOOKING', targetLanguage: 'Hindi', startTime: Date.parse('2026-10-02T10:05:00.000Z'),
+        history: [{ role: 'user', content: "Kab aana hai?" }, { role: 'assistant', content: "Kal subah 10 baje." }]
+    }, candidate.calls[1].report);
+
+    const stored = runComparator.compareSets('run-1', 'run-2');
+    assert.strictEqual(stored.candidate.label, 'Smoke (run-2)');
+    assert.deepStrictEqual(stored.newlyFailing[0].calls[0].transcript, [
+        { role: 'bot', content: "Kab aana hai?" }, { role: 'tester', content: "Kal subah 10 baje." }
+    ]);
+
+    const range = runComparator.loadSet('2026-10-02..2026-10-02');
+    assert.deepStrictEqual(range.calls.map(c => [c.callSid, c.status]), [['C2', 'failed']]);
+    assert.strictEqual(runComparator.loadSet('2026-10-03..').calls.length, 0);
+    assert.throws(() => runComparator.loadSet('run-missing'), error => error.notFound === true);
+    assert.throws(() => runComparator.loadSet('yesterday..today'), /Invalid date range/);
+    console.log("✅ Stored runs and call ranges load as comparison sets");
+
+    console.log("\n✅ Run comparison tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(process.env.RUN_STORE_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.CALL_STORE_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,146 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline providers; schedules and runs go to throwaway directories
+process.env.STT_PROVIDER = 'stub';
+process.env.TTS_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+process.env.SCHEDULE_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-schedules-'));
+process.env.RUN_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-runs-'));
+
+const CronExpression = require('../engine/cronExpression');
+const scheduler = require('../engine/scheduler');
+const suiteRunner = require('../engine/suiteRunner');
+const scheduleStore = require('../services/scheduleStore');
+const runStore = require('../services/runStore');
+
+// Local time, the way the scheduler reads the clock
+function at(text) {
+    const [date, time] = text.split(' ');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+function format(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function runTests() {
+    console.log("🚀 Starting scheduler tests...\n");
+
+    // Parsing: lists, ranges, steps, names and macros
+    const clinicHours = new CronExpression('0 9-17 * * mon-sat');
+    assert.deepStrictEqual([...clinicHours.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual([...clinicHours.daysOfWeek], [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual([...new CronExpression('*/15 * * * *').minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...new CronExpression('5/20 * * * *').minutes], [5, 25, 45]);
+    assert.deepStrictEqual([...new CronExpression('0 8,12-14/2 * * *').hours], [8, 12, 14]);
+    assert.deepStrictEqual([...new CronExpression('0 0 * * 7').daysOfWeek].sort(), [0, 7], "7 is Sunday too");
+    assert.strictEqual(new CronExpression('@hourly').minutes.size, 1);
+    assert.throws(() => new CronExpression('* * * *'), /expected 5 fields/);
+    assert.throws(() => new CronExpression('61 * * * *'), /minute value 61 is out of range 0-59/);
+    assert.throws(() => new CronExpression('0 17-9 * * *'), /hour range 17-9 runs backwards/);
+    assert.throws(() => new CronExpression('0 0 * foo *'), /month has an invalid value "foo"/);
+    assert.throws(() => new CronExpression('*/0 * * * *'), /step must be at least 1/);
+    console.log("✅ Cron expressions parsed and malformed ones rejected");
+
+    // Matching and the next firing time (2026-10-17 is a Saturday)
+    assert.ok(clinicHours.matches(at('2026-10-17 09:00')));
+    assert.ok(!clinicHours.matches(at('2026-10-18 09:00')), "not on Sunday");
+    assert.ok(!clinicHours.matches(at('2026-10-17 18:00')));
+    assert.strictEqual(format(clinicHours.next(at('2026-10-17 17:00'))), '2026-10-19 09:00', "Saturday evening -> Monday morning");
+    assert.strictEqual(format(clinicHours.next(at('2026-10-19 09:00'))), '2026-10-19 10:00', "strictly after");
+    assert.strictEqual(format(new CronExpression('30 2 1 * *').next(at('2026-10-19 12:00'))), '2026-11-01 02:30');
+    assert.strictEqual(format(new CronExpression('0 0 29 2 *').next(at('2026-10-19 12:00'))), '2028-02-29 00:00', "next leap day");
+    assert.strictEqual(new CronExpression('0 0 30 2 *').next(at('2026-10-19 12:00')), null, "February 30th never comes");
+    // Both day fields restricted: either one matching is enough (1st of the month OR a Monday)
+    const either = new CronExpression('0 6 1 * mon');
+    assert.ok(either.matches(at('2026-10-19 06:00')) && either.matches(at('2026-11-01 06:00')) && !either.matches(at('2026-10-20 06:00')));
+    console.log("✅ Schedules match the right minutes and compute their next run");
+
+    // CRUD with validation
+    assert.throws(() => scheduler.create({ name: 'Broken', cron: 'every hour', suiteId: 'smoke' }), /Invalid cron expression/);
+    assert.throws(() => scheduler.create({ name: 'Nothing', cron: '@hourly' }), /either a suiteId or an entries matrix/);
+    assert.throws(() => scheduler.create({ name: 'Unknown', cron: '@hourly', entries: [{ scenario: 'NOPE' }] }), /unknown scenario "NOPE"/);
+    assert.throws(() => scheduler.create({ name: 'Missing', cron: '@hourly', suiteId: 'no-such-suite' }), /Suite not found/);
+
+    const schedule = scheduler.create({ name: 'Clinic hours', cron: '0 9-17 * * mon-sat', entries: [{ scenario: 'BOOKING', languages: ['English', 'Hindi'] }] });
+    assert.strictEqual(schedule.enabled, true);
+    assert.ok(schedule.nextRunAt, "enabled schedules report their next run");
+    assert.deepStrictEqual(scheduleStore.getSchedule(schedule.id).entries, [{ scenario: 'BOOKING', languages: ['English', 'Hindi'] }], "persisted");
+    const smoke = scheduler.create({ name: 'Smoke', cron: '*/30 * * * *', suiteId: 'smoke', enabled: false });
+    assert.strictEqual(smoke.nextRunAt, null, "paused schedules never fire");
+    assert.deepStrictEqual(scheduler.list().map(entry => entry.name), ['Clinic hours', 'Smoke']);
+
+    const renamed = scheduler.update(schedule.id, { name: 'Clinic hours check', id: 'hijack', lastRunId: 'x' });
+    assert.deepStrictEqual([renamed.id, renamed.name, renamed.lastRunId], [schedule.id, 'Clinic hours check', null], "ids and results are not editable");
+    assert.throws(() => scheduler.update(schedule.id, { cron: '0 25 * * *' }), /hour value 25/);
+    assert.strictEqual(scheduler.update('schedule-missing', { name: 'x' }), null);
+    assert.strictEqual(scheduler.update(smoke.id, { entries: [{ scenario: 'BOOKING' }] }).suiteId, undefined, "switching to a matrix drops the suite");
+    console.log("✅ Schedules created, validated, listed and updated");
+
+    // Firing: matching schedules start a suite run tagged with the schedule; overlapping runs are skipped
+    const started = [];
+    const runs = new Map();
+    const originalStart = suiteRunner.start;
+    const originalGetRun = suiteRunner.getRun;
+    suiteRunner.start = (suite, options) => {
+        const run = { runId: `run-${started.length + 1}`, status: 'running', total: suiteRunner.expandSuite(suite).length, ...options };
+        started.push({ suite, run });
+        runs.set(run.runId, run);
+        return run;
+    };
+    suiteRunner.getRun = (runId) => runs.get(runId);
+    try {
+        assert.strictEqual(scheduler.tick(at('2026-10-18 10:00')).length, 0, "Sunday: nothing fires");
+        const [run] = scheduler.tick(at('2026-10-17 10:00'));
+        assert.deepStrictEqual([run.scheduleId, run.total], [schedule.id, 2]);
+        assert.strictEqual(started[0].suite.name, 'Clinic hours check');
+        assert.strictEqual(scheduleStore.getSchedule(schedule.id).lastRunId, 'run-1');
+
+        assert.strictEqual(scheduler.tick(at('2026-10-17 11:00')).length, 0, "previous run still going");
+        assert.ok(scheduleStore.getSchedule(schedule.id).lastSkippedAt);
+
+        // The finished run's outcome becomes the schedule's latest health result
+        Object.assign(run, { status: 'completed', passed: 1, completed: 2, passRate: 0.5, finishedAt: new Date().toISOString() });
+        suiteRunner.emit('runFinished', run);
+        assert.deepStrictEqual(scheduler.get(schedule.id).lastResult,
+            { runId: 'run-1', status: 'completed', passed: 1, completed: 2, passRate: 0.5, finishedAt: run.finishedAt });
+
+        assert.strictEqual(scheduler.tick(at('2026-10-17 12:00')).length, 1);
+        assert.strictEqual(scheduler.runNow(smoke.id).scheduleId, smoke.id, "paused schedules can still be run by hand");
+    } finally {
+        suiteRunner.start = originalStart;
+        suiteRunner.getRun = originalGetRun;
+    }
+
+    // A run the previous server left 'running' was cut short by the restart and doesn't block its schedule
+    runStore.saveRun({ runId: 'run-before-restart', status: 'running', startedAt: new Date().toISOString(), calls: [] });
+    assert.strictEqual(suiteRunner.getRun('run-before-restart').status, 'interrupted');
+    assert.strictEqual(suiteRunner.listRuns().find(stored => stored.runId === 'run-before-restart').status, 'interrupted');
+    scheduleStore.saveSchedule({ ...scheduleStore.getSchedule(schedule.id), lastRunId: 'run-before-restart' });
+    suiteRunner.start = (suite, options) => ({ runId: 'run-after-restart', status: 'running', ...options });
+    try {
+        assert.strictEqual(scheduler.tick(at('2026-10-19 10:00')).length, 1);
+    } finally {
+        suiteRunner.start = originalStart;
+    }
+
+    assert.strictEqual(scheduler.remove(schedule.id), true);
+    assert.strictEqual(scheduler.get(schedule.id), null);
+    assert.strictEqual(scheduler.remove(schedule.id), false);
+    console.log("✅ Matching schedules start tagged suite runs and record the outcome");
+
+    console.log("\n✅ Scheduler tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
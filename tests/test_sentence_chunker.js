@@ -0,0 +1,92 @@
+const assert = require('assert');
+
+process.env.LLM_PROVIDER = 'stub';
+delete process.env.STUB_LLM_MS_PER_TOKEN;
+
+const SentenceChunker = require('../engine/sentenceChunker');
+const llmService = require('../services/llmService');
+const providers = require('../services/providers');
+
+/**
+ * Feeds a reply through a chunker token by token, the way the LLM streams it
+ * @returns {{sentences: string[][], rest: string}} - sentences released after each token, and the flushed rest
+ */
+function chunk(tokens) {
+    const chunker = new SentenceChunker();
+    const sentences = tokens.map(token => chunker.push(token));
+    return { sentences, rest: chunker.flush() };
+}
+
+async function collect(deltas) {
+    const collected = [];
+    for await (const delta of deltas) collected.push(delta);
+    return collected;
+}
+
+async function runTests() {
+    console.log("🚀 Starting sentence chunker tests...\n");
+
+    // A sentence is released once the whitespace after its punctuation arrives
+    const reply = chunk(["Yes", ",", " that's", " correct", ".", " Thank", " you", "."]);
+    assert.deepStrictEqual(reply.sentences.flat(), ["Yes, that's correct."]);
+    assert.deepStrictEqual(reply.sentences[5], ["Yes, that's correct."], "released with the next token");
+    assert.strictEqual(reply.rest, "Thank you.");
+
+    assert.deepStrictEqual(chunk(["Tomorrow at 10:30 A.M. please. ", "With Dr. Priya! ", "OK"]),
+        { sentences: [["Tomorrow at 10:30 A.M. please."], ["With Dr. Priya!"], []], rest: "OK" }, "abbreviations don't end sentences");
+    assert.deepStrictEqual(chunk(["Rs. 2.5 lakh? ", "Yes."]), { sentences: [["Rs. 2.5 lakh?"], []], rest: "Yes." });
+    assert.deepStrictEqual(chunk(["मुझे अपॉइंटमेंट चाहिए। ", "कल सुबह।"]), { sentences: [["मुझे अपॉइंटमेंट चाहिए।"], []], rest: "कल सुबह।" });
+    assert.deepStrictEqual(chunk(["Hmm", "... ", "\"Okay.\" ", "Fine"]).sentences.flat(), ["Hmm...", "\"Okay.\""]);
+    console.log("✅ Replies split into sentences as they stream in");
+
+    // Sentinels never leave the chunker as speech
+    assert.deepStrictEqual(chunk(["WA", "IT"]), { sentences: [[], []], rest: "WAIT" });
+    assert.deepStrictEqual(chunk(["END", "_CALL", "_LOOP", "\n"]), { sentences: [[], [], [], []], rest: "END_CALL_LOOP" });
+    assert.ok(SentenceChunker.isSentinel(" WAIT\n") && SentenceChunker.isSentinel("END_CALL_LOOP"));
+    assert.ok(!SentenceChunker.isSentinel("WAIT for me."));
+    assert.ok(SentenceChunker.couldBeSentinel("END_CA") && !SentenceChunker.couldBeSentinel("We"));
+    assert.deepStrictEqual(chunk(["WAIT", " for", " me.", " OK"]).sentences.flat(), ["WAIT for me."], "a reply that only starts like a sentinel is speech");
+    console.log("✅ WAIT / END_CALL_LOOP are held back until the reply ends");
+
+    // The tester reply streams with the same prompt as the batch one
+    const callState = { history: [], scenario: 'BOOKING', targetLanguage: 'English', slots: { target: { date: '2026-10-20', time: '10:30' } } };
+    const batch = await llmService.processCustomerIntent("Your appointment is confirmed.", callState);
+    const deltas = await collect(llmService.streamCustomerIntent("Your appointment is confirmed.", callState));
+    assert.deepStrictEqual(deltas, ["Yes,", " that's", " correct.", " Thank", " you."]);
+    assert.strictEqual(deltas.join(''), batch.replyText);
+    console.log("✅ Stub model streams the batch reply word by word");
+
+    // Providers without stream() answer in one piece; failures fall back like the batch path
+    const stub = providers.llm;
+    const { stream } = stub;
+    try {
+        stub.stream = undefined;
+        assert.deepStrictEqual(await collect(llmService.streamCustomerIntent("Your appointment is confirmed.", callState)), ["Yes, that's correct. Thank you."]);
+
+        stub.stream = async function* () { throw new Error("connection reset"); };
+        assert.deepStrictEqual(await collect(llmService.streamCustomerIntent("Hello", callState)), ["I'm sorry, I am having trouble connecting to my brain right now."]);
+
+        stub.stream = async function* () {
+            yield "Tomorrow";
+            throw new Error("connection reset");
+        };
+        assert.deepStrictEqual(await collect(llmService.streamCustomerIntent("Hello", callState)), ["Tomorrow"], "a broken-off reply ends where it stopped");
+
+        stub.stream = async function* () {
+            const error = new Error("No recorded openai response");
+            error.cassetteMiss = true;
+            throw error;
+        };
+        await assert.rejects(collect(llmService.streamCustomerIntent("Hello", callState)), error => error.cassetteMiss);
+    } finally {
+        stub.stream = stream;
+    }
+    console.log("✅ Stream falls back to one-piece replies and the canned error reply");
+
+    console.log("\n✅ Sentence chunker tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
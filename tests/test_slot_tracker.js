@@ -0,0 +1,117 @@
+const assert = require('assert');
+const SlotTracker = require('../engine/slotTracker');
+
+// Monday, 19 October 2026, noon: every relative date below resolves against it
+const REFERENCE = new Date(2026, 9, 19, 12, 0, 0).getTime();
+const parse = (text) => SlotTracker.parse(text, REFERENCE);
+
+function runTests() {
+    console.log("🚀 Starting slot tracker tests...\n");
+
+    // Times in English: meridiem, military, spoken numbers, o'clock
+    assert.strictEqual(parse("Tomorrow at 10:30 AM, please.").time, '10:30');
+    assert.strictEqual(parse("We have 18:00 available").time, '18:00');
+    assert.strictEqual(parse("How about eighteen hundred hours?").time, '18:00');
+    assert.strictEqual(parse("1430 hours works").time, '14:30');
+    assert.strictEqual(parse("ten thirty p.m.").time, '22:30');
+    assert.strictEqual(parse("12 AM").time, '00:00');
+    assert.strictEqual(parse("at 5 o'clock in the evening").time, '17:00');
+    assert.deepStrictEqual(parse("I said 4 PM... no, make it 10:30 AM").times, ['16:00', '10:30'], "every time, in spoken order");
+    assert.strictEqual(parse("Welcome to the clinic").time, null);
+    console.log("✅ English, military and spoken times");
+
+    // Indic numerals and time-of-day words in every supported language
+    assert.strictEqual(parse("कल शाम 5 बजे").time, '17:00');
+    assert.strictEqual(parse("कल साढ़े १० बजे").time, '10:30', "साढ़े = half past, Devanagari digits");
+    assert.strictEqual(parse("पौने ४ बजे").time, '03:45');
+    assert.strictEqual(parse("उद्या सकाळी 11 वाजता").time, '11:00');
+    assert.strictEqual(parse("நாளை மாலை ௪ மணிக்கு").time, '16:00');
+    assert.strictEqual(parse("రేపు సాయంత్రం 6 గంటలకు").time, '18:00');
+    assert.strictEqual(parse("ನಾಳೆ ಬೆಳಿಗ್ಗೆ ೯ ಗಂಟೆಗೆ").time, '09:00');
+    assert.strictEqual(parse("કાલે સાંજે ૫ વાગ્યે").time, '17:00');
+    console.log("✅ Indic numerals and time-of-day words");
+
+    // Dates: relative words per language, weekdays, absolute dates
+    assert.strictEqual(parse("tomorrow").date, '2026-10-20');
+    assert.strictEqual(parse("day after tomorrow").date, '2026-10-21');
+    assert.strictEqual(parse("कल").date, '2026-10-20');
+    assert.strictEqual(parse("वह निकल गया").date, null, "कल inside another word is not a date");
+    assert.strictEqual(parse("परसों").date, '2026-10-21');
+    assert.strictEqual(parse("நாளை").date, '2026-10-20');
+    assert.strictEqual(parse("ఈ రోజు").date, '2026-10-19');
+    assert.strictEqual(parse("on Friday").date, '2026-10-23');
+    assert.strictEqual(parse("next Monday").date, '2026-10-26', "today's weekday means next week");
+    assert.strictEqual(parse("शुक्रवार").date, '2026-10-23');
+    assert.strictEqual(parse("25th October").date, '2026-10-25');
+    assert.strictEqual(parse("March 3rd").date, '2027-03-03', "a past date without a year is next year's");
+    assert.strictEqual(parse("२५ अक्टूबर").date, '2026-10-25');
+    assert.strictEqual(parse("on 20/10 at 14:30").date, '2026-10-20');
+    console.log("✅ Relative, weekday and absolute dates");
+
+    // Phone numbers and visit type
+    assert.strictEqual(parse("My number is 98765 43210").phone, '9876543210');
+    assert.strictEqual(parse("six three seven four zero three eight four seven zero").phone, '6374038470');
+    assert.strictEqual(parse("+91 63740-38470").phone, '6374038470');
+    assert.strictEqual(parse("In Person").visitType, 'In Person');
+    assert.strictEqual(parse("a video consultation").visitType, 'Video');
+    console.log("✅ Phone numbers and visit type");
+
+    // Target slot picking and how the tester is told to say it
+    const picked = SlotTracker.pickTarget({ minDaysAhead: 1, maxDaysAhead: 3 }, REFERENCE);
+    assert.ok(['2026-10-20', '2026-10-21', '2026-10-22'].includes(picked.date), picked.date);
+    assert.ok(/^(09|1\d):(00|30)$/.test(picked.time), picked.time);
+    assert.strictEqual(SlotTracker.describe({ date: '2026-10-20', time: '10:30' }, REFERENCE), 'tomorrow at 10:30 AM');
+    assert.strictEqual(SlotTracker.describe({ date: '2026-10-23', time: '16:00' }, REFERENCE), 'Friday, October 23 at 4 PM');
+    console.log("✅ Target slots are picked inside the date window");
+
+    // A whole call: request, wrong offer, correction, bare confirmation
+    const tracker = new SlotTracker({ target: { date: '2026-10-20', time: '20:00', phone: '6374038470', name: 'Gokulakannan' }, referenceDate: REFERENCE });
+    tracker.recordTurn('bot', "Welcome to the clinic. How can I help you?", 0);
+    tracker.recordTurn('tester', "I need an appointment tomorrow at 8 PM.", 1);
+    tracker.recordTurn('bot', "I have tomorrow at eighteen hundred.", 2);
+    tracker.recordTurn('tester', "No, I need 8 PM specifically.", 3);
+    tracker.recordTurn('bot', "Tomorrow at 8 PM it is. Your number is 63740 38470?", 4);
+    tracker.recordTurn('tester', "Yes.", 5);
+    tracker.recordTurn('bot', "Your appointment is confirmed.", 6);
+
+    assert.deepStrictEqual(tracker.turns.map(turn => turn.kind), ['mention', 'request', 'offer', 'request', 'offer', 'mention', 'confirmation']);
+    assert.deepStrictEqual([tracker.requested.date, tracker.requested.time], ['2026-10-20', '20:00']);
+    assert.deepStrictEqual([tracker.confirmed.date, tracker.confirmed.time, tracker.confirmed.phone], ['2026-10-20', '20:00', '6374038470']);
+    assert.deepStrictEqual(tracker.findings().map(finding => [finding.severity, finding.field, finding.actual, finding.position]), [
+        ['info', 'time', '18:00', 2]
+    ], "only the corrected wrong offer is noted");
+    console.log("✅ Offers, corrections and a bare confirmation are tracked per turn");
+
+    // Asking for a confirmation is not one
+    const asked = new SlotTracker({ referenceDate: REFERENCE });
+    asked.recordTurn('bot', "Welcome. Can you confirm your phone number please?", 0);
+    asked.recordTurn('bot', "Shall I confirm tomorrow at 10 AM", 1);
+    asked.recordTurn('bot', "Should it be booked for tomorrow?", 2);
+    asked.recordTurn('bot', "Thank you. Your slot tomorrow at 10 AM is booked.", 3);
+    assert.deepStrictEqual(asked.turns.map(turn => turn.kind), ['mention', 'offer', 'offer', 'confirmation']);
+    assert.strictEqual(SlotTracker.isConfirmation("कल सुबह 10 बजे का अपॉइंटमेंट बुक हो गया है।"), true);
+    assert.strictEqual(SlotTracker.isConfirmation("क्या मैं इसे कन्फर्म कर दूँ?"), false);
+    console.log("✅ Questions about confirming are not confirmations");
+
+    // Mismatches become findings
+    const wrong = SlotTracker.fromHistory([
+        { role: 'assistant', content: "Tomorrow at 10 AM please." },
+        { role: 'user', content: "Confirmed for the day after tomorrow at 10 AM. We have your number as 9876543210." }
+    ], { target: { date: '2026-10-20', time: '10:30', phone: '6374038470' }, referenceDate: REFERENCE });
+    assert.deepStrictEqual(wrong.findings().map(finding => [finding.severity, finding.field, finding.expected, finding.actual]), [
+        ['warning', 'time', '10:30', '10:00'],
+        ['error', 'date', '2026-10-20', '2026-10-21'],
+        ['error', 'phone', '6374038470', '9876543210']
+    ]);
+    assert.ok(wrong.summary().turns.length === 2 && !('findings' in wrong.summary()));
+    console.log("✅ Tester drift, wrong confirmations and wrong read-backs are reported");
+
+    console.log("\n✅ Slot tracker tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}
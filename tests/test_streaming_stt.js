@@ -0,0 +1,154 @@
+const assert = require('assert');
+const { WebSocketServer } = require('ws');
+
+process.env.STT_PROVIDER = 'stub';
+delete process.env.STUB_STT_ENDPOINT_MS;
+
+const stubStt = require('../services/providers/stubSttProvider');
+const sarvamService = require('../services/sarvamService');
+const SarvamSttStream = require('../services/sarvamSttStream');
+
+const FRAME_SAMPLES = 160; // 20ms at 8kHz, like Twilio
+
+function frame(amplitude) {
+    const pcm = Buffer.alloc(FRAME_SAMPLES * 2);
+    for (let i = 0; i < FRAME_SAMPLES; i++) pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 300 * i / 8000)), i * 2);
+    return pcm;
+}
+
+function push(stream, amplitude, ms) {
+    for (let t = 0; t < ms; t += 20) stream.write(frame(amplitude));
+}
+
+function collect(stream) {
+    const events = [];
+    ['partial', 'final', 'endpoint', 'error'].forEach(type => stream.on(type, payload => events.push({ type, ...(payload instanceof Error ? { message: payload.message } : payload) })));
+    return events;
+}
+
+const waitFor = async (check, timeoutMs = 2000) => {
+    for (let waited = 0; !check() && waited < timeoutMs; waited += 20) await new Promise(r => setTimeout(r, 20));
+    assert.ok(check(), "timed out");
+};
+
+async function testStubStream() {
+    stubStt.setTranscripts(["Welcome to the clinic, how may I help you?", "Which day would you like?"]);
+    const stream = stubStt.openStream();
+    const events = collect(stream);
+
+    push(stream, 0, 500);
+    assert.deepStrictEqual(events, [], "silence is not an utterance");
+
+    push(stream, 3000, 2000);
+    push(stream, 0, 600);
+    const partials = events.filter(event => event.type === 'partial').map(event => event.text);
+    assert.deepStrictEqual(partials, ["Welcome", "Welcome to", "Welcome to the", "Welcome to the clinic,", "Welcome to the clinic, how"]);
+    assert.ok(!events.some(event => event.type === 'endpoint'), "a 600ms pause is not the end of the utterance yet");
+
+    push(stream, 0, 300);
+    assert.deepStrictEqual(events.slice(-2), [
+        { type: 'final', text: "Welcome to the clinic, how may I help you?", languageCode: 'en-IN' },
+        { type: 'endpoint' }
+    ]);
+
+    // The next utterance takes the next transcript; batch calls share the same script
+    push(stream, 3000, 300);
+    push(stream, 0, 800);
+    assert.deepStrictEqual(events.slice(-2), [{ type: 'final', text: "Which day would you like?", languageCode: 'en-IN' }, { type: 'endpoint' }]);
+    push(stream, 3000, 300);
+    push(stream, 0, 800);
+    assert.deepStrictEqual(events.slice(-1), [{ type: 'endpoint' }], "once the script runs out, utterances end without a transcript");
+
+    stream.close();
+    push(stream, 3000, 300);
+    console.log("✅ Stub stream emits partials, a final and an endpoint per utterance");
+}
+
+async function testSarvamStream() {
+    const server = new WebSocketServer({ port: 0 });
+    await new Promise(resolve => server.on('listening', resolve));
+    const connections = [];
+    server.on('connection', (socket, request) => {
+        const connection = { socket, url: new URL(request.url, 'ws://localhost'), key: request.headers['api-subscription-key'], audio: [] };
+        socket.on('message', data => connection.audio.push(JSON.parse(data.toString()).audio));
+        connections.push(connection);
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    const stream = new SarvamSttStream({ baseUrl, apiKey: 'sarvam-key' });
+    const events = collect(stream);
+    // Frames written while connecting are sent once the socket opens, then in 100ms messages
+    push(stream, 3000, 200);
+    await waitFor(() => connections.length === 1 && connections[0].audio.length === 1);
+    push(stream, 3000, 100);
+    await waitFor(() => connections[0].audio.length === 2);
+    const [connection] = connections;
+    assert.strictEqual(connection.url.pathname, '/speech-to-text/ws');
+    assert.strictEqual(connection.url.searchParams.get('language-code'), 'unknown');
+    assert.strictEqual(connection.url.searchParams.get('vad_signals'), 'true');
+    assert.strictEqual(connection.url.searchParams.get('sample_rate'), '8000');
+    assert.strictEqual(connection.key, 'sarvam-key');
+    assert.deepStrictEqual(connection.audio.map(audio => Buffer.from(audio.data, 'base64').length), [3200, 1600], "16-bit 8kHz audio, 100ms per message");
+    assert.strictEqual(connection.audio[1].sample_rate, '8000');
+
+    // Transcripts are finals; the one after END_SPEECH also ends the utterance
+    const send = (message) => connection.socket.send(JSON.stringify(message));
+    send({ type: 'events', data: { signal_type: 'START_SPEECH' } });
+    send({ type: 'data', data: { transcript: "Welcome to the clinic.", language_code: 'en-IN' } });
+    send({ type: 'events', data: { signal_type: 'END_SPEECH' } });
+    send({ type: 'data', data: { transcript: " How may I help you? ", language_code: 'en-IN' } });
+    await waitFor(() => events.some(event => event.type === 'endpoint'));
+    assert.deepStrictEqual(events, [
+        { type: 'final', text: "Welcome to the clinic.", languageCode: 'en-IN' },
+        { type: 'final', text: "How may I help you?", languageCode: 'en-IN' },
+        { type: 'endpoint' }
+    ]);
+
+    // A vendor error makes the session unusable
+    send({ type: 'error', data: { error: "Invalid audio" } });
+    await waitFor(() => events.some(event => event.type === 'error'));
+    assert.strictEqual(events[events.length - 1].message, "Sarvam streaming STT error: Invalid audio");
+    assert.ok(stream.closed);
+    console.log("✅ Sarvam stream sends batched PCM and maps transcripts and VAD events");
+
+    // A dropped connection is an error too, a deliberate close() is not
+    const dropped = new SarvamSttStream({ baseUrl, apiKey: 'sarvam-key' });
+    const droppedEvents = collect(dropped);
+    await waitFor(() => connections.length === 2);
+    connections[1].socket.close();
+    await waitFor(() => droppedEvents.length === 1);
+    assert.ok(/closed the connection/.test(droppedEvents[0].message));
+
+    const closed = new SarvamSttStream({ baseUrl, apiKey: 'sarvam-key' });
+    const closedEvents = collect(closed);
+    await waitFor(() => connections.length === 3);
+    closed.close();
+    await new Promise(r => setTimeout(r, 100));
+    assert.deepStrictEqual(closedEvents, []);
+
+    const unreachable = new SarvamSttStream({ baseUrl: 'http://localhost:1', apiKey: 'sarvam-key' });
+    const unreachableEvents = collect(unreachable);
+    await waitFor(() => unreachableEvents.length === 1);
+    assert.ok(/connection failed/.test(unreachableEvents[0].message));
+    console.log("✅ Dropped and unreachable sessions report errors");
+
+    await new Promise(resolve => server.close(resolve));
+
+    // Streaming is not recorded by the HTTP cassette, so cassette runs keep to batch uploads
+    process.env.HTTP_CASSETTE = 'replay';
+    assert.throws(() => sarvamService.openStream(), /not covered by the HTTP cassette/);
+    delete process.env.HTTP_CASSETTE;
+    console.log("✅ Cassette runs refuse streaming");
+}
+
+async function runTests() {
+    console.log("🚀 Starting streaming STT tests...\n");
+    await testStubStream();
+    await testSarvamStream();
+    console.log("\n✅ Streaming STT tests complete.");
+}
+
+runTests().catch(error => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+});
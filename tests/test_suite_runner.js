@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline providers, no Twilio; calls and runs go to throwaway directories
+process.env.STT_PROVIDER = 'stub';
+process.env.TTS_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+process.env.CALL_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-calls-'));
+process.env.RUN_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicebot-runs-'));
+
+const { server } = require('../server');
+const callManager = require('../engine/callManager');
+const suiteRunner = require('../engine/suiteRunner');
+const providers = require('../services/providers');
+const { MediaStreamSimulator } = require('../simulator/mediaStreamSimulator');
+
+const FIXTURES = path.join(__dirname, '..', 'simulator', 'fixtures');
+
+/**
+ * Stands in for Twilio: answers each dialed call with the simulator, or ends it the way the script says
+ * @param {number} port
+ * @param {Array<'answer'|'busy'|'noStream'>} outcomes - One per call, in dialing order
+ */
+function fakeDialer(port, outcomes) {
+    const statuses = new Map();
+    let dialed = 0;
+    return {
+        async placeCall() {
+            const callSid = `SUITETEST${String(++dialed).padStart(3, '0')}`;
+            const outcome = outcomes[dialed - 1];
+            if (outcome === 'busy') statuses.set(callSid, 'busy');
+            // Answered, but the media stream never connects
+            if (outcome === 'noStream') statuses.set(callSid, 'completed');
+            if (outcome === 'answer') {
+                statuses.set(callSid, 'in-progress');
+                // After the runner has registered the call options, like Twilio's webhook a moment later
+                setTimeout(() => {
+                    new MediaStreamSimulator({
+                        url: `ws://localhost:${port}`, callSid, script: [
+                            { silenceMs: 300 },
+                            { play: path.join(FIXTURES, 'bot_question.wav') },
+                            { waitForReply: true, timeoutMs: 15000 }
+                        ]
+                    }).run().finally(() => statuses.set(callSid, 'completed'));
+                });
+            }
+            return callSid;
+        },
+        async getCallStatus(callSid) {
+            return statuses.get(callSid);
+        }
+    };
+}
+
+async function runTests() {
+    console.log("🚀 Starting suite runner tests...\n");
+
+    await new Promise(resolve => server.listen(0, resolve));
+    const port = server.address().port;
+
+    // Every call hears the same bot line, so concurrent calls can share the stub STT script
+    providers.stt.setTranscripts(Array(10).fill("Doctor Rao treats that, and his slots can be booked on Monday."));
+    const suite = {
+        name: 'Runner check',
+        concurrency: 2,
+        callTimeoutMs: 30000,
+        entries: [
+            { scenario: 'DOCTOR_ENQUIRY', languages: ['English', 'Hindi'], repeat: 2 },
+            { scenario: 'DOCTOR_ENQUIRY', languages: ['Tamil', 'Telugu'] }
+        ]
+    };
+    const queue = suiteRunner.expandSuite(suite);
+    assert.deepStrictEqual(queue.map(call => [call.language, call.repetition]),
+        [['English', 1], ['English', 2], ['Hindi', 1], ['Hindi', 2], ['Tamil', 1], ['Telugu', 1]]);
+    console.log("✅ Suite expanded into 6 calls");
+
+    const dialer = suiteRunner.dialer;
+    suiteRunner.dialer = fakeDialer(port, ['answer', 'answer', 'answer', 'answer', 'busy', 'noStream']);
+    suiteRunner.statusPollMs = 200;
+    let mostLive = 0;
+    const sampler = setInterval(() => { mostLive = Math.max(mostLive, callManager.activeCalls.size); }, 20);
+    try {
+        const finished = new Promise(resolve => suiteRunner.once('runFinished', resolve));
+        suiteRunner.start(suite);
+        const run = await finished;
+
+        assert.strictEqual(mostLive, 2, "two calls at a time, never more");
+        assert.deepStrictEqual(run.calls.map(call => call.status), ['passed', 'passed', 'failed', 'failed', 'errored', 'errored']);
+        assert.strictEqual(run.calls[4].error, 'Twilio call ended with status "busy"');
+        assert.strictEqual(run.calls[5].error, "Twilio call completed without a media stream");
+        assert.ok(!callManager.pendingCallOptions.has(run.calls[5].callSid), "the unused call options are dropped");
+
+        // English passes; the bot answering Hindi callers in English fails the target-script assertion
+        assert.deepStrictEqual([run.status, run.total, run.completed, run.passed, run.failed, run.errored], ['completed', 6, 6, 2, 2, 2]);
+        assert.strictEqual(run.passRate, 2 / 6);
+        assert.deepStrictEqual(run.byLanguage.English, { total: 2, passed: 2, failed: 0, skipped: 0, errored: 0, passRate: 1 });
+        assert.deepStrictEqual(run.byLanguage.Hindi, { total: 2, passed: 0, failed: 2, skipped: 0, errored: 0, passRate: 0 });
+        assert.strictEqual(run.byLanguage.Telugu.errored, 1);
+        assert.deepStrictEqual(run.byScenario.DOCTOR_ENQUIRY, { total: 6, passed: 2, failed: 2, skipped: 0, errored: 2, passRate: 2 / 6 });
+        assert.strictEqual(suiteRunner.getRun(run.runId).passed, 2);
+        console.log(`✅ Run aggregated: ${run.passed}/${run.completed} passed, at most ${mostLive} calls at once`);
+
+        // A second run started in the same millisecond gets its own id
+        const now = Date.now;
+        Date.now = () => Number(run.runId.slice('run-'.length));
+        try {
+            assert.strictEqual(suiteRunner.newRunId(), `${run.runId}-2`);
+        } finally {
+            Date.now = now;
+        }
+        console.log("✅ Run ids are unique");
+    } finally {
+        clearInterval(sampler);
+        suiteRunner.dialer = dialer;
+    }
+
+    console.log("\n✅ Suite runner tests complete.");
+}
+
+runTests()
+    .then(() => 0, error => {
+        console.error("❌ Test failed:", error.message);
+        return 1;
+    })
+    .then(exitCode => {
+        fs.rmSync(process.env.CALL_STORE_DIR, { recursive: true, force: true });
+        fs.rmSync(process.env.RUN_STORE_DIR, { recursive: true, force: true });
+        process.exit(exitCode);
+    });
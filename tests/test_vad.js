@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const VoiceActivityDetector = require('../engine/voiceActivityDetector');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const FRAME_SAMPLES = 160; // 20ms Twilio packets
+
+/**
+ * Feeds a WAV fixture through a fresh VAD in 20ms frames and collects every event it emits
+ */
+function runFixture(fileName, options = {}) {
+    const wav = new WaveFile(fs.readFileSync(path.join(FIXTURES, fileName)));
+    const samples = wav.getSamples(false, Int16Array);
+    const vad = new VoiceActivityDetector(options);
+    const events = [];
+
+    ['speechStart', 'speechEnd', 'endOfTurn'].forEach(type => vad.on(type, payload => events.push({ type, ...payload })));
+
+    for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+        vad.process(samples.subarray(offset, offset + FRAME_SAMPLES));
+    }
+    return { events, vad, count: (type) => events.filter(e => e.type === type).length };
+}
+
+function runTests() {
+    console.log("🚀 Starting VAD fixture tests...\n");
+
+    // Speech over line noise: one start, one end, one end-of-turn roughly endOfTurnMs after the speech
+    let result = runFixture('vad_speech_in_line_noise.wav');
+    assert.strictEqual(result.count('speechStart'), 1);
+    assert.strictEqual(result.count('endOfTurn'), 1);
+    const start = result.events.find(e => e.type === 'speechStart');
+    const turn = result.events.find(e => e.type === 'endOfTurn');
+    assert.ok(Math.abs(start.atMs - 1000) <= 100, `speech onset should be near 1000ms, got ${start.atMs}`);
+    assert.ok(turn.atMs >= 2500 + 1200 && turn.atMs <= 2500 + 1200 + 400, `end of turn should follow 1200ms of silence, got ${turn.atMs}`);
+    assert.ok(result.vad.noiseFloor > 100, "noise floor should adapt to the line noise");
+    console.log("✅ Speech in line noise: single turn detected");
+
+    // Line pops alone must never start a turn
+    result = runFixture('vad_line_pops.wav');
+    assert.strictEqual(result.count('speechStart'), 0, "line pops should not count as speech");
+    console.log("✅ Line pops ignored");
+
+    // A quiet bot on a clean line is still heard thanks to the adaptive threshold
+    result = runFixture('vad_quiet_bot.wav');
+    assert.strictEqual(result.count('speechStart'), 1, "quiet speech should be detected");
+    assert.strictEqual(result.count('endOfTurn'), 1);
+    console.log("✅ Quiet bot detected");
+
+    // A short breath between sentences is two speech segments but a single turn
+    result = runFixture('vad_two_sentences.wav');
+    assert.strictEqual(result.count('speechStart'), 2);
+    assert.strictEqual(result.count('speechEnd'), 2);
+    assert.strictEqual(result.count('endOfTurn'), 1, "a 600ms pause must not end the turn");
+    console.log("✅ Two sentences, one turn");
+
+    // The same recording splits into two turns when the call is tuned for snappier turn-taking
+    result = runFixture('vad_two_sentences.wav', { endOfTurnMs: 400 });
+    assert.strictEqual(result.count('endOfTurn'), 2, "endOfTurnMs should be tunable per call");
+    console.log("✅ Per-call endOfTurnMs respected");
+
+    // flush() ends a turn that is still in progress (stream stopped mid-sentence)
+    const vad = new VoiceActivityDetector();
+    const forced = [];
+    vad.on('endOfTurn', e => forced.push(e));
+    const loud = Int16Array.from({ length: FRAME_SAMPLES }, (_, i) => Math.round(8000 * Math.sin(2 * Math.PI * 200 * i / 8000)));
+    for (let i = 0; i < 20; i++) vad.process(loud);
+    assert.strictEqual(vad.inTurn, true);
+    assert.strictEqual(vad.flush(), true);
+    assert.strictEqual(forced.length, 1);
+    assert.strictEqual(forced[0].forced, true);
+    console.log("✅ flush() ends an in-progress turn");
+
+    console.log("\n✅ VAD fixture tests complete.");
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+}